@@ -203,6 +203,12 @@ window.Auth = {
                     class="w-16 bg-slate-950 border border-slate-700 rounded px-2 py-1 text-xs text-slate-200 outline-none focus:border-indigo-500 text-center" 
                     value="${window.Kernel ? window.Kernel.config.autoCollapseDepth || 3 : 3}">
             </div>
+            <div class="flex items-center justify-between gap-4">
+                <label for="settings-canvas-threshold" class="text-xs text-slate-400" title="Maps with more nodes than this draw on a canvas with level of detail. 0 always uses the canvas.">Canvas Renderer Above (nodes)</label>
+                <input type="number" id="settings-canvas-threshold" min="0" step="100"
+                    class="w-20 bg-slate-950 border border-slate-700 rounded px-2 py-1 text-xs text-slate-200 outline-none focus:border-indigo-500 text-center"
+                    value="${window.Kernel ? window.Kernel.config.canvasThreshold ?? 1500 : 1500}">
+            </div>
         `;
         container.appendChild(settingsDiv);
 
@@ -216,6 +222,17 @@ window.Auth = {
                 }
             });
         }
+
+        const canvasInput = settingsDiv.querySelector('#settings-canvas-threshold');
+        if (canvasInput) {
+            canvasInput.addEventListener('change', (e) => {
+                const val = parseInt(e.target.value, 10);
+                if (window.Kernel && !isNaN(val) && val >= 0) {
+                    window.Kernel.config.canvasThreshold = val;
+                    if (window.SC) window.SC.render();
+                }
+            });
+        }
     },
 
     renderDataManager: function(container) {
@@ -0,0 +1,184 @@
+/**
+ * Multi-Map HOST REFERENCE SERVER v14.11
+ * Features: Dependency-free REST host for HostBridge push/pull, JSON-file page storage, per-page revisions.
+ *
+ * Usage:  node host-server.js [--port 8000] [--data ./host-data]
+ *
+ *   GET  /api/pull                 -> { pages: [{ map_id, project_id, title, type, revision, updated_at }], projects: [...] }
+ *   GET  /api/pull?map_id=<id>     -> { page }
+ *   POST /api/push { kind: 'page', page, base_revision, force }
+ *   POST /api/push { kind: 'project', project, base_revision, pages: [{ page, base_revision }], force }
+ *                                  -> { results: [...], project: { stored, revision } }, or 409 with
+ *                                     project: { conflict, remote } when the project record is behind,
+ *                                     project: { skipped } when any page was not accepted
+ *
+ * A push whose base_revision is behind the stored revision (of a page, or of a project
+ * record) is rejected with 409 and the stored copy, unless `force` is set.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const argValue = (flag, fallback) => {
+    const idx = process.argv.indexOf(flag);
+    return idx !== -1 && process.argv[idx + 1] ? process.argv[idx + 1] : fallback;
+};
+
+const PORT = parseInt(argValue('--port', process.env.PORT || 8000), 10);
+const DATA_DIR = path.resolve(argValue('--data', process.env.MM_HOST_DATA || path.join(__dirname, 'host-data')));
+const PAGES_DIR = path.join(DATA_DIR, 'pages');
+const PROJECTS_DIR = path.join(DATA_DIR, 'projects');
+const MAX_BODY = 25 * 1024 * 1024;
+
+fs.mkdirSync(PAGES_DIR, { recursive: true });
+fs.mkdirSync(PROJECTS_DIR, { recursive: true });
+
+const safeId = (id) => typeof id === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(id);
+
+const readJson = (file) => {
+    try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) { return null; }
+};
+
+const writeJson = (file, data) => {
+    // Write-then-rename so a crash never leaves a half-written page behind
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+};
+
+const listDir = (dir) => fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => readJson(path.join(dir, f))).filter(Boolean);
+
+function storePage(page, baseRevision, force) {
+    if (!page || !safeId(page.map_id)) return { error: 'Invalid or missing map_id' };
+    const file = path.join(PAGES_DIR, `${page.map_id}.json`);
+    const stored = readJson(file);
+    const storedRevision = stored?.meta?.revision || 0;
+
+    if (stored && !force && storedRevision > (baseRevision || 0)) {
+        return { conflict: true, remote: stored };
+    }
+
+    const next = JSON.parse(JSON.stringify(page));
+    if (!next.meta) next.meta = {};
+    delete next.meta.host_checksum;
+    next.meta.revision = storedRevision + 1;
+    next.meta.host_updated_at = new Date().toISOString();
+    writeJson(file, next);
+    return { revision: next.meta.revision };
+}
+
+/** Projects are revisioned like pages: title, page order and ontology travel with them. */
+function checkProject(project, baseRevision, force) {
+    const stored = readJson(path.join(PROJECTS_DIR, `${project.project_id}.json`));
+    if (stored && !force && (stored.meta?.revision || 0) > (baseRevision || 0)) return { conflict: true, remote: stored };
+    return null;
+}
+
+function storeProject(project) {
+    const file = path.join(PROJECTS_DIR, `${project.project_id}.json`);
+    const next = JSON.parse(JSON.stringify(project));
+    if (!next.meta) next.meta = {};
+    delete next.meta.host_checksum;
+    next.meta.revision = (readJson(file)?.meta?.revision || 0) + 1;
+    next.meta.host_updated_at = new Date().toISOString();
+    writeJson(file, next);
+    return { stored: true, revision: next.meta.revision };
+}
+
+function manifest() {
+    const pages = listDir(PAGES_DIR).map(p => ({
+        map_id: p.map_id,
+        project_id: p.meta?.project_id || null,
+        title: p.meta?.title || 'Untitled',
+        type: p.meta?.type || 'generic',
+        revision: p.meta?.revision || 0,
+        updated_at: p.meta?.host_updated_at || null
+    }));
+    return { pages, projects: listDir(PROJECTS_DIR) };
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new Error('Payload too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')); } catch (e) { reject(new Error('Invalid JSON body')); }
+        });
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'OPTIONS') return send(res, 204, {});
+
+    try {
+        if (req.method === 'GET' && url.pathname === '/api/pull') {
+            const mapId = url.searchParams.get('map_id');
+            if (!mapId) return send(res, 200, manifest());
+            if (!safeId(mapId)) return send(res, 400, { error: 'Invalid map_id' });
+            const page = readJson(path.join(PAGES_DIR, `${mapId}.json`));
+            return page ? send(res, 200, { page }) : send(res, 404, { error: 'Page not found' });
+        }
+
+        if (req.method === 'POST' && url.pathname === '/api/push') {
+            const body = await readBody(req);
+
+            if (body.kind === 'page') {
+                const result = storePage(body.page, body.base_revision, body.force);
+                if (result.error) return send(res, 400, result);
+                return send(res, result.conflict ? 409 : 200, result);
+            }
+
+            if (body.kind === 'project') {
+                // Check every entry first so a bad one cannot leave the project half written
+                const entries = body.pages === undefined ? [] : body.pages;
+                const validEntry = (e) => e && typeof e === 'object' && e.page && typeof e.page === 'object' && safeId(e.page.map_id);
+                if (!Array.isArray(entries) || !entries.every(validEntry)) {
+                    return send(res, 400, { error: 'pages must be an array of { page, base_revision } entries, each page with a valid map_id' });
+                }
+                if (!body.project || !safeId(body.project.project_id)) return send(res, 400, { error: 'Invalid or missing project_id' });
+                const results = entries.map(({ page, base_revision }) => ({
+                    map_id: page.map_id,
+                    ...storePage(page, base_revision, body.force)
+                }));
+                // The project record lists the pages, so it is only written once all of them were
+                const projectConflict = checkProject(body.project, body.base_revision, body.force);
+                if (projectConflict) return send(res, 409, { results, project: projectConflict });
+                if (results.some(r => r.conflict || r.error)) return send(res, 409, { results, project: { skipped: true } });
+                return send(res, 200, { results, project: storeProject(body.project) });
+            }
+
+            return send(res, 400, { error: "Unknown push kind (expected 'page' or 'project')" });
+        }
+
+        send(res, 404, { error: 'Not found' });
+    } catch (e) {
+        send(res, 400, { error: e.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Multi-Map host listening on http://localhost:${PORT}/api (data: ${DATA_DIR})`);
+});
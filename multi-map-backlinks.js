@@ -0,0 +1,186 @@
+/**
+ * Multi-Map BACKLINKS v14.11
+ * Features: Workspace "What Links Here" Index (portal targets + [[mentions]]), Incremental Refresh, Rename Rewrites.
+ *
+ * Mentions are written inline in a node's title or content:
+ *
+ *   [[Roadmap]]          -> the page titled "Roadmap" (matched case-insensitively)
+ *   [[Roadmap#Launch]]   -> the "Launch" node on that page
+ *   [[#Launch]]          -> the "Launch" node on the same page
+ *
+ *   const index = new MultiMapBacklinks();
+ *   index.sync(pages, livePage);    // only pages whose object changed are re-indexed
+ *   index.linksTo(page)             // -> [{ kind, mapId, pageTitle, projectId, nodeId, nodeTitle }]
+ *   index.linksTo(page, node)       // mentions of one node (plus page links when it is the core)
+ *   index.referencesTo(mapId, title)  // raw portal + mention refs, used to rewrite them on rename
+ *
+ * Saves always write a fresh page object into the vault cache, so object identity
+ * is enough to tell which pages need re-indexing.
+ */
+
+class MultiMapBacklinks {
+    constructor() {
+        this.entries = new Map();  // map_id -> { source, refs }
+        this.byTarget = new Map(); // target map_id -> Set(ref)   portals and [[#Node]] mentions
+        this.byTitle = new Map();  // page title key -> Set(ref)  [[Page]] / [[Page#Node]] mentions
+    }
+
+    static key(title) {
+        return String(title || '').trim().toLowerCase();
+    }
+
+    static mentionPattern() {
+        return /\[\[([^\[\]#]*?)(?:#([^\[\]]+?))?\]\]/g;
+    }
+
+    static portalTarget(node) {
+        if (typeof MultiMapIntegrity !== 'undefined') return MultiMapIntegrity.portalTarget(node);
+        return node && node.type === 'portal' && typeof node.content === 'string' ? node.content.trim() || null : null;
+    }
+
+    /** Every [[mention]] in a string as { page, node } (either may be empty). */
+    static parseMentions(text) {
+        if (typeof text !== 'string' || !text.includes('[[')) return [];
+        const found = [];
+        const re = MultiMapBacklinks.mentionPattern();
+        let m;
+        while ((m = re.exec(text)) !== null) {
+            const page = m[1].trim();
+            const node = (m[2] || '').trim();
+            if (page || node) found.push({ page, node });
+        }
+        return found;
+    }
+
+    /**
+     * Rewrite [[Old]] and [[Old#Node]] to the new page title. JSON payloads (person
+     * and web nodes) are rewritten field by field so the result still parses.
+     */
+    static renameInText(text, oldTitle, newTitle) {
+        if (typeof text !== 'string' || !text.includes('[[')) return text;
+        const oldKey = MultiMapBacklinks.key(oldTitle);
+        const rewrite = (str) => str.replace(MultiMapBacklinks.mentionPattern(), (match, page, node) => {
+            if (MultiMapBacklinks.key(page) !== oldKey) return match;
+            return `[[${newTitle}${node ? '#' + node : ''}]]`;
+        });
+
+        if (text.trim().startsWith('{')) {
+            try {
+                const data = JSON.parse(text);
+                if (data && typeof data === 'object') {
+                    Object.keys(data).forEach(k => { if (typeof data[k] === 'string') data[k] = rewrite(data[k]); });
+                    return JSON.stringify(data);
+                }
+            } catch (e) { /* plain text that happens to start with a brace */ }
+        }
+        return rewrite(text);
+    }
+
+    indexPage(page) {
+        this.removePage(page.map_id);
+        const refs = [];
+        const base = { mapId: page.map_id, pageTitle: page.meta?.title || 'Untitled', projectId: page.meta?.project_id || null };
+
+        (Array.isArray(page.nodes) ? page.nodes : []).forEach(node => {
+            if (!node) return;
+            const at = { ...base, nodeId: node.id, nodeTitle: node.title || node.type || node.id };
+            const target = MultiMapBacklinks.portalTarget(node);
+            if (target) refs.push({ ...at, kind: 'portal', target, node: '' });
+
+            const seen = new Set();
+            [node.title, node.content].forEach(text => {
+                MultiMapBacklinks.parseMentions(text).forEach(({ page: title, node: nodeTitle }) => {
+                    const id = `${MultiMapBacklinks.key(title)}#${MultiMapBacklinks.key(nodeTitle)}`;
+                    if (seen.has(id)) return;
+                    seen.add(id);
+                    refs.push(title
+                        ? { ...at, kind: 'mention', title: MultiMapBacklinks.key(title), node: MultiMapBacklinks.key(nodeTitle) }
+                        : { ...at, kind: 'mention', target: page.map_id, node: MultiMapBacklinks.key(nodeTitle) });
+                });
+            });
+        });
+
+        refs.forEach(ref => {
+            const bucket = ref.target ? this.byTarget : this.byTitle;
+            const k = ref.target || ref.title;
+            if (!bucket.has(k)) bucket.set(k, new Set());
+            bucket.get(k).add(ref);
+        });
+        this.entries.set(page.map_id, { source: page, refs });
+    }
+
+    removePage(mapId) {
+        const entry = this.entries.get(mapId);
+        if (!entry) return;
+        entry.refs.forEach(ref => {
+            const bucket = ref.target ? this.byTarget : this.byTitle;
+            const set = bucket.get(ref.target || ref.title);
+            if (!set) return;
+            set.delete(ref);
+            if (set.size === 0) bucket.delete(ref.target || ref.title);
+        });
+        this.entries.delete(mapId);
+    }
+
+    /**
+     * Bring the index up to date with `pages`. `live` is the open page, which is
+     * edited in place and therefore always re-indexed.
+     */
+    sync(pages, live = null) {
+        const seen = new Set();
+        pages.forEach(page => {
+            if (!page || !page.map_id || (live && page.map_id === live.map_id)) return;
+            seen.add(page.map_id);
+            const entry = this.entries.get(page.map_id);
+            if (!entry || entry.source !== page) this.indexPage(page);
+        });
+        if (live && live.map_id) {
+            seen.add(live.map_id);
+            this.indexPage(live);
+        }
+        [...this.entries.keys()].forEach(mapId => { if (!seen.has(mapId)) this.removePage(mapId); });
+        return this;
+    }
+
+    /** Raw references to a page: portals aimed at its id plus mentions of `title`. */
+    referencesTo(mapId, title) {
+        return [
+            ...[...(this.byTarget.get(mapId) || [])].filter(ref => ref.kind === 'portal'),
+            ...(this.byTitle.get(MultiMapBacklinks.key(title)) || [])
+        ];
+    }
+
+    /**
+     * Everything pointing at `page` from elsewhere, or at one of its nodes when `node`
+     * is given. A node also collects the page-level links when it is the page's core.
+     */
+    linksTo(page, node = null) {
+        if (!page) return [];
+        const refs = this.referencesTo(page.map_id, page.meta?.title);
+        if (!node) return this.unique(refs.filter(ref => ref.mapId !== page.map_id));
+
+        const isCore = (node.data && node.data.isCore) || node.type === 'root' || (node.type || '').endsWith('-root');
+        const nodeKey = MultiMapBacklinks.key(node.title);
+        const local = [...(this.byTarget.get(page.map_id) || [])].filter(ref => ref.kind === 'mention');
+        return this.unique([...refs, ...local].filter(ref => {
+            if (ref.mapId === page.map_id && ref.nodeId === node.id) return false;
+            if (ref.node) return ref.node === nodeKey;
+            return isCore && ref.mapId !== page.map_id;
+        }));
+    }
+
+    /** One entry per source node and kind, however many mentions it holds. */
+    unique(refs) {
+        const seen = new Set();
+        return refs.filter(ref => {
+            const id = `${ref.kind}:${ref.mapId}:${ref.nodeId}`;
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapBacklinks;
+}
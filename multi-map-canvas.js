@@ -0,0 +1,439 @@
+/**
+ * Multi-Map CANVAS RENDERER v14.11
+ * Features: Canvas2D Map Drawing, Viewport Culling, Semantic Zoom (dots + cluster labels / icons / full cards), Hit-Testing.
+ *
+ * SandboxController.renderMap() switches to this renderer when a map has more nodes
+ * than `Kernel.config.canvasThreshold`. It draws from the same model as the DOM
+ * renderer (buildMapModel / nodeAppearance / getVisualPos) and hands node presses back
+ * to the controller, so selection, the radial menu, dragging and linking mode behave
+ * the same on both.
+ *
+ *   renderer.setActive(true);
+ *   renderer.render(state, model);   // on every kernel notify
+ *   renderer.frame();                // from the animation loop; draws only when needed
+ */
+
+class MultiMapCanvasRenderer {
+    // Viewport scales where the level of detail changes
+    static LOD = { dots: 0.3, cards: 0.6 };
+    static NODE_RADIUS = 36; // half the 72px DOM node
+
+    constructor(controller) {
+        this.sc = controller;
+        this.active = false;
+        this.dirty = true;
+        this.lastFrameKey = '';
+        this.state = null;
+        this.model = null;
+        this.items = [];     // [{ node, x, y, look }] for visible nodes, in draw order
+        this.clusters = [];  // [{ label, x, y, count }] top-level branches for the zoomed-out view
+        this.hoverId = null;
+        this.pressed = null; // { node, x, y } while a node is held
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.id = 'map-canvas';
+        this.canvas.className = 'absolute inset-0 w-full h-full z-10 hidden';
+        this.canvas.style.touchAction = 'none';
+        controller.dom.viewMap.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handleHover(e));
+        this.canvas.addEventListener('pointerleave', () => this.setHover(null));
+    }
+
+    setActive(on) {
+        if (on === this.active) return;
+        this.active = on;
+        this.canvas.classList.toggle('hidden', !on);
+        // The DOM layers stay mounted but empty, so stale nodes cannot catch clicks
+        this.sc.dom.worldLayer.style.display = on ? 'none' : '';
+        this.sc.dom.edgeSvg.style.display = on ? 'none' : '';
+        if (on) {
+            this.sc.dom.worldLayer.innerHTML = '';
+            this.sc.dom.edgeSvg.innerHTML = '';
+        }
+        this.invalidate();
+    }
+
+    invalidate() { this.dirty = true; }
+
+    render(state, model) {
+        this.state = state;
+        this.model = model;
+        const selected = [];
+        this.items = [];
+        state.nodes.forEach(node => {
+            if (!model.visibleNodes.has(node.id)) return;
+            const p = this.sc.getVisualPos(node);
+            const item = { node, x: p.x, y: p.y, look: this.sc.nodeAppearance(node, model) };
+            // Selected nodes draw last so they sit on top, as their DOM z-index does
+            if (node.id === model.selId || model.multiIds.has(node.id)) selected.push(item);
+            else this.items.push(item);
+        });
+        this.items.push(...selected);
+        this.positions = new Map(this.items.map(item => [item.node.id, item]));
+        this.clusters = this.buildClusters(model);
+        this.invalidate();
+    }
+
+    /** Group visible nodes under their top-level branch for the labels shown when zoomed out. */
+    buildClusters(model) {
+        const branchOf = new Map();
+        const branch = (id) => {
+            if (branchOf.has(id)) return branchOf.get(id);
+            const trail = [];
+            let curr = id, top = null;
+            while (curr && !branchOf.has(curr) && trail.length < 10000) {
+                const parent = model.parentOf.get(curr);
+                if (!parent || model.trueRootIds.has(parent)) { top = curr; break; }
+                trail.push(curr);
+                curr = parent;
+            }
+            if (top === null) top = branchOf.get(curr) || curr;
+            trail.forEach(t => branchOf.set(t, top));
+            branchOf.set(id, top);
+            return top;
+        };
+
+        const groups = new Map();
+        this.items.forEach(({ node, x, y }) => {
+            const key = model.trueRootIds.has(node.id) ? node.id : branch(node.id);
+            if (!groups.has(key)) groups.set(key, { sx: 0, sy: 0, count: 0 });
+            const g = groups.get(key);
+            g.sx += x; g.sy += y; g.count++;
+        });
+        return [...groups.entries()].map(([id, g]) => {
+            const head = model.byId.get(id);
+            const icon = head ? this.sc.kernel.getBlueprint(head.type).icon : '';
+            return { id, label: `${icon} ${head ? head.title : id}`, count: g.count, x: g.sx / g.count, y: g.sy / g.count };
+        }).sort((a, b) => b.count - a.count);
+    }
+
+    /** Called every animation frame; redraws only after a change or a pan/zoom. */
+    frame() {
+        if (!this.active || !this.state) return;
+        const rect = this.canvas.getBoundingClientRect();
+        const vp = this.state.session.viewport;
+        const key = `${vp.x}|${vp.y}|${vp.scale}|${rect.width}|${rect.height}`;
+        if (!this.dirty && key === this.lastFrameKey) return;
+        this.lastFrameKey = key;
+        this.dirty = false;
+        this.draw(rect, vp);
+    }
+
+    lod(scale) {
+        if (scale < MultiMapCanvasRenderer.LOD.dots) return 'dots';
+        if (scale < MultiMapCanvasRenderer.LOD.cards) return 'icons';
+        return 'cards';
+    }
+
+    draw(rect, vp) {
+        const dpr = window.devicePixelRatio || 1;
+        const width = Math.round(rect.width * dpr), height = Math.round(rect.height * dpr);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        const ctx = this.ctx;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, rect.width, rect.height);
+
+        const lod = this.lod(vp.scale);
+        const margin = 120;
+        const view = { x0: -margin, y0: -margin, x1: rect.width + margin, y1: rect.height + margin };
+        const toScreen = (item) => ({ x: item.x * vp.scale + vp.x, y: item.y * vp.scale + vp.y });
+        const onScreen = (p) => p.x >= view.x0 && p.x <= view.x1 && p.y >= view.y0 && p.y <= view.y1;
+
+        this.drawEdges(ctx, vp, view, lod);
+
+        let drawn = 0;
+        for (const item of this.items) {
+            const p = toScreen(item);
+            if (!onScreen(p)) continue;
+            drawn++;
+            if (lod === 'dots') this.drawDot(ctx, item, p, vp);
+            else this.drawNode(ctx, item, p, vp, lod);
+        }
+        if (lod === 'dots') this.drawClusterLabels(ctx, vp, view);
+        this.drawnCount = drawn;
+    }
+
+    edgeStyle(conn) {
+        const def = typeof MultiMapSchema !== 'undefined' && MultiMapSchema.getConnectionType ? MultiMapSchema.getConnectionType(conn.type) : null;
+        if (!def) return { color: 'rgba(148, 163, 184, 0.6)', dash: conn.type && conn.type !== 'structural' ? [5, 5] : [], width: 1.5, arrow: false };
+        return {
+            color: def.stroke.color || 'rgba(148, 163, 184, 0.6)',
+            dash: def.stroke.dash ? String(def.stroke.dash).split(/[ ,]+/).map(Number).filter(n => !isNaN(n)) : [],
+            width: def.stroke.width || 1.5,
+            arrow: !!def.directed && !def.hierarchy
+        };
+    }
+
+    drawEdges(ctx, vp, view, lod) {
+        // One path per style and opacity: a few stroke calls however many edges there are
+        const batches = new Map();
+        const arrows = [];
+        this.model.edges.forEach(({ conn, s, t, opacity }) => {
+            const a = this.positions.get(s.id), b = this.positions.get(t.id);
+            if (!a || !b) return;
+            const ax = a.x * vp.scale + vp.x, ay = a.y * vp.scale + vp.y;
+            const bx = b.x * vp.scale + vp.x, by = b.y * vp.scale + vp.y;
+            if (Math.max(ax, bx) < view.x0 || Math.min(ax, bx) > view.x1 || Math.max(ay, by) < view.y0 || Math.min(ay, by) > view.y1) return;
+            const style = this.edgeStyle(conn);
+            const key = `${conn.type}|${opacity}`;
+            if (!batches.has(key)) batches.set(key, { style, opacity, segments: [] });
+            batches.get(key).segments.push(ax, ay, bx, by);
+            if (style.arrow && lod === 'cards') arrows.push({ style, opacity, ax, ay, bx, by });
+        });
+
+        batches.forEach(({ style, opacity, segments }) => {
+            ctx.globalAlpha = (opacity === null ? 1 : opacity) * (lod === 'dots' ? 0.5 : 1);
+            ctx.strokeStyle = style.color;
+            ctx.lineWidth = lod === 'dots' ? 1 : style.width;
+            ctx.setLineDash(lod === 'dots' ? [] : style.dash);
+            ctx.beginPath();
+            for (let i = 0; i < segments.length; i += 4) {
+                ctx.moveTo(segments[i], segments[i + 1]);
+                ctx.lineTo(segments[i + 2], segments[i + 3]);
+            }
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        // Mid-line arrows for directed cross-links, like the SVG markers
+        arrows.forEach(({ style, opacity, ax, ay, bx, by }) => {
+            const angle = Math.atan2(by - ay, bx - ax);
+            const mx = (ax + bx) / 2, my = (ay + by) / 2;
+            ctx.globalAlpha = opacity === null ? 1 : opacity;
+            ctx.fillStyle = style.color;
+            ctx.beginPath();
+            ctx.moveTo(mx + Math.cos(angle) * 6, my + Math.sin(angle) * 6);
+            ctx.lineTo(mx + Math.cos(angle + 2.5) * 6, my + Math.sin(angle + 2.5) * 6);
+            ctx.lineTo(mx + Math.cos(angle - 2.5) * 6, my + Math.sin(angle - 2.5) * 6);
+            ctx.closePath();
+            ctx.fill();
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    drawDot(ctx, { node, look }, p, vp) {
+        const model = this.model;
+        const r = Math.max(1.5, MultiMapCanvasRenderer.NODE_RADIUS * look.scale * vp.scale);
+        ctx.globalAlpha = Math.max(0.35, look.opacity);
+        ctx.fillStyle = look.color;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+        ctx.fill();
+        if (node.id === model.selId || model.multiIds.has(node.id) || (model.queryIds && model.queryIds.has(node.id))) {
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = node.id === model.selId ? '#fbbf24' : model.multiIds.has(node.id) ? '#38bdf8' : '#facc15';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, r + 3, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    drawNode(ctx, { node, look }, p, vp, lod) {
+        const model = this.model;
+        const selected = node.id === model.selId;
+        const multi = model.multiIds.has(node.id);
+        const collapsed = model.collapsed.has(node.id);
+        const r = MultiMapCanvasRenderer.NODE_RADIUS * look.scale * (selected ? 1.15 : 1) * vp.scale;
+
+        ctx.globalAlpha = look.opacity;
+        if (lod === 'cards' && look.glow) {
+            ctx.shadowColor = look.glow.color;
+            ctx.shadowBlur = look.glow.blur;
+        }
+        const halo = look.dist !== -1 && !this.sc.aiImportMode ? this.sc.getSmartActionHalo(node.type) : null;
+        if (lod === 'cards' && halo) {
+            ctx.shadowColor = halo;
+            ctx.shadowBlur = 18;
+        }
+        if (this.sc.aiImportMode && node.type === 'smart-portal' && look.dist !== -1) {
+            ctx.shadowColor = 'rgba(129, 140, 248, 0.8)';
+            ctx.shadowBlur = 25;
+        }
+        ctx.fillStyle = selected ? 'rgba(251, 191, 36, 0.1)' : multi ? 'rgba(56, 189, 248, 0.12)' : look.background;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+        ctx.shadowColor = 'transparent';
+
+        ctx.strokeStyle = selected ? '#fbbf24' : multi ? '#38bdf8' : collapsed ? '#f472b6' : node.id === this.hoverId ? '#38bdf8' : look.color;
+        ctx.lineWidth = selected || multi ? 2 : 1;
+        ctx.setLineDash(collapsed ? [4, 3] : []);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (model.queryIds && model.queryIds.has(node.id)) {
+            ctx.strokeStyle = '#facc15';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, r + 6, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Icons shrink with the node; below a few pixels they are noise
+        const iconSize = 24 * look.scale * vp.scale;
+        if (iconSize >= 6) {
+            ctx.font = `${iconSize}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = '#f8fafc';
+            ctx.fillText(this.sc.kernel.getBlueprint(node.type).icon, p.x, p.y + 1);
+        }
+
+        if (node.data.pinned && lod === 'cards') {
+            ctx.font = `${Math.max(9, 14 * vp.scale)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('📌', p.x - r * 0.75, p.y - r * 0.75);
+        }
+
+        if (this.labelVisible(look.dist, vp.scale)) this.drawLabel(ctx, node.title || node.type, p.x, p.y + 43 * look.scale * vp.scale);
+
+        if (lod === 'cards' && collapsed) {
+            const hiddenKids = (model.childrenOf.get(node.id) || []).length;
+            if (hiddenKids > 0) {
+                const b = this.badgePos(p, r);
+                ctx.fillStyle = '#1e293b';
+                ctx.strokeStyle = '#64748b';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.arc(b.x, b.y, 10, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+                ctx.font = 'bold 9px sans-serif';
+                ctx.fillStyle = '#e2e8f0';
+                ctx.fillText(`+${hiddenKids}`, b.x, b.y + 0.5);
+            }
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    badgePos(p, r) {
+        return { x: p.x + r * 0.75, y: p.y - r * 0.75 };
+    }
+
+    /** The DOM renderer's label rule: labels appear as you zoom in, nearer layers first. */
+    labelVisible(dist, scale) {
+        if (this.sc.kernel.linkingMode) return true;
+        if (dist === 0) return scale >= 0.20;
+        if (dist === 1) return scale >= 0.40;
+        if (dist > 1) return scale >= 1.0 + (dist - 1) * 0.03;
+        return false;
+    }
+
+    drawLabel(ctx, text, x, y) {
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const label = String(text).length > 48 ? `${String(text).slice(0, 47)}…` : String(text);
+        const w = ctx.measureText(label).width + 12;
+        ctx.fillStyle = 'rgba(15, 23, 42, 0.8)';
+        ctx.fillRect(x - w / 2, y, w, 16);
+        ctx.fillStyle = '#94a3b8';
+        ctx.fillText(label, x, y + 3);
+    }
+
+    drawClusterLabels(ctx, vp, view) {
+        // Biggest branches first; a label that would overlap one already drawn is skipped
+        const taken = [];
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        this.clusters.forEach(c => {
+            const x = c.x * vp.scale + vp.x, y = c.y * vp.scale + vp.y;
+            if (x < view.x0 || x > view.x1 || y < view.y0 || y > view.y1) return;
+            const text = `${c.label} · ${c.count}`;
+            const w = ctx.measureText(text).width + 16, h = 22;
+            const box = { x0: x - w / 2, y0: y - h / 2, x1: x + w / 2, y1: y + h / 2 };
+            if (taken.some(b => box.x0 < b.x1 && box.x1 > b.x0 && box.y0 < b.y1 && box.y1 > b.y0)) return;
+            taken.push(box);
+            ctx.fillStyle = 'rgba(15, 23, 42, 0.85)';
+            ctx.strokeStyle = 'rgba(56, 189, 248, 0.35)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.roundRect ? ctx.roundRect(box.x0, box.y0, w, h, 6) : ctx.rect(box.x0, box.y0, w, h);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = '#e2e8f0';
+            ctx.fillText(text, x, y + 0.5);
+        });
+    }
+
+    // --- Hit-Testing ---
+
+    /** The topmost node under a client point, and whether its collapsed badge was hit. */
+    hitTest(clientX, clientY) {
+        if (!this.state) return null;
+        const rect = this.canvas.getBoundingClientRect();
+        const vp = this.state.session.viewport;
+        const sx = clientX - rect.left, sy = clientY - rect.top;
+        const lod = this.lod(vp.scale);
+
+        for (let i = this.items.length - 1; i >= 0; i--) {
+            const item = this.items[i];
+            const p = { x: item.x * vp.scale + vp.x, y: item.y * vp.scale + vp.y };
+            const selected = item.node.id === this.model.selId;
+            let r = MultiMapCanvasRenderer.NODE_RADIUS * item.look.scale * (selected ? 1.15 : 1) * vp.scale;
+            if (lod === 'dots') r = Math.max(6, r);
+
+            if (lod === 'cards' && this.model.collapsed.has(item.node.id)) {
+                const b = this.badgePos(p, r);
+                if (Math.hypot(sx - b.x, sy - b.y) <= 10) return { node: item.node, badge: true };
+            }
+            if (Math.hypot(sx - p.x, sy - p.y) <= r) return { node: item.node, badge: false };
+        }
+        return null;
+    }
+
+    handlePointerDown(e) {
+        if (this.sc.viewMode !== 'map') return;
+        const hit = this.hitTest(e.clientX, e.clientY);
+        if (!hit) return; // background: the viewport pans, zooms and lassoes as usual
+        e.stopPropagation();
+        if (hit.badge) {
+            const first = (this.model.childrenOf.get(hit.node.id) || [])[0];
+            if (first) this.sc.actionExpandTo(hit.node, first);
+            return;
+        }
+        this.canvas.setPointerCapture(e.pointerId);
+        this.pressed = { node: hit.node, x: e.clientX, y: e.clientY };
+        this.sc.handleNodePointerDown(hit.node, e, this.model);
+    }
+
+    handlePointerUp(e) {
+        if (!this.pressed) return;
+        e.stopPropagation();
+        if (this.canvas.hasPointerCapture(e.pointerId)) this.canvas.releasePointerCapture(e.pointerId);
+        const pressed = this.pressed;
+        this.pressed = null;
+        this.sc.handleNodePointerUp(pressed.node, e, pressed);
+    }
+
+    handleHover(e) {
+        if (this.pressed || this.sc.isDragging || this.sc.draggedNode) return;
+        const hit = this.hitTest(e.clientX, e.clientY);
+        this.setHover(hit ? hit.node.id : null);
+    }
+
+    setHover(id) {
+        if (id === this.hoverId) return;
+        this.hoverId = id;
+        this.canvas.style.cursor = id ? 'pointer' : '';
+        this.invalidate();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapCanvasRenderer;
+}
@@ -5,12 +5,176 @@
 
 class HostBridge {
     constructor() { 
-        this.pushUrl = "http://localhost:8000/api/push"; 
-        this.pullUrl = "http://localhost:8000/api/pull";
+        let saved = {};
+        try { saved = JSON.parse(localStorage.getItem("mm_host_endpoints")) || {}; } catch (e) {}
+        this.pushUrl = saved.pushUrl || "http://localhost:8000/api/push"; 
+        this.pullUrl = saved.pullUrl || "http://localhost:8000/api/pull";
+        this.autoSync = !!saved.autoSync;
+        this.timeout = 4000;
         this.isConnected = false; 
+        this.lastChecked = null;
+        this.lastError = null;
+        this.lastSyncedAt = null;
+        this.syncTimer = null;
+        this.paused = false;
+        this.onConflict = null; // Assigned by the UI layer to surface auto-sync conflicts
+    }
+
+    setEndpoints(pushUrl, pullUrl, autoSync = this.autoSync) {
+        this.pushUrl = (pushUrl || "").trim() || this.pushUrl;
+        this.pullUrl = (pullUrl || "").trim() || this.pullUrl;
+        this.autoSync = !!autoSync;
+        localStorage.setItem("mm_host_endpoints", JSON.stringify({ pushUrl: this.pushUrl, pullUrl: this.pullUrl, autoSync: this.autoSync }));
+    }
+
+    /**
+     * Cheap content fingerprint used to tell whether a page changed locally
+     * since it was last pushed to / pulled from the host.
+     */
+    static checksum(page) {
+        return HostBridge.hash(JSON.stringify({ t: page.meta?.title, y: page.meta?.type, n: page.nodes || [], c: page.connections || [] }));
+    }
+
+    static hash(body) {
+        let h = 5381;
+        for (let i = 0; i < body.length; i++) h = ((h << 5) + h + body.charCodeAt(i)) | 0;
+        return (h >>> 0).toString(36);
+    }
+
+    static isDirty(page) {
+        if (!page || !page.meta) return false;
+        return !page.meta.host_checksum || page.meta.host_checksum !== HostBridge.checksum(page);
+    }
+
+    /** Fingerprint of a project record: its meta (title, ontology...) and page order, without sync bookkeeping. */
+    static projectChecksum(project) {
+        const { revision, host_checksum, host_updated_at, ...meta } = project.meta || {};
+        return HostBridge.hash(JSON.stringify({ m: meta, p: project.page_ids || [] }));
+    }
+
+    static isProjectDirty(project) {
+        if (!project || !project.meta) return false;
+        return !project.meta.host_checksum || project.meta.host_checksum !== HostBridge.projectChecksum(project);
+    }
+
+    async request(url, options = {}) {
+        const ctrl = new AbortController();
+        const timer = setTimeout(() => ctrl.abort(), this.timeout);
+        try {
+            const res = await fetch(url, { ...options, signal: ctrl.signal, headers: { "Content-Type": "application/json" } });
+            const body = await res.json().catch(() => ({}));
+            return { status: res.status, ok: res.ok, body };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async checkConnection() {
+        try {
+            const res = await this.request(this.pullUrl);
+            this.isConnected = res.ok && Array.isArray(res.body.pages);
+            this.lastError = this.isConnected ? null : `Unexpected response (${res.status})`;
+        } catch (e) {
+            this.isConnected = false;
+            this.lastError = e.name === 'AbortError' ? 'Timed out' : e.message;
+        }
+        this.lastChecked = new Date().toISOString();
+        this.updateStatus();
+        return this.isConnected;
+    }
+
+    updateStatus(label = null) {
+        const e = document.getElementById('host-status');
+        if (!e) return;
+        const color = label === 'Conflict' ? 'bg-amber-500' : (this.isConnected ? 'bg-emerald-500' : 'bg-red-500');
+        const text = label || (this.isConnected ? 'Host Online' : 'Host Offline');
+        e.innerHTML = `<span class="w-1.5 h-1.5 rounded-full ${color}"></span> ${text}`;
+        e.title = this.isConnected ? this.pushUrl : (this.lastError || 'Not connected');
+    }
+
+    /** Lists every page on the host as { map_id, project_id, title, type, revision, updated_at }. */
+    async fetchManifest() {
+        const res = await this.request(this.pullUrl);
+        if (!res.ok) throw new Error(res.body.error || `Pull failed (${res.status})`);
+        this.isConnected = true;
+        return { pages: res.body.pages || [], projects: res.body.projects || [] };
+    }
+
+    async pullPage(mapId) {
+        const sep = this.pullUrl.includes('?') ? '&' : '?';
+        const res = await this.request(`${this.pullUrl}${sep}map_id=${encodeURIComponent(mapId)}`);
+        if (!res.ok) throw new Error(res.body.error || `Pull failed (${res.status})`);
+        return res.body.page;
+    }
+
+    /**
+     * Push a single page. The host rejects the write with 409 when its copy has a
+     * newer revision than the one this page was based on, unless `force` is set.
+     * Resolves to { revision } or { conflict: true, remote }.
+     */
+    async pushPage(page, { force = false } = {}) {
+        const res = await this.request(this.pushUrl, {
+            method: 'POST',
+            body: JSON.stringify({ kind: 'page', page, base_revision: page.meta?.revision || 0, force })
+        });
+        if (res.status === 409) return { conflict: true, remote: res.body.remote };
+        if (!res.ok) throw new Error(res.body.error || `Push failed (${res.status})`);
+        this.isConnected = true;
+        this.lastSyncedAt = new Date().toISOString();
+        return { revision: res.body.revision };
+    }
+
+    /**
+     * Push a project record together with all of its pages. Resolves to
+     * { results: [{ map_id, revision } | { map_id, conflict, remote }], project }; the host
+     * answers 409 and leaves the project record alone when a page conflicts (project.skipped)
+     * or the record itself is behind (project.conflict, project.remote).
+     */
+    async pushProject(project, pages, { force = false } = {}) {
+        const res = await this.request(this.pushUrl, {
+            method: 'POST',
+            body: JSON.stringify({
+                kind: 'project',
+                project,
+                base_revision: project.meta?.revision || 0,
+                pages: pages.map(page => ({ page, base_revision: page.meta?.revision || 0 })),
+                force
+            })
+        });
+        if (!res.ok && !(res.status === 409 && Array.isArray(res.body.results))) throw new Error(res.body.error || `Push failed (${res.status})`);
+        this.isConnected = true;
+        this.lastSyncedAt = new Date().toISOString();
+        return { results: res.body.results || [], project: res.body.project || null };
+    }
+
+    /**
+     * Called on every kernel notify. When auto-sync is on, the active page is
+     * pushed once edits settle; conflicts pause auto-sync until resolved.
+     */
+    sync(mapState) {
+        if (!this.autoSync || this.paused || !this.isConnected || !mapState || !mapState.map_id) return;
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(async () => {
+            if (!HostBridge.isDirty(mapState)) return;
+            try {
+                const res = await this.pushPage(mapState);
+                if (res.conflict) {
+                    this.paused = true;
+                    this.updateStatus('Conflict');
+                    if (this.onConflict) this.onConflict({ local: mapState, remote: res.remote });
+                    return;
+                }
+                mapState.meta.revision = res.revision;
+                mapState.meta.host_checksum = HostBridge.checksum(mapState);
+                this.updateStatus();
+            } catch (e) {
+                console.warn("Host auto-sync failed:", e);
+                this.isConnected = false;
+                this.lastError = e.message;
+                this.updateStatus();
+            }
+        }, 1500);
     }
-    async checkConnection() { return false; }
-    async sync(mapState) { }
 
     async fetchTemplates() {
         try {
@@ -30,160 +194,256 @@ class HostBridge {
             throw new Error("Library missing.");
         } catch (e) {
             console.error(e);
-            return { map_id: id, meta: { title: `Fallback: ${id}` }, nodes: [], connections: [], submaps: [] };
+            return { map_id: id, meta: { title: `Fallback: ${id}` }, nodes: [], connections: [] };
         }
     }
 }
 
-class MultiMapKernel {
+/**
+ * Browser implementation of the MultiMapGraph UI adapter.
+ */
+const MultiMapBrowserUI = {
+    alert(message) { alert(message); },
+    confirm(message) { return confirm(message); },
+    viewportSize() { return { width: window.innerWidth, height: window.innerHeight }; },
+    setSaveStatus(status) {
+        const e = document.getElementById('save-status');
+        if (!e) return;
+        const badges = {
+            saving: '<span class="w-1.5 h-1.5 rounded-full bg-sky-500 animate-pulse"></span> Saving...',
+            cloud: '<span class="w-1.5 h-1.5 rounded-full bg-emerald-500"></span> Cloud',
+            local: '<span class="w-1.5 h-1.5 rounded-full bg-emerald-500"></span> Local',
+            error: '<span class="w-1.5 h-1.5 rounded-full bg-rose-500"></span> Error'
+        };
+        e.innerHTML = badges[status] || badges.local;
+    },
+    refreshDataManager() {
+        const dmDrawer = document.getElementById('data-manager-drawer');
+        const dmContainer = document.getElementById('data-manager-content');
+        if (dmDrawer && dmContainer && !dmDrawer.classList.contains('translate-x-full') && window.Auth) {
+            window.Auth.renderDataManager(dmContainer);
+        }
+    }
+};
+
+class MultiMapKernel extends MultiMapGraph {
     // Storage Tier Constants
     static GUEST_LIMIT = 5 * 1024 * 1024; // 5MB limit for localStorage
     static FREE_LIMIT = 500 * 1024 * 1024; // 500MB limit for Free tier
     static PRO_LIMIT = 1024 * 1024 * 1024; // 1GB limit for Pro tier
 
+    static GUEST_PAGE_LIMIT = 25;
+
+    // Version History
+    static SNAPSHOT_INTERVAL = 10 * 60 * 1000; // Minimum gap between automatic snapshots of a page
+    static SNAPSHOT_RETENTION = { auto: 20, named: 50 };
+
     constructor() {
-        this.config = { autoSaveInterval: 2000, autoFocus: true, autoCollapseDepth: 3 };
+        super({ ui: MultiMapBrowserUI });
+        this.storage = {
+            savePage: (page) => this.saveMapToLibrary(page),
+            getPage: (mapId) => this.getLibrary().find(p => p.map_id === mapId) || null
+        };
+        this.config = { autoSaveInterval: 2000, autoFocus: true, autoCollapseDepth: 3, canvasThreshold: 1500 };
         this.bridge = new HostBridge();
         
-        this.listeners = [];
-        this.history = [];
         this.portalHistory = [];
         this.linkingMode = false;
         this.linkingSourceId = null;
-        this.firestoreLibrary = [];
+        this.snapshotClock = {};
+        this.backlinks = new MultiMapBacklinks();
+        this.searchIndex = new MultiMapSearchIndex();
         
-        this.projects = [];
         this.activeProjectId = 'default_project';
-        this.firestoreProjects = [];
-        this.firestorePagesByProject = {};
-        
         this.activeVault = localStorage.getItem("mm_active_vault") || "firebase";
 
-        this.migrateLocalGuestData();
-
-        const rawState = this.loadFromStorage();
-        this.state = this.ensureSchema(rawState);
-        this.activeProjectId = this.state.meta.project_id || 'default_project';
-        this.lastSaveState = JSON.stringify(this.state);
-
-        if (this.state.nodes.length === 0) {
-            this.addNode({ type: "root", title: "Root", data: { x: 0, y: 0, isCore: true } });
-        }
+        // The guest vault loads synchronously so there is always a workspace to render
+        const local = MultiMapVaults.get('local');
+        local.loadSync();
+        this.applySession(local.readSession());
 
         if (window.FirebaseAuth && window.FirebaseAuth.currentUser && !window.FirebaseAuth.currentUser.isAnonymous) {
             this.syncWithFirestore(window.FirebaseAuth.currentUser.uid);
         }
+        const preferred = MultiMapVaults.get(this.activeVault);
+        if (preferred && !preferred.loaded && preferred.id !== 'firebase' && preferred.isAvailable()) {
+            this.openVault(preferred);
+        }
 
         setInterval(() => this.checkAutoSave(), this.config.autoSaveInterval);
+
+        // Only probe the host once the user has configured endpoints
+        if (localStorage.getItem("mm_host_endpoints")) this.bridge.checkConnection();
+    }
+
+    /**
+     * The vault all reads and writes go through. Falls back to the local guest
+     * vault while the preferred one is signed out, unsupported or still loading.
+     */
+    get vault() {
+        const preferred = MultiMapVaults.get(this.activeVault);
+        if (preferred && preferred.loaded && preferred.isAvailable()) return preferred;
+        return MultiMapVaults.get('local');
     }
 
     isUsingCloudVault() {
-        return this.activeVault === 'firebase' && 
-               window.FirebaseAuth && 
-               window.FirebaseAuth.currentUser && 
-               !window.FirebaseAuth.currentUser.isAnonymous;
+        return this.vault.id === 'firebase';
     }
 
-    async setVault(vault) {
-        if (vault !== 'firebase' && vault !== 'local') return;
-        this.activeVault = vault;
-        localStorage.setItem('mm_active_vault', vault);
-        
-        const projects = this.getProjects();
-        if (projects.length > 0) {
-            this.activeProjectId = projects[0].project_id;
-            const pages = this.getPages(this.activeProjectId);
-            if (pages.length > 0) {
-                this.loadMapState(pages[0]);
-            } else {
-                this.state = this.getEmptyState();
-                this.state.meta.project_id = this.activeProjectId;
+    async setVault(vaultId) {
+        const vault = MultiMapVaults.get(vaultId);
+        if (!vault || !vault.isAvailable()) return;
+
+        // Flush the open page into the vault we are leaving
+        if (vault !== this.vault && this.state && this.state.map_id) {
+            await this.saveMapToLibrary(this.state);
+        }
+        this.activeVault = vaultId;
+        localStorage.setItem('mm_active_vault', vaultId);
+        await this.openVault(vault);
+    }
+
+    /**
+     * Load a vault's cache, provision a default project if it is empty and, when it
+     * is the active vault, resume its last session.
+     */
+    async openVault(vault) {
+        try {
+            if (!vault.loaded) await vault.load();
+            if (vault.getProjects().length === 0) await this.provisionVault(vault);
+
+            if (vault !== this.vault) {
                 this.notify();
+                this.ui.setSaveStatus(this.vault.saveStatus);
+                return;
             }
-        } else {
-            const res = await this.createProject("My Project", "Default project");
-            if (res) {
-                this.activeProjectId = res.projectId;
-                this.loadMapState(res.defaultPage);
+
+            // Without a saved session, stay on the open page if this vault has it
+            const session = await vault.loadSession();
+            this.applySession(session || { activeProjectId: this.activeProjectId, activeMapId: this.state?.map_id });
+            if (!session) await this.saveSession();
+
+            this.notify();
+            this.ui.refreshDataManager();
+            this.ui.setSaveStatus(vault.saveStatus);
+        } catch (err) {
+            console.error(`Error opening ${vault.label} vault:`, err);
+        }
+    }
+
+    async provisionVault(vault) {
+        console.log(`No projects found in ${vault.label}. Provisioning default project and page...`);
+        const project = MultiMapVault.defaultProject("Personal Workspace", "My default workspace");
+        const page = this.createDirectoryPage(project.project_id);
+        project.page_ids.push(page.map_id);
+        await vault.saveProject(project);
+        await vault.savePage(page);
+    }
+
+    /**
+     * Adopt a saved session as the live state. When the session's page is gone we
+     * fall back to the first page of its project (or of the first project).
+     */
+    applySession(session) {
+        const vault = this.vault;
+        let activeProjectId = session?.activeProjectId || session?.state?.meta?.project_id || 'default_project';
+        let page = session?.state || (session?.activeMapId ? vault.findPage(session.activeMapId)?.page : null);
+
+        if (!page) {
+            const project = vault.getProjects().find(p => p.project_id === activeProjectId) || vault.getProjects()[0];
+            if (project) {
+                activeProjectId = project.project_id;
+                page = vault.getPages(activeProjectId)[0] || null;
             }
         }
-        this.notify();
+
+        this.activeProjectId = activeProjectId;
+        this.state = this.ensureSchema(page);
+        this.activeProjectId = this.state.meta.project_id || activeProjectId;
+        this.state.meta.project_id = this.activeProjectId;
+        this.portalHistory = session?.portalHistory || [];
+        this.journals = {};
+
+        if (this.state.nodes.length === 0) {
+            this.addNode({ type: "root", title: "Root", data: { x: 0, y: 0, isCore: true } });
+            this.journals = {}; // The seeded root is not an undoable step
+        }
+        this.lastSaveState = JSON.stringify(this.state);
     }
 
-    migrateLocalGuestData() {
-        try {
-            const rawLib = localStorage.getItem("mm_constellation_lib");
-            const lib = rawLib ? JSON.parse(rawLib) : [];
-            const rawProjects = localStorage.getItem("mm_projects");
-            let projects = rawProjects ? JSON.parse(rawProjects) : [];
-            
-            if (lib.length > 0 && projects.length === 0) {
-                console.log("Migrating local guest library to Project + Pages architecture...");
-                const defaultProj = {
-                    project_id: "default_project",
-                    meta: {
-                        title: "My Project",
-                        description: "Default guest project",
-                        icon: "📁",
-                        color: "#8b5cf6"
-                    },
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString(),
-                    page_ids: lib.map(m => m.map_id)
-                };
-                projects = [defaultProj];
-                
-                lib.forEach(m => {
-                    if (!m.meta) m.meta = {};
-                    m.meta.project_id = "default_project";
-                });
-                
-                localStorage.setItem("mm_projects", JSON.stringify(projects));
-                localStorage.setItem("mm_constellation_lib", JSON.stringify(lib));
-                
-                const rawState = localStorage.getItem("mm_core_state");
-                if (rawState) {
-                    try {
-                        const state = JSON.parse(rawState);
-                        if (!state.meta) state.meta = {};
-                        state.meta.project_id = "default_project";
-                        localStorage.setItem("mm_core_state", JSON.stringify(state));
-                    } catch(e) {}
+    saveSession(state = this.state) {
+        return this.vault.saveSession({
+            state: JSON.parse(JSON.stringify(state)),
+            activeProjectId: this.activeProjectId,
+            activeMapId: state.map_id,
+            portalHistory: this.portalHistory
+        });
+    }
+
+    /**
+     * Copy every project and page from one vault into another. Projects that already
+     * exist in the target keep their metadata and gain the incoming pages; pages whose
+     * project is missing are filed under the default project.
+     * Returns { projects, pages, failed }.
+     */
+    async migrateVault(fromId, toId) {
+        const source = typeof fromId === 'string' ? MultiMapVaults.get(fromId) : fromId;
+        const target = typeof toId === 'string' ? MultiMapVaults.get(toId) : toId;
+        if (!source || !target || source === target) throw new Error('Pick two different vaults to migrate between.');
+        if (!target.isAvailable()) throw new Error(`${target.label} is not available. ${target.requirement}`);
+
+        if (!source.loaded) await source.load();
+        if (!target.loaded) await target.load();
+        if (source === this.vault && this.state && this.state.map_id) await this.saveMapToLibrary(this.state);
+
+        const projects = JSON.parse(JSON.stringify(source.getProjects()));
+        const pages = JSON.parse(JSON.stringify(source.getAllPages()));
+
+        MultiMapMigrations.adoptOrphans(projects, pages);
+
+        const summary = { projects: 0, pages: 0, failed: 0 };
+        for (const proj of projects) {
+            const projPages = pages.filter(p => p.meta.project_id === proj.project_id);
+            const existing = target.getProjects().find(p => p.project_id === proj.project_id);
+            const pageIds = Array.from(new Set([
+                ...(existing ? existing.page_ids || [] : []),
+                ...(proj.page_ids || []),
+                ...projPages.map(p => p.map_id)
+            ]));
+            const finalProj = existing
+                ? { ...existing, page_ids: pageIds, updated_at: new Date().toISOString() }
+                : { ...proj, page_ids: pageIds };
+
+            try {
+                await target.saveProject(finalProj);
+                summary.projects++;
+            } catch (err) {
+                console.error(`Failed to migrate project ${proj.project_id}:`, err);
+                summary.failed += 1 + projPages.length;
+                continue;
+            }
+
+            for (const page of projPages) {
+                try {
+                    await target.savePage(page);
+                    for (const snap of await source.listSnapshots(page.map_id)) await target.saveSnapshot(snap);
+                    summary.pages++;
+                } catch (err) {
+                    console.error(`Failed to migrate page ${page.map_id}:`, err);
+                    summary.failed++;
                 }
-            } else if (projects.length === 0) {
-                const defaultProj = {
-                    project_id: "default_project",
-                    meta: {
-                        title: "My Project",
-                        description: "Default guest project",
-                        icon: "📁",
-                        color: "#8b5cf6"
-                    },
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString(),
-                    page_ids: []
-                };
-                projects = [defaultProj];
-                localStorage.setItem("mm_projects", JSON.stringify(projects));
             }
-            this.projects = projects;
-        } catch(e) {
-            console.error("Local migration error:", e);
         }
+        console.log(`Migrated ${summary.pages} pages in ${summary.projects} projects from ${source.label} to ${target.label}.`);
+        return summary;
     }
 
     getProjects() {
-        if (this.isUsingCloudVault()) {
-            return this.firestoreProjects || [];
-        }
-        return this.projects || [];
+        return this.vault.getProjects();
     }
 
     getPages(projectId) {
-        if (this.isUsingCloudVault()) {
-            return this.firestorePagesByProject[projectId] || [];
-        }
-        return this.getLibrary().filter(p => p.meta?.project_id === projectId || (!p.meta?.project_id && projectId === 'default_project'));
+        return this.vault.getPages(projectId);
     }
 
     getAllPages() {
@@ -198,6 +458,8 @@ class MultiMapKernel {
     }
 
     getStorageLimit(tier) {
+        const vaultLimit = this.vault.storageLimit(tier);
+        if (vaultLimit) return vaultLimit;
         if (tier === 'guest') return MultiMapKernel.GUEST_LIMIT;
         if (tier === 'free') return MultiMapKernel.FREE_LIMIT;
         if (tier === 'pro') return MultiMapKernel.PRO_LIMIT;
@@ -251,18 +513,36 @@ class MultiMapKernel {
         const limit = this.getStorageLimit(tier);
         
         if (usage + additionalBytes > limit) {
-            alert(`Guest storage limit (${(limit / 1024 / 1024).toFixed(1)}MB) exceeded. Please sign up for a Free Account or connect your Local OS to save more data.`);
+            alert(`Guest storage limit (${(limit / 1024 / 1024).toFixed(1)}MB) exceeded. Please sign up for a Free Account or switch to the Browser Database vault to save more data.`);
             return false;
         }
 
-        if (this.getTotalPageCount() >= 25) {
-            alert(`Guest map limit (25) exceeded. Please sign up for a Free Account to create more maps.`);
+        const pageLimit = this.vault.pageLimit(tier) ?? MultiMapKernel.GUEST_PAGE_LIMIT;
+        if (this.getTotalPageCount() >= pageLimit) {
+            alert(`Guest map limit (${pageLimit}) exceeded. Please sign up for a Free Account or switch to the Browser Database vault to create more maps.`);
             return false;
         }
         
         return true;
     }
 
+    createDirectoryPage(projectId) {
+        const page = {
+            map_id: this.generateId(),
+            meta: { 
+                title: "Project Directory", 
+                type: "file-root", 
+                created: new Date().toISOString(),
+                shared: false,
+                project_id: projectId
+            },
+            nodes: [{ id: this.generateId(), type: "file-root", title: "Project Directory", data: { x: 0, y: 0, isCore: true } }],
+            connections: [],
+            session: this.createSession()
+        };
+        return this.migrations ? this.migrations.stamp(page) : page;
+    }
+
     async createProject(title, description = "", icon = "📁", color = "#8b5cf6", autoSwitch = true) {
         if (!this.checkStorageLimit(2048)) return null;
 
@@ -274,62 +554,16 @@ class MultiMapKernel {
             updated_at: new Date().toISOString(),
             page_ids: []
         };
+        if (this.migrations) this.migrations.stampProject(newProj);
         
-        if (this.isUsingCloudVault()) {
-            const uid = window.FirebaseAuth.currentUser.uid;
-            try {
-                const projRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", projectId);
-                await window.Firestore.setDoc(projRef, newProj);
-                this.firestoreProjects.push(newProj);
-                this.firestorePagesByProject[projectId] = [];
-            } catch (err) {
-                console.error("Firestore createProject failed:", err);
-            }
-        } else {
-            this.projects.push(newProj);
-            localStorage.setItem("mm_projects", JSON.stringify(this.projects));
-        }
-        
-        const defaultPageId = this.generateId();
-        const defaultPage = {
-            map_id: defaultPageId,
-            meta: { 
-                title: "Project Directory", 
-                type: "file-root", 
-                created: new Date().toISOString(),
-                shared: false,
-                project_id: projectId
-            },
-            nodes: [{ id: this.generateId(), type: "file-root", title: "Project Directory", data: { x: 0, y: 0, isCore: true } }],
-            connections: [],
-            session: { 
-                viewport: { x: window.innerWidth / 2, y: window.innerHeight / 2, scale: 1 }, 
-                selectedId: null, 
-                remoteTemplates: [], 
-                layoutMode: 'organic' 
-            }
-        };
-        
-        newProj.page_ids.push(defaultPageId);
+        const defaultPage = this.createDirectoryPage(projectId);
+        newProj.page_ids.push(defaultPage.map_id);
         
-        if (this.isUsingCloudVault()) {
-            const uid = window.FirebaseAuth.currentUser.uid;
-            try {
-                const projRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", projectId);
-                await window.Firestore.setDoc(projRef, newProj);
-                
-                const pageRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", projectId, "pages", defaultPageId);
-                await window.Firestore.setDoc(pageRef, defaultPage);
-                
-                this.firestorePagesByProject[projectId].push(defaultPage);
-            } catch (err) {
-                console.error("Firestore createProject default page failed:", err);
-            }
-        } else {
-            let lib = this.getLibrary();
-            lib.push(defaultPage);
-            this.saveLibrary(lib);
-            localStorage.setItem("mm_projects", JSON.stringify(this.projects));
+        try {
+            await this.vault.saveProject(newProj);
+            await this.vault.savePage(defaultPage);
+        } catch (err) {
+            console.error(`${this.vault.label} createProject failed:`, err);
         }
         
         if (autoSwitch) {
@@ -347,28 +581,10 @@ class MultiMapKernel {
             return;
         }
         
-        if (this.isUsingCloudVault()) {
-            const uid = window.FirebaseAuth.currentUser.uid;
-            try {
-                const pages = this.firestorePagesByProject[projectId] || [];
-                for (const p of pages) {
-                    const pageRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", projectId, "pages", p.map_id);
-                    await window.Firestore.deleteDoc(pageRef);
-                }
-                const projRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", projectId);
-                await window.Firestore.deleteDoc(projRef);
-                
-                this.firestoreProjects = this.firestoreProjects.filter(p => p.project_id !== projectId);
-                delete this.firestorePagesByProject[projectId];
-            } catch (err) {
-                console.error("Firestore deleteProject failed:", err);
-            }
-        } else {
-            this.projects = this.projects.filter(p => p.project_id !== projectId);
-            localStorage.setItem("mm_projects", JSON.stringify(this.projects));
-            
-            let lib = this.getLibrary().filter(p => p.meta?.project_id !== projectId);
-            this.saveLibrary(lib);
+        try {
+            await this.vault.deleteProject(projectId);
+        } catch (err) {
+            console.error(`${this.vault.label} deleteProject failed:`, err);
         }
         
         if (this.activeProjectId === projectId) {
@@ -396,16 +612,10 @@ class MultiMapKernel {
             proj.meta.color = color;
             proj.updated_at = new Date().toISOString();
             
-            if (this.isUsingCloudVault()) {
-                const uid = window.FirebaseAuth.currentUser.uid;
-                try {
-                    const projRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", projectId);
-                    await window.Firestore.setDoc(projRef, proj);
-                } catch (err) {
-                    console.error("Firestore renameProject failed:", err);
-                }
-            } else {
-                localStorage.setItem("mm_projects", JSON.stringify(this.projects));
+            try {
+                await this.vault.saveProject(proj);
+            } catch (err) {
+                console.error(`${this.vault.label} renameProject failed:`, err);
             }
             this.notify();
         }
@@ -415,8 +625,9 @@ class MultiMapKernel {
         if (!this.checkStorageLimit(1024)) return null;
 
         const pageId = this.generateId();
-        const rootType = (typeof MultiMapSchema !== 'undefined' && MultiMapSchema.mapTypes && MultiMapSchema.mapTypes[type]) ? MultiMapSchema.mapTypes[type].rootNode : 'root';
-        const rootTitle = (typeof MultiMapSchema !== 'undefined') ? MultiMapSchema.getDefinition(rootType).label : "Root";
+        this.useOntology(projectId); // custom map types belong to the target project
+        const rootType = (this.schema && this.schema.mapTypes && this.schema.mapTypes[type]) ? this.schema.mapTypes[type].rootNode : 'root';
+        const rootTitle = (this.schema) ? this.schema.getDefinition(rootType).label : "Root";
         
         const newPage = {
             map_id: pageId,
@@ -429,8 +640,9 @@ class MultiMapKernel {
             },
             nodes: [{ id: this.generateId(), type: rootType, title: rootTitle, data: { x: 0, y: 0, isCore: true } }],
             connections: [],
-            session: { viewport: { x: window.innerWidth / 2, y: window.innerHeight / 2, scale: 1 }, selectedId: null, remoteTemplates: [], layoutMode: 'organic' }
+            session: this.createSession()
         };
+        if (this.migrations) this.migrations.stamp(newPage);
         
         const projects = this.getProjects();
         const proj = projects.find(p => p.project_id === projectId);
@@ -440,25 +652,11 @@ class MultiMapKernel {
             }
             proj.updated_at = new Date().toISOString();
             
-            if (this.isUsingCloudVault()) {
-                const uid = window.FirebaseAuth.currentUser.uid;
-                try {
-                    const pageRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", projectId, "pages", pageId);
-                    await window.Firestore.setDoc(pageRef, newPage);
-                    
-                    const projRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", projectId);
-                    await window.Firestore.setDoc(projRef, proj);
-                    
-                    if (!this.firestorePagesByProject[projectId]) this.firestorePagesByProject[projectId] = [];
-                    this.firestorePagesByProject[projectId].push(newPage);
-                } catch (err) {
-                    console.error("Firestore createPage failed:", err);
-                }
-            } else {
-                let lib = this.getLibrary();
-                lib.push(newPage);
-                this.saveLibrary(lib);
-                localStorage.setItem("mm_projects", JSON.stringify(this.projects));
+            try {
+                await this.vault.savePage(newPage);
+                await this.vault.saveProject(proj);
+            } catch (err) {
+                console.error(`${this.vault.label} createPage failed:`, err);
             }
             // SCAFFOLD: Hook into file-root dynamic synchronization
             // If we're creating a page that is NOT the project's default 'file-root',
@@ -487,46 +685,15 @@ class MultiMapKernel {
         }
         toProj.updated_at = new Date().toISOString();
         
-        let pageState = null;
-        
-        if (this.isUsingCloudVault()) {
-            const uid = window.FirebaseAuth.currentUser.uid;
-            try {
-                const oldPageRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", fromProjectId, "pages", pageId);
-                const pageSnap = await window.Firestore.getDoc(oldPageRef);
-                if (pageSnap.exists()) {
-                    pageState = pageSnap.data();
-                    pageState.meta.project_id = toProjectId;
-                    
-                    const newPageRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", toProjectId, "pages", pageId);
-                    await window.Firestore.setDoc(newPageRef, pageState);
-                    await window.Firestore.deleteDoc(oldPageRef);
-                }
-                
-                const fromProjRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", fromProjectId);
-                await window.Firestore.setDoc(fromProjRef, fromProj);
-                
-                const toProjRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", toProjectId);
-                await window.Firestore.setDoc(toProjRef, toProj);
-                
-                if (this.firestorePagesByProject[fromProjectId]) {
-                    this.firestorePagesByProject[fromProjectId] = this.firestorePagesByProject[fromProjectId].filter(p => p.map_id !== pageId);
-                }
-                if (pageState) {
-                    if (!this.firestorePagesByProject[toProjectId]) this.firestorePagesByProject[toProjectId] = [];
-                    this.firestorePagesByProject[toProjectId].push(pageState);
-                }
-            } catch (err) {
-                console.error("Firestore movePage failed:", err);
-            }
-        } else {
-            let lib = this.getLibrary();
-            const page = lib.find(p => p.map_id === pageId);
-            if (page) {
-                page.meta.project_id = toProjectId;
-                this.saveLibrary(lib);
+        try {
+            const found = this.vault.findPage(pageId);
+            if (found) {
+                await this.vault.savePage({ ...found.page, meta: { ...found.page.meta, project_id: toProjectId } });
             }
-            localStorage.setItem("mm_projects", JSON.stringify(this.projects));
+            await this.vault.saveProject(fromProj);
+            await this.vault.saveProject(toProj);
+        } catch (err) {
+            console.error(`${this.vault.label} movePage failed:`, err);
         }
         
         if (this.state.map_id === pageId) {
@@ -540,27 +707,12 @@ class MultiMapKernel {
     async clonePage(pageId, targetProjectId, newTitle = null, newProjectTitle = null) {
         if (!this.checkStorageLimit(1024)) return null;
 
-        let sourcePage = null;
-        if (this.isUsingCloudVault()) {
-            for (const projId in this.firestorePagesByProject) {
-                const found = this.firestorePagesByProject[projId].find(p => p.map_id === pageId);
-                if (found) {
-                    sourcePage = JSON.parse(JSON.stringify(found));
-                    break;
-                }
-            }
-        } else {
-            const lib = this.getLibrary();
-            const found = lib.find(p => p.map_id === pageId);
-            if (found) {
-                sourcePage = JSON.parse(JSON.stringify(found));
-            }
-        }
-        
-        if (!sourcePage) {
+        const found = this.vault.findPage(pageId);
+        if (!found) {
             console.error("Source page not found for copying:", pageId);
             return null;
         }
+        const sourcePage = JSON.parse(JSON.stringify(found.page));
 
         let finalProjectId = targetProjectId;
         
@@ -580,19 +732,10 @@ class MultiMapKernel {
                 page_ids: []
             };
             
-            if (this.isUsingCloudVault()) {
-                const uid = window.FirebaseAuth.currentUser.uid;
-                try {
-                    const projRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", projId);
-                    await window.Firestore.setDoc(projRef, newProj);
-                    this.firestoreProjects.push(newProj);
-                    this.firestorePagesByProject[projId] = [];
-                } catch (err) {
-                    console.error("Firestore create project for clone failed:", err);
-                }
-            } else {
-                this.projects.push(newProj);
-                localStorage.setItem("mm_projects", JSON.stringify(this.projects));
+            try {
+                await this.vault.saveProject(newProj);
+            } catch (err) {
+                console.error(`${this.vault.label} create project for clone failed:`, err);
             }
             finalProjectId = projId;
         }
@@ -617,25 +760,11 @@ class MultiMapKernel {
             }
             targetProj.updated_at = new Date().toISOString();
 
-            if (this.isUsingCloudVault()) {
-                const uid = window.FirebaseAuth.currentUser.uid;
-                try {
-                    const pageRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", finalProjectId, "pages", newPageId);
-                    await window.Firestore.setDoc(pageRef, clonedPage);
-                    
-                    const projRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", finalProjectId);
-                    await window.Firestore.setDoc(projRef, targetProj);
-                    
-                    if (!this.firestorePagesByProject[finalProjectId]) this.firestorePagesByProject[finalProjectId] = [];
-                    this.firestorePagesByProject[finalProjectId].push(clonedPage);
-                } catch (err) {
-                    console.error("Firestore clonePage failed:", err);
-                }
-            } else {
-                let lib = this.getLibrary();
-                lib.push(clonedPage);
-                this.saveLibrary(lib);
-                localStorage.setItem("mm_projects", JSON.stringify(this.projects));
+            try {
+                await this.vault.savePage(clonedPage);
+                await this.vault.saveProject(targetProj);
+            } catch (err) {
+                console.error(`${this.vault.label} clonePage failed:`, err);
             }
             
             this.activeProjectId = finalProjectId;
@@ -645,973 +774,897 @@ class MultiMapKernel {
         return newPageId;
     }
 
+    async loadRemoteTemplates() {
+        try {
+            const tpls = await this.bridge.fetchTemplates();
+            this.state.session.remoteTemplates = tpls;
+            this.notify();
+        } catch(e) { console.error(e); }
+    }
 
-    getBlueprint(type) { return typeof MultiMapSchema !== 'undefined' ? MultiMapSchema.getDefinition(type) : { label: type, icon: "⚪" }; }
-    getSmartChildType(pid) { const p = this.state.nodes.find(x => x.id === pid); return p && typeof MultiMapSchema !== 'undefined' ? MultiMapSchema.getDefaultChild(p.type) : 'note'; }
-
-    getEmptyState() {
-        return {
-            map_id: this.generateId(),
-            meta: { title: "New Map", type: "generic", created: new Date().toISOString() },
-            nodes: [], connections: [],
-            session: { viewport: { x: window.innerWidth / 2, y: window.innerHeight / 2, scale: 1 }, selectedId: null, remoteTemplates: [], layoutMode: 'organic' }
-        };
+    notify() {
+        if (this.state && this.state.meta) this.useOntology(this.state.meta.project_id || this.activeProjectId);
+        super.notify();
+        if (this.bridge) this.bridge.sync(this.state);
+    }
+    checkAutoSave() {
+        const c = JSON.stringify(this.state);
+        if (c !== this.lastSaveState) {
+            this.lastSaveState = c;
+            
+            this.ui.setSaveStatus('saving');
+            
+            const vault = this.vault;
+            this.saveSession().then(() => {
+                this.ui.setSaveStatus(vault.saveStatus);
+                return this.maybeAutoSnapshot();
+            }).catch(err => {
+                console.error(`${vault.label} autosave failed:`, err);
+                this.ui.setSaveStatus('error');
+            });
+        }
     }
 
-    createSubmap(type = 'generic', title = 'New Submap') {
-        const id = this.generateId();
-        const rootType = (typeof MultiMapSchema !== 'undefined' && MultiMapSchema.mapTypes && MultiMapSchema.mapTypes[type]) ? MultiMapSchema.mapTypes[type].rootNode : 'root';
-        const rootTitle = (typeof MultiMapSchema !== 'undefined') ? MultiMapSchema.getDefinition(rootType).label : "Root";
+    async saveMapToLibrary(mapState) {
+        const snapshot = JSON.parse(JSON.stringify(mapState, (key, value) => {
+            if (key === 'library' || key === 'projects' || key === 'schemaData' || key === 'remoteTemplates') return undefined;
+            return value;
+        }));
         
-        const newState = {
-            map_id: id,
-            meta: { title: title, type: type, created: new Date().toISOString(), shared: false },
-            nodes: [{ id: this.generateId(), type: rootType, title: rootTitle, data: { x: 0, y: 0, isCore: true } }],
-            connections: [],
-            session: { viewport: { x: window.innerWidth / 2, y: window.innerHeight / 2, scale: 1 }, selectedId: null, remoteTemplates: [], layoutMode: 'organic' }
-        };
+        const destProjectId = snapshot.meta.project_id || this.activeProjectId;
+        snapshot.meta.project_id = destProjectId;
         
-        this.saveMapToLibrary(newState);
-        return id;
-    }
-
-    ensureSchema(state) {
-        if (!state) return this.getEmptyState();
-        if (!Array.isArray(state.nodes)) state.nodes = [];
-        if (!Array.isArray(state.connections)) state.connections = state.edges || [];
-        delete state.edges;
-        if (!state.meta) state.meta = { title: "Imported Map", type: "generic", created: new Date().toISOString() };
-        if (!state.meta.type) state.meta.type = "generic";
-        if (!state.meta.project_id) state.meta.project_id = this.activeProjectId || 'default_project';
-        if (!state.session) state.session = { viewport: { x: window.innerWidth / 2, y: window.innerHeight / 2, scale: 1 }, selectedId: null, remoteTemplates: [], layoutMode: 'organic' };
-        if (this.state && this.state.session && this.state.session.remoteTemplates && this.state.session.remoteTemplates.length > 0) {
-            state.session.remoteTemplates = this.state.session.remoteTemplates;
-        } else if (!state.session.remoteTemplates) {
-            state.session.remoteTemplates = [];
+        if (this.state && this.state.map_id === snapshot.map_id) {
+            if (!this.state.meta) this.state.meta = {};
+            this.state.meta.project_id = destProjectId;
         }
-        if (!state.session.layoutMode) state.session.layoutMode = 'organic';
-        state.nodes.forEach(n => {
-            if (!n.data) n.data = { x: 0, y: 0 };
-            if (n.data.collapsed === undefined) n.data.collapsed = false;
-        });
 
-        // Ensure only one root node exists in the map and matches state.meta.type
-        if (state.nodes.length > 0) {
-            const isRootType = (type) => type && (type === 'root' || type.endsWith('-root'));
-            const roots = state.nodes.filter(n => isRootType(n.type));
+        const exists = !!this.vault.findPage(snapshot.map_id);
+        if (!exists && !this.checkStorageLimit(1024)) return false;
+        
+        const vault = this.vault;
+        try {
+            await vault.savePage(snapshot);
             
-            let coreRoot = roots.find(n => n.data && n.data.isCore);
-            if (!coreRoot) {
-                // Find node with no parent or fallback to the first root
-                coreRoot = roots.find(n => !state.connections.some(c => c.to === n.id && c.type === 'structural'));
-            }
-            if (!coreRoot) coreRoot = roots[0] || state.nodes[0];
-
-            if (coreRoot) {
-                if (!coreRoot.data) coreRoot.data = { x: 0, y: 0 };
-                coreRoot.data.isCore = true;
-
-                if (typeof MultiMapSchema !== 'undefined' && MultiMapSchema.mapTypes) {
-                    // Check if the root node's existing type is already a recognised schema rootNode.
-                    // If so, preserve it and sync meta.type from it (templates carry their type here).
-                    const matchedByRootNode = Object.keys(MultiMapSchema.mapTypes).find(
-                        m => MultiMapSchema.mapTypes[m].rootNode === coreRoot.type
-                    );
-
-                    if (matchedByRootNode) {
-                        // Root type is valid — just align meta.type to match
-                        if (state.meta.type !== matchedByRootNode) {
-                            state.meta.type = matchedByRootNode;
-                        }
-                    } else {
-                        // Root type is unrecognised — coerce it from meta.type
-                        const mapType = state.meta.type || 'generic';
-                        const expectedRootType = MultiMapSchema.mapTypes[mapType]
-                            ? MultiMapSchema.mapTypes[mapType].rootNode
-                            : 'root';
-                        if (coreRoot.type !== expectedRootType) {
-                            coreRoot.type = expectedRootType;
-                        }
-                    }
-                } else {
-                    // No schema available — leave root type untouched
+            // File the page under its project and clean it from any other project
+            for (const p of vault.getProjects()) {
+                if (!p.page_ids) p.page_ids = [];
+                if (p.project_id === destProjectId && !p.page_ids.includes(snapshot.map_id)) {
+                    p.page_ids.push(snapshot.map_id);
+                    await vault.saveProject(p);
+                } else if (p.project_id !== destProjectId && p.page_ids.includes(snapshot.map_id)) {
+                    p.page_ids = p.page_ids.filter(id => id !== snapshot.map_id);
+                    await vault.saveProject(p);
                 }
-
-                // Convert all other roots to 'hub'
-                state.nodes.forEach(n => {
-                    if (n.id !== coreRoot.id && isRootType(n.type)) {
-                        n.type = 'hub';
-                        if (n.data) n.data.isCore = false;
-                    }
-                });
+            }
+            
+            this.notify();
+        } catch (err) {
+            console.error(`${vault.label} saveMapToLibrary failed:`, err);
+            if (err && err.name === 'QuotaExceededError') {
+                this.ui.alert(`${vault.label} storage is full. Switch to the Browser Database vault from the Data Manager to keep saving.`);
             }
         }
+    }
 
-        return state;
-    }
-
-    resolveOverlaps(iterations = 30, kRepel = 0.08, kSpring = 0.05) {
-        const repulsionDist = 240; 
-        const springLength = 160;
-
-        for (let step = 0; step < iterations; step++) {
-            let moved = false;
-            for (let i = 0; i < this.state.nodes.length; i++) {
-                for (let j = i + 1; j < this.state.nodes.length; j++) {
-                    const n1 = this.state.nodes[i], n2 = this.state.nodes[j];
-                    const dx = n1.data.x - n2.data.x, dy = n1.data.y - n2.data.y;
-                    const d = Math.sqrt(dx*dx + dy*dy);
-                    
-                    if (d < repulsionDist && d > 0.1) {
-                        const force = (repulsionDist - d) * kRepel;
-                        const fx = (dx / d) * force, fy = (dy / d) * force;
-                        n1.data.x += fx; n1.data.y += fy;
-                        n2.data.x -= fx; n2.data.y -= fy;
-                        moved = true;
-                    }
-                }
-            }
+    saveConstellationToLibrary(data) {
+        return this.saveMapToLibrary(data);
+    }
 
-            this.state.connections.forEach(conn => {
-                if (conn.type !== 'structural') return; 
-                const source = this.state.nodes.find(n => n.id === conn.from);
-                const target = this.state.nodes.find(n => n.id === conn.to);
-                if (source && target) {
-                    const dx = target.data.x - source.data.x, dy = target.data.y - source.data.y;
-                    const d = Math.sqrt(dx * dx + dy * dy);
-                    if (d > 0.1 && Math.abs(d - springLength) > 2) {
-                        const force = (d - springLength) * kSpring;
-                        const nx = (dx / d) * force, ny = (dy / d) * force;
-                        source.data.x += nx; source.data.y += ny;
-                        target.data.x -= nx; target.data.y -= ny;
-                        moved = true;
-                    }
+    getLibrary() {
+        return this.vault.getAllPages();
+    }
+
+    async deleteFromLibrary(id) {
+        const vault = this.vault;
+        try {
+            await vault.deletePage(id);
+            
+            for (const p of vault.getProjects()) {
+                if (p.page_ids && p.page_ids.includes(id)) {
+                    p.page_ids = p.page_ids.filter(x => x !== id);
+                    await vault.saveProject(p);
                 }
-            });
-            if (!moved) break;
+            }
+            
+            // SCAFFOLD: Hook into file-root dynamic synchronization
+            // If we delete a page, we should remove the corresponding 'file-document' node from the project's Master Map (file-root).
+            
+            if (this.state.map_id === id) {
+                const allPages = this.getLibrary();
+                if (allPages.length > 0) {
+                    this.loadMapState(allPages[0]);
+                } else {
+                    this.state = this.getEmptyState();
+                    this.notify();
+                }
+            } else {
+                this.notify();
+            }
+        } catch (err) {
+            console.error(`${vault.label} delete failed:`, err);
         }
-        this.notify();
     }
 
-    autoLayoutOrganic() { this.resolveOverlaps(150, 0.15, 0.08); } 
-
-    getDownstreamNodes(startId) {
-        const result = new Set([startId]);
-        const queue = [startId];
-        while (queue.length > 0) {
-            const curr = queue.shift();
-            const kids = this.state.connections.filter(c => c.from === curr && c.type === 'structural').map(c => c.to);
-            kids.forEach(k => { if (!result.has(k)) { result.add(k); queue.push(k); } });
+    async updateLibraryItem(id, metaUpdates) {
+        const found = this.vault.findPage(id);
+        if (!found) return;
+        const oldTitle = found.page.meta?.title;
+        try {
+            await this.vault.savePage({ ...found.page, meta: { ...found.page.meta, ...metaUpdates } });
+            if (this.state.map_id === id) {
+                this.state.meta = { ...this.state.meta, ...metaUpdates };
+            }
+            if (metaUpdates.title && metaUpdates.title !== oldTitle) {
+                await this.updateReferencesForRename(id, oldTitle, metaUpdates.title);
+            }
+            this.notify();
+        } catch (err) {
+            console.error(`${this.vault.label} updateLibraryItem failed:`, err);
         }
-        return result;
     }
-
-    toggleCollapse(nodeId) {
-        const node = this.state.nodes.find(n => n.id === nodeId);
-        if (node) { node.data.collapsed = !node.data.collapsed; this.notify(); }
+    loadMapState(data) {
+        this.saveCurrentMapToLibrary();
+        this.state = this.ensureSchema(data);
+        this.notify();
     }
+    
+    // --- Layout Physics ---
 
-    deleteNode(id) {
-        const n = this.state.nodes.find(x => x.id === id);
-        if (n && (n.type === 'root' || n.type.endsWith('-root') || (n.data && n.data.isCore))) {
-            alert("The root node of a map cannot be deleted.");
+    /**
+     * Deferred relaxations run in the physics worker, one job at a time; ids that
+     * change meanwhile wait for the next job. Results belong to the snapshot they
+     * were computed from, so nodes dragged in the meantime keep their place.
+     */
+    relaxNeighborhood(ids) {
+        if (!this.physicsRunner && typeof MultiMapPhysicsRunner !== 'undefined') {
+            this.physicsRunner = new MultiMapPhysicsRunner();
+            this.physicsQueue = new Set();
+        }
+        if (!this.physicsRunner || !this.physicsRunner.available) return super.relaxNeighborhood(ids);
+        if (this.physicsBusy) {
+            ids.forEach(id => this.physicsQueue.add(id));
             return;
         }
-        this.saveHistory();
-        const toDelete = this.getDownstreamNodes(id);
-        this.state.nodes = this.state.nodes.filter(n => !toDelete.has(n.id));
-        this.state.connections = this.state.connections.filter(c => !toDelete.has(c.from) && !toDelete.has(c.to));
-        if (toDelete.has(this.state.session.selectedId)) this.state.session.selectedId = null;
-        this.notify();
-    }
 
-    findSmartPosition(pid) {
-        const p = this.state.nodes.find(n => n.id === pid);
-        if (!p) return { x: 0, y: 0 }; 
-        const r = 250; const steps = 16; 
-        let bestAngle = 0, maxClearance = 0;
-        for (let i = 0; i < steps; i++) {
-            const theta = (i * (360 / steps)) * (Math.PI / 180);
-            const checkX = p.data.x + Math.cos(theta) * r;
-            const checkY = p.data.y + Math.sin(theta) * r;
-            let nearestDist = Infinity;
-            this.state.nodes.forEach(n => {
-                if (n.id === pid) return; 
-                const d = Math.sqrt((n.data.x - checkX)**2 + (n.data.y - checkY)**2);
-                if (d < nearestDist) nearestDist = d;
+        const mapId = this.state.map_id;
+        const layout = MultiMapPhysics.fromState(this.state.nodes, this.state.connections, conn => this.isHierarchyEdge(conn));
+        const startX = layout.xs.slice(), startY = layout.ys.slice(); // the originals are transferred to the worker
+        this.physicsBusy = true;
+
+        this.physicsRunner.run(layout, { iterations: 40, changedIds: ids })
+            .then(moved => {
+                if (this.state.map_id !== mapId) return;
+                const byId = new Map(this.state.nodes.map(n => [n.id, n]));
+                let changed = false;
+                // Journaled like the main-thread pass in MultiMapGraph.relaxNeighborhood
+                this.transact("Tidy layout", () => {
+                    moved.forEach(p => {
+                        const node = byId.get(p.id);
+                        const i = layout.index.get(p.id);
+                        if (!node || !node.data || node.data.x !== startX[i] || node.data.y !== startY[i]) return;
+                        node.data.x = p.x;
+                        node.data.y = p.y;
+                        changed = true;
+                    });
+                }, MapJournal.FOLLOW_UP);
+                if (changed) this.notify();
+            })
+            .catch(err => {
+                console.warn("Worker relaxation failed, running it here:", err.message);
+                if (this.state.map_id === mapId) super.relaxNeighborhood(ids);
+            })
+            .finally(() => {
+                this.physicsBusy = false;
+                if (this.physicsQueue.size === 0) return;
+                const next = [...this.physicsQueue];
+                this.physicsQueue.clear();
+                this.relaxNeighborhood(next);
             });
-            if (nearestDist > maxClearance) { maxClearance = nearestDist; bestAngle = theta; }
-        }
-        return { x: p.data.x + Math.cos(bestAngle) * r, y: p.data.y + Math.sin(bestAngle) * r };
     }
 
-    addNode(data, pid = null) {
-        data = data || {};
-        
-        // SINGLETON PERSON CHECK
-        if (data.type === 'person-root') {
-            const existingPerson = this.state.nodes.find(n => n.type === 'person-root');
-            if (existingPerson) {
-                alert("A Person node already exists in this map. Focus shifted.");
-                this.selectNode(existingPerson.id);
-                return existingPerson;
-            }
-        }
-
-        this.saveHistory();
-        const id = data.id || this.generateId();
-        let posX = data.x, posY = data.y;
-        
-        if (this.state.nodes.length === 0) {
-            const mapType = this.state.meta ? this.state.meta.type : 'generic';
-            const rootType = (typeof MultiMapSchema !== 'undefined' && MultiMapSchema.mapTypes && MultiMapSchema.mapTypes[mapType]) ? MultiMapSchema.mapTypes[mapType].rootNode : 'root';
-            const rootTitle = (typeof MultiMapSchema !== 'undefined') ? MultiMapSchema.getDefinition(rootType).label : "Root";
-            data.type = rootType; data.title = rootTitle; data.isCore = true; posX = 0; posY = 0;
-        } else if (posX === undefined && pid) {
-            const pos = this.findSmartPosition(pid);
-            posX = pos.x; posY = pos.y;
-        }
-
-        const node = { 
-            id: id, type: data.type || 'note', title: data.title || (data.type ? data.type.toUpperCase() : 'NODE'), 
-            content: data.content || '', data: { x: posX || 0, y: posY || 0, isCore: data.isCore || false, collapsed: false }
-        };
-        
-        this.state.nodes.push(node);
-        setTimeout(() => this.resolveOverlaps(40), 10);
+    // --- Portal Navigation ---
+    enterPortal(mapData) {
+        this.saveCurrentMapToLibrary();
+        this.portalHistory.push(JSON.parse(JSON.stringify(this.state)));
+        this.state = this.ensureSchema(mapData);
         this.notify();
-        return node;
+    }
+    
+    saveCurrentMapToLibrary() {
+        if (!this.state || !this.state.map_id) return;
+        this.saveMapToLibrary(this.state);
     }
 
-    addConnection(f, t, connType = 'structural') {
-        if (f === t || this.state.connections.find(c => c.from === f && c.to === t)) return { success: false };
-        let s, tg;
-        if (typeof MultiMapSchema !== 'undefined') {
-            s = this.state.nodes.find(n => n.id === f);
-            tg = this.state.nodes.find(n => n.id === t);
-            if (s && tg && !MultiMapSchema.canConnect(s.type, tg.type)) return { success: false };
+    exitPortal() {
+        if (this.portalHistory.length > 0) {
+            this.saveCurrentMapToLibrary(); // Persist submap edits before leaving
+            this.state = this.ensureSchema(this.portalHistory.pop());
+            this.notify();
+            return true;
         }
-        this.saveHistory();
-        this.state.connections.push({ id: this.generateId(), from: f, to: t, type: connType });
-        if (connType === 'structural') setTimeout(() => this.resolveOverlaps(40), 10);
-        this.notify();
-        
-        return { success: true };
+        return false;
     }
 
-    updateNode(id, up) { 
-        const n = this.state.nodes.find(x => x.id === id); 
-        if (!n) return; 
-        
-        if (up.type === 'person-root') {
-            const existingPerson = this.state.nodes.find(x => x.type === 'person-root' && x.id !== id);
-            if (existingPerson) {
-                alert("Only one Person node is permitted per constellation.");
-                return;
-            }
-        }
+    // --- Host Bridge Sync ---
+    getPageForSync(mapId) {
+        if (this.state && this.state.map_id === mapId) return this.state;
+        return this.getLibrary().find(p => p.map_id === mapId) || null;
+    }
 
-        // If the core/root node's type is being updated, automatically sync the map's metadata type
-        const isRootType = (type) => type && (type.endsWith('-root') || type === 'root');
-        const hasParent = this.state.connections.some(c => c.to === id && c.type === 'structural');
-        const isRootNode = n.data && (n.data.isCore || (!hasParent && isRootType(n.type)));
-
-        if (up.type && isRootNode && isRootType(up.type) && up.type !== n.type) {
-            if (typeof MultiMapSchema !== 'undefined' && MultiMapSchema.mapTypes) {
-                const matchedMapType = Object.keys(MultiMapSchema.mapTypes).find(
-                    m => MultiMapSchema.mapTypes[m].rootNode === up.type
-                );
-                if (matchedMapType) {
-                    const allowedNodes = MultiMapSchema.mapTypes[matchedMapType].allowedNodes || [];
-                    // Find any existing nodes that are not allowed in the target map type (excluding the root node itself)
-                    const incompatibleNodes = this.state.nodes.filter(node => node.id !== id && !allowedNodes.includes(node.type));
-                    if (incompatibleNodes.length > 0) {
-                        const incompatibleTypes = [...new Set(incompatibleNodes.map(node => node.type))];
-                        const shouldConvert = confirm(`Cannot change root type to "${up.type}" (map type "${matchedMapType}") because this map contains incompatible downstream nodes: ${incompatibleTypes.join(', ')}.\n\nWould you like to automatically convert these incompatible nodes to "note" nodes? Warning: some content/functionality might be lost.`);
-                        if (shouldConvert) {
-                            incompatibleNodes.forEach(node => {
-                                const oldType = node.type;
-                                node.type = 'note';
-                                if (node.title === `New ${oldType}` || node.title === oldType.toUpperCase() || node.title.startsWith("New ")) {
-                                    node.title = `Converted Note (${oldType})`;
-                                }
-                            });
-                        } else {
-                            return; // Block the update
-                        }
-                    }
-                    
-                    if (!this.state.meta) this.state.meta = {};
-                    this.state.meta.type = matchedMapType;
-                }
-            }
+    async markHostSynced(page, revision) {
+        page.meta.revision = revision;
+        page.meta.host_checksum = HostBridge.checksum(page);
+        if (this.state.map_id === page.map_id && this.state !== page) {
+            this.state.meta.revision = revision;
+            this.state.meta.host_checksum = page.meta.host_checksum;
         }
+        await this.saveMapToLibrary(page);
+    }
 
-        if (up.content && n.type === 'person-root') {
-            try {
-                const pData = JSON.parse(up.content);
-                const childConns = this.state.connections.filter(c => c.from === id && c.type === 'structural');
-                const children = childConns.map(c => this.state.nodes.find(node => node.id === c.to)).filter(node => node);
-                
-                Object.keys(pData).forEach(field => {
-                    const value = pData[field];
-                    let fieldNode = children.find(node => node.title === field);
-                    if (fieldNode) {
-                        fieldNode.content = value;
-                    } else {
-                        const childId = this.generateId();
-                        const pos = this.findSmartPosition(id);
-                        this.state.nodes.push({
-                            id: childId, type: 'note', title: field, content: value,
-                            data: { x: pos.x, y: pos.y, isCore: false, collapsed: false }, submaps: []
-                        });
-                        this.state.connections.push({ id: this.generateId(), from: id, to: childId, type: 'structural' });
-                    }
-                });
-            } catch(e) {}
+    /**
+     * Store a page received from the host. Pages whose project does not exist in
+     * the active vault land in the active project.
+     */
+    async acceptRemotePage(remote) {
+        const page = JSON.parse(JSON.stringify(remote));
+        if (!page.meta) page.meta = {};
+        if (!this.getProjects().some(p => p.project_id === page.meta.project_id)) {
+            page.meta.project_id = this.activeProjectId;
+        }
+        page.meta.host_checksum = HostBridge.checksum(page);
+        if (this.state.map_id === page.map_id) {
+            page.session = this.state.session;
+            this.state = this.ensureSchema(page);
+            await this.saveMapToLibrary(this.state);
+        } else {
+            await this.saveMapToLibrary(this.ensureSchema(page));
         }
-
-        Object.keys(up).forEach(k => { if (k === 'x' || k === 'y') n.data[k] = up[k]; else n[k] = up[k]; }); 
-        this.notify(); 
     }
 
-    // Person Profile Field Auto-Child Generator
-    updatePersonField(nodeId, field, value) {
-        const node = this.state.nodes.find(n => n.id === nodeId);
-        if (!node) return;
-
-        let data = {};
-        try { data = JSON.parse(node.content || '{}'); } catch(e) {}
-        data[field] = value;
-        node.content = JSON.stringify(data);
+    async pushPageToHost(mapId, options = {}) {
+        const page = this.getPageForSync(mapId);
+        if (!page) throw new Error(`Page ${mapId} not found.`);
+        const res = await this.bridge.pushPage(page, options);
+        if (res.conflict) return { conflict: { local: page, remote: res.remote } };
+        await this.markHostSynced(page, res.revision);
+        return { pushed: 1 };
+    }
 
-        // Find or create structural child note dedicated to this field
-        const childConns = this.state.connections.filter(c => c.from === nodeId && c.type === 'structural');
-        const children = childConns.map(c => this.state.nodes.find(n => n.id === c.to)).filter(n => n);
-        
-        let fieldNode = children.find(n => n.title === field);
-        
-        if (fieldNode) {
-            fieldNode.content = value;
-        } else {
-            // Silently spawn a child node using smart positioning
-            const childId = this.generateId();
-            const pos = this.findSmartPosition(nodeId);
-            this.state.nodes.push({
-                id: childId, type: 'note', title: field, content: value,
-                data: { x: pos.x, y: pos.y, isCore: false, collapsed: false }, submaps: []
-            });
-            this.state.connections.push({ id: this.generateId(), from: nodeId, to: childId, type: 'structural' });
-            this.resolveOverlaps(40);
+    async pushProjectToHost(projectId) {
+        const project = this.getProjects().find(p => p.project_id === projectId);
+        if (!project) throw new Error(`Project ${projectId} not found.`);
+        const pages = this.getPages(projectId).map(p => this.getPageForSync(p.map_id) || p);
+        const res = await this.bridge.pushProject(project, pages);
+        const { results } = res;
+
+        let pushed = 0;
+        const conflicts = [];
+        for (const r of results) {
+            const page = pages.find(p => p.map_id === r.map_id);
+            if (!page || r.error) continue;
+            if (r.conflict) {
+                conflicts.push({ local: page, remote: r.remote });
+            } else {
+                await this.markHostSynced(page, r.revision);
+                pushed++;
+            }
         }
-        this.notify();
+        const record = res.project || {};
+        if (record.conflict) conflicts.push({ kind: 'project', local: project, remote: record.remote });
+        else if (record.stored) await this.markProjectSynced(project, record.revision);
+        return { pushed, conflicts };
     }
 
-    async loadRemoteTemplates() {
-        try {
-            const tpls = await this.bridge.fetchTemplates();
-            this.state.session.remoteTemplates = tpls;
-            this.notify();
-        } catch(e) { console.error(e); }
+    async markProjectSynced(project, revision) {
+        project.meta = { ...project.meta, revision };
+        project.meta.host_checksum = HostBridge.projectChecksum(project);
+        await this.vault.saveProject(project);
     }
 
-    // TEMPLATE BOLT-ON ENGINE
-    applyTemplateToNode(targetNodeId, templateState) {
-        this.saveHistory();
-        const targetNode = this.state.nodes.find(x => x.id === targetNodeId);
-        if (!targetNode || !templateState || !templateState.nodes || templateState.nodes.length === 0) return;
-
-        // Root of the template is mapped to the currently selected node
-        const root = templateState.nodes.find(n => n.data && n.data.isCore) || templateState.nodes[0];
-        const idMap = {};
-        const newNodes = [];
+    /**
+     * Store a project record received from the host. Its page order comes first, followed
+     * by local pages the host does not list yet (those leave the project dirty, so the next
+     * push sends them).
+     */
+    async acceptRemoteProject(remote) {
+        const project = JSON.parse(JSON.stringify(remote));
+        if (!project.meta) project.meta = {};
+        if (this.migrations) this.migrations.migrateProject(project);
+        const local = this.getProjects().find(p => p.project_id === project.project_id);
+        project.page_ids = project.page_ids || [];
+        project.meta.host_checksum = HostBridge.projectChecksum(project);
+        if (local) project.page_ids = [...project.page_ids, ...(local.page_ids || []).filter(id => !project.page_ids.includes(id))];
+        await this.vault.saveProject(project);
+        if (project.project_id === this.activeProjectId) this.useOntology(project.project_id);
+    }
 
-        templateState.nodes.forEach(n => {
-            if (n.id === root.id) {
-                idMap[n.id] = targetNodeId;
-                // If template root has JSON payload and target doesn't, inherit it.
-                if (targetNode.type === 'person-root' && !targetNode.content && n.content) {
-                    targetNode.content = n.content;
-                }
-            } else {
-                const newId = this.generateId();
-                idMap[n.id] = newId;
-                // Offset position relative to the target node
-                newNodes.push({
-                    ...n,
-                    id: newId,
-                    data: { 
-                        ...n.data, 
-                        x: targetNode.data.x + (n.data.x - root.data.x), 
-                        y: targetNode.data.y + (n.data.y - root.data.y) 
-                    }
-                });
+    /**
+     * Pull every project record and page whose host revision is ahead of ours. Projects
+     * come first so pulled pages find their project. Anything edited locally since its
+     * last sync is returned as a conflict instead of being overwritten.
+     */
+    async pullFromHost() {
+        const { pages, projects } = await this.bridge.fetchManifest();
+        const summary = { added: 0, updated: 0, unchanged: 0, projects: 0, conflicts: [] };
+
+        for (const remote of projects) {
+            if (!remote || !remote.project_id) continue;
+            const local = this.getProjects().find(p => p.project_id === remote.project_id);
+            if (local && (remote.meta?.revision || 0) <= (local.meta?.revision || 0)) continue;
+            if (local && HostBridge.isProjectDirty(local)) {
+                summary.conflicts.push({ kind: 'project', local, remote });
+                continue;
             }
-        });
+            await this.acceptRemoteProject(remote);
+            summary.projects++;
+        }
 
-        const newConns = [];
-        templateState.connections.forEach(c => {
-            const fromId = idMap[c.from];
-            const toId = idMap[c.to];
-            if (fromId && toId && fromId !== toId) {
-                newConns.push({ ...c, id: this.generateId(), from: fromId, to: toId });
+        for (const entry of pages) {
+            const local = this.getPageForSync(entry.map_id);
+            if (local && (entry.revision || 0) <= (local.meta?.revision || 0)) {
+                summary.unchanged++;
+                continue;
             }
-        });
+            const remote = await this.bridge.pullPage(entry.map_id);
+            if (!remote) continue;
+            if (local && HostBridge.isDirty(local)) {
+                summary.conflicts.push({ local, remote });
+                continue;
+            }
+            await this.acceptRemotePage(remote);
+            local ? summary.updated++ : summary.added++;
+        }
 
-        this.state.nodes.push(...newNodes);
-        this.state.connections.push(...newConns);
-        
-        this.resolveOverlaps(80);
+        this.bridge.lastSyncedAt = new Date().toISOString();
         this.notify();
+        return summary;
     }
 
-    importSubmap(portalId, submapState) {
-        this.saveHistory();
-        const portal = this.state.nodes.find(n => n.id === portalId);
-        if(!portal || !submapState || !submapState.nodes) return;
+    /**
+     * Settle a revision conflict.
+     * 'local'  — overwrite the host copy with ours.
+     * 'remote' — replace ours with the host copy.
+     * 'both'   — keep ours (rebased onto the host revision) and save the host copy as a new page.
+     */
+    async resolveHostConflict({ kind, local, remote }, choice) {
+        if (kind === 'project') return this.resolveProjectConflict(local, remote, choice);
+        if (choice === 'local') {
+            return this.pushPageToHost(local.map_id, { force: true });
+        }
+        if (choice === 'remote') {
+            await this.acceptRemotePage(remote);
+            this.notify();
+            return { pulled: 1 };
+        }
+        if (choice === 'both') {
+            const copy = JSON.parse(JSON.stringify(remote));
+            copy.map_id = this.generateId();
+            copy.meta.title = `${copy.meta?.title || 'Untitled'} (Host Copy)`;
+            copy.meta.project_id = local.meta?.project_id || this.activeProjectId;
+            delete copy.meta.revision;
+            delete copy.meta.host_checksum;
+            await this.saveMapToLibrary(this.ensureSchema(copy));
+
+            local.meta.revision = remote.meta?.revision || 0;
+            await this.saveMapToLibrary(local);
+            this.notify();
+            return { copied: copy.map_id };
+        }
+        return null;
+    }
 
-        const validSub = this.ensureSchema(submapState);
-        const idMap = {};
-        const newNodes = validSub.nodes.map(n => {
-            const newId = this.generateId();
-            idMap[n.id] = newId;
-            return { ...n, id: newId, data: { ...n.data, x: n.data.x + portal.data.x + 300, y: n.data.y + portal.data.y } };
-        });
-        
-        const newConns = [];
-        validSub.connections.forEach(c => {
-            if (idMap[c.from] && idMap[c.to]) newConns.push({ id: this.generateId(), from: idMap[c.from], to: idMap[c.to], type: c.type || 'structural' });
-        });
+    /** Project records have no "keep both": either ours overwrites the host's, or the host's replaces ours. */
+    async resolveProjectConflict(local, remote, choice) {
+        if (choice === 'local') {
+            const res = await this.bridge.pushProject(local, [], { force: true });
+            if (res.project && res.project.stored) await this.markProjectSynced(local, res.project.revision);
+            return { pushed: 1 };
+        }
+        if (choice === 'remote') {
+            await this.acceptRemoteProject(remote);
+            this.notify();
+            return { pulled: 1 };
+        }
+        return null;
+    }
 
-        this.state.nodes.push(...newNodes);
-        this.state.connections.push(...newConns);
-        
-        if(newNodes.length > 0) {
-            const linkTarget = (validSub.meta && validSub.meta.original_root && idMap[validSub.meta.original_root]) ? idMap[validSub.meta.original_root] : newNodes[0].id;
-            this.addConnection(portalId, linkTarget);
+    // --- Version History ---
+    /** Snapshots of a page, newest first. */
+    async listSnapshots(mapId) {
+        try {
+            const list = await this.vault.listSnapshots(mapId);
+            return list.sort((a, b) => b.created_at.localeCompare(a.created_at));
+        } catch (err) {
+            console.error(`${this.vault.label} listSnapshots failed:`, err);
+            return [];
         }
-        this.state = this.ensureSchema(this.state);
-        this.resolveOverlaps(150); 
-        this.notify();
     }
 
-    extractConstellation(rootId) {
-        const root = this.state.nodes.find(n => n.id === rootId);
-        if (!root) return null;
-        const included = this.getDownstreamNodes(root.id);
-        return {
-            map_id: this.generateId(),
-            meta: { title: root.title + " (Clipped)", original_root: rootId, notes: "", shared: false },
-            nodes: this.state.nodes.filter(n => included.has(n.id)),
-            connections: this.state.connections.filter(c => included.has(c.from) && included.has(c.to))
+    async saveSnapshot(mapId, label = '', kind = 'named') {
+        const page = this.getPageForSync(mapId);
+        if (!page) throw new Error(`Page ${mapId} not found.`);
+
+        const snapshot = {
+            snapshot_id: this.generateId(),
+            map_id: mapId,
+            kind,
+            label: label || (kind === 'auto' ? 'Autosave' : 'Snapshot'),
+            created_at: new Date().toISOString(),
+            node_count: page.nodes.length,
+            connection_count: page.connections.length,
+            checksum: HostBridge.checksum(page),
+            page: JSON.parse(JSON.stringify({
+                meta: { title: page.meta?.title, type: page.meta?.type },
+                nodes: page.nodes,
+                connections: page.connections
+            }))
         };
+        await this.vault.saveSnapshot(snapshot);
+        await this.pruneSnapshots(mapId);
+        return snapshot;
     }
 
-    /**
-     * Clip: preserves the selected branch in a new page, replaces the node
-     * with a portal to that page, and removes the downstream subtree from
-     * the current map.  The node's title and position are preserved.
-     * Returns the new page's map_id or null on failure.
-     */
-    async clipBranch(nodeId, customTitle = null, customType = null) {
-        const node = this.state.nodes.find(n => n.id === nodeId);
-        if (!node) return null;
-
-        // Guard: don't clip roots, portals, or web-type nodes
-        const isRoot   = node.data.isCore || node.type === 'root' || node.type.endsWith('-root');
-        const isPortal = node.type === 'portal' || node.type === 'smart-portal';
-        const isWeb    = node.type.startsWith('web-');
-        if (isRoot || isPortal || isWeb) return null;
-
-        // 1. Extract the subtree snapshot
-        this.saveHistory();
-        const snapshot = this.extractConstellation(nodeId);
-        if (!snapshot) return null;
-
-        // 2. Re-root the snapshot: the clipped node becomes the root of the new page
-        const rootNode = snapshot.nodes.find(n => n.id === nodeId);
-        if (rootNode) {
-            rootNode.data.isCore = true;
-            // Derive a fitting root type from the node type
-            const finalType = customType || rootNode.type;
-            rootNode.type = finalType.endsWith('-root') ? finalType : (finalType + '-root');
+    async pruneSnapshots(mapId) {
+        const list = await this.listSnapshots(mapId);
+        const retention = this.vault.snapshotRetention() || MultiMapKernel.SNAPSHOT_RETENTION;
+        for (const kind of Object.keys(retention)) {
+            const stale = list.filter(s => s.kind === kind).slice(retention[kind]);
+            for (const snap of stale) await this.vault.deleteSnapshot(mapId, snap.snapshot_id);
         }
+    }
 
-        // Remove any structural connection pointing INTO rootNode (there shouldn't be any
-        // in the extracted snapshot since we only took downstream, but be safe)
-        snapshot.connections = snapshot.connections.filter(c => c.to !== nodeId || c.type !== 'structural');
-
-        // Set the new page meta
-        snapshot.meta.title = customTitle || node.title || "Clipped Branch";
-        snapshot.meta.type  = customType || (rootNode && rootNode.type) || 'generic';
-
-        // 3. Persist the new page to the active project
-        const saved = await this.saveConstellationToLibrary(snapshot);
-        if (saved === false) return null;
-        const newMapId = snapshot.map_id;
-
-        // 4. In the current map: remove all downstream nodes EXCEPT the clipped node itself,
-        //    then morph the clipped node into a portal
-        const downstream = this.getDownstreamNodes(nodeId);
-        downstream.delete(nodeId); // keep the root node
-
-        this.state.nodes = this.state.nodes.filter(n => !downstream.has(n.id));
-        // Remove connections FROM or TO downstream nodes, but keep the structural
-        // connection TO the clipped node (parent → clipped node stays)
-        this.state.connections = this.state.connections.filter(c => {
-            if (downstream.has(c.from) || downstream.has(c.to)) return false;
-            return true;
-        });
-        // Also remove connections that were FROM the clipped node to its children
-        // (those children are gone now)
-        this.state.connections = this.state.connections.filter(c => c.from !== nodeId || c.type !== 'structural');
-
-        // Morph the node into a portal
-        node.type    = 'portal';
-        node.content = newMapId;
-        // Leave title, data.x, data.y, data.isCore intact
-
-        this.notify();
-        this.saveCurrentMapToLibrary();
-        return newMapId;
+    async deleteSnapshot(mapId, snapshotId) {
+        await this.vault.deleteSnapshot(mapId, snapshotId);
     }
 
-    generateId() { return Math.random().toString(36).substr(2, 9); }
-    subscribe(fn) { this.listeners.push(fn); }
-    notify() { this.listeners.forEach(fn => fn(this.state)); this.bridge.sync(this.state); }
-    exportMapState() { return JSON.stringify(this.state, null, 2); }
-    loadFromStorage() { try { const data = localStorage.getItem("mm_core_state"); return data ? JSON.parse(data) : null; } catch (e) { return null; } }
-    
-    checkAutoSave() {
-        const c = JSON.stringify(this.state);
-        if (c !== this.lastSaveState) {
-            this.lastSaveState = c;
-            
-            const e = document.getElementById('save-status');
-            if (e) {
-                e.innerHTML = '<span class="w-1.5 h-1.5 rounded-full bg-sky-500 animate-pulse"></span> Saving...';
-            }
-            
-            if (this.isUsingCloudVault()) {
-                const uid = window.FirebaseAuth.currentUser.uid;
-                const mapId = this.state.map_id;
-                
-                const mapRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", this.activeProjectId, "pages", mapId);
-                const sessionRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "sessions", "active");
-                
-                const snapshot = JSON.parse(c);
-                
-                Promise.all([
-                    window.Firestore.setDoc(mapRef, snapshot),
-                    window.Firestore.setDoc(sessionRef, {
-                        activeProjectId: this.activeProjectId,
-                        activeMapId: mapId,
-                        portalHistory: this.portalHistory
-                    })
-                ]).then(() => {
-                    if (e) {
-                        e.innerHTML = '<span class="w-1.5 h-1.5 rounded-full bg-emerald-500"></span> Cloud';
-                    }
-                }).catch(err => {
-                    console.error("Firestore autosave failed:", err);
-                    if (e) {
-                        e.innerHTML = '<span class="w-1.5 h-1.5 rounded-full bg-rose-500"></span> Error';
-                    }
-                });
-            } else {
-                localStorage.setItem("mm_core_state", c);
-                if (e) {
-                    setTimeout(() => {
-                        e.innerHTML = '<span class="w-1.5 h-1.5 rounded-full bg-emerald-500"></span> Local';
-                    }, 500);
-                }
-            }
+    /**
+     * Called after each autosave. Snapshots the open page at most once per
+     * SNAPSHOT_INTERVAL, and only when it differs from the newest snapshot.
+     */
+    async maybeAutoSnapshot() {
+        const mapId = this.state && this.state.map_id;
+        if (!mapId) return;
+        const now = Date.now();
+        if (now - (this.snapshotClock[mapId] || 0) < MultiMapKernel.SNAPSHOT_INTERVAL) return;
+        this.snapshotClock[mapId] = now;
+
+        const [latest] = await this.listSnapshots(mapId);
+        if (latest && (latest.checksum === HostBridge.checksum(this.state) || now - Date.parse(latest.created_at) < MultiMapKernel.SNAPSHOT_INTERVAL)) return;
+        try {
+            await this.saveSnapshot(mapId, 'Autosave', 'auto');
+        } catch (err) {
+            console.warn(`${this.vault.label} automatic snapshot skipped:`, err);
         }
     }
 
-    saveHistory() { try { this.history.push(JSON.stringify(this.state)); if(this.history.length > 50) this.history.shift(); } catch(e){} }
-    undo() { if(this.history.length > 0) { this.state = this.ensureSchema(JSON.parse(this.history.pop())); this.notify(); } }
-    
-    saveLibrary(lib) { localStorage.setItem("mm_constellation_lib", JSON.stringify(lib)); }
-    
-    async saveMapToLibrary(mapState) {
-        const snapshot = JSON.parse(JSON.stringify(mapState, (key, value) => {
-            if (key === 'library' || key === 'projects' || key === 'schemaData' || key === 'remoteTemplates') return undefined;
-            return value;
-        }));
-        
-        const destProjectId = snapshot.meta.project_id || this.activeProjectId;
-        snapshot.meta.project_id = destProjectId;
-        
-        if (this.state && this.state.map_id === snapshot.map_id) {
-            if (!this.state.meta) this.state.meta = {};
-            this.state.meta.project_id = destProjectId;
+    /**
+     * Bring back a snapshot. In place, the current version is snapshotted first and the
+     * restore is a single undoable step; with `asCopy` the version becomes a new page
+     * in the same project and its map_id is returned.
+     */
+    async restoreSnapshot(mapId, snapshotId, { asCopy = false } = {}) {
+        const snapshot = (await this.listSnapshots(mapId)).find(s => s.snapshot_id === snapshotId);
+        if (!snapshot) throw new Error('Snapshot not found.');
+        const version = JSON.parse(JSON.stringify(snapshot.page));
+        const current = this.getPageForSync(mapId);
+
+        if (asCopy) {
+            const stamp = new Date(snapshot.created_at).toLocaleString();
+            const copy = {
+                map_id: this.generateId(),
+                meta: {
+                    title: `${version.meta.title || 'Untitled'} (${snapshot.label}, ${stamp})`,
+                    type: version.meta.type || 'generic',
+                    created: new Date().toISOString(),
+                    shared: false,
+                    project_id: current?.meta?.project_id || this.activeProjectId
+                },
+                nodes: version.nodes,
+                connections: version.connections,
+                session: this.createSession()
+            };
+            const saved = await this.saveMapToLibrary(this.ensureSchema(copy));
+            return saved === false ? null : copy.map_id;
         }
 
-        let exists = false;
-        if (this.isUsingCloudVault()) {
-            exists = this.firestorePagesByProject[destProjectId] && this.firestorePagesByProject[destProjectId].some(x => x.map_id === snapshot.map_id);
+        if (!current) throw new Error(`Page ${mapId} not found.`);
+        await this.saveSnapshot(mapId, `Before restoring "${snapshot.label}"`, 'auto');
+
+        if (this.state.map_id === mapId) {
+            this.transact(`Restore "${snapshot.label}"`, () => {
+                this.state.nodes = version.nodes;
+                this.state.connections = version.connections;
+                this.state.meta.title = version.meta.title || this.state.meta.title;
+                this.state.meta.type = version.meta.type || this.state.meta.type;
+                const sel = this.state.session.selectedId;
+                if (sel && !this.state.nodes.some(n => n.id === sel)) this.state.session.selectedId = null;
+            });
+            await this.saveMapToLibrary(this.state);
         } else {
-            exists = this.getLibrary().some(x => x.map_id === snapshot.map_id);
+            await this.saveMapToLibrary({
+                ...current,
+                meta: { ...current.meta, title: version.meta.title || current.meta.title, type: version.meta.type || current.meta.type },
+                nodes: version.nodes,
+                connections: version.connections
+            });
         }
+        return mapId;
+    }
 
-        if (!exists && !this.checkStorageLimit(1024)) return false;
-        
-        if (this.isUsingCloudVault()) {
-            const uid = window.FirebaseAuth.currentUser.uid;
+    // --- Workspace Integrity ---
+
+    /**
+     * Scan every project and page in the active vault. The open page is flushed first
+     * so the scan sees unsaved edits. Pass `mapIds` to keep only issues touching those
+     * pages (project-level issues for their projects are kept too).
+     */
+    async checkIntegrity(mapIds = null) {
+        if (this.state && this.state.map_id) await this.saveMapToLibrary(this.state);
+        const report = MultiMapIntegrity.scan({ projects: this.getProjects(), pages: this.getLibrary() });
+        if (mapIds) {
+            const projectIds = new Set(this.getLibrary().filter(p => mapIds.includes(p.map_id)).map(p => p.meta?.project_id));
+            report.issues = report.issues.filter(i => i.mapId ? mapIds.includes(i.mapId) : projectIds.has(i.projectId));
+            report.errors = report.issues.filter(i => i.severity === 'error').length;
+            report.warnings = report.issues.length - report.errors;
+        }
+        return report;
+    }
+
+    /** Apply the one-click fixes for `issues`. Returns how many issues were repaired. */
+    async repairIntegrity(issues) {
+        const vault = this.vault;
+        let fixed = 0;
+
+        const mapIds = [...new Set(issues.filter(i => MultiMapIntegrity.PAGE_CODES.includes(i.code)).map(i => i.mapId))];
+        for (const mapId of mapIds) {
             try {
-                const mapRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", destProjectId, "pages", snapshot.map_id);
-                await window.Firestore.setDoc(mapRef, snapshot);
-                
-                if (!this.firestorePagesByProject[destProjectId]) {
-                    this.firestorePagesByProject[destProjectId] = [];
-                }
-                const idx = this.firestorePagesByProject[destProjectId].findIndex(x => x.map_id === snapshot.map_id);
-                if (idx !== -1) {
-                    this.firestorePagesByProject[destProjectId][idx] = snapshot;
+                if (this.state.map_id === mapId) {
+                    // The open page is repaired as one undoable step
+                    this.transact('Repair integrity', () => { fixed += MultiMapIntegrity.repairPage(this.state, issues); });
+                    await this.saveMapToLibrary(this.state);
                 } else {
-                    this.firestorePagesByProject[destProjectId].push(snapshot);
-                }
-                
-                const proj = this.firestoreProjects.find(p => p.project_id === destProjectId);
-                if (proj && !proj.page_ids.includes(snapshot.map_id)) {
-                    proj.page_ids.push(snapshot.map_id);
-                    const projRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", destProjectId);
-                    await window.Firestore.setDoc(projRef, proj);
+                    const found = vault.findPage(mapId);
+                    if (!found) continue;
+                    const page = JSON.parse(JSON.stringify(found.page));
+                    fixed += MultiMapIntegrity.repairPage(page, issues);
+                    await vault.savePage(page);
                 }
-                
-                // Clean from other projects in Firestore
-                for (const p of this.firestoreProjects) {
-                    if (p.project_id !== destProjectId && p.page_ids && p.page_ids.includes(snapshot.map_id)) {
-                        p.page_ids = p.page_ids.filter(id => id !== snapshot.map_id);
-                        const otherProjRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", p.project_id);
-                        await window.Firestore.setDoc(otherProjRef, p);
+            } catch (err) {
+                console.error(`Integrity repair failed for ${mapId}:`, err);
+            }
+        }
+
+        const workspaceIssues = issues.filter(i => MultiMapIntegrity.WORKSPACE_CODES.includes(i.code));
+        if (workspaceIssues.length > 0) {
+            const touched = MultiMapIntegrity.repairWorkspace(vault.getProjects(), vault.getAllPages(), workspaceIssues);
+            try {
+                for (const project of touched.projects) await vault.saveProject(project);
+                for (const page of touched.pages) {
+                    await vault.savePage(page);
+                    if (this.state.map_id === page.map_id) {
+                        this.state.meta.project_id = page.meta.project_id;
+                        this.activeProjectId = page.meta.project_id;
                     }
                 }
-                
-                this.notify();
+                fixed += workspaceIssues.length;
             } catch (err) {
-                console.error("Firestore saveMapToLibrary failed:", err);
-            }
-        } else {
-            let lib = this.getLibrary();
-            const idx = lib.findIndex(x => x.map_id === snapshot.map_id);
-            if (idx !== -1) {
-                lib[idx] = snapshot;
-            } else {
-                lib.push(snapshot);
+                console.error('Integrity repair failed for project membership:', err);
             }
-            this.saveLibrary(lib);
-            
-            const proj = this.projects.find(p => p.project_id === destProjectId);
-            if (proj && !proj.page_ids.includes(snapshot.map_id)) {
-                proj.page_ids.push(snapshot.map_id);
-            }
-            
-            // Clean from other projects in Local projects list
-            this.projects.forEach(p => {
-                if (p.project_id !== destProjectId && p.page_ids) {
-                    p.page_ids = p.page_ids.filter(id => id !== snapshot.map_id);
-                }
-            });
-            
-            localStorage.setItem("mm_projects", JSON.stringify(this.projects));
-            this.notify();
         }
+
+        this.notify();
+        return fixed;
     }
 
-    saveConstellationToLibrary(data) {
-        return this.saveMapToLibrary(data);
+    // --- Backlinks ---
+
+    /** The backlinks index, caught up with the active vault and the open page. */
+    refreshBacklinks() {
+        return this.backlinks.sync(this.getLibrary(), this.state && this.state.map_id ? this.state : null);
     }
 
-    getLibrary() {
-        if (this.isUsingCloudVault()) {
-            return Object.values(this.firestorePagesByProject).flat() || [];
-        }
-        try { return JSON.parse(localStorage.getItem("mm_constellation_lib")) || []; } catch(e) { return []; }
+    /**
+     * "Linked from" entries for a page, or for one of its nodes. Each entry names the
+     * source page and node so the UI can jump straight to it.
+     */
+    getBacklinks(mapId, nodeId = null) {
+        const page = this.getPageForSync(mapId);
+        if (!page) return [];
+        const node = nodeId ? (page.nodes || []).find(n => n.id === nodeId) : null;
+        if (nodeId && !node) return [];
+        return this.refreshBacklinks().linksTo(page, node);
     }
 
-    async deleteFromLibrary(id) {
-        if (this.isUsingCloudVault()) {
-            const uid = window.FirebaseAuth.currentUser.uid;
+    /**
+     * Keep references intact after a rename: [[Old]] mentions are rewritten and portals
+     * still labelled with the old title take the new one. Mentions stay as they are
+     * while another page still answers to the old title. Moves need no rewrite, since
+     * portals address pages by map_id and mentions by title.
+     * Returns the number of pages updated.
+     */
+    async updateReferencesForRename(mapId, oldTitle, newTitle) {
+        if (!oldTitle || !newTitle || oldTitle === newTitle) return 0;
+        const oldKey = MultiMapBacklinks.key(oldTitle);
+        const ambiguous = this.getLibrary().some(p => p.map_id !== mapId && MultiMapBacklinks.key(p.meta?.title) === oldKey);
+
+        const edits = {};
+        this.refreshBacklinks().referencesTo(mapId, oldTitle).forEach(ref => {
+            if (ref.kind === 'mention' && ambiguous) return;
+            const edit = edits[ref.mapId] = edits[ref.mapId] || { mentions: new Set(), portals: new Set() };
+            edit[ref.kind === 'portal' ? 'portals' : 'mentions'].add(ref.nodeId);
+        });
+
+        const apply = (page, edit) => page.nodes.forEach(node => {
+            if (edit.mentions.has(node.id)) {
+                node.title = MultiMapBacklinks.renameInText(node.title, oldTitle, newTitle);
+                node.content = MultiMapBacklinks.renameInText(node.content, oldTitle, newTitle);
+            }
+            if (edit.portals.has(node.id) && node.title === oldTitle) node.title = newTitle;
+        });
+
+        let updated = 0;
+        for (const [pageId, edit] of Object.entries(edits)) {
             try {
-                let projId = this.activeProjectId;
-                for (const [pId, pages] of Object.entries(this.firestorePagesByProject)) {
-                    if (pages.some(p => p.map_id === id)) {
-                        projId = pId;
-                        break;
-                    }
-                }
-                
-                const mapRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", projId, "pages", id);
-                await window.Firestore.deleteDoc(mapRef);
-                
-                if (this.firestorePagesByProject[projId]) {
-                    this.firestorePagesByProject[projId] = this.firestorePagesByProject[projId].filter(x => x.map_id !== id);
-                }
-                
-                const proj = this.firestoreProjects.find(p => p.project_id === projId);
-                if (proj) {
-                    proj.page_ids = proj.page_ids.filter(x => x !== id);
-                    const projRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", projId);
-                    await window.Firestore.setDoc(projRef, proj);
-                }
-                
-                // SCAFFOLD: Hook into file-root dynamic synchronization
-                // If we delete a page, we should remove the corresponding 'file-document' node from the project's Master Map (file-root).
-                
-                if (this.state.map_id === id) {
-                    const allPages = this.getLibrary();
-                    if (allPages.length > 0) {
-                        this.loadMapState(allPages[0]);
-                    } else {
-                        this.state = this.getEmptyState();
-                        this.notify();
-                    }
+                if (this.state.map_id === pageId) {
+                    this.transact(`Update links to "${newTitle}"`, () => apply(this.state, edit));
+                    await this.saveMapToLibrary(this.state);
                 } else {
-                    this.notify();
+                    const found = this.vault.findPage(pageId);
+                    if (!found) continue;
+                    const page = JSON.parse(JSON.stringify(found.page));
+                    apply(page, edit);
+                    await this.vault.savePage(page);
                 }
+                updated++;
             } catch (err) {
-                console.error("Firestore delete failed:", err);
-            }
-        } else {
-            let lib = this.getLibrary().filter(x => x.map_id !== id);
-            this.saveLibrary(lib);
-            
-            this.projects.forEach(p => {
-                p.page_ids = p.page_ids.filter(x => x !== id);
-            });
-            localStorage.setItem("mm_projects", JSON.stringify(this.projects));
-            
-            // SCAFFOLD: Hook into file-root dynamic synchronization (local)
-            // If we delete a page, we should remove the corresponding 'file-document' node from the project's Master Map (file-root).
-            
-            if (this.state.map_id === id) {
-                if (lib.length > 0) {
-                    this.loadMapState(lib[0]);
-                } else {
-                    this.state = this.getEmptyState();
-                    this.notify();
-                }
-            } else {
-                this.notify();
+                console.error(`Updating links on ${pageId} failed:`, err);
             }
         }
+        return updated;
     }
 
-    async updateLibraryItem(id, metaUpdates) {
-        if (window.FirebaseAuth && window.FirebaseAuth.currentUser && !window.FirebaseAuth.currentUser.isAnonymous) {
-            const uid = window.FirebaseAuth.currentUser.uid;
-            try {
-                let projId = this.activeProjectId;
-                for (const [pId, pages] of Object.entries(this.firestorePagesByProject)) {
-                    if (pages.some(p => p.map_id === id)) {
-                        projId = pId;
-                        break;
-                    }
-                }
-                const mapRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", projId, "pages", id);
-                if (this.firestorePagesByProject[projId]) {
-                    const idx = this.firestorePagesByProject[projId].findIndex(x => x.map_id === id);
-                    if (idx !== -1) {
-                        this.firestorePagesByProject[projId][idx].meta = { ...this.firestorePagesByProject[projId][idx].meta, ...metaUpdates };
-                        await window.Firestore.setDoc(mapRef, this.firestorePagesByProject[projId][idx]);
-                        if (this.state.map_id === id) {
-                            this.state.meta = { ...this.state.meta, ...metaUpdates };
-                        }
-                        this.notify();
-                    }
-                }
-            } catch (err) {
-                console.error("Firestore updateLibraryItem failed:", err);
-            }
-        } else {
-            let lib = this.getLibrary();
-            const idx = lib.findIndex(x => x.map_id === id);
-            if (idx !== -1) {
-                lib[idx].meta = { ...lib[idx].meta, ...metaUpdates };
-                this.saveLibrary(lib);
-                if (this.state.map_id === id) {
-                    this.state.meta = { ...this.state.meta, ...metaUpdates };
+    // --- Workspace Search ---
+
+    /** Search every page in the active vault; see MultiMapSearchIndex.search for `filters`. */
+    searchWorkspace(query, filters = {}) {
+        return this.searchIndex
+            .sync(this.getLibrary(), this.state && this.state.map_id ? this.state : null)
+            .search(query, filters);
+    }
+
+    /**
+     * The shortest chain of portals leading from one page to another, as the list of
+     * map_ids to enter (excluding `fromMapId`). Null when no portal route exists.
+     */
+    findPortalPath(fromMapId, toMapId) {
+        if (fromMapId === toMapId) return [];
+        const index = this.refreshBacklinks();
+        const prev = new Map([[fromMapId, null]]);
+        const queue = [fromMapId];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            const entry = index.entries.get(current);
+            for (const ref of (entry ? entry.refs : [])) {
+                if (ref.kind !== 'portal' || prev.has(ref.target) || !this.vault.findPage(ref.target)) continue;
+                prev.set(ref.target, current);
+                if (ref.target === toMapId) {
+                    const path = [];
+                    for (let id = toMapId; id !== fromMapId; id = prev.get(id)) path.unshift(id);
+                    return path;
                 }
-                this.notify();
+                queue.push(ref.target);
             }
         }
+        return null;
     }
-    loadMapState(data) {
-        this.saveCurrentMapToLibrary();
-        this.saveHistory();
-        this.state = this.ensureSchema(data);
+
+    // --- Outline Export & Import (Markdown, OPML, FreeMind, XMind) ---
+
+    /**
+     * Files for a page and every page its portals lead to, transitively, as [{ name, data }]
+     * in one of MultiMapOutline.formats. Files are named after page titles, and portals link
+     * to the file of their target, so the set reads as linked documents.
+     */
+    exportOutlineFiles(mapId = this.state.map_id, format = 'markdown') {
+        const outline = MultiMapGraph.resolveOutline();
+        const start = this.getPageForSync(mapId);
+        if (!start) return [];
+        const extension = outline.formats[format].extension;
+        const pages = [];
+        const names = new Map(); // map_id -> file name
+        const used = new Set();
+        const add = (page) => {
+            const base = outline.slug(page.meta?.title);
+            let name = `${base}.${extension}`;
+            for (let n = 2; used.has(name); n++) name = `${base}-${n}.${extension}`;
+            used.add(name);
+            names.set(page.map_id, name);
+            pages.push(page);
+        };
+        add(start);
+        for (let i = 0; i < pages.length; i++) {
+            (pages[i].nodes || []).forEach(node => {
+                const target = MultiMapBacklinks.portalTarget(node);
+                if (!target || names.has(target)) return;
+                const page = this.getPageForSync(target);
+                if (page) add(page);
+            });
+        }
+        const linkFor = (node) => names.get(MultiMapBacklinks.portalTarget(node)) || null;
+        return pages.map(page => ({ name: names.get(page.map_id), data: outline.stringify(format, this.outlineOf(page, linkFor)) }));
+    }
+
+    /** Outline links name a page by its exported file (roadmap.md, roadmap.mm...), its title, or its map_id. */
+    resolveOutlineLink(href) {
+        const file = String(href || '').split(/[?#]/)[0].split('/').pop().replace(/\.(md|markdown|opml|mm|xmind)$/i, '');
+        if (!file || /^[a-z][a-z0-9+.-]*:/i.test(href)) return null;
+        const pages = this.getLibrary();
+        if (pages.some(p => p.map_id === file)) return file;
+        const outline = MultiMapGraph.resolveOutline();
+        const matches = pages.filter(p => outline.slug(p.meta?.title) === outline.slug(file));
+        const match = matches.find(p => p.meta?.project_id === this.activeProjectId) || matches[0];
+        return match ? match.map_id : null;
+    }
+
+    /** Save an outline as a new page in the active project, opening it unless `open` is false. Resolves with the page, or null. */
+    async importOutlinePage(outline, title = null, open = true) {
+        return this.addImportedPage(this.pageFromOutline(outline, title), open);
+    }
+
+    async addImportedPage(page, open) {
+        page.meta.project_id = this.activeProjectId;
+        if (await this.saveMapToLibrary(page) === false) return null;
+        if (!open) return page;
+        this.loadMapState(page);
+        return this.state;
+    }
+
+    // --- Diagram Export & Import (Mermaid, Graphviz DOT) ---
+
+    /** Portals in diagrams show their target page and link to its Markdown export, as exportOutlineFiles names it. */
+    portalFor(node) {
+        const target = MultiMapBacklinks.portalTarget(node);
+        const page = target ? this.getPageForSync(target) : null;
+        if (!page) return null;
+        return { title: page.meta?.title || 'Untitled', href: `${MultiMapGraph.resolveOutline().slug(page.meta?.title)}.md` };
+    }
+
+    /** Parse Mermaid flowchart text into a new page (see pageFromDiagram). Throws when the text is not a flowchart. */
+    async importDiagramPage(text, title = null, open = true) {
+        const diagram = MultiMapGraph.resolveDiagram().mermaid.parse(text);
+        return this.addImportedPage(this.pageFromDiagram(diagram, title), open);
+    }
+
+    // --- Static Site Export ---
+
+    /**
+     * The files of a static website built from every web-root in a project: the open page's
+     * first web-root is index.html, the rest are named after their titles. `fetchAsset(path)`
+     * reads local images and videos (see MultiMapWeb.exportSite). Resolves with null when the
+     * project has no web-roots.
+     */
+    async exportSiteFiles(projectId = this.activeProjectId, fetchAsset) {
+        const pages = this.getPages(projectId).map(p => this.getPageForSync(p.map_id) || p);
+        const open = pages.findIndex(p => p.map_id === this.state.map_id);
+        if (open > 0) pages.unshift(...pages.splice(open, 1));
+
+        const slug = MultiMapGraph.resolveOutline().slug;
+        const entries = [];
+        const used = new Set();
+        pages.forEach(page => MultiMapWeb.webRoots(page).forEach(root => {
+            const base = entries.length === 0 ? 'index' : slug(root.title);
+            let name = `${base}.html`;
+            for (let n = 2; used.has(name); n++) name = `${base}-${n}.html`;
+            used.add(name);
+            entries.push({ name, page, root });
+        }));
+        if (entries.length === 0) return null;
+        return MultiMapWeb.exportSite(entries, { fetchAsset });
+    }
+
+    // --- Graph Queries ---
+
+    /** Run a MultiMapQuery expression against the open page. Throws on a syntax error. */
+    runQuery(text) {
+        return MultiMapQuery.run(this.state, text);
+    }
+
+    getSavedQueries(projectId = this.activeProjectId) {
+        const project = this.getProjects().find(p => p.project_id === projectId);
+        return (project && project.meta && Array.isArray(project.meta.saved_queries)) ? project.meta.saved_queries : [];
+    }
+
+    /** Save (or overwrite by name) a query on the project. The query is parsed first. */
+    async saveQuery(name, query, projectId = this.activeProjectId) {
+        MultiMapQuery.parse(query);
+        const project = this.getProjects().find(p => p.project_id === projectId);
+        if (!project) throw new Error('Project not found.');
+
+        const saved = this.getSavedQueries(projectId).filter(q => q.name.toLowerCase() !== name.toLowerCase());
+        const entry = { id: this.generateId(), name, query, created_at: new Date().toISOString() };
+        project.meta = { ...project.meta, saved_queries: [...saved, entry] };
+        project.updated_at = new Date().toISOString();
+        await this.vault.saveProject(project);
         this.notify();
+        return entry;
     }
-    
-    // --- Portal Navigation ---
-    enterPortal(mapData) {
-        this.saveCurrentMapToLibrary();
-        this.portalHistory.push(JSON.parse(JSON.stringify(this.state)));
-        this.history = []; // Clear undo history for new map
-        this.state = this.ensureSchema(mapData);
+
+    async deleteSavedQuery(queryId, projectId = this.activeProjectId) {
+        const project = this.getProjects().find(p => p.project_id === projectId);
+        if (!project) return;
+        project.meta = { ...project.meta, saved_queries: this.getSavedQueries(projectId).filter(q => q.id !== queryId) };
+        project.updated_at = new Date().toISOString();
+        await this.vault.saveProject(project);
         this.notify();
     }
-    
-    saveCurrentMapToLibrary() {
-        if (!this.state || !this.state.map_id) return;
-        this.saveMapToLibrary(this.state);
+
+    // --- Project Ontology ---
+
+    getOntology(projectId = this.activeProjectId) {
+        const project = this.getProjects().find(p => p.project_id === projectId);
+        return (project && project.meta && project.meta.ontology) || null;
     }
 
-    exitPortal() {
-        if (this.portalHistory.length > 0) {
-            this.saveCurrentMapToLibrary(); // Persist submap edits before leaving
-            this.state = this.ensureSchema(this.portalHistory.pop());
-            this.history = []; // Clear undo history
-            this.notify();
-            return true;
-        }
-        return false;
+    /** Merge a project's custom types into the schema. A no-op while the same ontology is applied. */
+    useOntology(projectId) {
+        if (!this.schema || !this.schema.applyOntology) return;
+        const ontology = this.getOntology(projectId);
+        if (this.schema.ontology !== ontology) this.schema.applyOntology(ontology);
     }
 
-    async migrateGuestData(uid) {
+    /** Pages are normalized under their own project's ontology, so custom root types survive. */
+    ensureSchema(state) {
+        if (state && state.meta) this.useOntology(state.meta.project_id || this.activeProjectId);
+        return super.ensureSchema(state);
+    }
+
+    /** Replace a project's ontology. Throws with the validation messages when it does not hold together. */
+    async saveOntology(ontology, projectId = this.activeProjectId) {
+        const problems = this.schema && this.schema.validateOntology ? this.schema.validateOntology(ontology) : [];
+        if (problems.length) throw new Error(problems.join('\n'));
+        const project = this.getProjects().find(p => p.project_id === projectId);
+        if (!project) throw new Error('Project not found.');
+
+        const empty = !ontology || (Object.keys(ontology.nodeTypes || {}).length === 0 && Object.keys(ontology.mapTypes || {}).length === 0);
+        project.meta = { ...project.meta, ontology: empty ? null : ontology };
+        project.updated_at = new Date().toISOString();
+        await this.vault.saveProject(project);
+        this.notify();
+        return project.meta.ontology;
+    }
+
+    /**
+     * Move the guest workspace (including unsaved edits to the open page) into the
+     * signed-in user's Firebase vault. Local data is only cleared if every write succeeds.
+     */
+    async migrateGuestData(firebase) {
         try {
-            const libHelper = window.MultiMapLibrary || MultiMapLibrary;
-            const { projects: localProjects, pages: localPages } = libHelper.loadLocalProjects();
+            const local = MultiMapVaults.get('local');
+            local.loadSync();
             
-            let migratedProjects = [...localProjects];
-            let migratedLib = [...localPages];
-            
-            // Read active guest state map ID if it exists and make sure it has the latest edits
-            const rawActiveState = localStorage.getItem("mm_core_state");
-            let guestActiveMapId = null;
-            let guestActiveProjectId = null;
-            if (rawActiveState) {
-                try {
-                    const activeState = JSON.parse(rawActiveState);
-                    guestActiveMapId = activeState.map_id;
-                    guestActiveProjectId = activeState.meta?.project_id || 'default_project';
-                    
-                    if (guestActiveMapId) {
-                        // Replace/Insert active state in the migration array to capture unsaved edits
-                        const idx = migratedLib.findIndex(m => m.map_id === guestActiveMapId);
-                        if (idx > -1) {
-                            migratedLib[idx] = activeState;
-                        } else {
-                            migratedLib.push(activeState);
-                        }
-                        
-                        // Ensure the project lists contain this map
-                        const activeProj = migratedProjects.find(p => p.project_id === guestActiveProjectId);
-                        if (activeProj) {
-                            if (!activeProj.page_ids) activeProj.page_ids = [];
-                            if (!activeProj.page_ids.includes(guestActiveMapId)) {
-                                activeProj.page_ids.push(guestActiveMapId);
-                            }
-                        }
-                    }
-                } catch(e) {
-                    console.warn("Failed to parse guest active state", e);
-                }
+            // Make sure the active guest page carries its latest edits
+            const session = local.readSession();
+            const activeState = session?.state?.map_id ? session.state : null;
+            if (activeState) {
+                if (!activeState.meta) activeState.meta = {};
+                if (!activeState.meta.project_id) activeState.meta.project_id = 'default_project';
+                local.cachePage(activeState);
             }
 
-            if (migratedProjects.length === 0 && migratedLib.length === 0) return;
+            const hasPages = local.getAllPages().length > 0;
+            const hasCustomProjects = local.getProjects().some(p => p.project_id !== 'default_project');
+            if (!hasPages && !hasCustomProjects) return;
             
             console.log(`Migrating guest projects and maps to Firestore...`);
+            const { failed } = await this.migrateVault(local, firebase);
             
-            // Fix orphaned pages (pages without project or mapping to a non-existent project)
-            const validProjIds = new Set(migratedProjects.map(p => p.project_id).filter(Boolean));
-            let hasOrphans = false;
-            
-            migratedLib.forEach(page => {
-                if (!page || !page.map_id) return;
-                const pid = page.meta?.project_id;
-                if (!pid || !validProjIds.has(pid)) {
-                    if (!page.meta) page.meta = {};
-                    page.meta.project_id = 'default_project';
-                    hasOrphans = true;
-                }
-            });
-            
-            if (hasOrphans || migratedProjects.length === 0) {
-                let defaultProj = migratedProjects.find(p => p.project_id === 'default_project');
-                if (!defaultProj) {
-                    defaultProj = {
-                        project_id: "default_project",
-                        meta: {
-                            title: "My Project",
-                            description: "Migrated guest project",
-                            icon: "📁",
-                            color: "#8b5cf6"
-                        },
-                        created_at: new Date().toISOString(),
-                        updated_at: new Date().toISOString(),
-                        page_ids: []
-                    };
-                    migratedProjects.push(defaultProj);
-                }
-                
-                // Add any orphans to default_project's page_ids
-                migratedLib.forEach(page => {
-                    if (!page || !page.map_id) return;
-                    if (page.meta?.project_id === 'default_project') {
-                        if (!defaultProj.page_ids) defaultProj.page_ids = [];
-                        if (!defaultProj.page_ids.includes(page.map_id)) {
-                            defaultProj.page_ids.push(page.map_id);
-                        }
-                    }
-                });
-            }
-            
-            let allSuccess = true;
-            
-            for (const proj of migratedProjects) {
-                if (!proj || !proj.project_id) continue;
-                try {
-                    const projRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", proj.project_id);
-                    const projSnap = await window.Firestore.getDoc(projRef);
-                    
-                    let finalProj = { ...proj };
-                    if (!finalProj.page_ids) finalProj.page_ids = [];
-                    
-                    if (projSnap.exists()) {
-                        const existingProj = projSnap.data();
-                        const mergedPageIds = Array.from(new Set([
-                            ...(existingProj.page_ids || []),
-                            ...(finalProj.page_ids || [])
-                        ]));
-                        finalProj = {
-                            ...existingProj,
-                            page_ids: mergedPageIds,
-                            updated_at: new Date().toISOString()
-                        };
-                    }
-                    
-                    await window.Firestore.setDoc(projRef, finalProj);
-                    
-                    const projPages = migratedLib.filter(m => m && m.map_id && m.meta?.project_id === proj.project_id);
-                    
-                    for (const page of projPages) {
-                        try {
-                            if (!page.meta) page.meta = {};
-                            page.meta.project_id = proj.project_id;
-                            
-                            const pageRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", proj.project_id, "pages", page.map_id);
-                            await window.Firestore.setDoc(pageRef, page);
-                        } catch (pageErr) {
-                            console.error(`Failed to migrate page ${page.map_id}:`, pageErr);
-                            allSuccess = false;
-                        }
-                    }
-                } catch (projErr) {
-                    console.error(`Failed to migrate project ${proj.project_id}:`, projErr);
-                    allSuccess = false;
-                }
-            }
-            
-            // If there was an active guest map, update the session document in Firestore
-            if (guestActiveMapId) {
+            // If there was an active guest map, resume on it after sign-in
+            if (activeState) {
                 try {
-                    const sessionRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "sessions", "active");
-                    await window.Firestore.setDoc(sessionRef, {
-                        activeProjectId: guestActiveProjectId || 'default_project',
-                        activeMapId: guestActiveMapId,
+                    await firebase.saveSession({
+                        activeProjectId: activeState.meta.project_id,
+                        activeMapId: activeState.map_id,
                         portalHistory: []
                     });
                 } catch (sessErr) {
@@ -1619,8 +1672,8 @@ class MultiMapKernel {
                 }
             }
             
-            if (allSuccess) {
-                if (typeof MultiMapLibrary !== 'undefined') MultiMapLibrary.clearLocalProjects();
+            if (failed === 0) {
+                local.clear();
                 console.log("Migration complete.");
             } else {
                 console.warn("Migration partially failed. Local cache was not cleared to prevent data loss.");
@@ -1631,230 +1684,32 @@ class MultiMapKernel {
     }
 
     async syncWithFirestore(uid) {
+        console.log("Syncing with Firestore for user:", uid);
+        const firebase = MultiMapVaults.get('firebase');
         try {
-            console.log("Syncing with Firestore for user:", uid);
-            
-            await this.migrateGuestData(uid);
-            
-            // Always check for legacy flat maps to migrate
-            const mapsCol = window.Firestore.collection(window.FirebaseDb, "users", uid, "maps");
-            const mapsSnapshot = await window.Firestore.getDocs(mapsCol);
-            
-            const legacyMaps = [];
-            mapsSnapshot.forEach(doc => legacyMaps.push(doc.data()));
-            
-            if (legacyMaps.length > 0) {
-                console.log(`Migrating ${legacyMaps.length} legacy flat maps to projects...`);
-                const defaultProjId = "default_project";
-                
-                const defaultProjRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", defaultProjId);
-                const defaultProjSnap = await window.Firestore.getDoc(defaultProjRef);
-                let defaultProj;
-                if (defaultProjSnap.exists()) {
-                    defaultProj = defaultProjSnap.data();
-                } else {
-                    defaultProj = {
-                        project_id: defaultProjId,
-                        meta: {
-                            title: "My Project",
-                            description: "Migrated workspace project",
-                            icon: "📁",
-                            color: "#8b5cf6"
-                        },
-                        created_at: new Date().toISOString(),
-                        updated_at: new Date().toISOString(),
-                        page_ids: []
-                    };
-                }
-                
-                for (const map of legacyMaps) {
-                    if (!map.meta) map.meta = {};
-                    map.meta.project_id = defaultProjId;
-                    if (!defaultProj.page_ids.includes(map.map_id)) {
-                        defaultProj.page_ids.push(map.map_id);
-                    }
-                    
-                    const pageRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", defaultProjId, "pages", map.map_id);
-                    await window.Firestore.setDoc(pageRef, map);
-                    
-                    const oldMapRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "maps", map.map_id);
-                    await window.Firestore.deleteDoc(oldMapRef);
-                }
-                
-                await window.Firestore.setDoc(defaultProjRef, defaultProj);
-            }
-            
-            const projectsCol = window.Firestore.collection(window.FirebaseDb, "users", uid, "projects");
-            const projectsSnapshot = await window.Firestore.getDocs(projectsCol);
-            
-            this.firestoreProjects = [];
-            this.firestorePagesByProject = {};
-            
-            if (projectsSnapshot.empty) {
-                console.log("No projects found after migration. Provisioning default project and page...");
-                const defaultProjId = "default_project";
-                const defaultProj = {
-                    project_id: defaultProjId,
-                    meta: {
-                        title: "Personal Workspace",
-                        description: "My default workspace",
-                        icon: "📁",
-                        color: "#8b5cf6"
-                    },
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString(),
-                    page_ids: []
-                };
-                const defaultMapId = this.generateId();
-                const defaultMap = {
-                    map_id: defaultMapId,
-                    meta: { 
-                        title: "Project Directory", 
-                        type: "file-root", 
-                        created: new Date().toISOString(),
-                        shared: false,
-                        project_id: defaultProjId
-                    },
-                    nodes: [{ id: this.generateId(), type: "file-root", title: "Project Directory", data: { x: 0, y: 0, isCore: true } }],
-                    connections: [],
-                    session: { 
-                        viewport: { x: window.innerWidth / 2, y: window.innerHeight / 2, scale: 1 }, 
-                        selectedId: null, 
-                        remoteTemplates: [], 
-                        layoutMode: 'organic' 
-                    }
-                };
-                defaultProj.page_ids.push(defaultMapId);
-                
-                const projRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", defaultProjId);
-                await window.Firestore.setDoc(projRef, defaultProj);
-                
-                const pageRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", defaultProjId, "pages", defaultMapId);
-                await window.Firestore.setDoc(pageRef, defaultMap);
-                
-                this.firestoreProjects.push(defaultProj);
-                this.firestorePagesByProject[defaultProjId] = [defaultMap];
-                
-                const sessionRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "sessions", "active");
-                await window.Firestore.setDoc(sessionRef, {
-                    activeProjectId: defaultProjId,
-                    activeMapId: defaultMapId,
-                    portalHistory: []
-                });
-            } else {
-                projectsSnapshot.forEach(doc => {
-                    this.firestoreProjects.push(doc.data());
-                });
-                
-                const pagePromises = this.firestoreProjects.map(async (proj) => {
-                    const pagesCol = window.Firestore.collection(window.FirebaseDb, "users", uid, "projects", proj.project_id, "pages");
-                    const pagesSnapshot = await window.Firestore.getDocs(pagesCol);
-                    const pages = [];
-                    pagesSnapshot.forEach(doc => pages.push(doc.data()));
-                    this.firestorePagesByProject[proj.project_id] = pages;
-                });
-                
-                await Promise.all(pagePromises);
-            }
-            
-            const sessionRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "sessions", "active");
-            const sessionSnap = await window.Firestore.getDoc(sessionRef);
-            
-            let activeProjectId = "default_project";
-            let activeMapId = null;
-            let portalHistory = [];
-            
-            if (sessionSnap.exists()) {
-                const sessionData = sessionSnap.data();
-                activeProjectId = sessionData.activeProjectId || "default_project";
-                activeMapId = sessionData.activeMapId;
-                portalHistory = sessionData.portalHistory || [];
-            }
-            
-            if (this.isUsingCloudVault()) {
-                this.activeProjectId = activeProjectId;
-                
-                let activePage = null;
-                if (activeMapId && this.firestorePagesByProject[activeProjectId]) {
-                    activePage = this.firestorePagesByProject[activeProjectId].find(p => p.map_id === activeMapId);
-                }
-                
-                if (!activePage) {
-                    const currentProj = this.firestoreProjects.find(p => p.project_id === activeProjectId) || this.firestoreProjects[0];
-                    if (currentProj) {
-                        this.activeProjectId = currentProj.project_id;
-                        const projPages = this.firestorePagesByProject[this.activeProjectId] || [];
-                        activePage = projPages[0];
-                    }
-                }
-                
-                if (activePage) {
-                    this.state = this.ensureSchema(activePage);
-                    this.portalHistory = portalHistory;
-                    this.lastSaveState = JSON.stringify(this.state);
-                    
-                    if (!sessionSnap.exists()) {
-                        await window.Firestore.setDoc(sessionRef, {
-                            activeProjectId: this.activeProjectId,
-                            activeMapId: activePage.map_id,
-                            portalHistory: []
-                        });
-                    }
-                } else {
-                    console.warn("Active page not found after sync. Initializing empty state.");
-                    this.state = this.getEmptyState();
-                    this.portalHistory = [];
-                    this.lastSaveState = JSON.stringify(this.state);
-                }
-                
-                this.notify();
-                console.log("Firestore sync complete.");
-                
-                // Refresh data manager panel if it's open
-                const dmDrawer = document.getElementById('data-manager-drawer');
-                const dmContainer = document.getElementById('data-manager-content');
-                if (dmDrawer && dmContainer && !dmDrawer.classList.contains('translate-x-full') && window.Auth) {
-                    window.Auth.renderDataManager(dmContainer);
-                }
-                
-                const e = document.getElementById('save-status');
-                if (e) {
-                    e.innerHTML = '<span class="w-1.5 h-1.5 rounded-full bg-emerald-500"></span> Cloud';
-                }
-            } else {
-                this.notify();
-                console.log("Firestore sync complete in background.");
-                const e = document.getElementById('save-status');
-                if (e) {
-                    e.innerHTML = '<span class="w-1.5 h-1.5 rounded-full bg-emerald-500"></span> Local';
-                }
-            }
+            await firebase.load();
+            await this.migrateGuestData(firebase);
         } catch (err) {
             console.error("Error syncing with Firestore:", err);
+            return;
         }
+        await this.openVault(firebase);
+        console.log(this.isUsingCloudVault() ? "Firestore sync complete." : "Firestore sync complete in background.");
     }
 
     disconnectFirestore() {
-        console.log("Disconnecting from Firestore, falling back to LocalStorage.");
-        this.firestoreLibrary = [];
-        this.projects = [];
-        this.activeProjectId = 'default_project';
-        this.migrateLocalGuestData();
-        const rawState = this.loadFromStorage();
-        this.state = this.ensureSchema(rawState);
-        this.portalHistory = [];
-        this.lastSaveState = JSON.stringify(this.state);
+        console.log("Disconnecting from Firestore.");
+        MultiMapVaults.get('firebase').reset();
         
-        if (this.state.nodes.length === 0) {
-            this.addNode({ type: "root", title: "Root", data: { x: 0, y: 0, isCore: true } });
+        const local = MultiMapVaults.get('local');
+        local.loadSync();
+        if (this.vault === local) {
+            this.activeProjectId = 'default_project';
+            this.applySession(local.readSession());
         }
         this.notify();
         
-        const e = document.getElementById('save-status');
-        if (e) {
-            e.innerHTML = '<span class="w-1.5 h-1.5 rounded-full bg-emerald-500"></span> Local';
-        }
+        this.ui.setSaveStatus(this.vault.saveStatus);
     }
 
-    selectNode(id) { this.state.session.selectedId = id; this.notify(); }
-}
\ No newline at end of file
+}
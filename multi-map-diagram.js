@@ -0,0 +1,381 @@
+/**
+ * Multi-Map DIAGRAM v14.11
+ * Features: Mermaid Flowchart / Mindmap & Graphviz DOT Export, Type Shapes, Edge Styles per Connection Type,
+ *           Collapsed-Branch Summaries, Portal Links, Mermaid Flowchart Import.
+ *
+ *   const opts = { schema: MultiMapSchema, isHierarchy, portalFor: node => ({ title: 'Roadmap', href: 'roadmap.md' }) };
+ *   MultiMapDiagram.mermaid.flowchart(page, opts)   // "flowchart LR ..." with classDefs and linkStyles
+ *   MultiMapDiagram.mermaid.mindmap(page, opts)     // the hierarchy only; cross-links are counted in a comment
+ *   MultiMapDiagram.dot(page, opts)                 // "digraph ..." for Graphviz
+ *   MultiMapDiagram.mermaid.parse(text)             // flowchart subset -> { title, direction, nodes, edges, links }
+ *
+ * Collapsed branches are drawn as their collapsed node with a "+N" count and a dashed
+ * outline (opts.collapsed = 'expand' draws everything). Portals get their own shape, the
+ * target page in the label, and a link to it where `portalFor` gives an href.
+ */
+
+const MultiMapDiagram = {
+    // Shape family per node type; web-* types share 'web', custom types use 'box'
+    shapes: {
+        root: { flowchart: ['((', '))'], mindmap: ['((', '))'], dot: 'doublecircle', fill: '#ea580c', stroke: '#9a3412', text: '#ffffff' },
+        hub: { flowchart: ['{{', '}}'], mindmap: ['{{', '}}'], dot: 'hexagon', fill: '#1e293b', stroke: '#38bdf8', text: '#e2e8f0' },
+        note: { flowchart: ['[', ']'], mindmap: ['[', ']'], dot: 'note', fill: '#f8fafc', stroke: '#94a3b8', text: '#0f172a' },
+        portal: { flowchart: ['>', ']'], mindmap: [')', '('], dot: 'cds', fill: '#3b0764', stroke: '#a855f7', text: '#f3e8ff' },
+        gate: { flowchart: ['{', '}'], mindmap: ['))', '(('], dot: 'diamond', fill: '#422006', stroke: '#f59e0b', text: '#fef3c7' },
+        web: { flowchart: ['([', '])'], mindmap: ['(', ')'], dot: 'component', fill: '#082f49', stroke: '#0ea5e9', text: '#e0f2fe' },
+        box: { flowchart: ['(', ')'], mindmap: ['(', ')'], dot: 'box', fill: '#0f172a', stroke: '#64748b', text: '#e2e8f0' }
+    },
+
+    shapeOf(type) {
+        if (!type) return 'box';
+        if (type === 'root' || type.endsWith('-root')) return 'root';
+        if (type === 'portal' || type === 'smart-portal') return 'portal';
+        if (type === 'logic-gate') return 'gate';
+        if (type === 'hub' || type === 'note') return type;
+        return type.startsWith('web-') ? 'web' : 'box';
+    },
+
+    /**
+     * What a diagram shows: visible nodes with short ids ("n1"...), labels and hidden counts,
+     * and the edges between them with their connection type definitions.
+     */
+    prepare(page, { schema = null, isHierarchy = (c) => !c.type || c.type === 'structural', portalFor = () => null, collapsed = 'summarize' } = {}) {
+        const nodes = page.nodes || [];
+        const byId = new Map(nodes.map(n => [n.id, n]));
+        const connections = (page.connections || []).filter(c => byId.has(c.from) && byId.has(c.to) && c.from !== c.to);
+        const childrenOf = new Map();
+        connections.filter(isHierarchy).forEach(c => {
+            if (!childrenOf.has(c.from)) childrenOf.set(c.from, []);
+            childrenOf.get(c.from).push(c.to);
+        });
+
+        // Everything below a collapsed node stays out, and the node says how much it holds
+        const hidden = new Set();
+        const hiddenCount = new Map();
+        if (collapsed !== 'expand') {
+            nodes.filter(n => n.data && n.data.collapsed).forEach(n => {
+                const below = new Set();
+                const stack = [...(childrenOf.get(n.id) || [])];
+                while (stack.length) {
+                    const id = stack.pop();
+                    if (id === n.id || below.has(id)) continue;
+                    below.add(id);
+                    stack.push(...(childrenOf.get(id) || []));
+                }
+                below.forEach(id => hidden.add(id));
+                hiddenCount.set(n.id, below.size);
+            });
+        }
+
+        const keys = new Map();
+        const items = nodes.filter(n => !hidden.has(n.id)).map((node, i) => {
+            keys.set(node.id, `n${i + 1}`);
+            const count = hiddenCount.get(node.id) || 0;
+            const portal = MultiMapDiagram.shapeOf(node.type) === 'portal' ? portalFor(node) : null;
+            const title = String(node.title || 'Untitled').replace(/\s*\n\s*/g, ' ').trim();
+            return {
+                id: node.id, key: keys.get(node.id), node, title,
+                shape: MultiMapDiagram.shapeOf(node.type),
+                label: `${title}${portal && portal.title && portal.title !== title ? ` ↗ ${portal.title}` : ''}${count ? ` (+${count})` : ''}`,
+                collapsed: count > 0,
+                portal
+            };
+        });
+
+        const fallback = (type) => ({ label: type, directed: true, hierarchy: type === 'structural', stroke: { color: null, dash: null, width: 1.5 } });
+        const edges = connections.filter(c => keys.has(c.from) && keys.has(c.to)).map(c => {
+            const type = c.type || 'structural';
+            const def = (schema && schema.getConnectionType && schema.getConnectionType(type)) || fallback(type);
+            return { from: keys.get(c.from), to: keys.get(c.to), type, def, hierarchy: isHierarchy(c) };
+        });
+        return { items, edges, keys, childrenOf, hiddenTotal: hidden.size };
+    },
+
+    /** Dotted for short dashes ("2,4"), dashed for longer ones, solid without. */
+    dashStyle(stroke) {
+        if (!stroke || !stroke.dash) return null;
+        return Number(String(stroke.dash).split(/[ ,]+/)[0]) <= 2 ? 'dotted' : 'dashed';
+    },
+
+    mermaid: {
+        DIRECTIONS: ['TB', 'TD', 'BT', 'LR', 'RL'],
+
+        /** Node text in quotes; Mermaid reads "#quot;" for a quote inside one. */
+        text(value) {
+            return `"${String(value).replace(/"/g, '#quot;')}"`;
+        },
+
+        arrow(def) {
+            const style = MultiMapDiagram.dashStyle(def.stroke);
+            const thick = def.stroke && def.stroke.width >= 2;
+            if (style) return def.directed ? '-.->' : '-.-';
+            if (thick) return def.directed ? '==>' : '===';
+            return def.directed ? '-->' : '---';
+        },
+
+        classDefs(out, used, items) {
+            Object.keys(MultiMapDiagram.shapes).filter(s => used.has(s)).forEach(s => {
+                const shape = MultiMapDiagram.shapes[s];
+                out.push(`    classDef ${s} fill:${shape.fill},stroke:${shape.stroke},color:${shape.text}`);
+            });
+            const collapsed = items.filter(i => i.collapsed).map(i => i.key);
+            if (collapsed.length) out.push('    classDef collapsed stroke-dasharray:5 3,stroke-width:2px');
+            Object.keys(MultiMapDiagram.shapes).filter(s => used.has(s)).forEach(s => {
+                out.push(`    class ${items.filter(i => i.shape === s).map(i => i.key).join(',')} ${s}`);
+            });
+            if (collapsed.length) out.push(`    class ${collapsed.join(',')} collapsed`);
+        },
+
+        /** A Mermaid flowchart of the page: every visible node and edge, styled by type. */
+        flowchart(page, options = {}) {
+            const direction = MultiMapDiagram.mermaid.DIRECTIONS.includes(options.direction) ? options.direction : 'LR';
+            const { items, edges, hiddenTotal } = MultiMapDiagram.prepare(page, options);
+            const text = MultiMapDiagram.mermaid.text;
+            const title = page.meta && page.meta.title;
+            const out = title ? ['---', `title: ${text(title)}`, '---'] : [];
+            out.push(`flowchart ${direction}`);
+            if (hiddenTotal) out.push(`    %% ${hiddenTotal} node(s) inside collapsed branches are summarised as (+N)`);
+
+            items.forEach(item => {
+                const [open, close] = MultiMapDiagram.shapes[item.shape].flowchart;
+                out.push(`    ${item.key}${open}${text(item.label)}${close}`);
+            });
+            const styles = new Map(); // "stroke:...,stroke-width:..." -> edge indexes
+            edges.forEach((edge, i) => {
+                const label = edge.hierarchy ? '' : `|${String(edge.def.label || edge.type).replace(/\|/g, '/')}|`;
+                out.push(`    ${edge.from} ${MultiMapDiagram.mermaid.arrow(edge.def)}${label} ${edge.to}`);
+                const stroke = edge.def.stroke || {};
+                if (stroke.color || stroke.width >= 2) {
+                    const css = [stroke.color ? `stroke:${stroke.color}` : null, stroke.width >= 2 ? `stroke-width:${stroke.width}px` : null].filter(Boolean).join(',');
+                    if (!styles.has(css)) styles.set(css, []);
+                    styles.get(css).push(i);
+                }
+            });
+            items.filter(i => i.portal && i.portal.href).forEach(item => {
+                out.push(`    click ${item.key} ${text(item.portal.href)} ${text(`Portal to ${item.portal.title || item.title}`)}`);
+            });
+            MultiMapDiagram.mermaid.classDefs(out, new Set(items.map(i => i.shape)), items);
+            styles.forEach((indexes, css) => out.push(`    linkStyle ${indexes.join(',')} ${css}`));
+            return out.join('\n') + '\n';
+        },
+
+        /**
+         * A Mermaid mindmap of the hierarchy from the core root. A mindmap has one root, so
+         * unattached branches hang from it too; cross-links cannot be drawn and are counted.
+         */
+        mindmap(page, options = {}) {
+            const { items, edges, hiddenTotal } = MultiMapDiagram.prepare(page, options);
+            const byKey = new Map(items.map(i => [i.key, i]));
+            const kids = new Map();
+            const hasParent = new Set();
+            edges.filter(e => e.hierarchy).forEach(e => {
+                if (hasParent.has(e.to)) return;
+                hasParent.add(e.to);
+                if (!kids.has(e.from)) kids.set(e.from, []);
+                kids.get(e.from).push(e.to);
+            });
+            const core = items.find(i => i.node.data && i.node.data.isCore) || items.find(i => !hasParent.has(i.key));
+            const out = ['mindmap'];
+            if (!core) return out.join('\n') + '\n';
+
+            const text = MultiMapDiagram.mermaid.text;
+            const seen = new Set();
+            const write = (key, depth) => {
+                seen.add(key);
+                const item = byKey.get(key);
+                const [open, close] = MultiMapDiagram.shapes[item.shape].mindmap;
+                out.push(`${'  '.repeat(depth)}${item.key}${open}${text(item.label)}${close}`);
+                (kids.get(key) || []).filter(k => !seen.has(k)).forEach(k => write(k, depth + 1));
+            };
+            write(core.key, 1);
+            items.filter(i => !seen.has(i.key) && !hasParent.has(i.key)).forEach(i => write(i.key, 2));
+            items.filter(i => !seen.has(i.key)).forEach(i => write(i.key, 2)); // parents inside cycles
+
+            const crossLinks = edges.filter(e => !e.hierarchy).length;
+            if (crossLinks) out.push(`%% ${crossLinks} cross-link(s) are not shown in a mindmap`);
+            if (hiddenTotal) out.push(`%% ${hiddenTotal} node(s) inside collapsed branches are summarised as (+N)`);
+            return out.join('\n') + '\n';
+        },
+
+        SHAPES: [
+            ['(((', ')))'], ['((', '))'], ['([', '])'], ['[[', ']]'], ['[(', ')]'], ['{{', '}}'],
+            ['[/', '/]'], ['[/', '\\]'], ['[\\', '\\]'], ['[\\', '/]'], ['[', ']'], ['(', ')'], ['{', '}'], ['>', ']']
+        ],
+
+        /** The node at the start of `s`: id, then an optional shape with its text, then an optional :::class. */
+        readNode(s) {
+            const id = s.match(/^([^\s\[\](){}<>|&;:"=.~-]+(?:-[^\s\[\](){}<>|&;:"=.~-]+)*)/);
+            if (!id) return null;
+            let rest = s.slice(id[0].length);
+            let shape = null, title = null;
+            for (const [open, close] of MultiMapDiagram.mermaid.SHAPES) {
+                if (!rest.startsWith(open)) continue;
+                let body = rest.slice(open.length), end;
+                if (body.startsWith('"')) {
+                    const q = body.indexOf('"', 1);
+                    if (q < 0 || !body.slice(q + 1).startsWith(close)) continue;
+                    title = body.slice(1, q);
+                    end = open.length + q + 1 + close.length;
+                } else {
+                    const c = body.indexOf(close);
+                    if (c < 0) continue;
+                    title = body.slice(0, c).trim();
+                    end = open.length + c + close.length;
+                }
+                shape = open;
+                rest = rest.slice(end);
+                break;
+            }
+            const cls = rest.match(/^:::[\w-]+/);
+            if (cls) rest = rest.slice(cls[0].length);
+            if (title !== null) title = title.replace(/#quot;/g, '"').replace(/<br\s*\/?>/gi, ' ').trim();
+            return { key: id[1], shape, title, rest };
+        },
+
+        /** The edge at the start of `s`, as { directed, dotted, thick, invisible, label, rest }. */
+        readLink(s) {
+            let m = s.match(/^(--|==|-\.)\s*([^\s\->=.|][^>]*?)\s*(-{2,}|={2,}|\.+-)(>|o|x)?/); // A -- text --> B
+            let label = m ? m[2] : null;
+            if (!m) m = s.match(/^<?(-{2,}|={2,}|-?\.+-|~~~)(>|o|x)?/);
+            if (!m) return null;
+            const token = m[0];
+            let rest = s.slice(token.length);
+            const pipe = rest.match(/^\s*\|([^|]*)\|/);
+            if (pipe) {
+                label = pipe[1];
+                rest = rest.slice(pipe[0].length);
+            }
+            return {
+                directed: /[>ox]$/.test(token),
+                dotted: token.includes('.'),
+                thick: token.includes('='),
+                invisible: token === '~~~',
+                label: label ? label.replace(/^"|"$/g, '').trim() : null,
+                rest
+            };
+        },
+
+        /** Statements of a line, split on semicolons outside quotes. */
+        statements(line) {
+            const parts = [];
+            let current = '', quoted = false;
+            for (const ch of line) {
+                if (ch === '"') quoted = !quoted;
+                if (ch === ';' && !quoted) { parts.push(current); current = ''; }
+                else current += ch;
+            }
+            parts.push(current);
+            return parts.map(p => p.trim()).filter(Boolean);
+        },
+
+        /**
+         * Read a Mermaid flowchart: node shapes and labels, chained and `&` edges with their
+         * style and label, `click` links and a front matter title. Subgraph boxes, classes
+         * and styles are skipped. Other diagram types are refused.
+         */
+        parse(text) {
+            const mermaid = MultiMapDiagram.mermaid;
+            let lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+            let title = null;
+            while (lines.length && !lines[0].trim()) lines.shift();
+            if (lines[0] && lines[0].trim() === '---') {
+                const end = lines.findIndex((l, i) => i > 0 && l.trim() === '---');
+                if (end > 0) {
+                    lines.slice(1, end).forEach(l => {
+                        const t = l.match(/^\s*title:\s*(.+?)\s*$/);
+                        if (t) title = t[1].replace(/^"|"$/g, '').replace(/#quot;/g, '"');
+                    });
+                    lines = lines.slice(end + 1);
+                }
+            }
+
+            const nodes = new Map(); // key -> { key, title, shape }
+            const edges = [], links = {};
+            let direction = null;
+            const note = (n) => {
+                const known = nodes.get(n.key);
+                if (!known) nodes.set(n.key, { key: n.key, title: n.title ?? n.key, shape: n.shape });
+                else if (n.title !== null && known.shape === null) Object.assign(known, { title: n.title, shape: n.shape });
+            };
+
+            lines.map(l => l.trim()).filter(l => l && !l.startsWith('%%')).forEach(line => {
+                mermaid.statements(line).forEach(st => {
+                    if (direction === null) {
+                        const header = st.match(/^(flowchart|graph)(?:\s+(\w+))?\s*$/i);
+                        if (!header) throw new Error(`Only Mermaid flowcharts can be imported; this starts with "${st.split(/\s/)[0]}".`);
+                        direction = mermaid.DIRECTIONS.includes((header[2] || '').toUpperCase()) ? header[2].toUpperCase() : 'TD';
+                        return;
+                    }
+                    if (/^(classDef|class|style|linkStyle|subgraph|end|direction|accTitle|accDescr)\b/.test(st)) return;
+                    const click = st.match(/^click\s+(\S+)\s+(?:href\s+)?"([^"]+)"/);
+                    if (click) { links[click[1]] = click[2]; return; }
+
+                    // node (& node)* (link node (& node)*)*
+                    let rest = st, group = [], previous = null, link = null;
+                    while (rest) {
+                        const node = mermaid.readNode(rest);
+                        if (!node) break;
+                        note(node);
+                        group.push(node.key);
+                        rest = node.rest.trim();
+                        if (rest.startsWith('&')) { rest = rest.slice(1).trim(); continue; }
+                        if (previous && link && !link.invisible) {
+                            previous.forEach(from => group.forEach(to => edges.push({ from, to, directed: link.directed, dotted: link.dotted, thick: link.thick, label: link.label })));
+                        }
+                        link = mermaid.readLink(rest);
+                        if (!link) break;
+                        previous = group;
+                        group = [];
+                        rest = link.rest.trim();
+                    }
+                });
+            });
+            if (direction === null) throw new Error("This is not a Mermaid flowchart.");
+            return { title, direction, nodes: [...nodes.values()], edges, links };
+        }
+    },
+
+    /** A Graphviz digraph of the page; undirected connection types are drawn without arrowheads. */
+    dot(page, options = {}) {
+        const { items, edges, hiddenTotal } = MultiMapDiagram.prepare(page, options);
+        const q = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+        const title = (page.meta && page.meta.title) || 'Map';
+        const out = [
+            `digraph ${q(title)} {`,
+            `    graph [rankdir=${options.direction === 'TB' || options.direction === 'TD' ? 'TB' : 'LR'}, label=${q(title)}, labelloc=t, fontname="Helvetica", bgcolor="white"];`,
+            '    node [fontname="Helvetica", fontsize=11, style=filled];',
+            '    edge [fontname="Helvetica", fontsize=9, color="#64748b"];'
+        ];
+        if (hiddenTotal) out.push(`    // ${hiddenTotal} node(s) inside collapsed branches are summarised as (+N)`);
+        out.push('');
+
+        items.forEach(item => {
+            const shape = MultiMapDiagram.shapes[item.shape];
+            const attrs = [`label=${q(item.label)}`, `shape=${shape.dot}`, `fillcolor=${q(shape.fill)}`, `color=${q(shape.stroke)}`, `fontcolor=${q(shape.text)}`];
+            if (item.collapsed) attrs.push('style="filled,dashed"', 'penwidth=2');
+            if (item.portal) {
+                if (item.portal.href) attrs.push(`URL=${q(item.portal.href)}`);
+                attrs.push(`tooltip=${q(`Portal to ${item.portal.title || item.title}`)}`);
+            }
+            out.push(`    ${q(item.key)} [${attrs.join(', ')}];`);
+        });
+        out.push('');
+        edges.forEach(edge => {
+            const stroke = edge.def.stroke || {};
+            const attrs = [];
+            if (!edge.hierarchy) attrs.push(`label=${q(edge.def.label || edge.type)}`);
+            const style = MultiMapDiagram.dashStyle(stroke);
+            if (style) attrs.push(`style=${style}`);
+            if (stroke.color) attrs.push(`color=${q(stroke.color)}`, `fontcolor=${q(stroke.color)}`);
+            if (stroke.width >= 2) attrs.push(`penwidth=${stroke.width}`);
+            if (!edge.def.directed) attrs.push('dir=none');
+            out.push(`    ${q(edge.from)} -> ${q(edge.to)}${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+        });
+        out.push('}');
+        return out.join('\n') + '\n';
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapDiagram;
+}
@@ -0,0 +1,1541 @@
+/**
+ * Multi-Map GRAPH CORE v14.11
+ * Features: Headless graph operations, Operation Journal, Injected Storage/UI Adapters, Node.js Support.
+ *
+ * Everything here works on `this.state` alone. Persistence goes through
+ * `this.storage`, user prompts through `this.ui`, so the same code runs inside
+ * the sandbox (MultiMapKernel extends MultiMapGraph) and in Node.js:
+ *
+ *   const { MultiMapGraph } = require('./multi-map-graph.js');
+ *   const graph = new MultiMapGraph({ schedule: fn => fn() });
+ *   const hub = graph.addNode({ type: 'hub', title: 'Ideas' }, graph.state.nodes[0].id);
+ */
+
+/**
+ * Per-map undo/redo journal. Entries hold reversible graph operations
+ * (add/update/remove node, add/remove connection, meta changes) instead of
+ * full-state snapshots; `cursor` counts how many entries are currently applied.
+ */
+class MapJournal {
+    constructor(limit = 200) {
+        this.entries = [];
+        this.cursor = 0;
+        this.limit = limit;
+    }
+
+    // Coalesce key for passes that tidy up after an edit (layout relaxation): they join that edit's entry
+    static FOLLOW_UP = 'follow-up';
+
+    get canUndo() { return this.cursor > 0; }
+    get canRedo() { return this.cursor < this.entries.length; }
+
+    record(entry) {
+        const undone = this.canRedo;
+        this.entries.splice(this.cursor);
+        const last = this.entries[this.entries.length - 1];
+        const recent = last && entry.coalesceKey && entry.at - last.at < 1500;
+        if (recent && entry.coalesceKey === MapJournal.FOLLOW_UP && !undone) {
+            MapJournal.mergeOps(last, entry.ops);
+        } else if (recent && last.coalesceKey === entry.coalesceKey) {
+            // Keystrokes and drag frames on the same node collapse into one entry
+            MapJournal.mergeOps(last, entry.ops);
+            last.label = entry.label;
+            last.at = entry.at;
+        } else {
+            this.entries.push(entry);
+            if (this.entries.length > this.limit) this.entries.shift();
+        }
+        this.cursor = this.entries.length;
+    }
+
+    static clone(v) { return v === undefined ? undefined : JSON.parse(JSON.stringify(v)); }
+
+    static connKey(c) { return c.id || `${c.from}>${c.to}>${c.type}`; }
+
+    static mergeOps(entry, ops) {
+        ops.forEach(op => {
+            const prev = op.op === 'updateNode' && entry.ops.find(o => o.op === 'updateNode' && o.id === op.id);
+            if (!prev) { entry.ops.push(op); return; }
+            ['before', 'dataBefore'].forEach((b, i) => {
+                const a = i === 0 ? 'after' : 'dataAfter';
+                Object.keys(op[a]).forEach(k => {
+                    if (!(k in prev[a])) prev[b][k] = op[b][k];
+                    prev[a][k] = op[a][k];
+                });
+            });
+        });
+    }
+
+    /** Serialise just enough of a map to diff against after a mutation. */
+    static capture(state) {
+        const nodes = new Map();
+        state.nodes.forEach((n, index) => nodes.set(n.id, { index, json: JSON.stringify(n) }));
+        const conns = new Map();
+        state.connections.forEach(c => conns.set(MapJournal.connKey(c), JSON.stringify(c)));
+        return { nodes, conns, meta: { title: state.meta?.title, type: state.meta?.type } };
+    }
+
+    /** Turn a before-capture and the current state into a list of reversible operations. */
+    static diff(before, state) {
+        const removedConns = [], removedNodes = [], addedNodes = [], updatedNodes = [], addedConns = [];
+        const seenNodes = new Set(), seenConns = new Set();
+
+        state.nodes.forEach(n => {
+            seenNodes.add(n.id);
+            const prev = before.nodes.get(n.id);
+            if (!prev) { addedNodes.push({ op: 'addNode', node: MapJournal.clone(n) }); return; }
+            const json = JSON.stringify(n);
+            if (json === prev.json) return;
+
+            const b = JSON.parse(prev.json);
+            const op = { op: 'updateNode', id: n.id, before: {}, after: {}, dataBefore: {}, dataAfter: {} };
+            new Set([...Object.keys(b), ...Object.keys(n)]).forEach(k => {
+                if (k === 'id' || k === 'data') return;
+                if (JSON.stringify(b[k]) !== JSON.stringify(n[k])) { op.before[k] = b[k]; op.after[k] = MapJournal.clone(n[k]); }
+            });
+            const bd = b.data || {}, nd = n.data || {};
+            new Set([...Object.keys(bd), ...Object.keys(nd)]).forEach(k => {
+                if (JSON.stringify(bd[k]) !== JSON.stringify(nd[k])) { op.dataBefore[k] = bd[k]; op.dataAfter[k] = MapJournal.clone(nd[k]); }
+            });
+            updatedNodes.push(op);
+        });
+        before.nodes.forEach((prev, id) => {
+            if (!seenNodes.has(id)) removedNodes.push({ op: 'removeNode', node: JSON.parse(prev.json), index: prev.index });
+        });
+
+        state.connections.forEach(c => {
+            const key = MapJournal.connKey(c);
+            seenConns.add(key);
+            const prev = before.conns.get(key);
+            if (prev === JSON.stringify(c)) return;
+            if (prev) removedConns.push({ op: 'removeConnection', conn: JSON.parse(prev) });
+            addedConns.push({ op: 'addConnection', conn: MapJournal.clone(c) });
+        });
+        before.conns.forEach((json, key) => {
+            if (!seenConns.has(key)) removedConns.push({ op: 'removeConnection', conn: JSON.parse(json) });
+        });
+
+        const ops = [...removedConns, ...removedNodes, ...addedNodes, ...updatedNodes, ...addedConns];
+        const meta = { title: state.meta?.title, type: state.meta?.type };
+        if (meta.title !== before.meta.title || meta.type !== before.meta.type) {
+            ops.push({ op: 'setMeta', before: before.meta, after: meta });
+        }
+        return ops;
+    }
+
+    /** Apply one operation to a map state, forwards or inverted. */
+    static apply(state, op, inverse = false) {
+        const assign = (target, values) => Object.keys(values).forEach(k => {
+            if (values[k] === undefined) delete target[k]; else target[k] = MapJournal.clone(values[k]);
+        });
+        const removeNode = (id) => { state.nodes = state.nodes.filter(n => n.id !== id); };
+        const removeConn = (conn) => {
+            const key = MapJournal.connKey(conn);
+            state.connections = state.connections.filter(c => MapJournal.connKey(c) !== key);
+        };
+
+        switch (op.op) {
+            case 'addNode':
+                if (inverse) removeNode(op.node.id);
+                else if (!state.nodes.some(n => n.id === op.node.id)) state.nodes.push(MapJournal.clone(op.node));
+                break;
+            case 'removeNode':
+                if (!inverse) removeNode(op.node.id);
+                else if (!state.nodes.some(n => n.id === op.node.id)) state.nodes.splice(Math.min(op.index, state.nodes.length), 0, MapJournal.clone(op.node));
+                break;
+            case 'updateNode': {
+                const n = state.nodes.find(x => x.id === op.id);
+                if (!n) break;
+                assign(n, inverse ? op.before : op.after);
+                if (!n.data) n.data = {};
+                assign(n.data, inverse ? op.dataBefore : op.dataAfter);
+                break;
+            }
+            case 'addConnection':
+                if (inverse) removeConn(op.conn);
+                else { removeConn(op.conn); state.connections.push(MapJournal.clone(op.conn)); }
+                break;
+            case 'removeConnection':
+                if (!inverse) removeConn(op.conn);
+                else { removeConn(op.conn); state.connections.push(MapJournal.clone(op.conn)); }
+                break;
+            case 'setMeta':
+                if (!state.meta) state.meta = {};
+                assign(state.meta, inverse ? op.before : op.after);
+                break;
+        }
+    }
+}
+
+/**
+ * Default adapters for running without a browser.
+ *
+ * storage: { savePage(page) -> Promise<boolean>, getPage(mapId) -> page|null }
+ * ui:      { alert(message), confirm(message) -> boolean, viewportSize() -> { width, height }, setSaveStatus(status) }
+ */
+const MultiMapHeadlessAdapters = {
+    memoryStorage() {
+        const pages = new Map();
+        return {
+            pages,
+            async savePage(page) { pages.set(page.map_id, JSON.parse(JSON.stringify(page))); return true; },
+            getPage(mapId) { return pages.has(mapId) ? JSON.parse(JSON.stringify(pages.get(mapId))) : null; }
+        };
+    },
+
+    consoleUI() {
+        return {
+            alert(message) { console.warn(`[multi-map] ${message}`); },
+            confirm() { return false; }, // Nobody to ask: decline destructive conversions
+            viewportSize() { return { width: 1280, height: 800 }; },
+            setSaveStatus() { }
+        };
+    }
+};
+
+class MultiMapGraph {
+    static FRAGMENT_FORMAT = 'multi-map/fragment@1'; // clipboard marker for copied subgraphs
+
+    /**
+     * @param {Object} [adapters]
+     * @param {Object} [adapters.schema]   Schema object (defaults to MultiMapSchema)
+     * @param {Object} [adapters.migrations] Migration registry (defaults to MultiMapMigrations)
+     * @param {Object} [adapters.storage]  Page persistence (defaults to in-memory)
+     * @param {Object} [adapters.ui]       Alerts, confirms and viewport size (defaults to console)
+     * @param {Function} [adapters.schedule] Deferred layout passes, (fn, ms) => void (defaults to setTimeout)
+     * @param {Object} [adapters.state]    Initial MapState
+     */
+    constructor(adapters = {}) {
+        this.schema = adapters.schema || MultiMapGraph.resolveSchema();
+        this.migrations = adapters.migrations || MultiMapGraph.resolveMigrations();
+        this.storage = adapters.storage || MultiMapHeadlessAdapters.memoryStorage();
+        this.ui = adapters.ui || MultiMapHeadlessAdapters.consoleUI();
+        this.schedule = adapters.schedule || ((fn, ms) => setTimeout(fn, ms));
+
+        this.listeners = [];
+        this.journals = {}; // map_id -> MapJournal, so undo history survives portal hops
+        this.txDepth = 0;
+        this.tx = null;
+        this.activeProjectId = 'default_project';
+
+        this.state = this.ensureSchema(adapters.state || null);
+        if (this.state.nodes.length === 0) {
+            this.addNode({ type: "root", title: "Root", data: { x: 0, y: 0, isCore: true } });
+            this.journals = {}; // The seeded root is not an undoable step
+        }
+    }
+
+    static resolveSchema() {
+        if (typeof MultiMapSchema !== 'undefined') return MultiMapSchema;
+        if (typeof require === 'function') {
+            try { return require('./multi-map-rules.js'); } catch (e) { }
+        }
+        return null;
+    }
+
+    static resolvePhysics() {
+        if (typeof MultiMapPhysics !== 'undefined') return MultiMapPhysics;
+        if (typeof require === 'function') {
+            try { return require('./multi-map-physics.js').MultiMapPhysics; } catch (e) { }
+        }
+        return null;
+    }
+
+    static resolveLayouts() {
+        if (typeof MultiMapLayouts !== 'undefined') return MultiMapLayouts;
+        if (typeof require === 'function') {
+            try { return require('./multi-map-layouts.js'); } catch (e) { }
+        }
+        return null;
+    }
+
+    static resolveOutline() {
+        if (typeof MultiMapOutline !== 'undefined') return MultiMapOutline;
+        if (typeof require === 'function') {
+            try { return require('./multi-map-outline.js'); } catch (e) { }
+        }
+        return null;
+    }
+
+    static resolveDiagram() {
+        if (typeof MultiMapDiagram !== 'undefined') return MultiMapDiagram;
+        if (typeof require === 'function') {
+            try { return require('./multi-map-diagram.js'); } catch (e) { }
+        }
+        return null;
+    }
+
+    static resolveMigrations() {
+        if (typeof MultiMapMigrations !== 'undefined') return MultiMapMigrations;
+        if (typeof require === 'function') {
+            try { return require('./multi-map-migrations.js'); } catch (e) { }
+        }
+        return null;
+    }
+
+    createSession() {
+        const { width, height } = this.ui.viewportSize();
+        return { viewport: { x: width / 2, y: height / 2, scale: 1 }, selectedId: null, selectedIds: [], remoteTemplates: [], layoutMode: 'organic' };
+    }
+
+    getBlueprint(type) { return this.schema ? this.schema.getDefinition(type) : { label: type, icon: "⚪" }; }
+    getSmartChildType(pid) { const p = this.state.nodes.find(x => x.id === pid); return p && this.schema ? this.schema.getDefaultChild(p.type) : 'note'; }
+
+    getEmptyState() {
+        const state = {
+            map_id: this.generateId(),
+            meta: { title: "New Map", type: "generic", created: new Date().toISOString() },
+            nodes: [], connections: [],
+            session: this.createSession()
+        };
+        if (this.migrations) this.migrations.stamp(state);
+        return state;
+    }
+
+    createSubmap(type = 'generic', title = 'New Submap') {
+        const id = this.generateId();
+        const rootType = (this.schema && this.schema.mapTypes && this.schema.mapTypes[type]) ? this.schema.mapTypes[type].rootNode : 'root';
+        const rootTitle = (this.schema) ? this.schema.getDefinition(rootType).label : "Root";
+        
+        const newState = {
+            map_id: id,
+            meta: { title: title, type: type, created: new Date().toISOString(), shared: false },
+            nodes: [{ id: this.generateId(), type: rootType, title: rootTitle, data: { x: 0, y: 0, isCore: true } }],
+            connections: [],
+            session: this.createSession()
+        };
+        if (this.migrations) this.migrations.stamp(newState);
+        
+        this.storage.savePage(newState);
+        return id;
+    }
+
+    ensureSchema(state) {
+        if (!state) return this.getEmptyState();
+        // Legacy shapes (edges, Meta-Mind documents, submaps arrays) go through the migration registry
+        if (this.migrations) this.migrations.migratePage(state);
+        if (!Array.isArray(state.nodes)) state.nodes = [];
+        if (!Array.isArray(state.connections)) state.connections = [];
+        if (!state.meta || state.meta.title === undefined) state.meta = { title: "Imported Map", created: new Date().toISOString(), ...state.meta };
+        if (!state.meta.type) state.meta.type = "generic";
+        if (!state.meta.project_id) state.meta.project_id = this.activeProjectId || 'default_project';
+        if (!state.session) state.session = this.createSession();
+        if (this.state && this.state.session && this.state.session.remoteTemplates && this.state.session.remoteTemplates.length > 0) {
+            state.session.remoteTemplates = this.state.session.remoteTemplates;
+        } else if (!state.session.remoteTemplates) {
+            state.session.remoteTemplates = [];
+        }
+        const layouts = MultiMapGraph.resolveLayouts();
+        if (!state.session.layoutMode || (layouts && !layouts.isMode(state.session.layoutMode))) state.session.layoutMode = 'organic';
+        if (!Array.isArray(state.session.selectedIds)) state.session.selectedIds = state.session.selectedId ? [state.session.selectedId] : [];
+        state.nodes.forEach(n => {
+            if (!n.data) n.data = { x: 0, y: 0 };
+            if (n.data.collapsed === undefined) n.data.collapsed = false;
+        });
+
+        // Ensure only one root node exists in the map and matches state.meta.type
+        if (state.nodes.length > 0) {
+            const isRootType = (type) => type && (type === 'root' || type.endsWith('-root'));
+            const roots = state.nodes.filter(n => isRootType(n.type));
+            
+            let coreRoot = roots.find(n => n.data && n.data.isCore);
+            if (!coreRoot) {
+                // Find node with no parent or fallback to the first root
+                coreRoot = roots.find(n => !state.connections.some(c => c.to === n.id && this.isHierarchyEdge(c)));
+            }
+            if (!coreRoot) coreRoot = roots[0] || state.nodes[0];
+
+            if (coreRoot) {
+                if (!coreRoot.data) coreRoot.data = { x: 0, y: 0 };
+                coreRoot.data.isCore = true;
+
+                if (this.schema && this.schema.mapTypes) {
+                    // Check if the root node's existing type is already a recognised schema rootNode.
+                    // If so, preserve it and sync meta.type from it (templates carry their type here).
+                    const matchedByRootNode = Object.keys(this.schema.mapTypes).find(
+                        m => this.schema.mapTypes[m].rootNode === coreRoot.type
+                    );
+
+                    if (matchedByRootNode) {
+                        // Root type is valid — just align meta.type to match
+                        if (state.meta.type !== matchedByRootNode) {
+                            state.meta.type = matchedByRootNode;
+                        }
+                    } else {
+                        // Root type is unrecognised — coerce it from meta.type
+                        const mapType = state.meta.type || 'generic';
+                        const expectedRootType = this.schema.mapTypes[mapType]
+                            ? this.schema.mapTypes[mapType].rootNode
+                            : 'root';
+                        if (coreRoot.type !== expectedRootType) {
+                            coreRoot.type = expectedRootType;
+                        }
+                    }
+                } else {
+                    // No schema available — leave root type untouched
+                }
+
+                // Convert all other roots to 'hub'
+                state.nodes.forEach(n => {
+                    if (n.id !== coreRoot.id && isRootType(n.type)) {
+                        n.type = 'hub';
+                        if (n.data) n.data.isCore = false;
+                    }
+                });
+            }
+        }
+
+        return state;
+    }
+
+    /**
+     * Push overlapping nodes apart and pull hierarchy edges to length (MultiMapPhysics).
+     * With `changedIds`, only their neighborhood moves; otherwise the whole map relaxes.
+     */
+    resolveOverlaps(iterations = 30, kRepel = 0.08, kSpring = 0.05, changedIds = null) {
+        const physics = MultiMapGraph.resolvePhysics();
+        if (physics) {
+            const layout = physics.fromState(this.state.nodes, this.state.connections, conn => this.isHierarchyEdge(conn));
+            physics.run(layout, { iterations, kRepel, kSpring, changedIds });
+            physics.apply(layout, this.state.nodes);
+        }
+        this.notify();
+    }
+
+    /**
+     * Queue a deferred relaxation around `ids`. Calls made before it runs share one
+     * pass, so a burst of edits (an AI build, a paste) lays out once.
+     */
+    scheduleRelax(ids) {
+        if (this.pendingRelax) {
+            ids.forEach(id => this.pendingRelax.add(id));
+            return;
+        }
+        // A synchronous schedule runs the pass right here, so fill the set before handing it over
+        const pending = new Set(ids);
+        this.pendingRelax = pending;
+        this.schedule(() => {
+            if (this.pendingRelax === pending) this.pendingRelax = null;
+            this.relaxNeighborhood([...pending]);
+        }, 10);
+    }
+
+    /** Journaled as part of the edit that queued it, so undoing that edit also undoes the nudge. */
+    relaxNeighborhood(ids) { this.transact("Tidy layout", () => this.resolveOverlaps(40, undefined, undefined, ids), MapJournal.FOLLOW_UP); }
+
+    autoLayoutOrganic() { this.transact("Auto-arrange", () => this.resolveOverlaps(150, 0.15, 0.08)); }
+
+    /**
+     * Switch the layout the page is drawn with (a MultiMapLayouts mode). It lives in the
+     * page's session, so each page keeps its own and it is saved along with the page.
+     */
+    setLayoutMode(mode) {
+        const layouts = MultiMapGraph.resolveLayouts();
+        if (layouts && !layouts.isMode(mode)) return false;
+        this.state.session.layoutMode = mode;
+        this.notify();
+        return true;
+    }
+
+    getDownstreamNodes(startId) {
+        const result = new Set([startId]);
+        const queue = [startId];
+        while (queue.length > 0) {
+            const curr = queue.shift();
+            const kids = this.state.connections.filter(c => c.from === curr && this.isHierarchyEdge(c)).map(c => c.to);
+            kids.forEach(k => { if (!result.has(k)) { result.add(k); queue.push(k); } });
+        }
+        return result;
+    }
+
+    toggleCollapse(nodeId) {
+        const node = this.state.nodes.find(n => n.id === nodeId);
+        if (node) { node.data.collapsed = !node.data.collapsed; this.notify(); }
+    }
+
+    deleteNode(id) {
+        const n = this.state.nodes.find(x => x.id === id);
+        if (n && (n.type === 'root' || n.type.endsWith('-root') || (n.data && n.data.isCore))) {
+            this.ui.alert("The root node of a map cannot be deleted.");
+            return;
+        }
+        this.beginOperation(`Delete "${n ? n.title : 'node'}"`);
+        const toDelete = this.getDownstreamNodes(id);
+        this.state.nodes = this.state.nodes.filter(n => !toDelete.has(n.id));
+        this.state.connections = this.state.connections.filter(c => !toDelete.has(c.from) && !toDelete.has(c.to));
+        if (toDelete.has(this.state.session.selectedId)) this.state.session.selectedId = null;
+        this.commitOperation();
+        this.notify();
+    }
+
+    findSmartPosition(pid) {
+        const p = this.state.nodes.find(n => n.id === pid);
+        if (!p) return { x: 0, y: 0 }; 
+        const r = 250; const steps = 16; 
+        let bestAngle = 0, maxClearance = 0;
+        for (let i = 0; i < steps; i++) {
+            const theta = (i * (360 / steps)) * (Math.PI / 180);
+            const checkX = p.data.x + Math.cos(theta) * r;
+            const checkY = p.data.y + Math.sin(theta) * r;
+            let nearestDist = Infinity;
+            this.state.nodes.forEach(n => {
+                if (n.id === pid) return; 
+                const d = Math.sqrt((n.data.x - checkX)**2 + (n.data.y - checkY)**2);
+                if (d < nearestDist) nearestDist = d;
+            });
+            if (nearestDist > maxClearance) { maxClearance = nearestDist; bestAngle = theta; }
+        }
+        return { x: p.data.x + Math.cos(bestAngle) * r, y: p.data.y + Math.sin(bestAngle) * r };
+    }
+
+    addNode(data, pid = null) {
+        data = data || {};
+        
+        // SINGLETON PERSON CHECK
+        if (data.type === 'person-root') {
+            const existingPerson = this.state.nodes.find(n => n.type === 'person-root');
+            if (existingPerson) {
+                this.ui.alert("A Person node already exists in this map. Focus shifted.");
+                this.selectNode(existingPerson.id);
+                return existingPerson;
+            }
+        }
+
+        this.beginOperation(`Add ${data.type || 'node'}`);
+        const id = data.id || this.generateId();
+        let posX = data.x, posY = data.y;
+        
+        if (this.state.nodes.length === 0) {
+            const mapType = this.state.meta ? this.state.meta.type : 'generic';
+            const rootType = (this.schema && this.schema.mapTypes && this.schema.mapTypes[mapType]) ? this.schema.mapTypes[mapType].rootNode : 'root';
+            const rootTitle = (this.schema) ? this.schema.getDefinition(rootType).label : "Root";
+            data.type = rootType; data.title = rootTitle; data.isCore = true; posX = 0; posY = 0;
+        } else if (posX === undefined && pid) {
+            const pos = this.findSmartPosition(pid);
+            posX = pos.x; posY = pos.y;
+        }
+
+        const node = { 
+            id: id, type: data.type || 'note', title: data.title || (data.type ? data.type.toUpperCase() : 'NODE'), 
+            content: data.content || '', data: { x: posX || 0, y: posY || 0, isCore: data.isCore || false, collapsed: false }
+        };
+        
+        this.state.nodes.push(node);
+        this.commitOperation();
+        this.scheduleRelax([id]);
+        this.notify();
+        return node;
+    }
+
+    addConnection(f, t, connType = 'structural') {
+        // Different relation types may link the same pair; the same type only once
+        if (f === t || this.state.connections.find(c => c.from === f && c.to === t && (c.type || 'structural') === connType)) return { success: false, reason: 'These nodes are already linked.' };
+        let s, tg;
+        if (this.schema) {
+            s = this.state.nodes.find(n => n.id === f);
+            tg = this.state.nodes.find(n => n.id === t);
+            const def = this.schema.getConnectionType ? this.schema.getConnectionType(connType) : null;
+            if (this.schema.connectionTypes && !def) return { success: false, reason: `Unknown connection type "${connType}".` };
+            // Undirected edges are the same edge either way round
+            if (def && !def.directed && this.state.connections.some(c => c.from === t && c.to === f && c.type === connType)) {
+                return { success: false, reason: 'These nodes are already linked.' };
+            }
+            const allowed = (a, b) => this.schema.canLink ? this.schema.canLink(connType, a, b) : this.schema.canConnect(a, b);
+            if (s && tg && !allowed(s.type, tg.type)) {
+                return { success: false, reason: `A ${def ? def.label : connType} link cannot run from [${s.type}] to [${tg.type}].` };
+            }
+        }
+        this.transact(`Link (${connType})`, () => {
+            this.state.connections.push({ id: this.generateId(), from: f, to: t, type: connType });
+        });
+        if (this.isHierarchyEdge({ type: connType })) this.scheduleRelax([f, t]);
+        this.notify();
+        
+        return { success: true };
+    }
+
+    /** True for edges that build the parent/child tree (per the schema's connection types). */
+    isHierarchyEdge(conn) {
+        if (this.schema && this.schema.isHierarchy) return this.schema.isHierarchy(conn.type);
+        return (conn.type || 'structural') === 'structural';
+    }
+
+    updateNode(id, up) { 
+        const n = this.state.nodes.find(x => x.id === id); 
+        if (!n) return; 
+        const keys = Object.keys(up);
+
+        // Drag frames only move one node: journal the position directly instead of diffing the map
+        if (this.txDepth === 0 && keys.length > 0 && keys.every(k => k === 'x' || k === 'y')) {
+            const op = { op: 'updateNode', id, before: {}, after: {}, dataBefore: {}, dataAfter: {} };
+            keys.forEach(k => { op.dataBefore[k] = n.data[k]; op.dataAfter[k] = up[k]; n.data[k] = up[k]; });
+            this.journal.record({ label: `Move "${n.title}"`, ops: [op], at: Date.now(), coalesceKey: `move:${id}` });
+            this.notify();
+            return;
+        }
+
+        const label = up.title !== undefined && up.title !== n.title ? `Rename to "${up.title}"`
+            : up.type !== undefined && up.type !== n.type ? `Change "${n.title}" to ${up.type}`
+            : `Edit "${n.title}"`;
+        this.beginOperation(label, `update:${id}:${keys.sort().join(',')}`);
+        try {
+            if (up.type === 'person-root') {
+                const existingPerson = this.state.nodes.find(x => x.type === 'person-root' && x.id !== id);
+                if (existingPerson) {
+                    this.ui.alert("Only one Person node is permitted per constellation.");
+                    return;
+                }
+            }
+
+            // If the core/root node's type is being updated, automatically sync the map's metadata type
+            const isRootType = (type) => type && (type.endsWith('-root') || type === 'root');
+            const hasParent = this.state.connections.some(c => c.to === id && this.isHierarchyEdge(c));
+            const isRootNode = n.data && (n.data.isCore || (!hasParent && isRootType(n.type)));
+
+            if (up.type && isRootNode && isRootType(up.type) && up.type !== n.type) {
+                if (this.schema && this.schema.mapTypes) {
+                    const matchedMapType = Object.keys(this.schema.mapTypes).find(
+                        m => this.schema.mapTypes[m].rootNode === up.type
+                    );
+                    if (matchedMapType) {
+                        const allowedNodes = this.schema.mapTypes[matchedMapType].allowedNodes || [];
+                        // Find any existing nodes that are not allowed in the target map type (excluding the root node itself)
+                        const incompatibleNodes = this.state.nodes.filter(node => node.id !== id && !allowedNodes.includes(node.type));
+                        if (incompatibleNodes.length > 0) {
+                            const incompatibleTypes = [...new Set(incompatibleNodes.map(node => node.type))];
+                            const shouldConvert = this.ui.confirm(`Cannot change root type to "${up.type}" (map type "${matchedMapType}") because this map contains incompatible downstream nodes: ${incompatibleTypes.join(', ')}.\n\nWould you like to automatically convert these incompatible nodes to "note" nodes? Warning: some content/functionality might be lost.`);
+                            if (shouldConvert) {
+                                incompatibleNodes.forEach(node => {
+                                    const oldType = node.type;
+                                    node.type = 'note';
+                                    if (node.title === `New ${oldType}` || node.title === oldType.toUpperCase() || node.title.startsWith("New ")) {
+                                        node.title = `Converted Note (${oldType})`;
+                                    }
+                                });
+                            } else {
+                                return; // Block the update
+                            }
+                        }
+                    
+                        if (!this.state.meta) this.state.meta = {};
+                        this.state.meta.type = matchedMapType;
+                    }
+                }
+            }
+
+            if (up.content && n.type === 'person-root') {
+                try {
+                    const pData = JSON.parse(up.content);
+                    const childConns = this.state.connections.filter(c => c.from === id && this.isHierarchyEdge(c));
+                    const children = childConns.map(c => this.state.nodes.find(node => node.id === c.to)).filter(node => node);
+                
+                    Object.keys(pData).forEach(field => {
+                        const value = pData[field];
+                        let fieldNode = children.find(node => node.title === field);
+                        if (fieldNode) {
+                            fieldNode.content = value;
+                        } else {
+                            const childId = this.generateId();
+                            const pos = this.findSmartPosition(id);
+                            this.state.nodes.push({
+                                id: childId, type: 'note', title: field, content: value,
+                                data: { x: pos.x, y: pos.y, isCore: false, collapsed: false }
+                            });
+                            this.state.connections.push({ id: this.generateId(), from: id, to: childId, type: 'structural' });
+                        }
+                    });
+                } catch(e) {}
+            }
+
+            Object.keys(up).forEach(k => { if (k === 'x' || k === 'y') n.data[k] = up[k]; else n[k] = up[k]; }); 
+        } finally {
+            this.commitOperation();
+        }
+        this.notify(); 
+    }
+
+    // --- Typed Fields ---
+
+    getFieldSchema(type) {
+        return this.schema && this.schema.getFields ? this.schema.getFields(type) : [];
+    }
+
+    getNodeFields(node) {
+        return (node && node.data && node.data.fields) || {};
+    }
+
+    /** Field problems of one node as { key: message }, checked against the fields of its type. */
+    validateNodeFields(node) {
+        const errors = {};
+        if (!node || !this.schema || !this.schema.checkField) return errors;
+        const values = this.getNodeFields(node);
+        this.getFieldSchema(node.type).forEach(field => {
+            const error = this.schema.checkField(field, values[field.key], this.state.nodes);
+            if (error) errors[field.key] = error;
+        });
+        return errors;
+    }
+
+    /**
+     * Set one typed field. The value is coerced to the field's type but stored even when it
+     * fails validation, so half-typed input survives; the returned `error` says what is wrong.
+     */
+    updateNodeField(nodeId, key, value) {
+        const node = this.state.nodes.find(n => n.id === nodeId);
+        if (!node) return { success: false, reason: 'Node not found.' };
+        const field = this.getFieldSchema(node.type).find(f => f.key === key);
+        const coerced = field && this.schema.coerceField ? this.schema.coerceField(field, value) : (value === '' ? null : value);
+
+        this.beginOperation(`Edit ${field ? field.label : key}`, `field:${nodeId}:${key}`);
+        try {
+            if (!node.data) node.data = {};
+            const fields = { ...this.getNodeFields(node) };
+            if (coerced === null || coerced === undefined) delete fields[key];
+            else fields[key] = coerced;
+            node.data.fields = fields;
+        } finally {
+            this.commitOperation();
+        }
+        this.notify();
+        return { success: true, value: coerced, error: field ? this.schema.checkField(field, coerced, this.state.nodes) : null };
+    }
+
+    // Person Profile Field Auto-Child Generator
+    updatePersonField(nodeId, field, value) {
+        const node = this.state.nodes.find(n => n.id === nodeId);
+        if (!node) return;
+        const def = this.getFieldSchema(node.type).find(f => f.key === field || f.label === field);
+        const key = def ? def.key : field;
+        const label = def ? def.label : field;
+
+        this.beginOperation(`Edit ${label}`, `person:${nodeId}:${key}`);
+        const result = this.updateNodeField(nodeId, key, value);
+        const text = result.value === null || result.value === undefined ? '' : String(result.value);
+
+        // Find or create structural child note dedicated to this field
+        const childConns = this.state.connections.filter(c => c.from === nodeId && this.isHierarchyEdge(c));
+        const children = childConns.map(c => this.state.nodes.find(n => n.id === c.to)).filter(n => n);
+        
+        let fieldNode = children.find(n => n.title === label);
+        
+        if (fieldNode) {
+            fieldNode.content = text;
+        } else {
+            // Silently spawn a child node using smart positioning
+            const childId = this.generateId();
+            const pos = this.findSmartPosition(nodeId);
+            this.state.nodes.push({
+                id: childId, type: 'note', title: label, content: text,
+                data: { x: pos.x, y: pos.y, isCore: false, collapsed: false }
+            });
+            this.state.connections.push({ id: this.generateId(), from: nodeId, to: childId, type: 'structural' });
+            this.resolveOverlaps(40, undefined, undefined, [childId]);
+        }
+        this.commitOperation();
+        this.notify();
+        return result;
+    }
+
+    /**
+     * Typed fields of `ids` (default: every node with fields) as CSV: id, title and type,
+     * then one column per field key in schema order. References stay as node ids.
+     */
+    exportFieldsCsv(ids = null) {
+        const nodes = (ids ? this.state.nodes.filter(n => ids.includes(n.id)) : this.state.nodes)
+            .filter(n => ids || Object.keys(this.getNodeFields(n)).length > 0);
+        const keys = [];
+        nodes.forEach(n => {
+            this.getFieldSchema(n.type).map(f => f.key).concat(Object.keys(this.getNodeFields(n)))
+                .forEach(k => { if (!keys.includes(k)) keys.push(k); });
+        });
+        const cell = (v) => {
+            const text = v === null || v === undefined ? '' : String(v);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = [['id', 'title', 'type', ...keys].map(cell).join(',')];
+        nodes.forEach(n => {
+            const values = this.getNodeFields(n);
+            rows.push([n.id, n.title, n.type, ...keys.map(k => values[k])].map(cell).join(','));
+        });
+        return rows.join('\n');
+    }
+
+    // TEMPLATE BOLT-ON ENGINE
+    applyTemplateToNode(targetNodeId, templateState) {
+        const targetNode = this.state.nodes.find(x => x.id === targetNodeId);
+        if (!targetNode || !templateState || !templateState.nodes || templateState.nodes.length === 0) return;
+        this.beginOperation(`Apply template "${templateState.meta?.title || 'Template'}"`);
+
+        // Root of the template is mapped to the currently selected node
+        const root = templateState.nodes.find(n => n.data && n.data.isCore) || templateState.nodes[0];
+        const idMap = {};
+        const newNodes = [];
+
+        templateState.nodes.forEach(n => {
+            if (n.id === root.id) {
+                idMap[n.id] = targetNodeId;
+                // If template root has JSON payload and target doesn't, inherit it.
+                if (targetNode.type === 'person-root' && !targetNode.content && n.content) {
+                    targetNode.content = n.content;
+                }
+                if (n.type === targetNode.type && n.data && n.data.fields && Object.keys(this.getNodeFields(targetNode)).length === 0) {
+                    targetNode.data.fields = JSON.parse(JSON.stringify(n.data.fields));
+                }
+            } else {
+                const newId = this.generateId();
+                idMap[n.id] = newId;
+                // Offset position relative to the target node
+                newNodes.push({
+                    ...n,
+                    id: newId,
+                    data: { 
+                        ...n.data, 
+                        x: targetNode.data.x + (n.data.x - root.data.x), 
+                        y: targetNode.data.y + (n.data.y - root.data.y) 
+                    }
+                });
+            }
+        });
+
+        const newConns = [];
+        templateState.connections.forEach(c => {
+            const fromId = idMap[c.from];
+            const toId = idMap[c.to];
+            if (fromId && toId && fromId !== toId) {
+                newConns.push({ ...c, id: this.generateId(), from: fromId, to: toId });
+            }
+        });
+
+        this.state.nodes.push(...newNodes);
+        this.state.connections.push(...newConns);
+        
+        this.resolveOverlaps(80, undefined, undefined, [targetNodeId, ...newNodes.map(n => n.id)]);
+        this.commitOperation();
+        this.notify();
+    }
+
+    importSubmap(portalId, submapState) {
+        const portal = this.state.nodes.find(n => n.id === portalId);
+        if(!portal || !submapState || !submapState.nodes) return;
+        this.beginOperation(`Import "${submapState.meta?.title || 'submap'}"`);
+
+        const validSub = this.ensureSchema(submapState);
+        const idMap = {};
+        const newNodes = validSub.nodes.map(n => {
+            const newId = this.generateId();
+            idMap[n.id] = newId;
+            return { ...n, id: newId, data: { ...n.data, x: n.data.x + portal.data.x + 300, y: n.data.y + portal.data.y } };
+        });
+        
+        const newConns = [];
+        validSub.connections.forEach(c => {
+            if (idMap[c.from] && idMap[c.to]) newConns.push({ id: this.generateId(), from: idMap[c.from], to: idMap[c.to], type: c.type || 'structural' });
+        });
+
+        this.state.nodes.push(...newNodes);
+        this.state.connections.push(...newConns);
+        
+        if(newNodes.length > 0) {
+            const linkTarget = (validSub.meta && validSub.meta.original_root && idMap[validSub.meta.original_root]) ? idMap[validSub.meta.original_root] : newNodes[0].id;
+            this.addConnection(portalId, linkTarget);
+        }
+        this.state = this.ensureSchema(this.state);
+        this.resolveOverlaps(150, undefined, undefined, [portalId, ...newNodes.map(n => n.id)]);
+        this.commitOperation();
+        this.notify();
+    }
+
+    extractConstellation(rootId) {
+        const root = this.state.nodes.find(n => n.id === rootId);
+        if (!root) return null;
+        const included = this.getDownstreamNodes(root.id);
+        return {
+            map_id: this.generateId(),
+            meta: { title: root.title + " (Clipped)", original_root: rootId, notes: "", shared: false },
+            nodes: this.state.nodes.filter(n => included.has(n.id)),
+            connections: this.state.connections.filter(c => included.has(c.from) && included.has(c.to))
+        };
+    }
+
+    /**
+     * Clip: preserves the selected branch in a new page, replaces the node
+     * with a portal to that page, and removes the downstream subtree from
+     * the current map.  The node's title and position are preserved.
+     * Returns the new page's map_id or null on failure.
+     */
+    async clipBranch(nodeId, customTitle = null, customType = null) {
+        const node = this.state.nodes.find(n => n.id === nodeId);
+        if (!node) return null;
+
+        // Guard: don't clip roots, portals, or web-type nodes
+        const isRoot   = node.data.isCore || node.type === 'root' || node.type.endsWith('-root');
+        const isPortal = node.type === 'portal' || node.type === 'smart-portal';
+        const isWeb    = node.type.startsWith('web-');
+        if (isRoot || isPortal || isWeb) return null;
+
+        // 1. Extract the subtree snapshot
+        const snapshot = this.extractConstellation(nodeId);
+        if (!snapshot) return null;
+        this.beginOperation(`Clip "${node.title}"`);
+        let newMapId;
+        try {
+
+            // 2. Re-root the snapshot: the clipped node becomes the root of the new page
+            const rootNode = snapshot.nodes.find(n => n.id === nodeId);
+            if (rootNode) {
+                rootNode.data.isCore = true;
+                // Derive a fitting root type from the node type
+                const finalType = customType || rootNode.type;
+                rootNode.type = finalType.endsWith('-root') ? finalType : (finalType + '-root');
+            }
+
+            // Remove any structural connection pointing INTO rootNode (there shouldn't be any
+            // in the extracted snapshot since we only took downstream, but be safe)
+            snapshot.connections = snapshot.connections.filter(c => c.to !== nodeId || !this.isHierarchyEdge(c));
+
+            // Set the new page meta
+            snapshot.meta.title = customTitle || node.title || "Clipped Branch";
+            snapshot.meta.type  = customType || (rootNode && rootNode.type) || 'generic';
+
+            // 3. Persist the new page to the active project
+            const saved = await this.storage.savePage(snapshot);
+            if (saved === false) return null;
+            newMapId = snapshot.map_id;
+
+            // 4. In the current map: remove all downstream nodes EXCEPT the clipped node itself,
+            //    then morph the clipped node into a portal
+            const downstream = this.getDownstreamNodes(nodeId);
+            downstream.delete(nodeId); // keep the root node
+
+            this.state.nodes = this.state.nodes.filter(n => !downstream.has(n.id));
+            // Remove connections FROM or TO downstream nodes, but keep the structural
+            // connection TO the clipped node (parent → clipped node stays)
+            this.state.connections = this.state.connections.filter(c => {
+                if (downstream.has(c.from) || downstream.has(c.to)) return false;
+                return true;
+            });
+            // Also remove connections that were FROM the clipped node to its children
+            // (those children are gone now)
+            this.state.connections = this.state.connections.filter(c => c.from !== nodeId || !this.isHierarchyEdge(c));
+
+            // Morph the node into a portal
+            node.type    = 'portal';
+            node.content = newMapId;
+            // Leave title, data.x, data.y, data.isCore intact
+        } finally {
+            this.commitOperation();
+        }
+
+        this.notify();
+        this.storage.savePage(this.state);
+        return newMapId;
+    }
+
+    generateId() { return Math.random().toString(36).substr(2, 9); }
+    subscribe(fn) { this.listeners.push(fn); }
+    notify() { this.listeners.forEach(fn => fn(this.state)); }
+    exportMapState() { return JSON.stringify(this.state, null, 2); }
+
+    // --- Undo / Redo Journal ---
+    get journal() {
+        const mapId = (this.state && this.state.map_id) || '_unsaved';
+        if (!this.journals[mapId]) this.journals[mapId] = new MapJournal();
+        return this.journals[mapId];
+    }
+
+    /**
+     * Open a journaled operation. Nested calls fold into the outermost one, so
+     * composite actions (add child + link, template apply) undo as one step.
+     */
+    beginOperation(label, coalesceKey = null) {
+        if (this.txDepth++ > 0) return;
+        this.tx = { label, coalesceKey, mapId: this.state.map_id, before: MapJournal.capture(this.state) };
+    }
+
+    commitOperation() {
+        if (this.txDepth === 0) return;
+        if (--this.txDepth > 0) return;
+        const tx = this.tx;
+        this.tx = null;
+        // A map switch mid-operation (portal hop, load) leaves nothing sensible to diff
+        if (!tx || tx.mapId !== this.state.map_id) return;
+        const ops = MapJournal.diff(tx.before, this.state);
+        if (ops.length > 0) this.journal.record({ label: tx.label, ops, at: Date.now(), coalesceKey: tx.coalesceKey });
+    }
+
+    transact(label, fn, coalesceKey = null) {
+        this.beginOperation(label, coalesceKey);
+        try { return fn(); } finally { this.commitOperation(); }
+    }
+
+    applyJournalEntry(entry, inverse) {
+        const ops = inverse ? [...entry.ops].reverse() : entry.ops;
+        ops.forEach(op => MapJournal.apply(this.state, op, inverse));
+        const sel = this.state.session && this.state.session.selectedId;
+        if (sel && !this.state.nodes.some(n => n.id === sel)) this.state.session.selectedId = null;
+    }
+
+    undo() {
+        const j = this.journal;
+        if (!j.canUndo) return false;
+        j.cursor--;
+        this.applyJournalEntry(j.entries[j.cursor], true);
+        this.notify();
+        return true;
+    }
+
+    redo() {
+        const j = this.journal;
+        if (!j.canRedo) return false;
+        this.applyJournalEntry(j.entries[j.cursor], false);
+        j.cursor++;
+        this.notify();
+        return true;
+    }
+
+    /** Move the active map to the point in history where `cursor` entries are applied. */
+    jumpToHistory(cursor) {
+        const j = this.journal;
+        const target = Math.max(0, Math.min(cursor, j.entries.length));
+        while (j.cursor > target) { j.cursor--; this.applyJournalEntry(j.entries[j.cursor], true); }
+        while (j.cursor < target) { this.applyJournalEntry(j.entries[j.cursor], false); j.cursor++; }
+        this.notify();
+    }
+
+    selectNode(id) {
+        this.state.session.selectedId = id;
+        this.state.session.selectedIds = id ? [id] : [];
+        this.notify();
+    }
+
+    // --- Multi-Selection ---
+    // `session.selectedIds` holds the whole selection (an array, so the session stays JSON);
+    // `selectedId` stays the focal node that the radial menu and inspector follow.
+
+    getSelectedIds() {
+        const s = this.state.session;
+        const ids = (s.selectedIds || []).filter(id => this.state.nodes.some(n => n.id === id));
+        if (ids.length === 0 && s.selectedId && this.state.nodes.some(n => n.id === s.selectedId)) return [s.selectedId];
+        return ids;
+    }
+
+    setSelection(ids, additive = false) {
+        const s = this.state.session;
+        const next = additive ? this.getSelectedIds() : [];
+        ids.forEach(id => { if (!next.includes(id) && this.state.nodes.some(n => n.id === id)) next.push(id); });
+        s.selectedIds = next;
+        s.selectedId = next.length > 0 ? next[next.length - 1] : null;
+        this.notify();
+    }
+
+    toggleSelect(id) {
+        const ids = this.getSelectedIds();
+        const s = this.state.session;
+        s.selectedIds = ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id];
+        s.selectedId = s.selectedIds.length > 0 ? s.selectedIds[s.selectedIds.length - 1] : null;
+        this.notify();
+    }
+
+    clearSelection() { this.setSelection([]); }
+
+    isRootNode(node) {
+        return !!node && (node.type === 'root' || node.type.endsWith('-root') || !!(node.data && node.data.isCore));
+    }
+
+    /** The selected nodes whose structural ancestors are not selected too: the tops of the picked branches. */
+    selectionTops(ids) {
+        const picked = new Set(ids);
+        return ids.filter(id => {
+            const seen = new Set([id]);
+            let conn = this.state.connections.find(c => c.to === id && this.isHierarchyEdge(c));
+            while (conn && !seen.has(conn.from)) {
+                if (picked.has(conn.from)) return false;
+                seen.add(conn.from);
+                const from = conn.from;
+                conn = this.state.connections.find(c => c.to === from && this.isHierarchyEdge(c));
+            }
+            return true;
+        });
+    }
+
+    /** Delete every selected node and its downstream branch. Roots are skipped. Returns the number removed. */
+    bulkDelete(ids) {
+        const targets = ids.filter(id => !this.isRootNode(this.state.nodes.find(n => n.id === id)));
+        if (targets.length === 0) return 0;
+        const toDelete = new Set();
+        targets.forEach(id => this.getDownstreamNodes(id).forEach(x => toDelete.add(x)));
+        this.transact(`Delete ${targets.length} nodes`, () => {
+            this.state.nodes = this.state.nodes.filter(n => !toDelete.has(n.id));
+            this.state.connections = this.state.connections.filter(c => !toDelete.has(c.from) && !toDelete.has(c.to));
+        });
+        const s = this.state.session;
+        s.selectedIds = (s.selectedIds || []).filter(id => !toDelete.has(id));
+        if (toDelete.has(s.selectedId)) s.selectedId = null;
+        this.notify();
+        return toDelete.size;
+    }
+
+    /**
+     * Change the type of every selected node. Roots, and nodes whose parent or children
+     * could not connect to the new type, are left alone and returned in `skipped`.
+     */
+    bulkRetype(ids, type) {
+        const changed = [], skipped = [];
+        if (type === 'person-root' || type === 'root' || type.endsWith('-root')) {
+            this.ui.alert("Root types cannot be assigned to several nodes at once.");
+            return { changed, skipped: [...ids] };
+        }
+        this.transact(`Change ${ids.length} nodes to ${type}`, () => {
+            ids.forEach(id => {
+                const node = this.state.nodes.find(n => n.id === id);
+                if (!node || node.type === type) return;
+                const parentConn = this.state.connections.find(c => c.to === id && this.isHierarchyEdge(c));
+                const parent = parentConn && this.state.nodes.find(n => n.id === parentConn.from);
+                const kids = this.state.connections.filter(c => c.from === id && this.isHierarchyEdge(c))
+                    .map(c => this.state.nodes.find(n => n.id === c.to)).filter(n => n);
+                const fits = !this.schema || ((!parent || this.schema.canConnect(parent.type, type)) && kids.every(k => this.schema.canConnect(type, k.type)));
+                if (this.isRootNode(node) || !fits) { skipped.push(id); return; }
+                node.type = type;
+                changed.push(id);
+            });
+        });
+        this.notify();
+        return { changed, skipped };
+    }
+
+    /**
+     * Hang every selected branch under `parentId`. Nodes that would end up inside their
+     * own branch, roots, and pairs the schema refuses are returned in `skipped`.
+     */
+    bulkReparent(ids, parentId) {
+        const parent = this.state.nodes.find(n => n.id === parentId);
+        const moved = [], skipped = [];
+        if (!parent) return { moved, skipped: [...ids] };
+        this.transact(`Move ${ids.length} nodes under "${parent.title}"`, () => {
+            this.selectionTops(ids).forEach(id => {
+                const node = this.state.nodes.find(n => n.id === id);
+                if (!node || id === parentId || this.isRootNode(node) || this.getDownstreamNodes(id).has(parentId)
+                    || (this.schema && !this.schema.canConnect(parent.type, node.type))) {
+                    skipped.push(id);
+                    return;
+                }
+                this.state.connections = this.state.connections.filter(c => !(c.to === id && this.isHierarchyEdge(c)) && !(c.from === parentId && c.to === id));
+                this.state.connections.push({ id: this.generateId(), from: parentId, to: id, type: 'structural' });
+                moved.push(id);
+            });
+            if (moved.length > 0) parent.data.collapsed = false;
+        });
+        if (moved.length > 0) this.scheduleRelax(moved);
+        this.notify();
+        return { moved, skipped };
+    }
+
+    /** Shift the selected nodes together. Drag frames of one gesture coalesce into a single undo step. */
+    bulkMove(ids, dx, dy) {
+        const nodes = this.state.nodes.filter(n => ids.includes(n.id));
+        if (nodes.length === 0) return;
+        // Same shortcut as single-node drags: journal the positions directly instead of diffing the map
+        const ops = nodes.map(n => {
+            const op = { op: 'updateNode', id: n.id, before: {}, after: {}, dataBefore: { x: n.data.x, y: n.data.y }, dataAfter: { x: n.data.x + dx, y: n.data.y + dy } };
+            n.data.x += dx;
+            n.data.y += dy;
+            return op;
+        });
+        if (this.txDepth === 0) this.journal.record({ label: `Move ${nodes.length} nodes`, ops, at: Date.now(), coalesceKey: `move:${ids.join(',')}` });
+        this.notify();
+    }
+
+    /** Add `tag` to every selected node, or take it off again when `remove` is set. */
+    bulkTag(ids, tag, remove = false) {
+        const clean = String(tag || '').trim();
+        if (!clean) return 0;
+        let count = 0;
+        this.transact(`${remove ? 'Untag' : 'Tag'} ${ids.length} nodes "${clean}"`, () => {
+            this.state.nodes.filter(n => ids.includes(n.id)).forEach(n => {
+                const tags = Array.isArray(n.tags) ? n.tags : [];
+                const has = tags.some(t => String(t).toLowerCase() === clean.toLowerCase());
+                if (remove && has) {
+                    n.tags = tags.filter(t => String(t).toLowerCase() !== clean.toLowerCase());
+                    if (n.tags.length === 0) delete n.tags;
+                    count++;
+                } else if (!remove && !has) {
+                    n.tags = [...tags, clean];
+                    count++;
+                }
+            });
+        });
+        this.notify();
+        return count;
+    }
+
+    /** Collapse (or expand) every selected node that has children. */
+    bulkCollapse(ids, collapsed = true) {
+        this.transact(`${collapsed ? 'Collapse' : 'Expand'} ${ids.length} nodes`, () => {
+            this.state.nodes.filter(n => ids.includes(n.id)).forEach(n => {
+                if (this.state.connections.some(c => c.from === n.id && this.isHierarchyEdge(c))) n.data.collapsed = collapsed;
+            });
+        });
+        this.notify();
+    }
+
+    /** Pin (or unpin) nodes: pinned nodes hold their position under physics and in every layout. */
+    bulkPin(ids, pinned = true) {
+        const targets = this.state.nodes.filter(n => ids.includes(n.id) && !!n.data.pinned !== pinned);
+        if (targets.length === 0) return;
+        this.transact(`${pinned ? 'Pin' : 'Unpin'} ${targets.length === 1 ? `"${targets[0].title}"` : `${targets.length} nodes`}`, () => {
+            targets.forEach(n => {
+                if (pinned) n.data.pinned = true;
+                else delete n.data.pinned;
+            });
+        });
+        this.notify();
+    }
+
+    /**
+     * Like extractConstellation, for several branches at once: the selected branches hang
+     * under a fresh root so the snapshot loads as a normal page.
+     */
+    extractSelection(ids, title = null) {
+        const tops = this.selectionTops(ids).filter(id => !this.isRootNode(this.state.nodes.find(n => n.id === id)));
+        if (tops.length === 0) return null;
+        const included = new Set();
+        tops.forEach(id => this.getDownstreamNodes(id).forEach(x => included.add(x)));
+        const nodes = MapJournal.clone(this.state.nodes.filter(n => included.has(n.id)));
+        const connections = MapJournal.clone(this.state.connections.filter(c => included.has(c.from) && included.has(c.to)));
+        const topNodes = nodes.filter(n => tops.includes(n.id));
+        const cx = topNodes.reduce((sum, n) => sum + n.data.x, 0) / topNodes.length;
+        const cy = topNodes.reduce((sum, n) => sum + n.data.y, 0) / topNodes.length;
+        const pageTitle = title || `${topNodes[0].title}${tops.length > 1 ? ` + ${tops.length - 1}` : ''} (Clipped)`;
+
+        const root = { id: this.generateId(), type: 'root', title: pageTitle, content: '', data: { x: cx, y: cy - 250, isCore: true, collapsed: false } };
+        nodes.unshift(root);
+        tops.forEach(id => connections.push({ id: this.generateId(), from: root.id, to: id, type: 'structural' }));
+        return {
+            map_id: this.generateId(),
+            meta: { title: pageTitle, type: 'generic', notes: "", shared: false },
+            nodes, connections
+        };
+    }
+
+    /**
+     * Clip several branches into one new page and leave a single portal to it where they
+     * were, hung under the first branch's parent. Returns the new page's map_id or null.
+     */
+    async bulkClip(ids, customTitle = null) {
+        const snapshot = this.extractSelection(ids, customTitle);
+        if (!snapshot) return null;
+        const tops = snapshot.connections.filter(c => c.from === snapshot.nodes[0].id).map(c => c.to);
+        const saved = await this.storage.savePage(snapshot);
+        if (saved === false) return null;
+
+        const removed = new Set();
+        tops.forEach(id => this.getDownstreamNodes(id).forEach(x => removed.add(x)));
+        const anchorConn = this.state.connections.find(c => c.to === tops[0] && this.isHierarchyEdge(c) && !removed.has(c.from));
+        const topNodes = this.state.nodes.filter(n => tops.includes(n.id));
+        const portal = {
+            id: this.generateId(), type: 'portal', title: snapshot.meta.title, content: snapshot.map_id,
+            data: {
+                x: topNodes.reduce((sum, n) => sum + n.data.x, 0) / topNodes.length,
+                y: topNodes.reduce((sum, n) => sum + n.data.y, 0) / topNodes.length,
+                isCore: false, collapsed: false
+            }
+        };
+        this.transact(`Clip ${tops.length} branches to "${snapshot.meta.title}"`, () => {
+            this.state.nodes = this.state.nodes.filter(n => !removed.has(n.id));
+            this.state.connections = this.state.connections.filter(c => !removed.has(c.from) && !removed.has(c.to));
+            this.state.nodes.push(portal);
+            if (anchorConn) this.state.connections.push({ id: this.generateId(), from: anchorConn.from, to: portal.id, type: 'structural' });
+        });
+        this.state.session.selectedIds = [portal.id];
+        this.state.session.selectedId = portal.id;
+        this.notify();
+        this.storage.savePage(this.state);
+        return snapshot.map_id;
+    }
+
+    // --- Subgraph Clipboard ---
+
+    /**
+     * A MapState fragment of the selected branches, for the system clipboard. The
+     * `format` marker lets paste tell it apart from any other JSON on the clipboard.
+     */
+    copySelection(ids) {
+        const tops = this.selectionTops(ids.filter(id => this.state.nodes.some(n => n.id === id)));
+        if (tops.length === 0) return null;
+        const included = new Set();
+        tops.forEach(id => this.getDownstreamNodes(id).forEach(x => included.add(x)));
+        return {
+            format: MultiMapGraph.FRAGMENT_FORMAT,
+            source_map: this.state.map_id,
+            meta: { title: this.state.meta?.title || 'Untitled', project_id: this.state.meta?.project_id || null },
+            roots: tops,
+            nodes: MapJournal.clone(this.state.nodes.filter(n => included.has(n.id))),
+            connections: MapJournal.clone(this.state.connections.filter(c => included.has(c.from) && included.has(c.to)))
+        };
+    }
+
+    /**
+     * Read clipboard text back into a fragment. A whole MapState (a page export) pastes
+     * as a fragment rooted at its core node. Returns null for anything else.
+     */
+    static parseFragment(text) {
+        let data;
+        try { data = typeof text === 'string' ? JSON.parse(text) : text; } catch (e) { return null; }
+        if (!data || typeof data !== 'object' || !Array.isArray(data.nodes)) return null;
+        const nodes = data.nodes.filter(n => n && typeof n === 'object' && n.id);
+        if (nodes.length === 0) return null;
+        const ids = new Set(nodes.map(n => n.id));
+        const connections = (Array.isArray(data.connections) ? data.connections : []).filter(c => c && ids.has(c.from) && ids.has(c.to));
+
+        let roots;
+        if (data.format === MultiMapGraph.FRAGMENT_FORMAT && Array.isArray(data.roots)) {
+            roots = data.roots.filter(id => ids.has(id));
+        } else if (data.map_id) {
+            const core = nodes.find(n => n.data && n.data.isCore) || nodes.find(n => !connections.some(c => c.to === n.id && c.type === 'structural'));
+            roots = core ? [core.id] : [];
+        } else {
+            return null;
+        }
+        if (roots.length === 0) roots = nodes.filter(n => !connections.some(c => c.to === n.id && c.type === 'structural')).map(n => n.id);
+        return { format: MultiMapGraph.FRAGMENT_FORMAT, source_map: data.source_map || data.map_id || null, meta: data.meta || {}, roots, nodes, connections };
+    }
+
+    /**
+     * Paste a fragment under `targetId` (the core node when omitted) as one undoable step.
+     * IDs are remapped like importSubmap does, relative positions are kept, and roots the
+     * schema will not accept under the target stay unattached and come back in `detached`.
+     */
+    pasteFragment(fragment, targetId = null) {
+        const frag = MultiMapGraph.parseFragment(fragment);
+        if (!frag) return null;
+        const target = this.state.nodes.find(n => n.id === targetId)
+            || this.state.nodes.find(n => n.data && n.data.isCore)
+            || this.state.nodes[0];
+        const isRootType = (type) => type && (type === 'root' || type.endsWith('-root'));
+
+        const idMap = {};
+        frag.nodes.forEach(n => { idMap[n.id] = this.generateId(); });
+        const roots = frag.nodes.filter(n => frag.roots.includes(n.id));
+        // Roots land at the anchor; a fragment without any (a cycle) is centred on its bounding box
+        let cx, cy;
+        if (roots.length > 0) {
+            cx = roots.reduce((sum, n) => sum + (n.data?.x || 0), 0) / roots.length;
+            cy = roots.reduce((sum, n) => sum + (n.data?.y || 0), 0) / roots.length;
+        } else {
+            const xs = frag.nodes.map(n => n.data?.x || 0), ys = frag.nodes.map(n => n.data?.y || 0);
+            cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+            cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+        }
+        const anchor = target ? this.findSmartPosition(target.id) : { x: 0, y: 0 };
+
+        const newNodes = frag.nodes.map(n => {
+            const node = MapJournal.clone(n);
+            node.id = idMap[n.id];
+            node.data = { ...(node.data || {}), x: anchor.x + ((n.data?.x || 0) - cx), y: anchor.y + ((n.data?.y || 0) - cy), isCore: false };
+            if (node.data.collapsed === undefined) node.data.collapsed = false;
+            // A page has exactly one root: pasted roots (a copied core, a pasted page) become hubs
+            if (isRootType(node.type)) node.type = 'hub';
+            // References into the fragment follow the copies; the rest keep pointing where they did
+            this.getFieldSchema(n.type).filter(f => f.type === 'reference').forEach(f => {
+                const fields = node.data.fields;
+                if (fields && idMap[fields[f.key]]) fields[f.key] = idMap[fields[f.key]];
+            });
+            return node;
+        });
+        const newConns = frag.connections.map(c => ({ ...MapJournal.clone(c), id: this.generateId(), from: idMap[c.from], to: idMap[c.to], type: c.type || 'structural' }));
+        // Links follow the connection type registry, as in addConnection; ones it rules out become cross-links
+        const allowed = (connType, a, b) => !this.schema || (this.schema.canLink ? this.schema.canLink(connType, a, b) : !this.isHierarchyEdge({ type: connType }) || this.schema.canConnect(a, b));
+        const typeOf = new Map(newNodes.map(n => [n.id, n.type]));
+        newConns.forEach(c => {
+            const fromType = typeOf.get(c.from), toType = typeOf.get(c.to);
+            if (fromType && toType && !allowed(c.type, fromType, toType)) c.type = this.crossLinkType(fromType, toType);
+        });
+
+        const attached = [], detached = [];
+        this.transact(`Paste ${newNodes.length} node${newNodes.length === 1 ? '' : 's'}`, () => {
+            this.state.nodes.push(...newNodes);
+            this.state.connections.push(...newConns);
+            roots.forEach(r => {
+                const node = newNodes.find(n => n.id === idMap[r.id]);
+                if (target && allowed('structural', target.type, node.type)) {
+                    this.state.connections.push({ id: this.generateId(), from: target.id, to: node.id, type: 'structural' });
+                    attached.push(node.id);
+                } else {
+                    detached.push(node.id);
+                }
+            });
+            if (target && attached.length > 0) target.data.collapsed = false;
+        });
+        this.scheduleRelax(newNodes.map(n => n.id));
+        this.state.session.selectedIds = roots.map(r => idMap[r.id]);
+        this.state.session.selectedId = this.state.session.selectedIds[this.state.session.selectedIds.length - 1] || null;
+        this.notify();
+        return { nodes: newNodes, rootIds: roots.map(r => idMap[r.id]), attached, detached };
+    }
+
+    // --- Outlines (Markdown) ---
+
+    /** The map_id an outline link points at, or null. The kernel looks links up in the library. */
+    resolveOutlineLink(href) {
+        return null;
+    }
+
+    /** The outline of `page` (the open page by default); `linkFor(node)` gives portals their href. */
+    outlineOf(page = this.state, linkFor = () => null) {
+        return MultiMapGraph.resolveOutline().fromPage(page, { isHierarchy: (conn) => this.isHierarchyEdge(conn), linkFor });
+    }
+
+    /**
+     * A paste fragment for an outline: the titled item with its branches, or the top-level
+     * items when the outline has no title. Null when there is nothing to paste.
+     */
+    outlineFragment(outline) {
+        const items = outline.title ? [outline] : outline.children;
+        if (!items.length) return null;
+        const { nodes, connections, roots } = MultiMapGraph.resolveOutline().toFragment(items, {
+            generateId: () => this.generateId(),
+            resolveLink: (href) => this.resolveOutlineLink(href)
+        });
+        return { format: MultiMapGraph.FRAGMENT_FORMAT, source_map: null, meta: { title: outline.title || 'Outline' }, roots, nodes, connections };
+    }
+
+    /** A new generic page built from an outline, its title item becoming the core root. */
+    pageFromOutline(outline, title = null) {
+        const pageTitle = String(outline.title || title || 'Imported Outline').trim();
+        const { nodes, connections } = MultiMapGraph.resolveOutline().toFragment([{ ...outline, title: pageTitle, link: null }], {
+            generateId: () => this.generateId(),
+            resolveLink: (href) => this.resolveOutlineLink(href)
+        });
+        const root = nodes[0];
+        const dx = root.data.x, dy = root.data.y;
+        nodes.forEach(n => { n.data.x -= dx; n.data.y -= dy; });
+        root.type = 'root';
+        root.data.isCore = true;
+
+        const state = {
+            map_id: this.generateId(),
+            meta: { title: pageTitle, type: 'generic', created: new Date().toISOString(), shared: false },
+            nodes, connections,
+            session: this.createSession()
+        };
+        if (this.migrations) this.migrations.stamp(state);
+        return state;
+    }
+
+    // --- Diagrams (Mermaid / DOT) ---
+
+    /** Where a portal leads, as { title, href }, for diagram labels and links. The kernel looks targets up in the library. */
+    portalFor(node) {
+        return null;
+    }
+
+    /** Diagram source for `page`: 'flowchart' or 'mindmap' (Mermaid) or 'dot' (Graphviz). */
+    diagramOf(format, page = this.state, options = {}) {
+        const diagram = MultiMapGraph.resolveDiagram();
+        const opts = { schema: this.schema, isHierarchy: (conn) => this.isHierarchyEdge(conn), portalFor: (node) => this.portalFor(node), ...options };
+        if (format === 'dot') return diagram.dot(page, opts);
+        if (format === 'mindmap') return diagram.mermaid.mindmap(page, opts);
+        return diagram.mermaid.flowchart(page, opts);
+    }
+
+    /** The connection type for a parsed diagram edge: a label naming a type wins, then the arrow's look. */
+    diagramEdgeType(edge) {
+        const types = (this.schema && this.schema.connectionTypes) || {};
+        const label = String(edge.label || '').trim().toLowerCase();
+        const named = label && Object.keys(types).find(t => t === label || String(types[t].label).toLowerCase() === label);
+        if (named) return named;
+        if (!edge.directed) return 'association';
+        if (edge.thick) return 'flow';
+        if (edge.dotted) return 'dependency';
+        return 'structural';
+    }
+
+    /** The cross-link type to fall back on between two node types: association when the schema allows it. */
+    crossLinkType(fromType, toType) {
+        if (!this.schema || !this.schema.linkTypesBetween) return 'association';
+        const types = this.schema.linkTypesBetween(fromType, toType).filter(t => !this.schema.isHierarchy(t));
+        return types.includes('association') ? 'association' : (types[0] || 'association');
+    }
+
+    /**
+     * A new generic page from a parsed Mermaid flowchart (MultiMapDiagram.mermaid.parse).
+     * Shapes pick node types, and the root is a circle with no parent, else the first node
+     * without one. Edge text other than a connection type's name is dropped. Each node
+     * keeps one structural parent, so further parent edges, edges into the root and edges
+     * closing a cycle become cross-links. Nodes are placed by the layered layout, turned
+     * to the chart's direction.
+     */
+    pageFromDiagram(diagram, title = null) {
+        if (!diagram.nodes.length) throw new Error("The diagram has no nodes.");
+        const pageTitle = String(diagram.title || title || 'Imported Diagram').trim();
+        const typeFor = { '((': 'root', '(((': 'root', '{{': 'hub', '{': 'logic-gate', '>': 'portal', '[': 'note' };
+        const nodes = diagram.nodes.map(d => {
+            let type = typeFor[d.shape] || null, content = '';
+            const href = diagram.links[d.key];
+            if (href) {
+                const target = this.resolveOutlineLink(href);
+                if (target) { type = 'portal'; content = target; }
+                else content = href;
+            }
+            if (type === 'portal' && !content) type = 'note';
+            // Labels as diagramOf writes them carry a portal's target and a collapsed branch's size
+            const label = String(d.title || d.key).replace(/\s+\(\+\d+\)$/, '').replace(/\s+↗\s.*$/, '');
+            return { id: this.generateId(), type, title: label || d.key, content, key: d.key, data: { x: 0, y: 0 } };
+        });
+        const byKey = new Map(nodes.map(n => [n.key, n]));
+        const isTop = (n) => !diagram.edges.some(e => e.to === n.key && this.isHierarchyEdge({ type: this.diagramEdgeType(e) }));
+        const root = nodes.find(n => n.type === 'root' && isTop(n)) || nodes.find(isTop) || nodes[0];
+        nodes.forEach(n => { if (n !== root && n.type === 'root') n.type = null; });
+
+        const parentOf = new Map();
+        const leadsTo = (from, to) => { // is `to` an ancestor of `from` (or `from` itself)?
+            for (let at = from; at; at = parentOf.get(at)) if (at === to) return true;
+            return false;
+        };
+        const connections = diagram.edges.map(e => {
+            const from = byKey.get(e.from), to = byKey.get(e.to);
+            let type = this.diagramEdgeType(e);
+            if (this.isHierarchyEdge({ type })) {
+                if (to === root || parentOf.has(to.id) || leadsTo(from.id, to.id)) type = null;
+                else parentOf.set(to.id, from.id);
+            }
+            return { id: this.generateId(), from: from.id, to: to.id, type };
+        }).filter(c => c.from !== c.to);
+
+        const parents = new Set(parentOf.values());
+        nodes.forEach(n => {
+            if (n === root) n.type = 'root';
+            else if (!n.type) n.type = parents.has(n.id) ? 'hub' : 'note';
+        });
+        // Node types are settled now, so demoted and disallowed edges can pick their cross-link type
+        const typeOf = new Map(nodes.map(n => [n.id, n.type]));
+        connections.forEach(c => {
+            const fromType = typeOf.get(c.from), toType = typeOf.get(c.to);
+            if (!c.type || (this.schema && !this.schema.canLink(c.type, fromType, toType))) c.type = this.crossLinkType(fromType, toType);
+        });
+
+        const state = {
+            map_id: this.generateId(),
+            meta: { title: pageTitle, type: 'generic', created: new Date().toISOString(), shared: false },
+            nodes: nodes.map(({ key, ...node }) => node),
+            connections,
+            session: this.createSession()
+        };
+        root.data.isCore = true;
+
+        const layouts = MultiMapGraph.resolveLayouts();
+        const coords = layouts ? layouts.layered(state.nodes, connections, (c) => this.isHierarchyEdge(c)) : new Map();
+        const at = coords.get(root.id) || { x: 0, y: 0 };
+        const turn = { LR: (x, y) => [x, y], RL: (x, y) => [-x, y], TB: (x, y) => [y, x], TD: (x, y) => [y, x], BT: (x, y) => [y, -x] }[diagram.direction] || ((x, y) => [y, x]);
+        state.nodes.forEach((n, i) => {
+            const p = coords.get(n.id) || { x: at.x, y: at.y + (i + 1) * 140 };
+            [n.data.x, n.data.y] = turn(p.x - at.x, p.y - at.y);
+        });
+        if (this.migrations) this.migrations.stamp(state);
+        return state;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MultiMapGraph, MapJournal, MultiMapHeadlessAdapters };
+}
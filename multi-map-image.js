@@ -0,0 +1,136 @@
+/**
+ * Multi-Map IMAGE v14.11
+ * Features: Standalone SVG of a Map Scene (nodes, type icons, labels, edge styles, collapsed badges), PNG Rendering at a Chosen Scale.
+ *
+ * SandboxController.snapshotScene() turns what renderMap() last drew into a scene,
+ * in world coordinates:
+ *
+ *   {
+ *     title, bounds: { x0, y0, x1, y1 }, scale,   // scale = output pixels per world unit
+ *     nodes: [{ x, y, r, icon, label, fill, stroke, opacity, collapsed, hiddenCount, pinned }],
+ *     edges: [{ x1, y1, x2, y2, color, dash, width, opacity, arrow }]
+ *   }
+ *
+ *   const svg = MultiMapImage.svg(scene, { background: null });   // null = transparent
+ *   const blob = await MultiMapImage.png(svg, MultiMapImage.size(scene), 2);
+ *
+ * The SVG carries no external fonts or images, so it opens anywhere and rasterises
+ * through an <img> without tainting the canvas.
+ */
+
+const MultiMapImage = {
+    BACKGROUND: '#020617', // the map viewport's bg-slate-950
+    FONT: "ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif",
+    MAX_PIXELS: 8192 * 8192,
+    MAX_SIDE: 16384,
+
+    escape(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+
+    /** Stroke of a connection type definition; the DOM renderer's .edge-vis look without one. */
+    edgeStyle(def, type) {
+        if (!def) return { color: 'rgba(148, 163, 184, 0.6)', dash: type && type !== 'structural' ? '5,5' : null, width: 1.5, arrow: false };
+        return { color: def.stroke.color || 'rgba(148, 163, 184, 0.6)', dash: def.stroke.dash || null, width: def.stroke.width || 1.5, arrow: !!def.directed && !def.hierarchy };
+    },
+
+    /** Output size in pixels at scale 1. */
+    size(scene) {
+        const b = scene.bounds;
+        return { width: Math.max(1, Math.round((b.x1 - b.x0) * scene.scale)), height: Math.max(1, Math.round((b.y1 - b.y0) * scene.scale)) };
+    },
+
+    /** Labels are clipped like the canvas renderer's; bold 10px runs about 6px a character. */
+    label(text) {
+        const value = String(text);
+        const label = value.length > 48 ? `${value.slice(0, 47)}…` : value;
+        return { text: label, width: label.length * 6 + 12 };
+    },
+
+    svg(scene, { background = MultiMapImage.BACKGROUND } = {}) {
+        const esc = MultiMapImage.escape;
+        const { width, height } = MultiMapImage.size(scene);
+        const b = scene.bounds;
+        const num = (n) => Math.round(n * 100) / 100;
+        const out = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${num(b.x0)} ${num(b.y0)} ${num(b.x1 - b.x0)} ${num(b.y1 - b.y0)}" font-family="${esc(MultiMapImage.FONT)}">`,
+            `<title>${esc(scene.title || 'Map')}</title>`
+        ];
+
+        // One arrow marker per colour, placed on the midpoint vertex like the DOM renderer's
+        const arrowColors = [...new Set(scene.edges.filter(e => e.arrow).map(e => e.color))];
+        if (arrowColors.length) {
+            out.push('<defs>');
+            arrowColors.forEach((color, i) => out.push(`<marker id="arrow-${i}" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="${esc(color)}"/></marker>`));
+            out.push('</defs>');
+        }
+        if (background) out.push(`<rect x="${num(b.x0)}" y="${num(b.y0)}" width="${num(b.x1 - b.x0)}" height="${num(b.y1 - b.y0)}" fill="${esc(background)}"/>`);
+
+        out.push('<g fill="none">');
+        scene.edges.forEach(e => {
+            const attrs = [
+                `points="${num(e.x1)},${num(e.y1)} ${num((e.x1 + e.x2) / 2)},${num((e.y1 + e.y2) / 2)} ${num(e.x2)},${num(e.y2)}"`,
+                `stroke="${esc(e.color)}"`, `stroke-width="${e.width}"`
+            ];
+            if (e.dash) attrs.push(`stroke-dasharray="${esc(e.dash)}"`);
+            if (e.opacity !== null && e.opacity !== undefined) attrs.push(`stroke-opacity="${e.opacity}"`);
+            if (e.arrow) attrs.push(`marker-mid="url(#arrow-${arrowColors.indexOf(e.color)})"`);
+            out.push(`<polyline ${attrs.join(' ')}/>`);
+        });
+        out.push('</g>');
+
+        scene.nodes.forEach(n => {
+            const r = num(n.r);
+            out.push(`<g opacity="${n.opacity}">`);
+            out.push(`<circle cx="${num(n.x)}" cy="${num(n.y)}" r="${r}" fill="${esc(n.fill)}" stroke="${esc(n.collapsed ? '#f472b6' : n.stroke)}" stroke-width="1"${n.collapsed ? ' stroke-dasharray="4,3"' : ''}/>`);
+            if (n.icon) out.push(`<text x="${num(n.x)}" y="${num(n.y + 1)}" font-size="${num(24 * n.r / 36)}" text-anchor="middle" dominant-baseline="central">${esc(n.icon)}</text>`);
+            if (n.pinned) out.push(`<text x="${num(n.x - n.r * 0.75)}" y="${num(n.y - n.r * 0.75)}" font-size="14" text-anchor="middle" dominant-baseline="central">📌</text>`);
+            if (n.label) {
+                const { text, width } = MultiMapImage.label(n.label);
+                const y = n.y + n.r * 1.2;
+                out.push(`<rect x="${num(n.x - width / 2)}" y="${num(y)}" width="${width}" height="16" rx="4" fill="rgba(15, 23, 42, 0.8)"/>`);
+                out.push(`<text x="${num(n.x)}" y="${num(y + 8)}" font-size="10" font-weight="700" fill="#94a3b8" text-anchor="middle" dominant-baseline="central">${esc(text)}</text>`);
+            }
+            if (n.collapsed && n.hiddenCount > 0) {
+                const bx = n.x + n.r * 0.75, by = n.y - n.r * 0.75;
+                out.push(`<circle cx="${num(bx)}" cy="${num(by)}" r="10" fill="#1e293b" stroke="#64748b" stroke-width="1"/>`);
+                out.push(`<text x="${num(bx)}" y="${num(by + 0.5)}" font-size="9" font-weight="700" fill="#e2e8f0" text-anchor="middle" dominant-baseline="central">+${n.hiddenCount}</text>`);
+            }
+            out.push('</g>');
+        });
+        out.push('</svg>');
+        return out.join('\n') + '\n';
+    },
+
+    /** Largest scale at or below `scale` that keeps the PNG within canvas limits. */
+    fitScale({ width, height }, scale) {
+        const bySide = MultiMapImage.MAX_SIDE / Math.max(width, height);
+        const byArea = Math.sqrt(MultiMapImage.MAX_PIXELS / (width * height));
+        return Math.min(scale, bySide, byArea);
+    },
+
+    /** Rasterise SVG text to a PNG blob, `scale` output pixels per SVG pixel. Browser only. */
+    png(svgText, { width, height }, scale = 1) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(width * scale));
+                canvas.height = Math.max(1, Math.round(height * scale));
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("The image is too large to render.")), 'image/png');
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error("The map image could not be rendered."));
+            };
+            img.src = url;
+        });
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapImage;
+}
@@ -0,0 +1,241 @@
+/**
+ * Multi-Map INTEGRITY v14.11
+ * Features: Workspace-wide Integrity Scan (portals, edges, IDs, roots, project membership), One-click Repairs.
+ *
+ * Works on plain workspace data so it runs the same against any vault:
+ *
+ *   const report = MultiMapIntegrity.scan({ projects, pages });
+ *   report.issues -> [{ id, code, severity, message, mapId, projectId, nodeId, connectionId, fix }]
+ *
+ *   MultiMapIntegrity.repairPage(page, issues)          // page-level fixes, in place
+ *   MultiMapIntegrity.repairWorkspace(projects, pages, issues)  // membership fixes, returns what changed
+ *
+ * `fix` is the label shown on the one-click repair button.
+ */
+
+const MultiMapIntegrity = {
+    PAGE_CODES: ['broken-portal', 'dangling-connection', 'duplicate-node-id', 'duplicate-connection-id', 'multiple-roots'],
+    WORKSPACE_CODES: ['orphaned-page', 'unlisted-page', 'stale-page-ref'],
+
+    isRootType(type) {
+        return !!type && (type === 'root' || type.endsWith('-root'));
+    },
+
+    resolveSchema() {
+        if (typeof MultiMapSchema !== 'undefined') return MultiMapSchema;
+        if (typeof require === 'function') {
+            try { return require('./multi-map-rules.js'); } catch (e) { }
+        }
+        return null;
+    },
+
+    /** Parent/child edges, as the schema's connection types define them (plain 'structural' without one). */
+    isHierarchyEdge(conn) {
+        const schema = this.resolveSchema();
+        if (schema && schema.isHierarchy) return schema.isHierarchy(conn.type);
+        return (conn.type || 'structural') === 'structural';
+    },
+
+    /**
+     * The map_id a portal points at, or null when it has no target yet. Smart portals
+     * hold their prompt in `content` until the AI injects a map, so only `ai_` ids count.
+     */
+    portalTarget(node) {
+        if (!node || !node.content || typeof node.content !== 'string') return null;
+        if (node.type === 'portal') return node.content.trim() || null;
+        if (node.type === 'smart-portal' && /^ai_[a-z0-9]+$/i.test(node.content.trim())) return node.content.trim();
+        return null;
+    },
+
+    scan({ projects = [], pages = [] }) {
+        const issues = [];
+        const pageIds = new Set(pages.map(p => p.map_id));
+        const projectIds = new Set(projects.map(p => p.project_id));
+        const titles = {};
+        pages.forEach(p => {
+            const key = (p.meta?.title || '').trim().toLowerCase();
+            if (key) (titles[key] = titles[key] || []).push(p.map_id);
+        });
+
+        const add = (issue) => {
+            issue.id = `issue_${issues.length}`;
+            issues.push(issue);
+        };
+
+        pages.forEach(page => {
+            const mapId = page.map_id;
+            const projectId = page.meta?.project_id || null;
+            const pageTitle = page.meta?.title || 'Untitled';
+            const nodes = Array.isArray(page.nodes) ? page.nodes : [];
+            const connections = Array.isArray(page.connections) ? page.connections : [];
+            const base = { mapId, projectId, pageTitle };
+
+            // Portals
+            nodes.forEach(node => {
+                const target = this.portalTarget(node);
+                if (!target || pageIds.has(target)) return;
+                const candidates = (titles[(node.title || '').trim().toLowerCase()] || []).filter(id => id !== mapId);
+                const relink = candidates.length === 1 ? candidates[0] : null;
+                add({
+                    ...base, code: 'broken-portal', severity: 'error', nodeId: node.id, relinkTo: relink,
+                    message: `Portal "${node.title || node.id}" points at a page that no longer exists (${target}).`,
+                    fix: relink ? `Relink to "${pages.find(p => p.map_id === relink).meta.title}"` : 'Clear target'
+                });
+            });
+
+            // Duplicate IDs
+            const seenNodes = new Set();
+            nodes.forEach((node, index) => {
+                if (seenNodes.has(node.id)) {
+                    add({ ...base, code: 'duplicate-node-id', severity: 'error', nodeId: node.id, index, message: `Node id "${node.id}" is used more than once.`, fix: 'Assign new id' });
+                }
+                seenNodes.add(node.id);
+            });
+            const seenConns = new Set();
+            connections.forEach((conn, index) => {
+                if (conn.id && seenConns.has(conn.id)) {
+                    add({ ...base, code: 'duplicate-connection-id', severity: 'warning', connectionId: conn.id, index, message: `Connection id "${conn.id}" is used more than once.`, fix: 'Assign new id' });
+                }
+                if (conn.id) seenConns.add(conn.id);
+            });
+
+            // Dangling edges
+            connections.forEach((conn, index) => {
+                if (seenNodes.has(conn.from) && seenNodes.has(conn.to)) return;
+                add({
+                    ...base, code: 'dangling-connection', severity: 'error', connectionId: conn.id, index, from: conn.from, to: conn.to,
+                    message: `Connection ${conn.from} → ${conn.to} references a missing node.`,
+                    fix: 'Remove connection'
+                });
+            });
+
+            // Roots
+            const roots = nodes.filter(n => this.isRootType(n.type));
+            if (roots.length > 1) {
+                add({ ...base, code: 'multiple-roots', severity: 'warning', message: `Page has ${roots.length} root nodes (${roots.map(r => r.title || r.type).join(', ')}).`, fix: 'Demote extra roots to hubs' });
+            }
+
+            // Project membership
+            if (!projectId || !projectIds.has(projectId)) {
+                add({ ...base, code: 'orphaned-page', severity: 'error', message: `Page "${pageTitle}" belongs to a project that does not exist${projectId ? ` (${projectId})` : ''}.`, fix: 'Move to default project' });
+            } else {
+                const project = projects.find(p => p.project_id === projectId);
+                if (!(project.page_ids || []).includes(mapId)) {
+                    add({ ...base, code: 'unlisted-page', severity: 'warning', message: `Page "${pageTitle}" is missing from the "${project.meta?.title || projectId}" page list.`, fix: 'Add to project' });
+                }
+            }
+        });
+
+        projects.forEach(project => {
+            (project.page_ids || []).forEach(mapId => {
+                if (pageIds.has(mapId)) return;
+                add({
+                    projectId: project.project_id, mapId: null, pageId: mapId, code: 'stale-page-ref', severity: 'warning',
+                    message: `Project "${project.meta?.title || project.project_id}" lists page ${mapId}, which no longer exists.`,
+                    fix: 'Remove from project'
+                });
+            });
+        });
+
+        return {
+            issues,
+            errors: issues.filter(i => i.severity === 'error').length,
+            warnings: issues.filter(i => i.severity === 'warning').length,
+            pagesScanned: pages.length,
+            projectsScanned: projects.length
+        };
+    },
+
+    newId() {
+        return Math.random().toString(36).substr(2, 9);
+    },
+
+    /** Apply the page-level fixes for one page in place. Returns how many were applied. */
+    repairPage(page, issues) {
+        let fixed = 0;
+        const pageIssues = issues.filter(i => i.mapId === page.map_id && this.PAGE_CODES.includes(i.code));
+
+        pageIssues.forEach(issue => {
+            if (issue.code === 'broken-portal') {
+                const node = page.nodes.find(n => n.id === issue.nodeId && this.portalTarget(n));
+                if (!node) return;
+                node.content = issue.relinkTo || '';
+                fixed++;
+            }
+            if (issue.code === 'duplicate-node-id') {
+                // Connections keep pointing at the first node with the id; the copy gets a fresh one
+                const node = page.nodes[issue.index];
+                if (!node || node.id !== issue.nodeId) return;
+                node.id = this.newId();
+                fixed++;
+            }
+            if (issue.code === 'duplicate-connection-id') {
+                const conn = page.connections[issue.index];
+                if (!conn || conn.id !== issue.connectionId) return;
+                conn.id = this.newId();
+                fixed++;
+            }
+        });
+
+        // Removals go last so the index-based fixes above still line up
+        const dangling = new Set(pageIssues
+            .filter(i => i.code === 'dangling-connection' && page.connections[i.index]?.from === i.from && page.connections[i.index]?.to === i.to)
+            .map(i => i.index));
+        if (dangling.size) {
+            page.connections = page.connections.filter((c, index) => !dangling.has(index));
+            fixed += dangling.size;
+        }
+
+        if (pageIssues.some(i => i.code === 'multiple-roots')) {
+            const roots = page.nodes.filter(n => this.isRootType(n.type));
+            const core = roots.find(n => n.data && n.data.isCore)
+                || roots.find(n => !page.connections.some(c => c.to === n.id && this.isHierarchyEdge(c)))
+                || roots[0];
+            roots.forEach(n => {
+                if (n === core) return;
+                n.type = 'hub';
+                if (n.data) n.data.isCore = false;
+            });
+            fixed++;
+        }
+        return fixed;
+    },
+
+    /**
+     * Apply project-membership fixes. Mutates `projects` / `pages` in place and
+     * returns the projects and pages that need saving.
+     */
+    repairWorkspace(projects, pages, issues) {
+        const touchedProjects = new Set();
+        const touchedPages = new Set();
+
+        const orphanIds = issues.filter(i => i.code === 'orphaned-page').map(i => i.mapId);
+        if (orphanIds.length && typeof MultiMapMigrations !== 'undefined') {
+            const adopted = MultiMapMigrations.adoptOrphans(projects, pages.filter(p => orphanIds.includes(p.map_id)));
+            adopted.projects.forEach(p => touchedProjects.add(p));
+            adopted.pages.forEach(p => touchedPages.add(p));
+        }
+
+        issues.filter(i => i.code === 'unlisted-page').forEach(issue => {
+            const project = projects.find(p => p.project_id === issue.projectId);
+            if (!project) return;
+            if (!project.page_ids) project.page_ids = [];
+            if (!project.page_ids.includes(issue.mapId)) project.page_ids.push(issue.mapId);
+            touchedProjects.add(project);
+        });
+
+        issues.filter(i => i.code === 'stale-page-ref').forEach(issue => {
+            const project = projects.find(p => p.project_id === issue.projectId);
+            if (!project) return;
+            project.page_ids = (project.page_ids || []).filter(id => id !== issue.pageId);
+            touchedProjects.add(project);
+        });
+
+        touchedProjects.forEach(p => { p.updated_at = new Date().toISOString(); });
+        return { projects: [...touchedProjects], pages: [...touchedPages] };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapIntegrity;
+}
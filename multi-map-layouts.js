@@ -0,0 +1,326 @@
+/**
+ * Multi-Map LAYOUTS v14.11
+ * Features: Layout Mode Registry, Tree / Radial / Layered Flow (Sugiyama) / Grid Placement, Pinned Nodes.
+ *
+ *   const coords = MultiMapLayouts.compute('radial', state.nodes, state.connections, {
+ *       isHierarchy: conn => graph.isHierarchyEdge(conn)
+ *   });
+ *   coords.get(nodeId) -> { x, y }   // null for 'organic', where nodes sit where physics put them
+ *
+ * Computed layouts are views: they never write node.data. Each one is shifted so the
+ * core root stays where it is on the organic map, and pinned nodes (data.pinned) keep
+ * their own position in every layout, as they do under physics.
+ */
+
+const MultiMapLayouts = {
+    modes: {
+        'organic': { label: "Organic", icon: "🌳", description: "Free placement; physics keeps nodes apart." },
+        'structured': { label: "Tree", icon: "🖧", description: "Top-down hierarchy, parents centred over their children." },
+        'radial': { label: "Radial", icon: "🎯", description: "Rings around the root, one ring per level." },
+        'layered': { label: "Layered Flow", icon: "🔀", description: "Left-to-right layers along Flow links, with few crossings." },
+        'grid': { label: "Grid", icon: "🔲", description: "A compact grid, for flat collections." }
+    },
+
+    spacing: {
+        tree: { h: 320, v: 280 },
+        radial: { ring: 240, arc: 130 }, // arc: minimum distance between neighbours on a ring
+        layered: { layer: 300, lane: 150 },
+        grid: { cell: 190 }
+    },
+
+    isMode(mode) {
+        return Object.prototype.hasOwnProperty.call(MultiMapLayouts.modes, mode);
+    },
+
+    /** Target positions for `mode` as Map(id -> { x, y }), or null for organic. */
+    compute(mode, nodes, connections, { isHierarchy = (c) => !c.type || c.type === 'structural', isFlow = (c) => c.type === 'flow' } = {}) {
+        if (mode === 'organic' || !MultiMapLayouts.isMode(mode) || nodes.length === 0) return null;
+        const tree = MultiMapLayouts.hierarchy(nodes, connections, isHierarchy);
+
+        let coords;
+        if (mode === 'radial') coords = MultiMapLayouts.radial(tree, nodes);
+        else if (mode === 'layered') coords = MultiMapLayouts.layered(nodes, connections, (c) => isFlow(c) || isHierarchy(c));
+        else if (mode === 'grid') coords = MultiMapLayouts.grid(tree, nodes);
+        else coords = MultiMapLayouts.tree(tree, nodes);
+
+        return MultiMapLayouts.anchor(coords, nodes, tree.roots[0]);
+    },
+
+    /** Children and roots over the hierarchy edges, roots in page order with the core first. */
+    hierarchy(nodes, connections, isHierarchy) {
+        const ids = new Set(nodes.map(n => n.id));
+        const childrenOf = new Map();
+        const parentOf = new Map();
+        connections.forEach(c => {
+            if (!isHierarchy(c) || !ids.has(c.from) || !ids.has(c.to) || c.from === c.to) return;
+            if (!childrenOf.has(c.from)) childrenOf.set(c.from, []);
+            childrenOf.get(c.from).push(c.to);
+            if (!parentOf.has(c.to)) parentOf.set(c.to, c.from);
+        });
+        const roots = nodes.filter(n => !parentOf.has(n.id))
+            .sort((a, b) => (b.data && b.data.isCore ? 1 : 0) - (a.data && a.data.isCore ? 1 : 0))
+            .map(n => n.id);
+        if (roots.length === 0) roots.push(nodes[0].id);
+        return { roots, childrenOf, parentOf, kidsOf: (id) => childrenOf.get(id) || [] };
+    },
+
+    /** Hierarchy order, depth first from the roots; nodes only reachable through a cycle come last. */
+    preorder(tree, nodes) {
+        const order = [];
+        const seen = new Set();
+        const visit = (start) => {
+            const stack = [start];
+            while (stack.length) {
+                const id = stack.pop();
+                if (seen.has(id)) continue;
+                seen.add(id);
+                order.push(id);
+                const kids = tree.kidsOf(id);
+                for (let i = kids.length - 1; i >= 0; i--) if (!seen.has(kids[i])) stack.push(kids[i]);
+            }
+        };
+        tree.roots.forEach(visit);
+        nodes.forEach(n => { if (!seen.has(n.id)) visit(n.id); });
+        return order;
+    },
+
+    /** The classic top-down tree: leaves side by side, each parent centred over its children. */
+    tree(tree, nodes) {
+        const { h, v } = MultiMapLayouts.spacing.tree;
+        const coords = new Map();
+        let currentX = 0;
+
+        const place = (nodeId, depth) => {
+            coords.set(nodeId, null); // claimed, so a hierarchy cycle cannot recurse forever
+            const kids = tree.kidsOf(nodeId).filter(k => !coords.has(k));
+            let x;
+            if (kids.length === 0) {
+                x = currentX;
+                currentX += h;
+            } else {
+                const childrenX = kids.map(k => place(k, depth + 1));
+                x = (childrenX[0] + childrenX[childrenX.length - 1]) / 2;
+            }
+            coords.set(nodeId, { x, y: depth * v });
+            return x;
+        };
+
+        tree.roots.forEach(root => { if (!coords.has(root)) { place(root, 0); currentX += h; } });
+        nodes.forEach(n => {
+            if (!coords.has(n.id)) {
+                coords.set(n.id, { x: currentX, y: 0 });
+                currentX += h;
+            }
+        });
+        return coords;
+    },
+
+    /**
+     * Rings by depth around the root. Every subtree gets a wedge sized by its leaf
+     * count, and a ring grows when its nodes would sit closer than `arc`.
+     */
+    radial(tree, nodes) {
+        const { ring, arc } = MultiMapLayouts.spacing.radial;
+
+        // Spanning forest from the roots; nodes only reachable through a cycle start trees of their own
+        const kids = new Map();
+        const depth = new Map();
+        const tops = [];
+        const grow = (top) => {
+            tops.push(top);
+            depth.set(top, 0);
+            const queue = [top];
+            for (let i = 0; i < queue.length; i++) {
+                const own = tree.kidsOf(queue[i]).filter(k => !depth.has(k));
+                own.forEach(k => { depth.set(k, depth.get(queue[i]) + 1); queue.push(k); });
+                kids.set(queue[i], own);
+            }
+        };
+        tree.roots.forEach(id => { if (!depth.has(id)) grow(id); });
+        nodes.forEach(n => { if (!depth.has(n.id)) grow(n.id); });
+
+        // Several trees share an empty centre and start on the first ring
+        const centre = tops.length === 1 ? tops[0] : null;
+        if (centre === null) {
+            kids.set(null, tops);
+            depth.forEach((d, id) => depth.set(id, d + 1));
+            depth.set(null, 0);
+        }
+
+        const leaves = new Map();
+        const stack = [[centre, false]];
+        while (stack.length) {
+            const [id, done] = stack.pop();
+            const own = kids.get(id);
+            if (done || own.length === 0) {
+                leaves.set(id, own.length === 0 ? 1 : own.reduce((sum, k) => sum + leaves.get(k), 0));
+                continue;
+            }
+            stack.push([id, true]);
+            own.forEach(k => stack.push([k, false]));
+        }
+
+        // Ring radii: at least one ring step apart, and wide enough that the narrowest
+        // wedge on the ring still leaves `arc` between neighbours
+        const fewest = [];
+        depth.forEach((d, id) => { fewest[d] = Math.min(fewest[d] || Infinity, leaves.get(id)); });
+        const total = leaves.get(centre);
+        const radius = [0];
+        for (let d = 1; d < fewest.length; d++) {
+            radius[d] = Math.max(radius[d - 1] + ring, (arc * total) / (2 * Math.PI * fewest[d]));
+        }
+
+        const coords = new Map();
+        const wedges = [[centre, 0, Math.PI * 2]];
+        while (wedges.length) {
+            const [id, a0, a1] = wedges.pop();
+            const d = depth.get(id);
+            const mid = (a0 + a1) / 2;
+            if (id !== null) coords.set(id, d === 0 ? { x: 0, y: 0 } : { x: Math.cos(mid) * radius[d], y: Math.sin(mid) * radius[d] });
+            let a = a0;
+            kids.get(id).forEach(k => {
+                const span = (a1 - a0) * (leaves.get(k) / leaves.get(id));
+                wedges.push([k, a, a + span]);
+                a += span;
+            });
+        }
+        return coords;
+    },
+
+    /**
+     * Sugiyama-style layering along `isEdge` links, flowing left to right:
+     * break cycles, put every node one layer after its latest predecessor, route
+     * long links through placeholder slots, then reorder each layer by the
+     * barycentre of its neighbours to cut crossings.
+     */
+    layered(nodes, connections, isEdge) {
+        const { layer: layerGap, lane } = MultiMapLayouts.spacing.layered;
+        const n = nodes.length;
+        const index = new Map(nodes.map((node, i) => [node.id, i]));
+        const out = Array.from({ length: n }, () => []);
+        const seenPairs = new Set();
+        connections.forEach(c => {
+            if (!isEdge(c)) return;
+            const a = index.get(c.from), b = index.get(c.to);
+            if (a === undefined || b === undefined || a === b || seenPairs.has(`${a}>${b}`)) return;
+            seenPairs.add(`${a}>${b}`);
+            out[a].push(b);
+        });
+
+        // 1. Cycle removal: links that close a cycle in a depth-first walk are reversed
+        const state = new Uint8Array(n); // 0 new, 1 on the walk, 2 done
+        const edges = [];
+        for (let s = 0; s < n; s++) {
+            if (state[s]) continue;
+            const stack = [[s, 0]];
+            state[s] = 1;
+            while (stack.length) {
+                const top = stack[stack.length - 1];
+                const [u, k] = top;
+                if (k >= out[u].length) { state[u] = 2; stack.pop(); continue; }
+                top[1]++;
+                const v = out[u][k];
+                if (state[v] === 1) edges.push([v, u]);
+                else {
+                    edges.push([u, v]);
+                    if (state[v] === 0) { state[v] = 1; stack.push([v, 0]); }
+                }
+            }
+        }
+
+        // 2. Longest-path layering over the now acyclic links
+        const succ = Array.from({ length: n }, () => []);
+        const indegree = new Int32Array(n);
+        edges.forEach(([u, v]) => { succ[u].push(v); indegree[v]++; });
+        const layerOf = new Int32Array(n);
+        const ready = [];
+        for (let i = 0; i < n; i++) if (indegree[i] === 0) ready.push(i);
+        for (let i = 0; i < ready.length; i++) {
+            const u = ready[i];
+            succ[u].forEach(v => {
+                layerOf[v] = Math.max(layerOf[v], layerOf[u] + 1);
+                if (--indegree[v] === 0) ready.push(v);
+            });
+        }
+
+        // 3. Placeholder slots for links spanning several layers, so they take part in ordering
+        const layers = [];
+        const slotLayer = [];
+        const up = [], down = []; // per slot: neighbours one layer before / after
+        const addSlot = (layer) => {
+            const slot = slotLayer.length;
+            slotLayer.push(layer);
+            up.push([]); down.push([]);
+            (layers[layer] = layers[layer] || []).push(slot);
+            return slot;
+        };
+        for (let i = 0; i < n; i++) addSlot(layerOf[i]); // slots 0..n-1 are the nodes themselves
+        edges.forEach(([u, v]) => {
+            let prev = u;
+            for (let l = layerOf[u] + 1; l < layerOf[v]; l++) {
+                const dummy = addSlot(l);
+                down[prev].push(dummy); up[dummy].push(prev);
+                prev = dummy;
+            }
+            down[prev].push(v); up[v].push(prev);
+        });
+
+        // 4. Crossing reduction: alternate downward and upward barycentre sweeps
+        const pos = new Float64Array(slotLayer.length);
+        const settle = (layer) => layer.forEach((slot, i) => { pos[slot] = i; });
+        for (let l = 0; l < layers.length; l++) layers[l] = layers[l] || [];
+        layers.forEach(settle);
+        const sweep = (l, neighbours) => {
+            const bary = new Map();
+            layers[l].forEach(slot => {
+                const list = neighbours[slot];
+                bary.set(slot, list.length ? list.reduce((s, o) => s + pos[o], 0) / list.length : pos[slot]);
+            });
+            layers[l].sort((a, b) => bary.get(a) - bary.get(b) || pos[a] - pos[b]);
+            settle(layers[l]);
+        };
+        for (let pass = 0; pass < 4; pass++) {
+            for (let l = 1; l < layers.length; l++) sweep(l, up);
+            for (let l = layers.length - 2; l >= 0; l--) sweep(l, down);
+        }
+
+        // 5. Coordinates: layers as columns, each column centred on the flow axis
+        const coords = new Map();
+        layers.forEach((layer, l) => {
+            const offset = (layer.length - 1) / 2;
+            layer.forEach((slot, i) => {
+                if (slot < n) coords.set(nodes[slot].id, { x: l * layerGap, y: (i - offset) * lane });
+            });
+        });
+        return coords;
+    },
+
+    /** Rows in hierarchy order, so siblings stay next to each other; a bit wider than tall. */
+    grid(tree, nodes) {
+        const { cell } = MultiMapLayouts.spacing.grid;
+        const order = MultiMapLayouts.preorder(tree, nodes);
+        const cols = Math.max(1, Math.ceil(Math.sqrt(order.length * 1.6)));
+        const coords = new Map();
+        order.forEach((id, i) => coords.set(id, { x: (i % cols) * cell, y: Math.floor(i / cols) * cell }));
+        return coords;
+    },
+
+    /** Keep `rootId` where it stands on the map and pinned nodes where they were put. */
+    anchor(coords, nodes, rootId) {
+        const byId = new Map(nodes.map(n => [n.id, n]));
+        const root = byId.get(rootId);
+        const at = coords.get(rootId);
+        const dx = root && at && root.data ? (Number(root.data.x) || 0) - at.x : 0;
+        const dy = root && at && root.data ? (Number(root.data.y) || 0) - at.y : 0;
+        coords.forEach((p, id) => {
+            const node = byId.get(id);
+            if (node && node.data && node.data.pinned) coords.set(id, { x: Number(node.data.x) || 0, y: Number(node.data.y) || 0 });
+            else coords.set(id, { x: p.x + dx, y: p.y + dy });
+        });
+        return coords;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapLayouts;
+}
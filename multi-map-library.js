@@ -104,7 +104,7 @@ const MultiMapLibrary = {
                 shared: true
             },
             nodes: [
-                { id: "p_root", type: "person-root", title: "Person", content: '{"Name":"","Email":"","Phone":"","Address":""}', data: { x: 0, y: 0, isCore: true, collapsed: false }, submaps: [] },
+                { id: "p_root", type: "person-root", title: "Person", content: "", data: { x: 0, y: 0, isCore: true, collapsed: false, fields: {} }, submaps: [] },
                 { id: "p_name", type: "note", title: "Name", content: "", data: { x: 0, y: -120, isCore: false, collapsed: false }, submaps: [] },
                 { id: "p_email", type: "note", title: "Email", content: "", data: { x: 120, y: 0, isCore: false, collapsed: false }, submaps: [] },
                 { id: "p_phone", type: "note", title: "Phone", content: "", data: { x: 0, y: 120, isCore: false, collapsed: false }, submaps: [] },
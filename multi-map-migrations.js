@@ -0,0 +1,354 @@
+/**
+ * Multi-Map MIGRATIONS v14.11
+ * Features: Versioned MapState/Project Migrations, Ordered Registry, Workspace Upgrade on Vault Load, Migration Log.
+ *
+ * Every page carries `meta.schema_version` (projects: `meta.schema_version`). Anything
+ * older than CURRENT_VERSION is walked through the registered migrations in order:
+ *
+ *   MultiMapMigrations.migratePage(page)          // in place, returns the names applied
+ *   MultiMapMigrations.migrateWorkspace(vault)    // every cached page + project, orphans adopted
+ *
+ * Migrations must be idempotent: each one checks for the legacy shape it fixes, so
+ * running it against already-current data is a no-op.
+ */
+
+const MultiMapMigrations = {
+    pageMigrations: [],
+    projectMigrations: [],
+    log: [],
+
+    /** Node types from the Meta-Mind (stable/v6–v12) kernels that have a direct equivalent today. */
+    LEGACY_NODE_TYPES: {
+        'concept': 'hub',
+        'detail': 'note',
+        'profile': 'person-root',
+        'social': 'web-link',
+        'nav': 'web-nav',
+        'hero': 'web-hero',
+        'section': 'web-section',
+        'widget': 'web-card',
+        'web-feature': 'web-card'
+    },
+
+    get CURRENT_VERSION() {
+        return Math.max(0, ...this.pageMigrations.map(m => m.version));
+    },
+
+    get PROJECT_VERSION() {
+        return Math.max(0, ...this.projectMigrations.map(m => m.version));
+    },
+
+    /** Add a migration; `kind` is 'page' or 'project'. Kept sorted by version. */
+    register(kind, migration) {
+        const list = kind === 'project' ? this.projectMigrations : this.pageMigrations;
+        if (list.some(m => m.version === migration.version)) {
+            throw new Error(`A ${kind} migration for version ${migration.version} is already registered.`);
+        }
+        list.push(migration);
+        list.sort((a, b) => a.version - b.version);
+    },
+
+    generateId() {
+        return Math.random().toString(36).substr(2, 9);
+    },
+
+    /** Mark a freshly created page as current so it never runs through the registry. */
+    stamp(page) {
+        if (!page.meta) page.meta = {};
+        page.meta.schema_version = this.CURRENT_VERSION;
+        return page;
+    },
+
+    stampProject(project) {
+        if (!project.meta) project.meta = {};
+        project.meta.schema_version = this.PROJECT_VERSION;
+        return project;
+    },
+
+    run(list, target, version, label) {
+        const applied = [];
+        list.forEach(m => {
+            if (m.version <= version) return;
+            if (m.up(target) !== false) applied.push(m.name);
+        });
+        if (applied.length > 0) {
+            this.log.push({ at: new Date().toISOString(), target: label, applied });
+            if (this.log.length > 500) this.log.shift();
+        }
+        return applied;
+    },
+
+    /** Upgrade one page in place. Returns the names of the migrations that changed it. */
+    migratePage(page) {
+        if (!page || typeof page !== 'object') return [];
+        const version = page.meta?.schema_version || 0;
+        if (version >= this.CURRENT_VERSION) return [];
+        const applied = this.run(this.pageMigrations, page, version, `page ${page.map_id || '(new)'}`);
+        this.stamp(page);
+        return applied;
+    },
+
+    migrateProject(project) {
+        if (!project || typeof project !== 'object') return [];
+        const version = project.meta?.schema_version || 0;
+        if (version >= this.PROJECT_VERSION) return [];
+        const applied = this.run(this.projectMigrations, project, version, `project ${project.project_id}`);
+        this.stampProject(project);
+        return applied;
+    },
+
+    /**
+     * File pages whose project no longer exists (or never did) under the default
+     * project, creating it when needed. Works on plain arrays; returns the touched
+     * projects and pages.
+     */
+    adoptOrphans(projects, pages) {
+        const projectIds = new Set(projects.map(p => p.project_id));
+        const orphans = pages.filter(p => !projectIds.has(p.meta?.project_id));
+        if (orphans.length === 0) return { projects: [], pages: [] };
+
+        let defaultProj = projects.find(p => p.project_id === 'default_project');
+        if (!defaultProj) {
+            defaultProj = MultiMapVault.defaultProject("My Project", "Migrated workspace project");
+            projects.push(defaultProj);
+        }
+        orphans.forEach(page => {
+            if (!page.meta) page.meta = {};
+            page.meta.project_id = defaultProj.project_id;
+            if (!defaultProj.page_ids.includes(page.map_id)) defaultProj.page_ids.push(page.map_id);
+        });
+        return { projects: [defaultProj], pages: orphans };
+    },
+
+    /**
+     * Bring a vault's cache up to date: migrate every project and page, adopt orphans
+     * and make sure each project lists its pages. Returns what changed so the vault
+     * can write it back.
+     */
+    migrateWorkspace(vault) {
+        const changedProjects = new Set();
+        const changedPages = new Set();
+        const counts = {};
+        const tally = (names) => names.forEach(n => { counts[n] = (counts[n] || 0) + 1; });
+
+        vault.getProjects().forEach(project => {
+            const before = project.meta?.schema_version;
+            const applied = this.migrateProject(project);
+            tally(applied);
+            if (applied.length || before !== project.meta.schema_version) changedProjects.add(project);
+        });
+
+        const pages = vault.getAllPages();
+        pages.forEach(page => {
+            const before = page.meta?.schema_version;
+            const applied = this.migratePage(page);
+            tally(applied);
+            if (applied.length || before !== page.meta.schema_version) changedPages.add(page);
+        });
+
+        // A page filed under an existing project but missing its project_id belongs to that project
+        const projects = [...vault.getProjects()];
+        const projectIds = new Set(projects.map(p => p.project_id));
+        Object.entries(vault.pagesByProject).forEach(([projectId, list]) => {
+            if (!projectIds.has(projectId)) return;
+            list.forEach(page => {
+                if (page.meta.project_id) return;
+                page.meta.project_id = projectId;
+                changedPages.add(page);
+            });
+        });
+
+        const adopted = this.adoptOrphans(projects, pages);
+        adopted.projects.forEach(p => changedProjects.add(p));
+        adopted.pages.forEach(p => changedPages.add(p));
+        if (adopted.pages.length) tally(adopted.pages.map(() => 'adopt-orphan-pages'));
+
+        projects.forEach(project => {
+            const missing = pages.filter(p => p.meta.project_id === project.project_id && !project.page_ids.includes(p.map_id));
+            if (missing.length === 0) return;
+            project.page_ids.push(...missing.map(p => p.map_id));
+            changedProjects.add(project);
+        });
+
+        // Re-file everything so pages that moved project land in the right cache bucket
+        changedProjects.forEach(p => vault.cacheProject(p));
+        changedPages.forEach(p => vault.cachePage(p));
+
+        const summary = Object.entries(counts).map(([name, n]) => `${name} ×${n}`).join(', ');
+        if (summary) console.log(`Migrated ${vault.label} workspace to schema v${this.CURRENT_VERSION}: ${summary}`);
+        return { projects: [...changedProjects], pages: [...changedPages] };
+    }
+};
+
+// --- Page migrations ---
+
+MultiMapMigrations.register('page', {
+    version: 1,
+    name: 'meta-mind-document',
+    // Meta-Mind kernels stored { nodes, edges, selectedId, viewport, history, metadata } with no map_id
+    up(page) {
+        const legacy = page.metadata && !page.meta;
+        const looseSession = page.viewport || page.selectedId !== undefined || Array.isArray(page.history);
+        if (!legacy && !looseSession && page.map_id) return false;
+
+        if (!page.map_id) page.map_id = MultiMapMigrations.generateId();
+        if (legacy) {
+            page.meta = {
+                title: page.metadata.title || "Imported Map",
+                type: "generic",
+                created: page.metadata.created || new Date().toISOString(),
+                legacy_version: page.metadata.version || null
+            };
+            delete page.metadata;
+        }
+        if (looseSession) {
+            if (!page.session) page.session = {};
+            if (page.viewport && !page.session.viewport) page.session.viewport = page.viewport;
+            if (page.selectedId !== undefined && page.session.selectedId === undefined) page.session.selectedId = page.selectedId;
+            delete page.viewport;
+            delete page.selectedId;
+            delete page.history;
+        }
+    }
+});
+
+MultiMapMigrations.register('page', {
+    version: 2,
+    name: 'edges-to-connections',
+    // `edges` with { source, target, relation } became `connections` with { from, to, type }
+    up(page) {
+        const edges = Array.isArray(page.edges) ? page.edges : [];
+        const connections = Array.isArray(page.connections) ? page.connections : [];
+        const stale = connections.some(c => c && (c.source !== undefined || c.target !== undefined));
+        if (edges.length === 0 && !stale && Array.isArray(page.connections) && page.edges === undefined) return false;
+
+        const knownTypes = ['structural', 'association'];
+        const normalise = (c) => {
+            const { source, target, relation, ...rest } = c;
+            return {
+                ...rest,
+                id: rest.id || MultiMapMigrations.generateId(),
+                from: rest.from !== undefined ? rest.from : source,
+                to: rest.to !== undefined ? rest.to : target,
+                // Legacy edges always drew the tree, whatever they were labelled
+                type: knownTypes.includes(rest.type) ? rest.type : 'structural'
+            };
+        };
+        page.connections = [
+            ...connections.map(c => c && (c.source !== undefined || c.target !== undefined) ? normalise(c) : c),
+            ...edges.filter(Boolean).map(normalise)
+        ];
+        delete page.edges;
+    }
+});
+
+MultiMapMigrations.register('page', {
+    version: 3,
+    name: 'node-data-block',
+    // Positions lived on the node (x/y or position), extra fields in node.metadata / node.style
+    up(page) {
+        if (!Array.isArray(page.nodes)) return false;
+        let changed = false;
+        page.nodes.forEach(node => {
+            if (!node || typeof node !== 'object') return;
+            const pos = node.position || (node.x !== undefined || node.y !== undefined ? { x: node.x, y: node.y } : null);
+            if (pos || node.metadata || node.style) {
+                node.data = node.data || {};
+                if (pos) {
+                    if (node.data.x === undefined) node.data.x = Number(pos.x) || 0;
+                    if (node.data.y === undefined) node.data.y = Number(pos.y) || 0;
+                }
+                if (node.metadata) node.data.metadata = node.metadata;
+                if (node.style) node.data.style = node.style;
+                delete node.position; delete node.x; delete node.y; delete node.metadata; delete node.style;
+                changed = true;
+            }
+            const renamed = MultiMapMigrations.LEGACY_NODE_TYPES[node.type];
+            if (renamed && !(typeof MultiMapSchema !== 'undefined' && MultiMapSchema.definitions[node.type])) {
+                node.type = renamed;
+                changed = true;
+            }
+        });
+        return changed;
+    }
+});
+
+MultiMapMigrations.register('page', {
+    version: 4,
+    name: 'submaps-to-submap',
+    // Nodes used to carry a `submaps: []` array; the schema has a single `submap` object
+    up(page) {
+        if (!Array.isArray(page.nodes)) return false;
+        let changed = false;
+        page.nodes.forEach(node => {
+            if (!node || !Array.isArray(node.submaps)) return;
+            const maps = node.submaps.filter(s => s && typeof s === 'object');
+            if (maps.length > 1) {
+                console.warn(`Node ${node.id} has ${maps.length} legacy submaps; keeping them under data.submaps.`);
+                node.data = node.data || {};
+                node.data.submaps = node.submaps;
+            } else if (maps.length === 1 && !node.submap) {
+                node.submap = maps[0];
+                MultiMapMigrations.migratePage(node.submap);
+            }
+            delete node.submaps;
+            changed = true;
+        });
+        return changed;
+    }
+});
+
+MultiMapMigrations.register('page', {
+    version: 5,
+    name: 'person-content-to-fields',
+    // Person profiles kept { Name, Email, ... } as JSON in content; typed fields live in data.fields
+    up(page) {
+        if (!Array.isArray(page.nodes)) return false;
+        const schemaKeys = typeof MultiMapSchema !== 'undefined' ? MultiMapSchema.getFields('person-root').map(f => f.key) : ['name', 'email', 'phone', 'address'];
+        let changed = false;
+        page.nodes.forEach(node => {
+            if (!node || node.type !== 'person-root' || typeof node.content !== 'string' || !node.content.trim().startsWith('{')) return;
+            let data;
+            try { data = JSON.parse(node.content); } catch (e) { return; }
+            if (!data || typeof data !== 'object' || Array.isArray(data)) return;
+
+            node.data = node.data || {};
+            const fields = { ...(node.data.fields || {}) };
+            Object.keys(data).forEach(key => {
+                if (data[key] === null || data[key] === undefined || data[key] === '') return;
+                const known = schemaKeys.find(k => k.toLowerCase() === key.toLowerCase());
+                const target = known || key.replace(/[^a-zA-Z0-9_]/g, '_');
+                if (fields[target] === undefined) fields[target] = typeof data[key] === 'object' ? JSON.stringify(data[key]) : data[key];
+            });
+            node.data.fields = fields;
+            node.content = '';
+            changed = true;
+        });
+        return changed;
+    }
+});
+
+// --- Project migrations ---
+
+MultiMapMigrations.register('project', {
+    version: 1,
+    name: 'project-meta-block',
+    // Early projects kept title/description at the top level and could lack page_ids
+    up(project) {
+        let changed = false;
+        if (!project.meta || typeof project.meta !== 'object') {
+            project.meta = { title: project.title || "Untitled Project", description: project.description || "", icon: "📁", color: "#8b5cf6" };
+            delete project.title;
+            delete project.description;
+            changed = true;
+        }
+        if (!Array.isArray(project.page_ids)) { project.page_ids = []; changed = true; }
+        if (!project.created_at) { project.created_at = new Date().toISOString(); changed = true; }
+        if (!project.updated_at) { project.updated_at = project.created_at; changed = true; }
+        return changed;
+    }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapMigrations;
+}
@@ -0,0 +1,246 @@
+/**
+ * Multi-Map MINIMAP v14.11
+ * Features: Whole-Map Overview, Type Colours, Viewport Rectangle, Click/Drag Navigation, Selection & Search Markers.
+ *
+ * SandboxController creates one in the map view and feeds it from renderMap(), so it
+ * draws nodes where the active layout (organic, tree, radial...) puts them.
+ *
+ *   minimap.update(state, model);   // after each render
+ *   minimap.frame();                // from the animation loop; redraws on change or pan/zoom
+ *
+ * Hidden/shown state is remembered in localStorage ('mm_minimap_hidden').
+ */
+
+class MultiMapMinimap {
+    static SIZE = { width: 200, height: 140, pad: 8 };
+
+    constructor(controller) {
+        this.sc = controller;
+        this.points = [];   // [{ id, x, y, color }] in world coordinates
+        this.bounds = null; // world box the minimap shows
+        this.model = null;  // the last map model from renderMap
+        this.marks = { selected: null, multi: null, hits: new Set() };
+        this.dirty = true;
+        this.lastFrameKey = '';
+        this.dragging = false;
+        this.hidden = localStorage.getItem('mm_minimap_hidden') === 'true';
+
+        this.el = document.createElement('div');
+        this.el.id = 'minimap';
+        this.el.className = 'absolute bottom-4 right-4 z-30 bg-slate-950/85 border border-slate-700 rounded-xl shadow-2xl backdrop-blur overflow-hidden';
+        this.el.innerHTML = `
+            <canvas class="block cursor-crosshair" style="touch-action: none;"></canvas>
+            <button class="minimap-toggle absolute top-1 right-1 w-5 h-5 flex items-center justify-center rounded bg-slate-900/80 text-[10px] text-slate-400 hover:text-white" title="Hide minimap">✕</button>
+        `;
+        controller.dom.viewMap.appendChild(this.el);
+        this.canvas = this.el.querySelector('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.toggleBtn = this.el.querySelector('.minimap-toggle');
+
+        this.toggleBtn.onpointerdown = (e) => e.stopPropagation();
+        this.toggleBtn.onclick = (e) => {
+            e.stopPropagation();
+            this.setHidden(!this.hidden);
+        };
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        this.el.addEventListener('wheel', (e) => e.stopPropagation());
+        this.applyHidden();
+    }
+
+    setHidden(hidden) {
+        this.hidden = hidden;
+        localStorage.setItem('mm_minimap_hidden', String(hidden));
+        this.applyHidden();
+    }
+
+    /** Collapsed, the minimap shrinks to a button that brings it back. */
+    applyHidden() {
+        this.canvas.classList.toggle('hidden', this.hidden);
+        this.toggleBtn.textContent = this.hidden ? '🗺️' : '✕';
+        this.toggleBtn.title = this.hidden ? 'Show minimap' : 'Hide minimap';
+        this.toggleBtn.className = this.hidden
+            ? 'minimap-toggle w-8 h-8 flex items-center justify-center text-sm text-slate-300 hover:text-white'
+            : 'minimap-toggle absolute top-1 right-1 w-5 h-5 flex items-center justify-center rounded bg-slate-900/80 text-[10px] text-slate-400 hover:text-white';
+        this.invalidate();
+    }
+
+    invalidate() { this.dirty = true; }
+
+    /** Stable colour per node type: roots and portals keep their map colours, other types get a hue of their own. */
+    static typeColor(type) {
+        if (!type) return '#94a3b8';
+        if (type === 'root' || type.endsWith('-root')) return '#ea580c';
+        if (type === 'portal' || type === 'smart-portal') return '#a855f7';
+        let hash = 0;
+        for (let i = 0; i < type.length; i++) hash = (hash * 31 + type.charCodeAt(i)) | 0;
+        return `hsl(${Math.abs(hash) % 360}, 65%, 62%)`;
+    }
+
+    update(state, model) {
+        this.model = model;
+        this.points = state.nodes.map(node => {
+            const p = this.sc.getVisualPos(node);
+            return { id: node.id, x: p.x, y: p.y, color: MultiMapMinimap.typeColor(node.type), faded: !model.visibleNodes.has(node.id) };
+        });
+        this.updateMarks();
+    }
+
+    /** Selection, search hits and query matches; cheap enough to run on every keystroke. */
+    updateMarks() {
+        if (!this.model) return;
+        const hits = new Set(this.sc.searchHits || []);
+        if (this.model.queryIds) this.model.queryIds.forEach(id => hits.add(id));
+        if (this.sc.activeSearchHighlight) hits.add(this.sc.activeSearchHighlight.nodeId);
+        this.marks = { selected: this.model.selId, multi: this.model.multiIds, hits };
+        this.invalidate();
+    }
+
+    /** World box covering every node and the part of the map on screen. */
+    computeBounds(view) {
+        let minX = view.x0, minY = view.y0, maxX = view.x1, maxY = view.y1;
+        this.points.forEach(p => {
+            if (p.x < minX) minX = p.x;
+            if (p.x > maxX) maxX = p.x;
+            if (p.y < minY) minY = p.y;
+            if (p.y > maxY) maxY = p.y;
+        });
+        const margin = 80;
+        return { x0: minX - margin, y0: minY - margin, x1: maxX + margin, y1: maxY + margin };
+    }
+
+    viewRect() {
+        const vp = this.sc.kernel.state.session.viewport;
+        const rect = this.sc.dom.viewport.getBoundingClientRect();
+        return { x0: -vp.x / vp.scale, y0: -vp.y / vp.scale, x1: (rect.width - vp.x) / vp.scale, y1: (rect.height - vp.y) / vp.scale };
+    }
+
+    /** World-to-minimap transform for the current bounds, keeping the aspect ratio. */
+    transform() {
+        const { width, height, pad } = MultiMapMinimap.SIZE;
+        const b = this.bounds;
+        const scale = Math.min((width - pad * 2) / (b.x1 - b.x0), (height - pad * 2) / (b.y1 - b.y0));
+        const ox = pad + ((width - pad * 2) - (b.x1 - b.x0) * scale) / 2;
+        const oy = pad + ((height - pad * 2) - (b.y1 - b.y0) * scale) / 2;
+        return { scale, ox, oy };
+    }
+
+    frame() {
+        if (this.hidden || !this.sc.kernel.state.session) return;
+        const vp = this.sc.kernel.state.session.viewport;
+        const key = `${vp.x}|${vp.y}|${vp.scale}`;
+        if (!this.dirty && key === this.lastFrameKey) return;
+        this.lastFrameKey = key;
+        this.dirty = false;
+        this.draw();
+    }
+
+    draw() {
+        const { width, height } = MultiMapMinimap.SIZE;
+        const dpr = window.devicePixelRatio || 1;
+        if (this.canvas.width !== width * dpr) {
+            this.canvas.width = width * dpr;
+            this.canvas.height = height * dpr;
+            this.canvas.style.width = `${width}px`;
+            this.canvas.style.height = `${height}px`;
+        }
+        const ctx = this.ctx;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const view = this.viewRect();
+        // While dragging, the bounds hold still so the map does not slide under the pointer
+        if (!this.dragging || !this.bounds) this.bounds = this.computeBounds(view);
+        const { scale, ox, oy } = this.transform();
+        const mx = (x) => ox + (x - this.bounds.x0) * scale;
+        const my = (y) => oy + (y - this.bounds.y0) * scale;
+
+        const size = this.points.length > 2000 ? 1.5 : 2.5;
+        this.points.forEach(p => {
+            ctx.globalAlpha = p.faded ? 0.3 : 0.9;
+            ctx.fillStyle = p.color;
+            ctx.fillRect(mx(p.x) - size / 2, my(p.y) - size / 2, size, size);
+        });
+        ctx.globalAlpha = 1;
+
+        // Search and query hits, then the selection, drawn over the dots
+        const byId = new Map(this.points.map(p => [p.id, p]));
+        ctx.strokeStyle = '#facc15';
+        ctx.lineWidth = 1.5;
+        this.marks.hits.forEach(id => {
+            const p = byId.get(id);
+            if (!p) return;
+            ctx.beginPath();
+            ctx.arc(mx(p.x), my(p.y), 4, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        if (this.marks.multi) {
+            ctx.fillStyle = '#38bdf8';
+            this.marks.multi.forEach(id => {
+                const p = byId.get(id);
+                if (p) ctx.fillRect(mx(p.x) - 2, my(p.y) - 2, 4, 4);
+            });
+        }
+        const sel = this.marks.selected ? byId.get(this.marks.selected) : null;
+        if (sel) {
+            ctx.fillStyle = '#fbbf24';
+            ctx.beginPath();
+            ctx.arc(mx(sel.x), my(sel.y), 3.5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.strokeStyle = 'rgba(56, 189, 248, 0.9)';
+        ctx.fillStyle = 'rgba(56, 189, 248, 0.08)';
+        ctx.lineWidth = 1;
+        const rx = mx(view.x0), ry = my(view.y0);
+        const rw = Math.max(4, (view.x1 - view.x0) * scale), rh = Math.max(4, (view.y1 - view.y0) * scale);
+        ctx.fillRect(rx, ry, rw, rh);
+        ctx.strokeRect(rx + 0.5, ry + 0.5, rw - 1, rh - 1);
+    }
+
+    // --- Navigation ---
+
+    /** Centre the main viewport on the world point under a minimap pixel. */
+    jumpTo(e) {
+        if (!this.bounds) return;
+        const r = this.canvas.getBoundingClientRect();
+        const { scale, ox, oy } = this.transform();
+        const wx = this.bounds.x0 + (e.clientX - r.left - ox) / scale;
+        const wy = this.bounds.y0 + (e.clientY - r.top - oy) / scale;
+
+        const vp = this.sc.kernel.state.session.viewport;
+        const rect = this.sc.dom.viewport.getBoundingClientRect();
+        vp.x = rect.width / 2 - wx * vp.scale;
+        vp.y = rect.height / 2 - wy * vp.scale;
+        this.sc.userHasPanned = true; // keep autofocus from gliding back to the selection
+        this.sc.updateTransform();
+        this.invalidate();
+    }
+
+    handlePointerDown(e) {
+        e.stopPropagation();
+        this.dragging = true;
+        this.canvas.setPointerCapture(e.pointerId);
+        this.jumpTo(e);
+    }
+
+    handlePointerMove(e) {
+        if (!this.dragging) return;
+        e.stopPropagation();
+        this.jumpTo(e);
+    }
+
+    handlePointerUp(e) {
+        if (!this.dragging) return;
+        e.stopPropagation();
+        this.dragging = false;
+        if (this.canvas.hasPointerCapture(e.pointerId)) this.canvas.releasePointerCapture(e.pointerId);
+        this.invalidate();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapMinimap;
+}
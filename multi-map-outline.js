@@ -0,0 +1,574 @@
+/**
+ * Multi-Map OUTLINE v14.11
+ * Features: Page <-> Outline Tree Conversion, Hub/Note Inference, Markdown Outline Export & Import.
+ *
+ * An outline is a plain tree shared by the text and mind-map formats:
+ *
+ *   { title, content, link, children: [outline, ...] }   // link: { href } or null
+ *   // optional: position { x, y } relative to the outline root, side 'left' | 'right', collapsed
+ *
+ *   const outline = MultiMapOutline.fromPage(page, { isHierarchy, linkFor: node => 'roadmap.md' });
+ *   const text = MultiMapOutline.markdown.stringify(outline);   // # Page, ## Branch, ### ..., then - bullets
+ *   const back = MultiMapOutline.markdown.parse(text);          // title is null unless there is a single # heading
+ *   const fragment = MultiMapOutline.toFragment(back.children, { generateId, resolveLink });
+ *
+ *   MultiMapOutline.opml / .freemind        // stringify(outline) and parse(text), like .markdown
+ *   await MultiMapOutline.readFile(name, bytes)  // -> [outline]; .md .opml .mm .xmind (one per sheet)
+ *
+ * Pages export along hierarchy edges from the core root, so cross-links are left out;
+ * imported items with children become hubs, leaves become notes, and links that
+ * resolve to a page become portals.
+ */
+
+const MultiMapOutline = {
+    spacing: { depth: 320, row: 140 }, // starting positions for imported nodes; physics tidies them up
+
+    // Export formats offered in the UI; each name is also the codec below
+    formats: {
+        markdown: { label: "Markdown", extension: 'md', mime: 'text/markdown' },
+        opml: { label: "OPML", extension: 'opml', mime: 'text/x-opml' },
+        freemind: { label: "FreeMind", extension: 'mm', mime: 'application/x-freemind' }
+    },
+
+    /** File-name-safe form of a title, as used for exported page files. */
+    slug(title) {
+        return String(title || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'untitled';
+    },
+
+    /**
+     * The outline of a page: the core root with its page title, its branches in link order,
+     * then any branches that hang from nothing. `linkFor(node)` gives portals their href.
+     */
+    fromPage(page, { isHierarchy = (c) => !c.type || c.type === 'structural', linkFor = () => null } = {}) {
+        const nodes = page.nodes || [];
+        const byId = new Map(nodes.map(n => [n.id, n]));
+        const children = new Map();
+        const hasParent = new Set();
+        (page.connections || []).forEach(c => {
+            if (!isHierarchy(c) || !byId.has(c.from) || !byId.has(c.to) || c.from === c.to) return;
+            if (!children.has(c.from)) children.set(c.from, []);
+            children.get(c.from).push(c.to);
+            hasParent.add(c.to);
+        });
+
+        const core = nodes.find(n => n.data && n.data.isCore) || nodes.find(n => !hasParent.has(n.id));
+        const origin = core && core.data ? core.data : { x: 0, y: 0 };
+        const seen = new Set();
+        const walk = (node) => {
+            seen.add(node.id);
+            const data = node.data || {};
+            const href = linkFor(node);
+            const isPortal = typeof MultiMapIntegrity !== 'undefined' ? !!MultiMapIntegrity.portalTarget(node) : node.type === 'portal';
+            return {
+                title: String(node.title || ''),
+                // A portal's content is its target's map_id, which the link already carries
+                content: isPortal ? '' : String(node.content || ''),
+                type: node.type,
+                link: href ? { href } : null,
+                position: { x: (data.x || 0) - (origin.x || 0), y: (data.y || 0) - (origin.y || 0) },
+                collapsed: !!data.collapsed,
+                children: (children.get(node.id) || []).filter(id => !seen.has(id)).map(id => walk(byId.get(id)))
+            };
+        };
+
+        const outline = core ? walk(core) : { title: '', content: '', type: null, link: null, children: [] };
+        outline.title = (page.meta && page.meta.title) || outline.title;
+        // Unattached branches first, then whatever is left inside parent-less cycles
+        nodes.filter(n => !seen.has(n.id) && !hasParent.has(n.id)).forEach(n => { if (!seen.has(n.id)) outline.children.push(walk(n)); });
+        nodes.forEach(n => { if (!seen.has(n.id)) outline.children.push(walk(n)); });
+        return outline;
+    },
+
+    /**
+     * A paste fragment (see MultiMapGraph.pasteFragment) for outline `items`, laid out as a
+     * tree growing right (or left, for `side: 'left'` branches). Items with a `position`
+     * are moved there with their branch. `resolveLink(href)` returns the map_id a link
+     * points at, or null; links that resolve become portals and the rest keep their href
+     * in the content.
+     */
+    toFragment(items, { generateId, resolveLink = () => null } = {}) {
+        const nodes = [], connections = [], roots = [];
+        const rows = { 1: 0, '-1': 0 }; // each side stacks its own leaves
+        const placed = [];
+        const place = (item, depth, parentId, dir) => {
+            const id = generateId();
+            if (item.side === 'left' || item.side === 'right') dir = item.side === 'left' ? -1 : 1;
+            const target = item.link ? resolveLink(item.link.href) : null;
+            let content = String(item.content || '');
+            if (item.link && !target) content = content ? `${item.link.href}\n\n${content}` : item.link.href;
+            const node = {
+                id,
+                type: target ? 'portal' : (item.children && item.children.length ? 'hub' : 'note'),
+                title: String(item.title || '').trim() || 'Untitled',
+                content: target || content,
+                data: { x: dir * depth * MultiMapOutline.spacing.depth, y: 0, isCore: false, collapsed: !!(item.collapsed && item.children && item.children.length) }
+            };
+            nodes.push(node);
+            if (parentId) connections.push({ id: generateId(), from: parentId, to: id, type: 'structural' });
+            else roots.push(id);
+
+            const first = nodes.length;
+            const kids = (item.children || []).map(child => place(child, depth + 1, id, dir));
+            // Leaves take the next row; parents sit level with the middle of their children
+            node.data.y = kids.length ? (kids[0].data.y + kids[kids.length - 1].data.y) / 2 : (rows[dir]++) * MultiMapOutline.spacing.row;
+            placed.push({ item, node, branch: nodes.slice(first), top: roots[roots.length - 1] });
+            return node;
+        };
+        items.forEach(item => place(item, 0, null, 1));
+
+        // Known positions are relative to the top item; outer branches move before the ones inside them
+        const byId = new Map(nodes.map(n => [n.id, n]));
+        placed.reverse().forEach(({ item, node, branch, top }) => {
+            const p = item.position;
+            if (!p || !Number.isFinite(p.x) || !Number.isFinite(p.y) || node.id === top) return;
+            const origin = byId.get(top).data;
+            const dx = origin.x + p.x - node.data.x, dy = origin.y + p.y - node.data.y;
+            [node, ...branch].forEach(n => { n.data.x += dx; n.data.y += dy; });
+        });
+        return { nodes, connections, roots };
+    },
+
+    markdown: {
+        STRUCTURE: /^(\s*)(#{1,6}\s|[-*+]\s|\d{1,9}[.)]\s)/,
+        FENCE: /^\s*(```|~~~)/,
+
+        /** True when `text` has at least one heading or bullet, i.e. reads as an outline. */
+        looksLikeOutline(text) {
+            return String(text || '').split(/\r\n?|\n/).some(line => /^ {0,3}#{1,6}\s+\S/.test(line) || /^\s*([-*+]|\d{1,9}[.)])\s+\S/.test(line));
+        },
+
+        /** Body lines that would read back as headings or bullets get a backslash; code fences are left alone. */
+        escapeBody(text) {
+            let fence = false;
+            return String(text).split('\n').map(line => {
+                if (MultiMapOutline.markdown.FENCE.test(line)) fence = !fence;
+                else if (!fence && MultiMapOutline.markdown.STRUCTURE.test(line)) return line.replace(/^(\s*)/, '$1\\');
+                return line;
+            });
+        },
+
+        label(item) {
+            const title = String(item.title || '').replace(/\s*\n\s*/g, ' ').trim() || 'Untitled';
+            return item.link ? `[${title.replace(/([\[\]])/g, '\\$1')}](${encodeURI(item.link.href)})` : title;
+        },
+
+        /** Headings down to `headingDepth` (the outline root is the # title), nested bullets below. */
+        stringify(outline, { headingDepth = 3 } = {}) {
+            const md = MultiMapOutline.markdown;
+            const out = [];
+            const write = (item, depth) => {
+                const body = String(item.content || '').replace(/\r\n?/g, '\n').replace(/^\n+|\s+$/g, '');
+                if (depth <= headingDepth) {
+                    if (out.length && out[out.length - 1] !== '') out.push('');
+                    out.push(`${'#'.repeat(depth)} ${md.label(item)}`, '');
+                    if (body) out.push(...md.escapeBody(body), '');
+                } else {
+                    const indent = '  '.repeat(depth - headingDepth - 1);
+                    out.push(`${indent}- ${md.label(item)}`);
+                    if (body) out.push(...md.escapeBody(body).map(line => line ? `${indent}  ${line}` : ''));
+                }
+                (item.children || []).forEach(child => write(child, depth + 1));
+            };
+            write(outline, 1);
+            while (out.length && out[out.length - 1] === '') out.pop();
+            return out.join('\n') + '\n';
+        },
+
+        /** The title text and link of a heading or bullet. */
+        parseLabel(text) {
+            const label = text.replace(/^\[[ xX]\]\s+/, '').trim(); // task list boxes
+            const m = label.match(/^\[((?:\\.|[^\]\\])+)\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)$/);
+            if (!m) return { title: label, link: null };
+            let href = m[2];
+            try { href = decodeURI(href); } catch (e) { /* keep it as written */ }
+            return { title: m[1].replace(/\\([\[\]])/g, '$1').trim(), link: { href } };
+        },
+
+        /**
+         * Read a Markdown outline. Headings nest by level and bullets by indentation, under
+         * the nearest heading; other lines are the body of the item above them. A single
+         * top-level # heading becomes `title`; text without any headings or bullets reads
+         * as one item per line, so a pasted plain list works too.
+         */
+        parse(text) {
+            const md = MultiMapOutline.markdown;
+            let lines = String(text || '').replace(/\r\n?/g, '\n').split('\n').map(line => line.replace(/^\t+/, tabs => '    '.repeat(tabs.length)));
+            if (lines[0] === '---') {
+                const end = lines.indexOf('---', 1);
+                if (end > 0) lines = lines.slice(end + 1); // front matter
+            }
+
+            const doc = { title: null, content: '', link: null, children: [], body: [] };
+            const stack = [{ item: doc, level: 0 }];
+            let bullet = null; // the open bullet entry while its body is being read
+            let fence = false, blank = false, structured = false;
+
+            const open = (level, label, entry = {}) => {
+                while (stack.length > 1 && stack[stack.length - 1].level >= level) stack.pop();
+                const item = { ...md.parseLabel(label), content: '', children: [], body: [], heading: level < 10 ? level : 0 };
+                stack[stack.length - 1].item.children.push(item);
+                stack.push({ item, level, ...entry });
+                structured = true;
+                blank = false;
+                return stack[stack.length - 1];
+            };
+
+            lines.forEach(line => {
+                const current = stack[stack.length - 1];
+                if (fence || md.FENCE.test(line)) {
+                    if (md.FENCE.test(line)) fence = !fence;
+                    current.item.body.push(bullet ? line.slice(Math.min(bullet.col, line.length - line.trimStart().length)) : line);
+                    return;
+                }
+                const heading = line.match(/^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+                if (heading) {
+                    bullet = null;
+                    open(heading[1].length, heading[2]);
+                    return;
+                }
+                const item = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+                if (item) {
+                    const indent = item[1].length;
+                    bullet = open(10 + indent, item[3], { indent, col: indent + item[2].length + 1 });
+                    return;
+                }
+                if (!line.trim()) {
+                    blank = true;
+                    current.item.body.push('');
+                    return;
+                }
+
+                const indent = line.length - line.trimStart().length;
+                let target = current, body = line;
+                if (bullet) {
+                    if (indent > bullet.indent) {
+                        body = line.slice(Math.min(indent, bullet.col));
+                    } else if (blank) {
+                        // A paragraph after the list belongs to the heading above the list
+                        while (stack.length > 1 && stack[stack.length - 1].level >= 10) stack.pop();
+                        bullet = null;
+                        target = stack[stack.length - 1];
+                    } else {
+                        body = line.trim(); // lazy continuation
+                    }
+                }
+                target.item.body.push(body.replace(/^(\s*)\\(?=[#*+-]|\d)/, '$1'));
+                blank = false;
+            });
+
+            const finish = (item) => {
+                const content = item.body.join('\n').replace(/^\n+|\s+$/g, '');
+                return { title: item.title === undefined ? null : item.title, content, link: item.link || null, children: item.children.map(finish), heading: item.heading };
+            };
+            const result = finish(doc);
+
+            if (!structured) {
+                result.children = result.content.split('\n').map(l => l.trim()).filter(Boolean)
+                    .map(l => ({ ...md.parseLabel(l), content: '', children: [] }));
+                result.content = '';
+            } else {
+                const h1 = result.children.filter(c => c.heading === 1);
+                if (h1.length === 1 && result.children.length === 1) {
+                    const top = h1[0];
+                    result.title = top.title;
+                    result.link = top.link;
+                    result.content = [result.content, top.content].filter(Boolean).join('\n\n');
+                    result.children = top.children;
+                }
+            }
+            const clean = (item) => { delete item.heading; item.children.forEach(clean); return item; };
+            return clean(result);
+        }
+    },
+
+    // --- Mind-map formats ---
+
+    /** Minimal XML reading and writing for OPML, FreeMind and XMind; no DTDs, namespaces stay in the names. */
+    xml: {
+        ENTITIES: { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' },
+
+        decode(text) {
+            return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, e) => {
+                if (e[0] === '#') {
+                    const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+                    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+                }
+                return MultiMapOutline.xml.ENTITIES[e.toLowerCase()] ?? match;
+            });
+        },
+
+        escape(text) {
+            return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/\n/g, '&#10;');
+        },
+
+        /** The document as { name, attrs, children } elements; text nodes are strings in `children`. */
+        parse(text) {
+            const doc = { name: '#document', attrs: {}, children: [] };
+            const stack = [doc];
+            const re = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s\/>!?]+)((?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+            let m;
+            while ((m = re.exec(text)) !== null) {
+                const top = stack[stack.length - 1];
+                if (m[1] !== undefined) {
+                    top.children.push(m[1]);
+                } else if (m[2]) {
+                    // Close up to the matching element, so a stray closing tag cannot unwind the document
+                    for (let i = stack.length - 1; i > 0; i--) {
+                        if (stack[i].name === m[2]) { stack.length = i; break; }
+                    }
+                } else if (m[3]) {
+                    const el = { name: m[3], attrs: {}, children: [] };
+                    m[4].replace(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (a, key, dq, sq) => { el.attrs[key] = MultiMapOutline.xml.decode(dq ?? sq); });
+                    top.children.push(el);
+                    if (!m[5]) stack.push(el);
+                } else if (m[6]) {
+                    top.children.push(MultiMapOutline.xml.decode(m[6]));
+                }
+            }
+            return doc;
+        },
+
+        elements(el, name = null) {
+            return el ? el.children.filter(c => typeof c === 'object' && (!name || c.name === name)) : [];
+        },
+
+        /** First element called `name` anywhere below `el`, depth first. */
+        find(el, name) {
+            for (const child of MultiMapOutline.xml.elements(el)) {
+                if (child.name === name) return child;
+                const found = MultiMapOutline.xml.find(child, name);
+                if (found) return found;
+            }
+            return null;
+        },
+
+        text(el) {
+            return el ? el.children.map(c => typeof c === 'string' ? c : MultiMapOutline.xml.text(c)).join('') : '';
+        },
+
+        /** Readable text of an HTML fragment: one line per paragraph, block or <br>. */
+        htmlText(el) {
+            const lines = [''];
+            const walk = (node) => {
+                if (typeof node === 'string') { lines[lines.length - 1] += node.replace(/\s+/g, ' '); return; }
+                const name = node.name.toLowerCase();
+                if (name === 'head' || name === 'style' || name === 'script') return;
+                if (name === 'br') { lines.push(''); return; }
+                const block = /^(p|div|li|tr|pre|blockquote|h[1-6])$/.test(name);
+                if (block && lines[lines.length - 1].trim()) lines.push('');
+                node.children.forEach(walk);
+                if (block) lines.push('');
+            };
+            walk(el);
+            return lines.map(l => l.trim()).join('\n').replace(/^\n+|\n+$/g, '');
+        }
+    },
+
+    opml: {
+        /** OPML 2.0 with the outline root as the single top item; content goes in `_note`, portals become link items. */
+        stringify(outline) {
+            const esc = MultiMapOutline.xml.escape;
+            const out = [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<opml version="2.0">',
+                '  <head>',
+                `    <title>${esc(outline.title || 'Untitled')}</title>`,
+                '  </head>',
+                '  <body>'
+            ];
+            const write = (item, depth) => {
+                const pad = '  '.repeat(depth);
+                let attrs = `text="${esc(String(item.title || '').replace(/\s*\n\s*/g, ' '))}"`;
+                if (item.content) attrs += ` _note="${esc(item.content)}"`;
+                if (item.link) attrs += ` type="link" url="${esc(item.link.href)}"`;
+                const kids = item.children || [];
+                if (kids.length === 0) return out.push(`${pad}<outline ${attrs}/>`);
+                out.push(`${pad}<outline ${attrs}>`);
+                kids.forEach(child => write(child, depth + 1));
+                out.push(`${pad}</outline>`);
+            };
+            write(outline, 2);
+            out.push('  </body>', '</opml>');
+            return out.join('\n') + '\n';
+        },
+
+        /** A single top-level outline is the root; several hang under the head title. */
+        parse(text) {
+            const xml = MultiMapOutline.xml;
+            const doc = xml.parse(text);
+            const opml = xml.find(doc, 'opml');
+            if (!opml) throw new Error("This is not an OPML file.");
+            const head = xml.elements(opml, 'head')[0];
+            const title = head ? xml.text(xml.elements(head, 'title')[0]).trim() : '';
+            const item = (el) => {
+                const a = el.attrs;
+                const href = a.url || a.htmlUrl || a.xmlUrl || null;
+                return {
+                    title: String(a.text ?? a.title ?? '').trim(),
+                    content: String(a._note ?? a.note ?? '').trim(),
+                    link: href ? { href } : null,
+                    children: xml.elements(el, 'outline').map(item)
+                };
+            };
+            const tops = xml.elements(xml.elements(opml, 'body')[0], 'outline').map(item);
+            if (tops.length === 1) return { ...tops[0], title: tops[0].title || title || null };
+            return { title: title || null, content: '', link: null, children: tops };
+        }
+    },
+
+    freemind: {
+        /** A FreeMind 1.0 map (.mm), which Freeplane and most mind-map tools open. Content becomes the node's note. */
+        stringify(outline) {
+            const esc = MultiMapOutline.xml.escape;
+            const out = [
+                '<map version="1.0.1">',
+                '<!-- To view this file, download free mind mapping software FreeMind from http://freemind.sourceforge.net -->'
+            ];
+            let count = 0;
+            const write = (item, depth) => {
+                let attrs = `TEXT="${esc(item.title || '')}" ID="ID_${++count}"`;
+                if (depth === 1) attrs += ` POSITION="${item.side || (item.position && item.position.x < 0 ? 'left' : 'right')}"`;
+                if (item.collapsed && (item.children || []).length) attrs += ' FOLDED="true"';
+                if (item.link) attrs += ` LINK="${esc(item.link.href)}"`;
+                out.push(`<node ${attrs}>`);
+                if (item.content) {
+                    const paragraphs = String(item.content).split('\n').map(line => `<p>${esc(line)}</p>`).join('\n');
+                    out.push(`<richcontent TYPE="NOTE"><html>\n<head>\n</head>\n<body>\n${paragraphs}\n</body>\n</html>\n</richcontent>`);
+                }
+                (item.children || []).forEach(child => write(child, depth + 1));
+                out.push('</node>');
+            };
+            write(outline, 0);
+            out.push('</map>');
+            return out.join('\n') + '\n';
+        },
+
+        /** FreeMind and Freeplane maps: rich text titles and notes are read as plain text, LEFT/RIGHT as sides. */
+        parse(text) {
+            const xml = MultiMapOutline.xml;
+            const map = xml.find(xml.parse(text), 'map');
+            const root = map && xml.elements(map, 'node')[0];
+            if (!root) throw new Error("This is not a FreeMind map.");
+            const rich = (el, type) => {
+                const found = xml.elements(el, 'richcontent').find(r => String(r.attrs.TYPE || '').toUpperCase() === type);
+                return found ? xml.htmlText(found) : '';
+            };
+            const item = (el) => {
+                const position = String(el.attrs.POSITION || '').toLowerCase();
+                return {
+                    title: String(el.attrs.TEXT ?? rich(el, 'NODE')).trim(),
+                    content: [rich(el, 'DETAILS'), rich(el, 'NOTE')].filter(Boolean).join('\n\n'),
+                    link: el.attrs.LINK ? { href: el.attrs.LINK } : null,
+                    side: position === 'left' || position === 'right' ? position : null,
+                    collapsed: el.attrs.FOLDED === 'true',
+                    children: xml.elements(el, 'node').map(item)
+                };
+            };
+            return item(root);
+        }
+    },
+
+    xmind: {
+        /**
+         * XMind workbooks, one outline per sheet: content.json (XMind 2020 and later) or
+         * content.xml (XMind 8). Detached topics become extra branches at their position.
+         */
+        parse(files) {
+            const decode = (data) => typeof data === 'string' ? data : new TextDecoder().decode(data);
+            const json = files.find(f => f.name === 'content.json');
+            const xmlFile = files.find(f => f.name === 'content.xml');
+            if (json) return MultiMapOutline.xmind.fromJson(JSON.parse(decode(json.data)));
+            if (xmlFile) return MultiMapOutline.xmind.fromXml(decode(xmlFile.data));
+            throw new Error("This XMind file has no content.json or content.xml.");
+        },
+
+        fromJson(sheets) {
+            if (!Array.isArray(sheets) || !sheets.some(s => s && s.rootTopic)) throw new Error("This is not XMind content.");
+            const topic = (t, depth) => {
+                const kids = (t.children && t.children.attached) || [];
+                const detached = (t.children && t.children.detached) || [];
+                const notes = t.notes && t.notes.plain ? String(t.notes.plain.content || '') : '';
+                const p = t.position;
+                return {
+                    title: String(t.title || '').trim(),
+                    content: notes.trim(),
+                    link: t.href && !String(t.href).startsWith('xap:') ? { href: t.href } : null,
+                    position: depth > 0 && p && Number.isFinite(p.x) && Number.isFinite(p.y) ? { x: p.x, y: p.y } : null,
+                    collapsed: t.branch === 'folded',
+                    children: [...kids, ...detached].map(c => topic(c, depth + 1))
+                };
+            };
+            return sheets.filter(s => s && s.rootTopic).map(s => {
+                const root = topic(s.rootTopic, 0);
+                if (!root.title) root.title = String(s.title || '').trim();
+                return root;
+            });
+        },
+
+        fromXml(text) {
+            const xml = MultiMapOutline.xml;
+            const content = xml.find(xml.parse(text), 'xmap-content');
+            if (!content) throw new Error("This is not XMind content.");
+            const topic = (el, depth) => {
+                const title = xml.elements(el, 'title')[0];
+                const notes = xml.elements(el, 'notes')[0];
+                const plain = notes ? xml.elements(notes, 'plain')[0] : null;
+                const pos = xml.elements(el, 'position')[0];
+                const x = pos ? parseFloat(pos.attrs['svg:x']) : NaN, y = pos ? parseFloat(pos.attrs['svg:y']) : NaN;
+                const href = el.attrs['xlink:href'];
+                const children = xml.elements(el, 'children')[0];
+                const kids = [];
+                xml.elements(children, 'topics').forEach(group => xml.elements(group, 'topic').forEach(t => kids.push(topic(t, depth + 1))));
+                return {
+                    title: xml.text(title).trim(),
+                    content: plain ? xml.text(plain).trim() : '',
+                    link: href && !href.startsWith('xap:') ? { href } : null,
+                    position: depth > 0 && Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null,
+                    collapsed: el.attrs.branch === 'folded',
+                    children: kids
+                };
+            };
+            return xml.elements(content, 'sheet').map(sheet => {
+                const rootEl = xml.elements(sheet, 'topic')[0];
+                if (!rootEl) return null;
+                const root = topic(rootEl, 0);
+                if (!root.title) root.title = xml.text(xml.elements(sheet, 'title')[0]).trim();
+                return root;
+            }).filter(Boolean);
+        }
+    },
+
+    /**
+     * Outlines in an imported file, picked by extension: .opml, .mm (FreeMind), .xmind or
+     * XMind's content.json, and Markdown for anything else. `bytes` is a Uint8Array.
+     */
+    async readFile(name, bytes) {
+        const ext = String(name).toLowerCase().split('.').pop();
+        const text = () => new TextDecoder().decode(bytes);
+        if (ext === 'opml' || ext === 'xml') return [MultiMapOutline.opml.parse(text())];
+        if (ext === 'mm') return [MultiMapOutline.freemind.parse(text())];
+        if (ext === 'json') return MultiMapOutline.xmind.fromJson(JSON.parse(text()));
+        if (ext === 'xmind') {
+            const zip = typeof MultiMapZip !== 'undefined' ? MultiMapZip : require('./multi-map-zip.js');
+            let files;
+            try {
+                files = await zip.read(bytes, (entry) => entry === 'content.json' || entry === 'content.xml');
+            } catch (e) {
+                throw new Error(`This is not an XMind workbook (${e.message})`);
+            }
+            return MultiMapOutline.xmind.parse(files);
+        }
+        return [MultiMapOutline.markdown.parse(text())];
+    },
+
+    /** An outline in one of the export `formats`. */
+    stringify(format, outline) {
+        if (!MultiMapOutline.formats[format]) throw new Error(`Unknown outline format "${format}".`);
+        return MultiMapOutline[format].stringify(outline);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapOutline;
+}
@@ -0,0 +1,379 @@
+/**
+ * Multi-Map PHYSICS v14.11
+ * Features: Barnes-Hut Quadtree Repulsion, Adjacency-Indexed Springs, Neighborhood-Only Relaxation, Web Worker Runner.
+ *
+ *   const layout = MultiMapPhysics.fromState(state.nodes, state.connections, conn => graph.isHierarchyEdge(conn));
+ *   MultiMapPhysics.run(layout, { iterations: 40, changedIds: [nodeId] }); // omit changedIds to relax the whole map
+ *   MultiMapPhysics.apply(layout, state.nodes);                            // writes moved positions back
+ *
+ * Pinned nodes (data.pinned) never move; they still push and pull their neighbours.
+ *
+ * Repulsion only reaches `repulsionDist`, so quadtree cells beyond it are skipped and
+ * small cells far enough away count as one body at their centre of mass. With
+ * `changedIds`, only the changed nodes, their hierarchy neighbours and whatever sits
+ * near them move; the rest of the map holds still and just pushes back.
+ *
+ * This file is also the worker script: MultiMapPhysicsRunner posts layouts to it.
+ */
+
+const MultiMapPhysics = {
+    defaults: {
+        iterations: 30,
+        kRepel: 0.08,
+        kSpring: 0.05,
+        repulsionDist: 240,
+        springLength: 160,
+        theta: 0.7,    // Barnes-Hut opening criterion: cell size / distance
+        maxStep: 60,   // Per-iteration displacement cap, so crowded spots cannot explode
+        hops: 2,       // Hierarchy hops around a changed node that may move
+        hubDegree: 12, // Walks stop at nodes with more links, so one child does not shake every sibling
+        leafSize: 8
+    },
+
+    /**
+     * Flat, index-based copy of a map: typed position arrays, the pinned mask and the
+     * hierarchy springs as index pairs. `isSpring(conn)` picks the edges that pull.
+     */
+    fromState(nodes, connections, isSpring = () => true) {
+        const n = nodes.length;
+        const ids = new Array(n);
+        const xs = new Float64Array(n), ys = new Float64Array(n);
+        const fixed = new Uint8Array(n);
+        const index = new Map();
+        nodes.forEach((node, i) => {
+            ids[i] = node.id;
+            xs[i] = (node.data && Number(node.data.x)) || 0;
+            ys[i] = (node.data && Number(node.data.y)) || 0;
+            fixed[i] = node.data && node.data.pinned ? 1 : 0;
+            index.set(node.id, i);
+        });
+        const pairs = [];
+        connections.forEach(conn => {
+            if (!isSpring(conn)) return;
+            const a = index.get(conn.from), b = index.get(conn.to);
+            if (a !== undefined && b !== undefined && a !== b) pairs.push(a, b);
+        });
+        return MultiMapPhysics.hydrate({ ids, xs, ys, fixed, springs: Int32Array.from(pairs) }, index);
+    },
+
+    /** Rebuild the lookup indexes of a layout that crossed a worker boundary. */
+    hydrate(layout, index = null) {
+        const n = layout.ids.length;
+        if (!index) {
+            index = new Map();
+            layout.ids.forEach((id, i) => index.set(id, i));
+        }
+        const adjacency = Array.from({ length: n }, () => []);
+        for (let e = 0; e < layout.springs.length; e += 2) {
+            adjacency[layout.springs[e]].push(layout.springs[e + 1]);
+            adjacency[layout.springs[e + 1]].push(layout.springs[e]);
+        }
+        const fixed = layout.fixed || new Uint8Array(n);
+        return { ids: layout.ids, xs: layout.xs, ys: layout.ys, fixed, springs: layout.springs, index, adjacency, touched: new Uint8Array(n) };
+    },
+
+    /** The part of a layout a worker needs; the typed arrays are transferable. */
+    transport(layout) {
+        return { ids: layout.ids, xs: layout.xs, ys: layout.ys, fixed: layout.fixed, springs: layout.springs };
+    },
+
+    // --- Quadtree ---
+
+    /** Quadtree over bodies 0..n-1, or over `members` only when given. */
+    buildTree(xs, ys, n, leafSize = MultiMapPhysics.defaults.leafSize, members = null) {
+        const list = members || Array.from({ length: n }, (_, i) => i);
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const i of list) {
+            if (xs[i] < minX) minX = xs[i];
+            if (xs[i] > maxX) maxX = xs[i];
+            if (ys[i] < minY) minY = ys[i];
+            if (ys[i] > maxY) maxY = ys[i];
+        }
+        const size = Math.max(maxX - minX, maxY - minY, 1) + 1;
+        const cell = (x0, y0, s) => ({ x0, y0, size: s, count: 0, sx: 0, sy: 0, kids: null, bodies: [] });
+        const root = cell(minX, minY, size);
+
+        const insert = (start, i) => {
+            let c = start;
+            for (;;) {
+                c.count++;
+                c.sx += xs[i];
+                c.sy += ys[i];
+                if (!c.kids) break;
+                c = c.kids[MultiMapPhysics.quadrant(c, xs[i], ys[i])];
+            }
+            c.bodies.push(i);
+            // Stacked nodes would split forever; a cell below one unit stays a bucket
+            if (c.bodies.length > leafSize && c.size > 1) {
+                const h = c.size / 2;
+                c.kids = [cell(c.x0, c.y0, h), cell(c.x0 + h, c.y0, h), cell(c.x0, c.y0 + h, h), cell(c.x0 + h, c.y0 + h, h)];
+                const bodies = c.bodies;
+                c.bodies = null;
+                bodies.forEach(b => insert(c.kids[MultiMapPhysics.quadrant(c, xs[b], ys[b])], b));
+            }
+        };
+        for (const i of list) insert(root, i);
+        return root;
+    },
+
+    quadrant(c, x, y) {
+        const h = c.size / 2;
+        return (y >= c.y0 + h ? 2 : 0) + (x >= c.x0 + h ? 1 : 0);
+    },
+
+    /** Squared distance from a point to a cell's box (0 inside it). */
+    boxDistance2(c, x, y) {
+        const ex = Math.max(c.x0 - x, 0, x - c.x0 - c.size);
+        const ey = Math.max(c.y0 - y, 0, y - c.y0 - c.size);
+        return ex * ex + ey * ey;
+    },
+
+    /** Indexes of every body within `r` of (x, y). */
+    within(tree, xs, ys, x, y, r, out = []) {
+        const r2 = r * r;
+        const stack = [tree];
+        while (stack.length) {
+            const c = stack.pop();
+            if (c.count === 0 || MultiMapPhysics.boxDistance2(c, x, y) > r2) continue;
+            if (c.kids) { stack.push(...c.kids); continue; }
+            c.bodies.forEach(j => {
+                const dx = xs[j] - x, dy = ys[j] - y;
+                if (dx * dx + dy * dy <= r2) out.push(j);
+            });
+        }
+        return out;
+    },
+
+    // --- Relaxation ---
+
+    /**
+     * Mask of the nodes allowed to move after `changedIds` changed: the nodes
+     * themselves, `hops` hierarchy steps around them (not through hubs) and anything
+     * in repulsion reach.
+     */
+    neighborhood(layout, changedIds, options = {}) {
+        const { hops, hubDegree, repulsionDist } = { ...MultiMapPhysics.defaults, ...options };
+        const n = layout.ids.length;
+        const mask = new Uint8Array(n);
+        let frontier = changedIds.map(id => layout.index.get(id)).filter(i => i !== undefined);
+        frontier.forEach(i => { mask[i] = 1; });
+        const seeds = frontier.slice();
+
+        for (let h = 0; h < hops && frontier.length; h++) {
+            const next = [];
+            frontier.forEach(i => {
+                if (layout.adjacency[i].length > hubDegree) return;
+                layout.adjacency[i].forEach(j => {
+                    if (!mask[j]) { mask[j] = 1; next.push(j); }
+                });
+            });
+            frontier = next;
+        }
+
+        if (seeds.length) {
+            const tree = MultiMapPhysics.buildTree(layout.xs, layout.ys, n);
+            const near = [];
+            seeds.forEach(i => MultiMapPhysics.within(tree, layout.xs, layout.ys, layout.xs[i], layout.ys[i], repulsionDist, near));
+            near.forEach(j => { mask[j] = 1; });
+        }
+        return mask;
+    },
+
+    /**
+     * Spread overlapping nodes apart and pull hierarchy edges toward `springLength`.
+     * Only nodes set in `active` move (all of them when it is null), and never pinned
+     * ones. Returns the
+     * number of iterations run; moved nodes are flagged in `layout.touched`.
+     */
+    relax(layout, options = {}) {
+        const o = { ...MultiMapPhysics.defaults, ...options };
+        const { xs, ys, adjacency, touched, fixed } = layout;
+        const n = layout.ids.length;
+        const R = o.repulsionDist, R2 = R * R;
+        const moving = [];
+        for (let i = 0; i < n; i++) if ((!o.active || o.active[i]) && !fixed[i]) moving.push(i);
+        if (moving.length === 0 || n < 2) return 0;
+
+        const fx = new Float64Array(n), fy = new Float64Array(n);
+        const stack = [];
+        let ax = 0, ay = 0;
+        const push = (i, j, xi, yi) => {
+            let dx = xi - xs[j], dy = yi - ys[j];
+            let d = Math.sqrt(dx * dx + dy * dy);
+            if (d >= R) return;
+            if (d < 0.1) {
+                // Stacked nodes: split them along a fixed angle, opposite ways
+                const angle = Math.min(i, j) * 2.399963;
+                const sign = i < j ? 1 : -1;
+                dx = Math.cos(angle) * sign; dy = Math.sin(angle) * sign; d = 1;
+            }
+            const f = (R - d) * o.kRepel;
+            ax += (dx / d) * f;
+            ay += (dy / d) * f;
+        };
+
+        // A small moving set pushes against a tree of the still nodes, built once, and
+        // meets itself pair by pair; that beats rebuilding while the pairs stay cheaper
+        const partial = moving.length * moving.length < n * 16;
+        const still = partial ? MultiMapPhysics.buildTree(xs, ys, n, o.leafSize, Array.from({ length: n }, (_, i) => i).filter(i => (o.active && !o.active[i]) || fixed[i])) : null;
+        let step = 0;
+
+        for (; step < o.iterations; step++) {
+            const tree = still || MultiMapPhysics.buildTree(xs, ys, n, o.leafSize);
+
+            for (const i of moving) {
+                const xi = xs[i], yi = ys[i];
+                ax = 0; ay = 0;
+                if (partial) for (const j of moving) if (j !== i) push(i, j, xi, yi);
+
+                stack.length = 0;
+                stack.push(tree);
+                while (stack.length) {
+                    const c = stack.pop();
+                    if (c.count === 0) continue;
+                    const outside = MultiMapPhysics.boxDistance2(c, xi, yi);
+                    if (outside >= R2) continue;
+
+                    if (!c.kids) {
+                        for (const j of c.bodies) if (j !== i) push(i, j, xi, yi);
+                        continue;
+                    }
+
+                    const cx = c.sx / c.count, cy = c.sy / c.count;
+                    const dx = xi - cx, dy = yi - cy;
+                    const d = Math.sqrt(dx * dx + dy * dy);
+                    if (outside > 0 && d > 0.1 && c.size < o.theta * d) {
+                        // Far enough: the whole cell pushes as one body at its centre of mass
+                        if (d < R) {
+                            const f = (R - d) * o.kRepel * c.count;
+                            ax += (dx / d) * f;
+                            ay += (dy / d) * f;
+                        }
+                    } else {
+                        for (const k of c.kids) if (k.count) stack.push(k);
+                    }
+                }
+
+                for (const j of adjacency[i]) {
+                    const dx = xs[j] - xi, dy = ys[j] - yi;
+                    const d = Math.sqrt(dx * dx + dy * dy);
+                    if (d > 0.1 && Math.abs(d - o.springLength) > 2) {
+                        const f = (d - o.springLength) * o.kSpring;
+                        ax += (dx / d) * f;
+                        ay += (dy / d) * f;
+                    }
+                }
+                fx[i] = ax;
+                fy[i] = ay;
+            }
+
+            let moved = false;
+            for (const i of moving) {
+                let dx = fx[i], dy = fy[i];
+                const len = Math.sqrt(dx * dx + dy * dy);
+                if (len < 0.5) continue;
+                if (len > o.maxStep) { dx *= o.maxStep / len; dy *= o.maxStep / len; }
+                xs[i] += dx;
+                ys[i] += dy;
+                touched[i] = 1;
+                moved = true;
+            }
+            if (!moved) break;
+        }
+        return step;
+    },
+
+    /** Neighborhood selection plus relaxation, the one call both threads make. */
+    run(layout, options = {}) {
+        const active = options.changedIds ? MultiMapPhysics.neighborhood(layout, options.changedIds, options) : null;
+        return MultiMapPhysics.relax(layout, { ...options, active });
+    },
+
+    /** Moved nodes as [{ id, x, y }], rounded to whole pixels like hand-placed nodes. */
+    positions(layout) {
+        const out = [];
+        layout.touched.forEach((t, i) => { if (t) out.push({ id: layout.ids[i], x: Math.round(layout.xs[i]), y: Math.round(layout.ys[i]) }); });
+        return out;
+    },
+
+    apply(layout, nodes) {
+        const byId = new Map(nodes.map(n => [n.id, n]));
+        MultiMapPhysics.positions(layout).forEach(p => {
+            const node = byId.get(p.id);
+            if (node && node.data) { node.data.x = p.x; node.data.y = p.y; }
+        });
+    }
+};
+
+/**
+ * Runs MultiMapPhysics.run() in a Web Worker, one promise per job. `available` is
+ * false where workers cannot start (file:// pages, Node.js); callers then relax
+ * on the main thread instead.
+ */
+class MultiMapPhysicsRunner {
+    constructor(src = MultiMapPhysicsRunner.scriptSrc) {
+        this.worker = null;
+        this.jobs = new Map(); // jobId -> { resolve, reject }
+        this.nextJob = 1;
+        if (typeof Worker === 'undefined' || !src) return;
+        try {
+            this.worker = new Worker(src);
+            this.worker.onmessage = (e) => this.settle(e.data);
+            this.worker.onerror = (e) => {
+                console.error("Physics worker failed, falling back to the main thread:", e.message);
+                this.terminate(new Error(e.message || "Physics worker failed"));
+            };
+        } catch (e) {
+            console.warn("Physics worker unavailable, relaxing on the main thread:", e.message);
+            this.worker = null;
+        }
+    }
+
+    get available() { return !!this.worker; }
+
+    /** Resolves with the moved nodes as [{ id, x, y }]. */
+    run(layout, options = {}) {
+        if (!this.worker) return Promise.reject(new Error("Physics worker unavailable"));
+        const jobId = this.nextJob++;
+        const payload = MultiMapPhysics.transport(layout);
+        return new Promise((resolve, reject) => {
+            this.jobs.set(jobId, { resolve, reject });
+            this.worker.postMessage({ jobId, layout: payload, options }, [payload.xs.buffer, payload.ys.buffer]);
+        });
+    }
+
+    settle({ jobId, moved, error }) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+        this.jobs.delete(jobId);
+        if (error) job.reject(new Error(error));
+        else job.resolve(moved);
+    }
+
+    terminate(reason = new Error("Physics worker stopped")) {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.jobs.forEach(job => job.reject(reason));
+        this.jobs.clear();
+    }
+}
+
+// Resolved while the script tag runs; later document.currentScript points elsewhere
+MultiMapPhysicsRunner.scriptSrc = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : 'multi-map-physics.js';
+
+if (typeof WorkerGlobalScope !== 'undefined' && typeof self !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = (e) => {
+        const { jobId, layout, options } = e.data;
+        try {
+            const hydrated = MultiMapPhysics.hydrate(layout);
+            MultiMapPhysics.run(hydrated, options);
+            self.postMessage({ jobId, moved: MultiMapPhysics.positions(hydrated) });
+        } catch (err) {
+            self.postMessage({ jobId, error: err.message });
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MultiMapPhysics, MultiMapPhysicsRunner };
+}
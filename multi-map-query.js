@@ -0,0 +1,287 @@
+/**
+ * Multi-Map QUERY v14.11
+ * Features: Graph Query Language (type, title, content JSON fields, typed fields, tags, depth, degree, ancestry), Parser + Evaluator.
+ *
+ *   MultiMapQuery.run(state, 'type = web-image and not has content.src')   -> { ids, nodes }
+ *   MultiMapQuery.run(state, 'type:note under "Hub X" > 3')
+ *
+ * Syntax (clauses are ANDed unless joined with `or`; `not` and parentheses work as usual):
+ *
+ *   type = web-*          exact match, case-insensitive, `*` is a wildcard
+ *   title ~ launch        contains            (also != and !~)
+ *   title:launch          `:` means `~` on title/content fields and `=` everywhere else
+ *   content.src = ""      a field inside JSON content (web nodes); missing counts as ""
+ *   field.due < 2026-01-01  a typed field (node.data.fields); numbers compare as numbers, dates as text
+ *   tag = urgent          any entry of node.tags
+ *   depth > 3             levels below the root along structural edges (root = 0)
+ *   degree >= 2           all connections; `in`, `out` and `children` count one direction
+ *   parent = "Hub X"      title of the structural parent
+ *   has content.src       the field is non-empty
+ *   under "Hub X" > 3     has a structural ancestor titled (or with id) "Hub X", optionally
+ *                         more than / at most / exactly N levels below it
+ */
+
+const MultiMapQuery = {
+    NUMERIC_FIELDS: ['depth', 'degree', 'in', 'out', 'children'],
+    TEXT_FIELDS: ['type', 'title', 'content', 'id', 'tag', 'tags', 'parent'],
+    COMPARATORS: ['=', '!=', '~', '!~', '>', '>=', '<', '<=', ':'],
+
+    tokenize(text) {
+        const tokens = [];
+        const re = /\s*(?:(\()|(\))|(!=|!~|>=|<=|=|~|>|<|:)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s()=!~<>:"']+))/y;
+        let m;
+        let pos = 0;
+        while (pos < text.length) {
+            re.lastIndex = pos;
+            m = re.exec(text);
+            if (!m || m[0].length === 0) {
+                if (/^\s*$/.test(text.slice(pos))) break;
+                throw new Error(`Unexpected character "${text.slice(pos).trim()[0]}" in query.`);
+            }
+            pos = re.lastIndex;
+            if (m[1]) tokens.push({ kind: '(' });
+            else if (m[2]) tokens.push({ kind: ')' });
+            else if (m[3]) tokens.push({ kind: 'cmp', value: m[3] });
+            else if (m[4] !== undefined || m[5] !== undefined) tokens.push({ kind: 'string', value: (m[4] !== undefined ? m[4] : m[5]).replace(/\\(.)/g, '$1') });
+            else tokens.push({ kind: 'word', value: m[6] });
+        }
+        return tokens;
+    },
+
+    parse(text) {
+        const tokens = this.tokenize(String(text || ''));
+        if (tokens.length === 0) throw new Error('The query is empty.');
+        let i = 0;
+        const peek = () => tokens[i];
+        const isWord = (t, w) => t && t.kind === 'word' && t.value.toLowerCase() === w;
+        const describe = (t) => t ? (t.value !== undefined ? `"${t.value}"` : `"${t.kind}"`) : 'the end of the query';
+
+        const value = () => {
+            const t = tokens[i++];
+            if (!t || (t.kind !== 'word' && t.kind !== 'string')) throw new Error(`Expected a value but found ${describe(t)}.`);
+            return t.value;
+        };
+        const number = () => {
+            const raw = value();
+            const n = Number(raw);
+            if (!Number.isFinite(n)) throw new Error(`Expected a number but found "${raw}".`);
+            return n;
+        };
+
+        const predicate = () => {
+            const t = peek();
+            if (isWord(t, 'has')) {
+                i++;
+                return { op: 'has', field: this.checkField(value()) };
+            }
+            if (isWord(t, 'under')) {
+                i++;
+                const target = value();
+                const next = peek();
+                if (next && next.kind === 'cmp' && next.value !== ':' && next.value !== '~' && next.value !== '!~') {
+                    i++;
+                    return { op: 'under', value: target, cmp: next.value, number: number() };
+                }
+                return { op: 'under', value: target, cmp: null };
+            }
+            const field = this.checkField(value());
+            const cmpTok = tokens[i++];
+            if (!cmpTok || cmpTok.kind !== 'cmp') throw new Error(`Expected a comparison after "${field}" but found ${describe(cmpTok)}.`);
+            let cmp = cmpTok.value;
+            const numeric = this.NUMERIC_FIELDS.includes(field);
+            if (cmp === ':') cmp = numeric || !['title', 'content'].includes(field.split('.')[0]) ? '=' : '~';
+            if (numeric) return { op: 'cmp', field, cmp, value: number() };
+            if (['>', '>=', '<', '<='].includes(cmp) && !field.startsWith('field.')) throw new Error(`"${field}" is text; use =, !=, ~ or !~.`);
+            return { op: 'cmp', field, cmp, value: value() };
+        };
+
+        const unary = () => {
+            const t = peek();
+            if (isWord(t, 'not')) { i++; return { op: 'not', item: unary() }; }
+            if (t && t.kind === '(') {
+                i++;
+                const inner = or();
+                const close = tokens[i++];
+                if (!close || close.kind !== ')') throw new Error(`Missing ")" before ${describe(close)}.`);
+                return inner;
+            }
+            return predicate();
+        };
+        const and = () => {
+            const items = [unary()];
+            while (peek() && peek().kind !== ')' && !isWord(peek(), 'or')) {
+                if (isWord(peek(), 'and')) i++;
+                items.push(unary());
+            }
+            return items.length === 1 ? items[0] : { op: 'and', items };
+        };
+        const or = () => {
+            const items = [and()];
+            while (isWord(peek(), 'or')) { i++; items.push(and()); }
+            return items.length === 1 ? items[0] : { op: 'or', items };
+        };
+
+        const ast = or();
+        if (i < tokens.length) throw new Error(`Unexpected ${describe(tokens[i])} in query.`);
+        return ast;
+    },
+
+    checkField(name) {
+        const field = String(name).toLowerCase();
+        if (this.NUMERIC_FIELDS.includes(field) || this.TEXT_FIELDS.includes(field)) return field;
+        if (field.startsWith('content.') && field.length > 8) return `content.${name.slice(8)}`;
+        const typed = field.match(/^fields?\.(.+)$/);
+        if (typed) return `field.${name.slice(name.indexOf('.') + 1)}`;
+        throw new Error(`Unknown field "${name}". Try type, title, content, content.<key>, field.<key>, tag, parent, depth, degree, in, out or children.`);
+    },
+
+    /** Structural parents, depths and degrees for one map, computed once per run. */
+    context(state) {
+        const nodes = Array.isArray(state.nodes) ? state.nodes : [];
+        const connections = Array.isArray(state.connections) ? state.connections : [];
+        const byId = new Map(nodes.map(n => [n.id, n]));
+        const parent = new Map();
+        const degree = new Map();
+        const bump = (id, key) => {
+            if (!degree.has(id)) degree.set(id, { in: 0, out: 0, children: 0 });
+            degree.get(id)[key]++;
+        };
+        const schema = typeof MultiMapSchema !== 'undefined' && MultiMapSchema.isHierarchy ? MultiMapSchema : null;
+        const isTree = (c) => schema ? schema.isHierarchy(c.type) : c.type === 'structural';
+        connections.forEach(c => {
+            bump(c.from, 'out');
+            bump(c.to, 'in');
+            if (isTree(c)) {
+                bump(c.from, 'children');
+                if (!parent.has(c.to)) parent.set(c.to, c.from);
+            }
+        });
+
+        const ancestors = new Map();
+        const chainOf = (id) => {
+            if (ancestors.has(id)) return ancestors.get(id);
+            const chain = [];
+            const seen = new Set([id]);
+            for (let p = parent.get(id); p && byId.has(p) && !seen.has(p); p = parent.get(p)) {
+                chain.push(p);
+                seen.add(p);
+            }
+            ancestors.set(id, chain);
+            return chain;
+        };
+        return { byId, parent, degree, chainOf };
+    },
+
+    fieldValue(node, field, ctx) {
+        const deg = ctx.degree.get(node.id) || { in: 0, out: 0, children: 0 };
+        switch (field) {
+            case 'depth': return ctx.chainOf(node.id).length;
+            case 'degree': return deg.in + deg.out;
+            case 'in': case 'out': case 'children': return deg[field];
+            case 'tag': case 'tags': return Array.isArray(node.tags) ? node.tags.map(String) : [];
+            case 'parent': {
+                const p = ctx.byId.get(ctx.parent.get(node.id));
+                return p ? p.title || '' : '';
+            }
+            case 'content': return typeof node.content === 'string' ? node.content : '';
+            case 'type': case 'title': case 'id': return node[field] ? String(node[field]) : '';
+        }
+        if (field.startsWith('field.')) {
+            const fields = node.data && node.data.fields ? node.data.fields : {};
+            const wanted = field.slice(6).toLowerCase();
+            const key = Object.keys(fields).find(k => k.toLowerCase() === wanted);
+            const v = key === undefined ? null : fields[key];
+            return v === undefined || v === null ? '' : String(v);
+        }
+        // content.<key>
+        const key = field.slice(8);
+        if (typeof node.content !== 'string' || !node.content.trim().startsWith('{')) return '';
+        try {
+            const data = JSON.parse(node.content);
+            const v = data ? data[key] : undefined;
+            return v === undefined || v === null ? '' : (typeof v === 'object' ? JSON.stringify(v) : String(v));
+        } catch (e) {
+            return '';
+        }
+    },
+
+    compareText(actual, cmp, expected) {
+        const a = actual.toLowerCase();
+        const e = String(expected).toLowerCase();
+        const glob = (pattern) => new RegExp('^' + pattern.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+        switch (cmp) {
+            case '=': return e.includes('*') ? glob(e).test(a) : a === e;
+            case '!=': return e.includes('*') ? !glob(e).test(a) : a !== e;
+            case '~': return a.includes(e);
+            case '!~': return !a.includes(e);
+        }
+        return false;
+    },
+
+    /** Ordering on a typed field: numerically when both sides are numbers, otherwise as text (ISO dates sort). */
+    compareOrdered(actual, cmp, expected) {
+        if (actual === '') return false;
+        const a = Number(actual), e = Number(expected);
+        if (Number.isFinite(a) && Number.isFinite(e)) return this.compareNumber(a, cmp, e);
+        const order = actual.toLowerCase().localeCompare(String(expected).toLowerCase());
+        return this.compareNumber(order, cmp, 0);
+    },
+
+    compareNumber(actual, cmp, expected) {
+        switch (cmp) {
+            case '=': return actual === expected;
+            case '!=': return actual !== expected;
+            case '>': return actual > expected;
+            case '>=': return actual >= expected;
+            case '<': return actual < expected;
+            case '<=': return actual <= expected;
+        }
+        return false;
+    },
+
+    matches(ast, node, ctx) {
+        switch (ast.op) {
+            case 'and': return ast.items.every(item => this.matches(item, node, ctx));
+            case 'or': return ast.items.some(item => this.matches(item, node, ctx));
+            case 'not': return !this.matches(ast.item, node, ctx);
+            case 'has': {
+                const v = this.fieldValue(node, ast.field, ctx);
+                return Array.isArray(v) ? v.length > 0 : (typeof v === 'number' ? v > 0 : v.trim() !== '');
+            }
+            case 'under': {
+                const chain = ctx.chainOf(node.id);
+                return chain.some((id, idx) => {
+                    const anc = ctx.byId.get(id);
+                    if (id !== ast.value && !this.compareText(anc.title || '', '=', ast.value)) return false;
+                    return ast.cmp ? this.compareNumber(idx + 1, ast.cmp, ast.number) : true;
+                });
+            }
+            case 'cmp': {
+                const v = this.fieldValue(node, ast.field, ctx);
+                if (typeof v === 'number') return this.compareNumber(v, ast.cmp, ast.value);
+                if (Array.isArray(v)) {
+                    // Negations hold when no tag matches; the rest when any tag does
+                    const negated = ast.cmp === '!=' || ast.cmp === '!~';
+                    const positive = negated ? (ast.cmp === '!=' ? '=' : '~') : ast.cmp;
+                    const any = v.some(tag => this.compareText(tag, positive, ast.value));
+                    return negated ? !any : any;
+                }
+                if (['>', '>=', '<', '<='].includes(ast.cmp)) return this.compareOrdered(v, ast.cmp, ast.value);
+                return this.compareText(v, ast.cmp, ast.value);
+            }
+        }
+        return false;
+    },
+
+    /** Run a query against a MapState. Throws with a readable message on a syntax error. */
+    run(state, text) {
+        const ast = this.parse(text);
+        const ctx = this.context(state);
+        const nodes = (state.nodes || []).filter(node => this.matches(ast, node, ctx));
+        return { ids: nodes.map(n => n.id), nodes };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapQuery;
+}
@@ -1,6 +1,18 @@
 /**
  * Multi-Map ONTOLOGY v14.11
- * Source of Truth for Node Types, Constraints, and Halo Logic.
+ * Source of Truth for Node Types, Connection Types, Constraints, and Halo Logic.
+ *
+ * Projects may extend the built-in types with their own ontology (stored on project.meta.ontology):
+ *
+ *   MultiMapSchema.applyOntology({
+ *       nodeTypes: { 'risk': { label: "Risk", icon: "⚠️", description: "Known risk", allowed: ['note'], default: 'note',
+ *                              strict: false, parents: ['hub', 'requirement'], mapTypes: ['generic', 'compliance'],
+ *                              fields: [{ key: 'likelihood', label: "Likelihood", type: 'enum', options: ['low', 'high'] }] } },
+ *       mapTypes: { 'compliance': { label: "Compliance", rootNode: 'compliance-root', allowedNodes: ['hub', 'note'] } }
+ *   });
+ *   MultiMapSchema.applyOntology(null);   // back to the built-in schema
+ *
+ * `parents` and `mapTypes` slot the new type into existing rules and palettes; built-in ids are never redefined.
  */
 
 const MultiMapSchema = {
@@ -75,6 +87,152 @@ const MultiMapSchema = {
         'person': { label: 'Person Profile', rootNode: 'person-root', allowedNodes: ['person-root', 'hub', 'portal', 'smart-portal', 'note', 'logic-gate'] }
     },
 
+    // Edge kinds. `hierarchy` edges build the parent/child tree and follow `rules` above;
+    // the others are cross-links limited by `from` / `to` ('*' or a list of node types).
+    connectionTypes: {
+        'structural': { label: "Parent / Child", icon: "🌳", stroke: { color: null, dash: null, width: 1.5 }, directed: true, hierarchy: true, from: '*', to: '*' },
+        'association': { label: "Association", icon: "🔗", stroke: { color: null, dash: "5,5", width: 1.5 }, directed: false, hierarchy: false, from: '*', to: '*' },
+        'flow': { label: "Flow", icon: "➡️", stroke: { color: "#7c3aed", dash: null, width: 2 }, directed: true, hierarchy: false, from: '*', to: '*' },
+        'dependency': { label: "Depends On", icon: "⛓️", stroke: { color: "#f59e0b", dash: "2,4", width: 1.5 }, directed: true, hierarchy: false, from: '*', to: '*' },
+        'trigger': { label: "Triggers", icon: "⚡", stroke: { color: "#e11d48", dash: "8,4", width: 2 }, directed: true, hierarchy: false, from: ['web-button', 'web-form', 'logic-gate', 'smart-portal'], to: ['logic-gate', 'smart-portal', 'portal', 'web-modal', 'agent-root', 'prompt-root'] }
+    },
+
+    builtIn: null,  // pristine definitions / rules / mapTypes, captured on the first applyOntology()
+    ontology: null, // the project ontology currently merged in
+
+    /** Rebuild definitions, rules and mapTypes from the built-ins plus `ontology` (null resets). */
+    applyOntology(ontology) {
+        const clone = (value) => JSON.parse(JSON.stringify(value));
+        if (!this.builtIn) this.builtIn = clone({ definitions: this.definitions, rules: this.rules, mapTypes: this.mapTypes, fieldSchemas: this.fieldSchemas });
+        const base = clone(this.builtIn);
+        const list = (value) => Array.isArray(value) ? value.filter(v => typeof v === 'string' && v) : [];
+        const plain = (value, fallback) => String(value || fallback).replace(/[<>"]/g, ''); // labels and icons are rendered as markup
+        const nodeTypes = (ontology && ontology.nodeTypes) || {};
+        const mapTypes = (ontology && ontology.mapTypes) || {};
+        const custom = Object.keys(nodeTypes).filter(id => !base.definitions[id]);
+
+        custom.forEach((id, i) => {
+            const t = nodeTypes[id] || {};
+            base.definitions[id] = { label: plain(t.label, id), icon: plain(t.icon, "⚪"), priority: 50 + i, description: plain(t.description, "Custom Type"), custom: true };
+            base.rules[id] = { allowed: list(t.allowed), default: t.default || 'note', strict: !!t.strict };
+            const fields = (Array.isArray(t.fields) ? t.fields : []).filter(f => f && /^[a-zA-Z][a-zA-Z0-9_]*$/.test(f.key) && this.fieldTypes.includes(f.type));
+            if (fields.length) {
+                base.fieldSchemas[id] = fields.map(f => ({
+                    key: f.key, label: plain(f.label, f.key), type: f.type, required: !!f.required,
+                    ...(f.type === 'enum' ? { options: list(f.options) } : {}),
+                    ...(f.type === 'reference' && f.refType ? { refType: f.refType } : {})
+                }));
+            }
+        });
+        Object.keys(mapTypes).forEach(id => {
+            const m = mapTypes[id] || {};
+            if (base.mapTypes[id] || !custom.includes(m.rootNode)) return;
+            const allowed = list(m.allowedNodes).length ? list(m.allowedNodes) : ['hub', 'portal', 'smart-portal', 'note', 'logic-gate'];
+            base.mapTypes[id] = { label: plain(m.label, id), rootNode: m.rootNode, allowedNodes: [m.rootNode, ...allowed.filter(t => t !== m.rootNode)], custom: true };
+        });
+        custom.forEach(id => {
+            const t = nodeTypes[id] || {};
+            list(t.parents).forEach(p => { if (base.rules[p] && !base.rules[p].allowed.includes(id)) base.rules[p].allowed.push(id); });
+            list(t.mapTypes).forEach(m => { if (base.mapTypes[m] && !base.mapTypes[m].allowedNodes.includes(id)) base.mapTypes[m].allowedNodes.push(id); });
+        });
+
+        this.definitions = base.definitions;
+        this.rules = base.rules;
+        this.mapTypes = base.mapTypes;
+        this.fieldSchemas = base.fieldSchemas;
+        this.ontology = ontology || null;
+    },
+
+    /** Problems that would make `ontology` apply differently than written, as readable messages. */
+    validateOntology(ontology) {
+        if (!this.builtIn) this.applyOntology(this.ontology);
+        const problems = [];
+        const nodeTypes = (ontology && ontology.nodeTypes) || {};
+        const mapTypes = (ontology && ontology.mapTypes) || {};
+        const ids = Object.keys(nodeTypes);
+        const known = (type) => !!this.builtIn.definitions[type] || ids.includes(type);
+        const roots = Object.keys(mapTypes).map(m => mapTypes[m] && mapTypes[m].rootNode);
+
+        ids.forEach(id => {
+            const t = nodeTypes[id] || {};
+            if (!/^[a-z][a-z0-9-]*$/.test(id)) problems.push(`Type id "${id}" must be lowercase letters, digits and dashes.`);
+            if (this.builtIn.definitions[id]) problems.push(`"${id}" is a built-in type and cannot be redefined.`);
+            if ((id === 'root' || id.endsWith('-root')) && !roots.includes(id)) problems.push(`"${id}" ends in -root, so it must be the root of a custom map type.`);
+            (t.allowed || []).concat(t.parents || []).forEach(ref => { if (!known(ref)) problems.push(`"${id}" refers to the unknown type "${ref}".`); });
+            if (t.default && !known(t.default)) problems.push(`"${id}" defaults to the unknown type "${t.default}".`);
+            (t.mapTypes || []).forEach(m => { if (!this.builtIn.mapTypes[m] && !mapTypes[m]) problems.push(`"${id}" names the unknown map type "${m}".`); });
+            const keys = new Set();
+            (t.fields || []).forEach(f => {
+                if (!f || !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(f.key)) problems.push(`"${id}" has a field key "${f && f.key}" that is not a plain identifier.`);
+                else if (keys.has(f.key)) problems.push(`"${id}" has two fields called "${f.key}".`);
+                if (f && f.key) keys.add(f.key);
+                if (f && !this.fieldTypes.includes(f.type)) problems.push(`Field "${f.key}" of "${id}" has the unknown type "${f.type}".`);
+                if (f && f.type === 'enum' && !(f.options || []).length) problems.push(`Field "${f.key}" of "${id}" is a choice with no options.`);
+                if (f && f.type === 'reference' && f.refType && !known(f.refType)) problems.push(`Field "${f.key}" of "${id}" points to the unknown type "${f.refType}".`);
+            });
+        });
+        Object.keys(mapTypes).forEach(id => {
+            const m = mapTypes[id] || {};
+            if (!/^[a-z][a-z0-9-]*$/.test(id)) problems.push(`Map type id "${id}" must be lowercase letters, digits and dashes.`);
+            if (this.builtIn.mapTypes[id]) problems.push(`"${id}" is a built-in map type and cannot be redefined.`);
+            if (!m.rootNode || !ids.includes(m.rootNode) || !m.rootNode.endsWith('-root')) problems.push(`Map type "${id}" needs its own custom root type ending in -root.`);
+            else if (roots.filter(r => r === m.rootNode).length > 1) problems.push(`"${m.rootNode}" is the root of more than one map type.`);
+            (m.allowedNodes || []).forEach(ref => { if (!known(ref)) problems.push(`Map type "${id}" allows the unknown type "${ref}".`); });
+        });
+        return problems;
+    },
+
+    // Typed fields per node type. Values live in node.data.fields under each `key`;
+    // `reference` holds the id of another node on the page, optionally limited to `refType`.
+    fieldTypes: ['string', 'number', 'date', 'enum', 'url', 'boolean', 'reference'],
+
+    fieldSchemas: {
+        'person-root': [
+            { key: 'name', label: "Name", type: 'string', required: true },
+            { key: 'email', label: "Email", type: 'string' },
+            { key: 'phone', label: "Phone", type: 'string' },
+            { key: 'address', label: "Address", type: 'string' }
+        ]
+    },
+
+    getFields(type) {
+        return this.fieldSchemas[type] || [];
+    },
+
+    /** An input value converted to the field's type. Empty input gives null, which clears the field. */
+    coerceField(field, value) {
+        if (value === null || value === undefined || value === '') return null;
+        switch (field.type) {
+            case 'number': {
+                const n = Number(value);
+                return Number.isFinite(n) ? n : String(value);
+            }
+            case 'boolean': return value === true || value === 'true' || value === 1 || value === '1';
+            default: return String(value).trim() === '' ? null : String(value);
+        }
+    },
+
+    /** Why `value` does not fit `field`, or null. Pass the page's nodes to check references. */
+    checkField(field, value, nodes = null) {
+        const label = field.label || field.key;
+        if (value === null || value === undefined || value === '') return field.required ? `${label} is required.` : null;
+        switch (field.type) {
+            case 'number': return typeof value === 'number' && Number.isFinite(value) ? null : `${label} must be a number.`;
+            case 'boolean': return typeof value === 'boolean' ? null : `${label} must be yes or no.`;
+            case 'date': return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) ? null : `${label} must be a date (YYYY-MM-DD).`;
+            case 'url': return /^[a-z][a-z0-9+.-]*:\/\/[^\s]+$/i.test(value) || /^mailto:[^\s]+$/i.test(value) ? null : `${label} must be a full URL (https://…).`;
+            case 'enum': return (field.options || []).includes(value) ? null : `${label} must be one of: ${(field.options || []).join(', ')}.`;
+            case 'reference': {
+                if (!nodes) return null;
+                const target = nodes.find(n => n.id === value);
+                if (!target) return `${label} points to a node that is not on this page.`;
+                if (field.refType && target.type !== field.refType) return `${label} must point to a ${this.getDefinition(field.refType).label} node.`;
+                return null;
+            }
+        }
+        return typeof value === 'string' ? null : `${label} must be text.`;
+    },
+
     getDefinition: function(type) {
         return this.definitions[type] || { label: type, icon: "⚪", description: "Unknown" };
     },
@@ -83,6 +241,29 @@ const MultiMapSchema = {
         return (this.rules[type] && this.rules[type].default) || 'note';
     },
 
+    getConnectionType(type) {
+        return this.connectionTypes[type] || null;
+    },
+
+    isHierarchy(connType) {
+        const def = this.connectionTypes[connType || 'structural'];
+        return !!(def && def.hierarchy);
+    },
+
+    /** Whether an edge of `connType` may run from a `fromType` node to a `toType` node. */
+    canLink(connType, fromType, toType) {
+        const def = this.connectionTypes[connType];
+        if (!def) return false;
+        if (def.hierarchy) return this.canConnect(fromType, toType);
+        const fits = (allowed, type) => allowed === '*' || (Array.isArray(allowed) && allowed.includes(type));
+        return fits(def.from, fromType) && fits(def.to, toType);
+    },
+
+    /** The connection types allowed between two node types, in registry order. */
+    linkTypesBetween(fromType, toType) {
+        return Object.keys(this.connectionTypes).filter(t => this.canLink(t, fromType, toType));
+    },
+
     canConnect(parentType, childType) {
         if (childType === 'root' || childType.endsWith('-root')) return false;
         if (childType === 'note') return true; // Universal exception: Any node can have a note attached.
@@ -90,4 +271,8 @@ const MultiMapSchema = {
         if (!rule || !rule.strict) return true;
         return rule.allowed.includes(childType);
     }
-};
\ No newline at end of file
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapSchema;
+}
@@ -9,7 +9,7 @@ class SandboxController {
         this.registry = registry;
 
         if (!this.kernel.state.session) {
-            this.kernel.state.session = { viewport: { x: window.innerWidth / 2, y: window.innerHeight / 2, scale: 1 }, selectedId: null, remoteTemplates: [] };
+            this.kernel.state.session = { viewport: { x: window.innerWidth / 2, y: window.innerHeight / 2, scale: 1 }, selectedId: null, selectedIds: [], remoteTemplates: [] };
         }
 
         this.dom = {
@@ -30,13 +30,21 @@ class SandboxController {
         this.lastMouse = { x: 0, y: 0 };
         this.clickStart = { x: 0, y: 0 }; 
         this.draggedNode = null;
+        this.dragGroup = null; // ids moved together when a node of a multi-selection is dragged
+        this.lasso = null;     // { x0, y0, x1, y1 } in client pixels while shift-dragging the background
         this.activeRadialNodeId = null;
         this.userHasPanned = false;
         this.parentSelectMode = false;
         this.parentSelectSourceId = null;
+        this.lastLinkType = null; // the link type picked last time, preselected in the picker
+        this.layoutTween = null;  // { from: Map(id -> { x, y }), start, duration, progress } while a layout change animates
+        this.parentSelectSourceIds = null; // bulk re-parent: every selected node moves under the picked parent
         
         // NEW: Tracks what to highlight in the inspector
         this.activeSearchHighlight = null; 
+        this.searchHits = [];      // node ids on the open page matching the search box
+        this.searchFilters = { nodeType: '', mapType: '', projectId: '' };
+        this.queryResult = null; // { mapId, query, ids: Set } from the graph query panel
         
         this.activePointers = new Map();
         this.lastPinchDist = null;
@@ -55,6 +63,11 @@ class SandboxController {
         setTimeout(() => this.actionLoadRemoteTemplates(), 200);
 
         this.kernel.subscribe(this.render.bind(this));
+        // Auto-sync stays paused until the conflict is settled, here or by a manual push/pull
+        this.kernel.bridge.onConflict = async (conflict) => {
+            if (await this.resolveHostConflicts([conflict])) this.kernel.bridge.paused = false;
+            this.kernel.bridge.updateStatus(this.kernel.bridge.paused ? 'Conflict' : null);
+        };
         
         this.animate();
         this.render();
@@ -69,6 +82,20 @@ class SandboxController {
         } else {
             this.dom.radialMenu = document.getElementById('radial-menu');
         }
+        if (!document.getElementById('lasso-rect')) {
+            const lasso = document.createElement('div');
+            lasso.id = 'lasso-rect';
+            lasso.className = 'fixed hidden border border-sky-400 bg-sky-400/10 rounded pointer-events-none z-40';
+            document.body.appendChild(lasso);
+        }
+        this.dom.lasso = document.getElementById('lasso-rect');
+        if (!document.getElementById('bulk-bar')) {
+            const bar = document.createElement('div');
+            bar.id = 'bulk-bar';
+            bar.className = 'fixed hidden bottom-6 left-1/2 -translate-x-1/2 z-40 flex items-center gap-1 bg-slate-900/95 border border-slate-700 rounded-xl px-3 py-2 shadow-2xl backdrop-blur';
+            document.body.appendChild(bar);
+        }
+        this.dom.bulkBar = document.getElementById('bulk-bar');
     }
 
     escapeHTML(str) { 
@@ -78,6 +105,13 @@ class SandboxController {
         return d.innerHTML; 
     }
 
+    /** <option>s for the project's custom map types, appended after the built-in choices. */
+    customMapTypeOptions(selected = null) {
+        const mapTypes = typeof MultiMapSchema !== 'undefined' ? MultiMapSchema.mapTypes || {} : {};
+        return Object.keys(mapTypes).filter(t => mapTypes[t].custom)
+            .map(t => `<option value="${t}" ${selected === t ? 'selected' : ''}>${this.escapeHTML(mapTypes[t].label)}</option>`).join('');
+    }
+
     initEvents() {
         window.SC = this; 
         const vp = this.dom.viewport;
@@ -91,6 +125,26 @@ class SandboxController {
         window.addEventListener('beforeunload', () => this.kernel.saveCurrentMapToLibrary());
         window.addEventListener('pagehide', () => this.kernel.saveCurrentMapToLibrary());
 
+        // --- UNDO / REDO SHORTCUTS ---
+        window.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            const el = document.activeElement;
+            if (el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.kernel.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.kernel.redo();
+            }
+        });
+
+        // --- SUBGRAPH COPY / PASTE ---
+        // Goes through the system clipboard, so branches travel between pages, projects and tabs
+        window.addEventListener('copy', (e) => this.handleCopy(e));
+        window.addEventListener('paste', (e) => this.handlePaste(e));
+
         // --- GLOBAL ESCAPE HANDLER (CASCADING CLOSE) ---
         window.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -104,7 +158,12 @@ class SandboxController {
                     window.AI.hideChat();
                     return;
                 }
-                // 3. Close Inspector Sidebar
+                // 3. Drop a multi-selection
+                if (this.kernel.getSelectedIds().length > 1) {
+                    this.kernel.clearSelection();
+                    return;
+                }
+                // 4. Close Inspector Sidebar
                 if (this.dom.sidebar && this.dom.sidebar.classList.contains('open')) {
                     this.closeSidebar();
                     return;
@@ -133,74 +192,78 @@ class SandboxController {
                 this.render();
             });
         }
+        const webExportBtn = document.getElementById('btn-web-export');
+        if (webExportBtn) webExportBtn.addEventListener('click', () => this.actionExportSite());
 
         // --- MAP SEARCH BAR LOGIC ---
+        // Searches every page of every project through the kernel's incremental index
         const searchInput = document.getElementById('map-search-input');
         const searchResults = document.getElementById('map-search-results');
         
         if (searchInput) {
-            searchInput.addEventListener('input', (e) => {
-                const query = e.target.value.toLowerCase().trim();
+            const runSearch = () => {
+                const query = searchInput.value.toLowerCase().trim();
                 if (!query) {
                     searchResults.classList.add('hidden');
                     searchResults.classList.remove('flex');
+                    this.setSearchHits([]);
                     return;
                 }
-                
-                const results = this.kernel.state.nodes.filter(n => 
-                    (n.title && n.title.toLowerCase().includes(query)) || 
-                    (n.content && n.content.toLowerCase().includes(query)) ||
-                    (n.type && n.type.toLowerCase().includes(query))
-                );
-                
-                searchResults.innerHTML = '';
+
+                // Filters are rebuilt each time the panel opens so new projects show up
+                if (searchResults.classList.contains('hidden') || !searchResults.querySelector('#map-search-list')) {
+                    searchResults.innerHTML = `${this.renderSearchFilters()}<div id="map-search-list" class="flex flex-col gap-1"></div>`;
+                    searchResults.querySelectorAll('[data-search-filter]').forEach(sel => {
+                        sel.onchange = () => {
+                            this.searchFilters[sel.dataset.searchFilter] = sel.value;
+                            runSearch();
+                        };
+                    });
+                }
+
+                const MAX_RESULTS = 50;
+                const results = this.kernel.searchWorkspace(query, { ...this.searchFilters, limit: MAX_RESULTS * 4 });
+                const activeMapId = this.kernel.state.map_id;
+                const activeProjectId = this.kernel.activeProjectId;
+                // Hits on the open page first, then the active project, then the rest
+                const rank = (r) => r.mapId === activeMapId ? 0 : (r.projectId === activeProjectId ? 1 : 2);
+                results.sort((a, b) => rank(a) - rank(b));
+                this.setSearchHits(results.filter(r => r.mapId === activeMapId).map(r => r.nodeId));
+                const projects = this.kernel.getProjects();
+
+                const list = searchResults.querySelector('#map-search-list');
+                list.innerHTML = '';
                 if (results.length === 0) {
-                    searchResults.innerHTML = '<div class="text-xs text-slate-500 text-center py-2">No matches found in active map.</div>';
+                    list.innerHTML = '<div class="text-xs text-slate-500 text-center py-2">No matches found in this workspace.</div>';
                 } else {
-                    results.forEach(n => {
+                    results.slice(0, MAX_RESULTS).forEach(r => {
                         const div = document.createElement('div');
                         div.className = 'p-2 hover:bg-slate-800 rounded cursor-pointer transition-colors border border-transparent hover:border-slate-700 flex flex-col gap-1';
+                        const proj = projects.find(p => p.project_id === r.projectId);
+                        const where = r.mapId === activeMapId ? 'This page' : `${r.pageTitle}${proj && r.projectId !== activeProjectId ? ` · ${proj.meta?.title || ''}` : ''}`;
                         
-                        let matchWhere = 'title';
-                        if (n.content && n.content.toLowerCase().includes(query) && !(n.title && n.title.toLowerCase().includes(query))) {
-                            matchWhere = 'content';
-                        }
-                        
-                        div.innerHTML = `<div class="text-xs font-bold text-sky-400">${this.escapeHTML(n.title)} <span class="text-[9px] text-slate-500 uppercase ml-1">${n.type}</span></div>
-                                         <div class="text-[10px] text-slate-400 truncate">${this.escapeHTML(n.content || '')}</div>`;
+                        div.innerHTML = `<div class="text-xs font-bold text-sky-400 flex items-center gap-1"><span class="truncate">${this.escapeHTML(r.nodeTitle)}</span> <span class="text-[9px] text-slate-500 uppercase ml-1 shrink-0">${r.nodeType}</span><span class="ml-auto text-[9px] font-normal text-slate-500 truncate max-w-[45%]">${this.escapeHTML(where)}</span></div>
+                                         <div class="text-[10px] text-slate-400 truncate">${r.field !== 'title' ? `<span class="text-slate-600">${this.escapeHTML(r.label)}:</span> ` : ''}${this.escapeHTML(r.snippet)}</div>`;
                         
                         div.onclick = () => {
                             searchInput.value = '';
                             searchResults.classList.add('hidden');
                             searchResults.classList.remove('flex');
-                            
-                            // 1. Force Uncollapse Parents if hidden
-                            let currentId = n.id;
-                            while (true) {
-                                const parentConn = this.kernel.state.connections.find(c => c.to === currentId && c.type === 'structural');
-                                if (!parentConn) break;
-                                const parentNode = this.kernel.state.nodes.find(p => p.id === parentConn.from);
-                                if (parentNode) {
-                                    parentNode.data.collapsed = false;
-                                    currentId = parentNode.id;
-                                } else break;
-                            }
-
-                            // 2. Set Focus and Highlight
-                            this.activeSearchHighlight = { nodeId: n.id, field: matchWhere, query: query };
-                            this.userHasPanned = false; // Forces camera to glide to node!
-                            
-                            this.actionEdit(n.id);
-                            
-                            // Slight delay ensures the UI picks up the highlight state in case it was fast-diffed
-                            setTimeout(() => this.render(), 50);
+                            this.setSearchHits([]);
+                            this.actionOpenSearchResult(r, query);
                         };
-                        searchResults.appendChild(div);
+                        list.appendChild(div);
                     });
+                    if (results.length > MAX_RESULTS) {
+                        list.insertAdjacentHTML('beforeend', `<div class="text-[10px] text-slate-500 text-center py-1">Showing the first ${MAX_RESULTS} matches. Narrow the search or add a filter.</div>`);
+                    }
                 }
                 searchResults.classList.remove('hidden');
                 searchResults.classList.add('flex');
-            });
+            };
+
+            searchInput.addEventListener('input', runSearch);
+            searchInput.addEventListener('focus', () => { if (searchInput.value.trim()) runSearch(); });
 
             // Hide results when clicking outside
             document.addEventListener('click', (e) => {
@@ -212,6 +275,81 @@ class SandboxController {
         }
     }
 
+    /** Hits of the live search on the open page, marked on the minimap while the query stands. */
+    setSearchHits(ids) {
+        this.searchHits = ids;
+        if (this.minimap) this.minimap.updateMarks();
+    }
+
+    renderSearchFilters() {
+        const defs = typeof MultiMapSchema !== 'undefined' ? MultiMapSchema.definitions : {};
+        const mapTypes = typeof MultiMapSchema !== 'undefined' ? Object.keys(MultiMapSchema.mapTypes || {}) : [];
+        const f = this.searchFilters;
+        const selectClass = "flex-1 min-w-0 bg-slate-950 border border-slate-800 rounded-lg p-1.5 text-[10px] text-slate-300 outline-none focus:border-sky-500";
+        return `
+            <div class="flex gap-1.5 pb-2 mb-1 border-b border-slate-800">
+                <select data-search-filter="nodeType" class="${selectClass}">
+                    <option value="">Any node type</option>
+                    ${Object.keys(defs).map(t => `<option value="${t}" ${f.nodeType === t ? 'selected' : ''}>${defs[t].icon || ''} ${this.escapeHTML(defs[t].label || t)}</option>`).join('')}
+                </select>
+                <select data-search-filter="mapType" class="${selectClass}">
+                    <option value="">Any map type</option>
+                    ${mapTypes.map(t => `<option value="${t}" ${f.mapType === t ? 'selected' : ''}>${this.escapeHTML(t)}</option>`).join('')}
+                </select>
+                <select data-search-filter="projectId" class="${selectClass}">
+                    <option value="">All projects</option>
+                    ${this.kernel.getProjects().map(p => `<option value="${p.project_id}" ${f.projectId === p.project_id ? 'selected' : ''}>${this.escapeHTML(p.meta?.title || p.project_id)}</option>`).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Open a workspace search hit: reach its page (through portals when the open page
+     * leads there, so Exit Portal walks back), reveal the node and highlight the match.
+     */
+    actionOpenSearchResult(result, query) {
+        if (this.kernel.state.map_id !== result.mapId) {
+            const lib = this.kernel.getLibrary();
+            const target = lib.find(m => m.map_id === result.mapId);
+            if (!target) return alert('That page no longer exists.');
+
+            const path = this.kernel.findPortalPath(this.kernel.state.map_id, result.mapId);
+            if (path) {
+                path.forEach(mapId => this.kernel.enterPortal(lib.find(m => m.map_id === mapId)));
+            } else {
+                this.kernel.activeProjectId = target.meta?.project_id || 'default_project';
+                this.kernel.loadMapState(target);
+            }
+            const mapType = this.kernel.state.meta && this.kernel.state.meta.type ? this.kernel.state.meta.type : 'generic';
+            this.setView(mapType === 'web' ? 'web' : 'map');
+        }
+
+        const node = this.kernel.state.nodes.find(n => n.id === result.nodeId);
+        if (!node) return;
+
+        // 1. Force Uncollapse Parents if hidden
+        let currentId = node.id;
+        while (true) {
+            const parentConn = this.kernel.state.connections.find(c => c.to === currentId && this.kernel.isHierarchyEdge(c));
+            if (!parentConn) break;
+            const parentNode = this.kernel.state.nodes.find(p => p.id === parentConn.from);
+            if (parentNode) {
+                parentNode.data.collapsed = false;
+                currentId = parentNode.id;
+            } else break;
+        }
+
+        // 2. Set Focus and Highlight
+        this.activeSearchHighlight = { nodeId: node.id, field: result.field, query: query };
+        this.userHasPanned = false; // Forces camera to glide to node!
+        
+        this.actionEdit(node.id);
+        
+        // Slight delay ensures the UI picks up the highlight state in case it was fast-diffed
+        setTimeout(() => this.render(), 50);
+    }
+
     toggleSidebar() {
         if (this.dom.sidebar) {
             this.dom.sidebar.classList.toggle('open');
@@ -250,6 +388,11 @@ class SandboxController {
                 webEditBtn.classList.add('bg-slate-800', 'text-slate-400');
             }
         }
+        const webExportBtn = document.getElementById('btn-web-export');
+        if (webExportBtn) {
+            webExportBtn.classList.toggle('hidden', mode !== 'web');
+            webExportBtn.classList.toggle('flex', mode === 'web');
+        }
         
 
 
@@ -259,6 +402,9 @@ class SandboxController {
     animate() {
         requestAnimationFrame(() => this.animate());
         if (!this.kernel.state.session) return;
+        if (this.layoutTween) this.stepLayoutTween();
+        if (this.canvasRenderer && this.viewMode === 'map') this.canvasRenderer.frame();
+        if (this.minimap && this.viewMode === 'map') this.minimap.frame();
 
         const focalId = this.kernel.state.session.selectedId;
 
@@ -287,11 +433,34 @@ class SandboxController {
         }
     }
 
+    /**
+     * Run `change` (a layout switch, an auto-arrange) and glide every node from where it
+     * was drawn to its new place instead of jumping.
+     */
+    animateLayout(change, duration = 600) {
+        const from = new Map(this.kernel.state.nodes.map(n => [n.id, this.getVisualPos(n)]));
+        change();
+        this.layoutTween = { from, start: performance.now(), duration, progress: 0 };
+        if (this.viewMode === 'map') this.renderMap(this.kernel.state, true);
+    }
+
+    stepLayoutTween() {
+        const tween = this.layoutTween;
+        const t = Math.min(1, (performance.now() - tween.start) / tween.duration);
+        tween.progress = 1 - Math.pow(1 - t, 3); // ease-out cubic
+        if (t >= 1) this.layoutTween = null;
+        if (this.viewMode === 'map') this.renderMap(this.kernel.state, true);
+    }
+
     updateTransform() {
         const vp = this.kernel.state.session.viewport;
         const transform = `translate(${vp.x}px, ${vp.y}px) scale(${vp.scale})`;
         this.dom.worldLayer.style.transform = transform;
         this.dom.edgeSvg.style.transform = transform;
+        if (this.canvasRenderer && this.canvasRenderer.active) {
+            this.canvasRenderer.invalidate();
+            return;
+        }
         
         const nodes = this.dom.worldLayer.querySelectorAll('.node');
         nodes.forEach(el => {
@@ -338,6 +507,13 @@ class SandboxController {
         if (e.target.closest('#ai-chat-container')) return;
 
         if (e.target.closest('.node')) return;
+
+        // Shift-drag on the background draws a selection lasso instead of panning
+        if (e.shiftKey && this.activePointers.size === 0) {
+            this.lasso = { x0: e.clientX, y0: e.clientY, x1: e.clientX, y1: e.clientY };
+            this.updateLasso();
+            return;
+        }
         this.activePointers.set(e.pointerId, e);
         if (this.activePointers.size === 1) {
             this.isDragging = true;
@@ -348,6 +524,12 @@ class SandboxController {
     }
 
     handlePointerMove(e) {
+        if (this.lasso) {
+            this.lasso.x1 = e.clientX;
+            this.lasso.y1 = e.clientY;
+            this.updateLasso();
+            return;
+        }
         if (this.activePointers.has(e.pointerId)) {
             this.activePointers.set(e.pointerId, e);
         }
@@ -388,14 +570,17 @@ class SandboxController {
             const vp = this.kernel.state.session.viewport;
             const dx = (e.clientX - this.lastMouse.x) / vp.scale;
             const dy = (e.clientY - this.lastMouse.y) / vp.scale;
-            this.draggedNode.data.x += dx;
-            this.draggedNode.data.y += dy;
-            this.kernel.updateNode(this.draggedNode.id, { x: this.draggedNode.data.x, y: this.draggedNode.data.y });
+            if (this.dragGroup) this.kernel.bulkMove(this.dragGroup, dx, dy);
+            else this.kernel.updateNode(this.draggedNode.id, { x: this.draggedNode.data.x + dx, y: this.draggedNode.data.y + dy });
             this.lastMouse = { x: e.clientX, y: e.clientY };
         }
     }
 
     handlePointerUp(e) {
+        if (this.lasso) {
+            this.finishLasso();
+            return;
+        }
         if (this.activePointers.has(e.pointerId)) this.activePointers.delete(e.pointerId);
         if (this.activePointers.size < 2) { this.lastPinchDist = null; this.lastPinchCenter = null; }
         if (this.activePointers.size === 0) {
@@ -416,6 +601,7 @@ class SandboxController {
                     if (this.parentSelectMode) {
                         this.parentSelectMode = false;
                         this.parentSelectSourceId = null;
+                        this.parentSelectSourceIds = null;
                         this.dom.overlay.classList.add('hidden');
                     }
 
@@ -427,6 +613,109 @@ class SandboxController {
         }
         if (this.draggedNode) this.userHasPanned = false; 
         this.draggedNode = null;
+        this.dragGroup = null;
+    }
+
+    /** True while the user types in a field or has text selected, where copy/paste must stay native. */
+    isEditingText() {
+        const el = document.activeElement;
+        if (el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable)) return true;
+        const sel = window.getSelection && window.getSelection();
+        return !!(sel && sel.toString());
+    }
+
+    handleCopy(e) {
+        if (this.viewMode !== 'map' || this.isEditingText()) return;
+        const fragment = this.kernel.copySelection(this.kernel.getSelectedIds());
+        if (!fragment) return;
+        e.clipboardData.setData('text/plain', JSON.stringify(fragment));
+        e.preventDefault();
+    }
+
+    handlePaste(e) {
+        if (this.viewMode !== 'map' || this.isEditingText()) return;
+        const text = e.clipboardData && e.clipboardData.getData('text/plain');
+        const fragment = text && (MultiMapGraph.parseFragment(text) || this.outlineFragment(text));
+        if (!fragment) return;
+        e.preventDefault();
+        this.pasteFragment(fragment);
+    }
+
+    /** Clipboard text that reads as a Markdown outline (headings or bullets), as a fragment for the selected node. */
+    outlineFragment(text) {
+        if (!this.kernel.state.session.selectedId || !MultiMapOutline.markdown.looksLikeOutline(text)) return null;
+        return this.kernel.outlineFragment(MultiMapOutline.markdown.parse(text));
+    }
+
+    /** Copy the selected branches (or `id`'s branch) to the system clipboard. */
+    async actionCopySelection(id) {
+        const ids = id ? [id] : this.kernel.getSelectedIds();
+        const fragment = this.kernel.copySelection(ids);
+        if (!fragment) return;
+        try {
+            await navigator.clipboard.writeText(JSON.stringify(fragment));
+        } catch (err) {
+            console.error("Clipboard write failed:", err);
+            alert("Could not write to the clipboard. Use Ctrl+C on the canvas instead.");
+        }
+    }
+
+    async actionPaste() {
+        let text = '';
+        try {
+            text = await navigator.clipboard.readText();
+        } catch (err) {
+            console.error("Clipboard read failed:", err);
+            return alert("Could not read the clipboard. Use Ctrl+V on the canvas instead.");
+        }
+        const fragment = MultiMapGraph.parseFragment(text) || this.outlineFragment(text);
+        if (!fragment) return alert("The clipboard does not hold copied nodes, a map, or an outline. Outlines paste under the selected node.");
+        this.pasteFragment(fragment);
+    }
+
+    pasteFragment(fragment) {
+        const targetId = this.kernel.state.session.selectedId;
+        const result = this.kernel.pasteFragment(fragment, targetId);
+        if (!result) return;
+        this.hideRadialMenu(true);
+        if (result.detached.length > 0) {
+            const target = this.kernel.state.nodes.find(n => n.id === targetId) || this.kernel.state.nodes.find(n => n.data && n.data.isCore);
+            alert(`${result.detached.length} pasted branch${result.detached.length === 1 ? '' : 'es'} could not go under [${target ? target.type : 'root'}] and ${result.detached.length === 1 ? 'was' : 'were'} left unattached. Use "Select Parent" to place ${result.detached.length === 1 ? 'it' : 'them'}.`);
+        }
+    }
+
+    updateLasso() {
+        const l = this.lasso;
+        const el = this.dom.lasso;
+        if (!l) { el.classList.add('hidden'); return; }
+        el.style.left = `${Math.min(l.x0, l.x1)}px`;
+        el.style.top = `${Math.min(l.y0, l.y1)}px`;
+        el.style.width = `${Math.abs(l.x1 - l.x0)}px`;
+        el.style.height = `${Math.abs(l.y1 - l.y0)}px`;
+        el.classList.remove('hidden');
+    }
+
+    /** Add every visible node inside the lasso to the selection. */
+    finishLasso() {
+        const l = this.lasso;
+        this.lasso = null;
+        this.updateLasso();
+        if (Math.abs(l.x1 - l.x0) < 5 && Math.abs(l.y1 - l.y0) < 5) return;
+
+        const vp = this.kernel.state.session.viewport;
+        const rect = this.dom.viewport.getBoundingClientRect();
+        const toWorld = (x, y) => ({ x: (x - rect.left - vp.x) / vp.scale, y: (y - rect.top - vp.y) / vp.scale });
+        const a = toWorld(Math.min(l.x0, l.x1), Math.min(l.y0, l.y1));
+        const b = toWorld(Math.max(l.x0, l.x1), Math.max(l.y0, l.y1));
+        const visible = this._visibleNodes || new Set();
+        const ids = this.kernel.state.nodes.filter(node => {
+            if (!visible.has(node.id)) return false;
+            const p = this.getVisualPos(node);
+            return p.x >= a.x && p.x <= b.x && p.y >= a.y && p.y <= b.y;
+        }).map(n => n.id);
+
+        this.hideRadialMenu(true);
+        this.kernel.setSelection(ids, true);
     }
 
     handleWheel(e) {
@@ -470,22 +759,29 @@ class SandboxController {
         menu.style.top = `${Math.round(screenY)}px`;
     }
 
+    /** Where a node is drawn: its layout position, part way there while a layout change animates. */
     getVisualPos(node) {
+        const target = this.layoutPos(node);
+        const tween = this.layoutTween;
+        const from = tween ? tween.from.get(node.id) : null;
+        if (!from) return target;
+        return { x: from.x + (target.x - from.x) * tween.progress, y: from.y + (target.y - from.y) * tween.progress };
+    }
+
+    layoutPos(node) {
         const state = this.kernel.state;
-        if (state.session.layoutMode === 'structured' && this._structuredCoords) {
-            return this._structuredCoords.get(node.id) || { x: node.data.x, y: node.data.y };
+        if (this._layoutCoords && state.session.layoutMode !== 'organic') {
+            return this._layoutCoords.get(node.id) || { x: node.data.x, y: node.data.y };
         }
         if (this.kernel.linkingMode) return { x: node.data.x, y: node.data.y };
         
         const dist = (this._focalDistances && this._focalDistances.has(node.id)) ? this._focalDistances.get(node.id) : -1;
         if (dist <= 0 || !this._focalNodes || this._focalNodes.length === 0) return { x: node.data.x, y: node.data.y };
         
-        let fNode = null;
-        if (state.session.selectedId) {
-            fNode = state.nodes.find(n => n.id === state.session.selectedId);
-        } else if (this._focalNodes.length > 0) {
-            fNode = state.nodes.find(n => n.id === this._focalNodes[0]);
-        }
+        // The focal node is resolved once per render; look it up only if the selection moved since
+        let fNode = this._focalNode;
+        const focalId = state.session.selectedId || this._focalNodes[0];
+        if (!fNode || fNode.id !== focalId) fNode = state.nodes.find(n => n.id === focalId);
         if (!fNode || fNode.id === node.id) return { x: node.data.x, y: node.data.y };
         
         const dx = node.data.x - fNode.data.x;
@@ -504,14 +800,19 @@ class SandboxController {
     }
 
 
+    /** Everything the radial menu's buttons depend on; the menu is rebuilt when it changes. */
+    radialMenuHash(node) {
+        const isPortal = node.type === 'portal' || node.type === 'smart-portal';
+        return `${node.id}-${node.type}-${this.kernel.linkingMode}-${this.kernel.linkingSourceId === node.id}-${this.aiImportMode}-${this.parentSelectMode}-${!!node.data.pinned}${isPortal ? '-' + (node.content || '') : ''}`;
+    }
+
     showRadialMenu(node) {
         this.activeRadialNodeId = node.id;
         const menu = this.dom.radialMenu;
         menu.style.display = 'block';
 
         const isLinking = this.kernel.linkingMode;
-        const isPortal = node.type === 'portal' || node.type === 'smart-portal';
-        const stateHash = `${node.id}-${node.type}-${isLinking}-${this.kernel.linkingSourceId === node.id}-${this.aiImportMode}-${this.parentSelectMode}${isPortal ? '-' + (node.content || '') : ''}`;
+        const stateHash = this.radialMenuHash(node);
 
         if (menu.dataset.activeNode === stateHash && menu.innerHTML !== '') {
             menu.classList.add('active'); 
@@ -536,14 +837,14 @@ class SandboxController {
         let actions = [];
 
         // Check if this node is an orphan (no structural parent connection AND not the root)
-        const hasParent = this.kernel.state.connections.some(c => c.to === node.id && c.type === 'structural');
+        const hasParent = this.kernel.state.connections.some(c => c.to === node.id && this.kernel.isHierarchyEdge(c));
         const isNodeRoot = node.type === 'root' || node.type.endsWith('-root') || (node.data && node.data.isCore);
         const isRoot = node.data && node.data.isCore;
         const isOrphan = !hasParent && !isRoot;
 
         // Intercept menu if Parent Select Mode is active
         if (this.parentSelectMode) {
-            if (node.id === this.parentSelectSourceId) {
+            if (node.id === this.parentSelectSourceId || (this.parentSelectSourceIds || []).includes(node.id)) {
                 actions = [ { icon: '❌', action: 'CancelSelectParent', title: 'Cancel' } ];
             } else {
                 actions = [ { icon: '✅', action: 'ConfirmParent', title: 'Set as Parent' } ];
@@ -567,6 +868,7 @@ class SandboxController {
                 actions.push({ icon: '🗑️', action: 'Delete', title: 'Delete Downstream' });
             }
             actions.push({ icon: (isCollapsed ? '🌞' : '🌚'), action: 'ToggleCollapse', title: (isCollapsed ? 'Expand' : 'Collapse') });
+            actions.push({ icon: '📌', action: 'TogglePin', title: (node.data.pinned ? 'Unpin' : 'Pin in Place') });
             
             // Add orphan-specific action
             if (isOrphan) {
@@ -718,20 +1020,29 @@ class SandboxController {
         }
     }
     
-    actionLink(id) { 
+    async actionLink(id) { 
         const tgt = id || this.kernel.state.session.selectedId; 
         
         // Cancel other modes
         this.parentSelectMode = false;
         this.parentSelectSourceId = null;
+        this.parentSelectSourceIds = null;
 
         if (this.kernel.linkingMode) {
-            if (this.kernel.linkingSourceId !== tgt) {
-                this.kernel.addConnection(this.kernel.linkingSourceId, tgt, 'association');
-            }
+            const sourceId = this.kernel.linkingSourceId;
             this.kernel.linkingMode = false;
             this.dom.overlay.classList.add('hidden');
             this.render(); 
+            if (sourceId !== tgt) {
+                const source = this.kernel.state.nodes.find(n => n.id === sourceId);
+                const target = this.kernel.state.nodes.find(n => n.id === tgt);
+                const connType = source && target ? await this.actionPickConnectionType(source, target) : null;
+                if (connType) {
+                    const res = this.kernel.addConnection(sourceId, tgt, connType);
+                    if (res && res.success === false) alert(`Schema constraint: ${res.reason}`);
+                    else this.lastLinkType = connType;
+                }
+            }
         } else {
             this.kernel.linkingMode = true; 
             this.kernel.linkingSourceId = tgt; 
@@ -743,6 +1054,50 @@ class SandboxController {
         }
     }
 
+    /**
+     * Ask which kind of link to draw between two nodes. Only cross-link types the schema
+     * allows for the pair are offered (parents are set with "Select Parent"); a single
+     * candidate is used without asking. Resolves with the type or null.
+     */
+    actionPickConnectionType(source, target) {
+        const schema = typeof MultiMapSchema !== 'undefined' && MultiMapSchema.linkTypesBetween ? MultiMapSchema : null;
+        if (!schema) return Promise.resolve('association');
+        const types = schema.linkTypesBetween(source.type, target.type).filter(t => !schema.isHierarchy(t));
+        if (types.length === 0) {
+            alert(`Schema constraint: no link type can run from [${source.type}] to [${target.type}].`);
+            return Promise.resolve(null);
+        }
+        if (types.length === 1) return Promise.resolve(types[0]);
+
+        return this.showDialogModal({
+            title: "🔗 Choose Link Type",
+            contentHtml: `
+                <p class="text-[11px] text-slate-400 mb-3">"${this.escapeHTML(source.title)}" → "${this.escapeHTML(target.title)}"</p>
+                <div class="flex flex-col gap-1.5">
+                    ${types.map(t => {
+                        const def = schema.getConnectionType(t);
+                        const color = def.stroke.color || '#94a3b8';
+                        return `
+                            <button data-conn-type="${t}" class="flex items-center gap-3 px-3 py-2 rounded-lg text-left border ${t === (this.lastLinkType || 'association') ? 'border-indigo-500 bg-indigo-950/40' : 'border-slate-800 hover:bg-slate-800'} transition-colors">
+                                <span class="shrink-0">${def.icon}</span>
+                                <span class="flex-1 text-slate-200 font-bold">${this.escapeHTML(def.label)}</span>
+                                <svg width="48" height="8" class="shrink-0"><line x1="0" y1="4" x2="48" y2="4" stroke="${color}" stroke-width="${def.stroke.width || 1.5}" ${def.stroke.dash ? `stroke-dasharray="${def.stroke.dash}"` : ''}/></svg>
+                                <span class="text-[9px] text-slate-500 uppercase w-16 text-right shrink-0">${def.directed ? 'Directed' : 'Two-way'}</span>
+                            </button>
+                        `;
+                    }).join('')}
+                </div>
+            `,
+            actionsHtml: `<button class="cancel-btn border border-slate-700 hover:bg-slate-800 text-slate-300 text-[10px] font-bold py-2 px-4 rounded-lg transition-colors uppercase tracking-wide">Cancel</button>`,
+            onRender: (el, close) => {
+                el.querySelector('.cancel-btn').onclick = () => close(null);
+                el.querySelectorAll('[data-conn-type]').forEach(btn => {
+                    btn.onclick = () => close(btn.dataset.connType);
+                });
+            }
+        });
+    }
+
     actionSelectParent(id) {
         const tgt = id || this.kernel.state.session.selectedId;
         
@@ -752,6 +1107,7 @@ class SandboxController {
         
         this.parentSelectMode = true;
         this.parentSelectSourceId = tgt;
+        this.parentSelectSourceIds = null;
         if (this.dom.overlay && this.dom.overlay.firstElementChild) {
             this.dom.overlay.firstElementChild.textContent = "Select Parent & Click 'Set as Parent'";
         }
@@ -762,13 +1118,20 @@ class SandboxController {
     actionCancelSelectParent() {
         this.parentSelectMode = false;
         this.parentSelectSourceId = null;
+        this.parentSelectSourceIds = null;
         this.dom.overlay.classList.add('hidden');
         this.render();
     }
 
     actionConfirmParent(id) {
         const parentId = id || this.kernel.state.session.selectedId;
-        if (this.parentSelectSourceId && parentId !== this.parentSelectSourceId) {
+        if (this.parentSelectSourceIds) {
+            const ids = this.parentSelectSourceIds;
+            const { skipped } = this.kernel.bulkReparent(ids, parentId);
+            if (skipped.length > 0) {
+                alert(`${skipped.length} of ${ids.length} nodes were not moved: roots, the new parent's own ancestors and types the schema does not allow under [${this.kernel.state.nodes.find(n => n.id === parentId)?.type}] stay where they are.`);
+            }
+        } else if (this.parentSelectSourceId && parentId !== this.parentSelectSourceId) {
             const res = this.kernel.addConnection(parentId, this.parentSelectSourceId, 'structural');
             if (res && res.success === false) {
                 alert(`Schema constraint: Cannot make [${this.kernel.state.nodes.find(n => n.id === parentId)?.type}] a parent of [${this.kernel.state.nodes.find(n => n.id === this.parentSelectSourceId)?.type}].`);
@@ -776,6 +1139,7 @@ class SandboxController {
         }
         this.parentSelectMode = false;
         this.parentSelectSourceId = null;
+        this.parentSelectSourceIds = null;
         this.dom.overlay.classList.add('hidden');
         this.render();
     }
@@ -784,7 +1148,7 @@ class SandboxController {
         const tgt = id || this.kernel.state.session.selectedId;
         const ok = await this.actionConfirm({
             title: "Delete Node",
-            message: "Are you sure you want to delete this node and cascade to all children? This action cannot be undone.",
+            message: "Are you sure you want to delete this node and cascade to all children? You can bring them back with Undo (Ctrl+Z).",
             confirmText: "Delete",
             isDestructive: true
         });
@@ -793,6 +1157,53 @@ class SandboxController {
         }
     }
     actionToggleCollapse(id) { const tgt = id || this.kernel.state.session.selectedId; this.kernel.toggleCollapse(tgt); }
+
+    actionTogglePin(id) {
+        const node = this.kernel.state.nodes.find(n => n.id === (id || this.kernel.state.session.selectedId));
+        if (node) this.kernel.bulkPin([node.id], !node.data.pinned);
+    }
+
+    /** Switch the page layout, animating the nodes into place. */
+    actionSetLayout(mode) {
+        const current = this.kernel.state.session.layoutMode;
+        if (mode === 'organic' && current === 'organic') {
+            this.animateLayout(() => this.kernel.autoLayoutOrganic());
+            return;
+        }
+        if (mode === current) return;
+        this.animateLayout(() => this.kernel.setLayoutMode(mode));
+    }
+
+    actionPickLayout() {
+        const current = this.kernel.state.session.layoutMode || 'organic';
+        return this.showDialogModal({
+            title: "🧭 Layout",
+            contentHtml: `
+                <p class="text-[11px] text-slate-400 mb-3">Saved with this page. Pinned nodes (📌) keep their place in every layout.</p>
+                <div class="flex flex-col gap-1.5">
+                    ${Object.entries(MultiMapLayouts.modes).map(([mode, def]) => `
+                        <button data-layout="${mode}" class="flex items-center gap-3 px-3 py-2 rounded-lg text-left border ${mode === current ? 'border-indigo-500 bg-indigo-950/40' : 'border-slate-800 hover:bg-slate-800'} transition-colors">
+                            <span class="shrink-0">${def.icon}</span>
+                            <span class="flex-1">
+                                <span class="block text-slate-200 font-bold">${def.label}</span>
+                                <span class="block text-[10px] text-slate-500">${def.description}</span>
+                            </span>
+                        </button>
+                    `).join('')}
+                </div>
+            `,
+            actionsHtml: `<button class="cancel-btn border border-slate-700 hover:bg-slate-800 text-slate-300 text-[10px] font-bold py-2 px-4 rounded-lg transition-colors uppercase tracking-wide">Cancel</button>`,
+            onRender: (el, close) => {
+                el.querySelector('.cancel-btn').onclick = () => close(null);
+                el.querySelectorAll('[data-layout]').forEach(btn => {
+                    btn.onclick = () => {
+                        close(btn.dataset.layout);
+                        this.actionSetLayout(btn.dataset.layout);
+                    };
+                });
+            }
+        });
+    }
     
     actionAddChild(id) {
         const pid = id || this.kernel.state.session.selectedId;
@@ -814,10 +1225,13 @@ class SandboxController {
                 alert(`Schema constraint: Cannot add a [${type}] child to a [${p.type}] node in this map.`);
                 return;
             }
-            const child = this.kernel.addNode({ title: "New " + type, type: type }, pid);
-            this.kernel.addConnection(pid, child.id);
+            const child = this.kernel.transact(`Add ${type}`, () => {
+                const node = this.kernel.addNode({ title: "New " + type, type: type }, pid);
+                this.kernel.addConnection(pid, node.id);
+                p.data.collapsed = false; 
+                return node;
+            });
             this.kernel.selectNode(child.id); 
-            p.data.collapsed = false; 
         }
     }
 
@@ -893,6 +1307,7 @@ class SandboxController {
                             <option value="person">Person Profile</option>
                             <option value="prompt">Prompt Engine</option>
                             <option value="agent">Agent Config</option>
+                            ${this.customMapTypeOptions()}
                         </select>
                     </div>
                 </div>
@@ -1056,7 +1471,6 @@ class SandboxController {
                             
                             // Push the parent map to portalHistory so exit portal loads correctly
                             this.kernel.portalHistory.push(JSON.parse(JSON.stringify(this.kernel.state)));
-                            this.kernel.history = []; // Clear undo
                             this.kernel.state = this.kernel.ensureSchema(newPage);
                             this.kernel.notify();
 
@@ -1116,6 +1530,7 @@ class SandboxController {
                         <option value="person" ${initialType === 'person' ? 'selected' : ''}>Person Profile</option>
                         <option value="prompt" ${initialType === 'prompt' ? 'selected' : ''}>Prompt Engine</option>
                         <option value="agent" ${initialType === 'agent' ? 'selected' : ''}>Agent Config</option>
+                        ${this.customMapTypeOptions(initialType)}
                     </select>
                 </div>
             </div>
@@ -1168,6 +1583,132 @@ class SandboxController {
         }
     }
 
+    // --- Bulk Actions (multi-selection) ---
+
+    renderBulkBar() {
+        const bar = this.dom.bulkBar;
+        if (!bar) return;
+        const ids = this.kernel.getSelectedIds();
+        if (ids.length < 2 || this.viewMode !== 'map') {
+            bar.classList.add('hidden');
+            bar.dataset.count = '';
+            return;
+        }
+        bar.classList.remove('hidden');
+        if (bar.dataset.count === String(ids.length)) return;
+        bar.dataset.count = String(ids.length);
+
+        const buttons = [
+            ['Retype', '🏷️', 'Change type'],
+            ['Reparent', '👆', 'Move under a new parent'],
+            ['Tag', '🔖', 'Add or remove a tag'],
+            ['Copy', '📋', 'Copy (Ctrl+C), paste on any page with Ctrl+V'],
+            ['Collapse', '🌚', 'Collapse'],
+            ['Expand', '🌞', 'Expand'],
+            ['Pin', '📌', 'Pin in place (again to unpin)'],
+            ['Constellation', '🌌', 'Save as constellation'],
+            ['Clip', '✂️', 'Clip into a new page'],
+            ['Delete', '🗑️', 'Delete with downstream nodes']
+        ];
+        bar.innerHTML = `
+            <span class="text-[10px] font-bold uppercase tracking-wider text-sky-300 mr-2">${ids.length} selected</span>
+            ${buttons.map(([action, icon, title]) => `
+                <button data-bulk="${action}" title="${title}" class="w-8 h-8 flex items-center justify-center rounded-lg hover:bg-slate-800 ${action === 'Delete' ? 'hover:bg-rose-900/60' : ''} transition-colors">${icon}</button>
+            `).join('')}
+            <button data-bulk="Clear" title="Clear selection (Esc)" class="ml-1 px-2 h-8 text-[10px] font-bold uppercase text-slate-400 hover:text-white rounded-lg hover:bg-slate-800 transition-colors">✕</button>
+        `;
+        bar.querySelectorAll('[data-bulk]').forEach(btn => {
+            btn.onpointerdown = (e) => e.stopPropagation();
+            btn.onclick = () => this.actionBulk(btn.dataset.bulk);
+        });
+    }
+
+    async actionBulk(action) {
+        const ids = this.kernel.getSelectedIds();
+        if (action === 'Clear') return this.kernel.clearSelection();
+        if (ids.length === 0) return;
+
+        if (action === 'Delete') {
+            const ok = await this.actionConfirm({
+                title: "Delete Nodes",
+                message: `Delete ${ids.length} nodes and everything downstream of them? Root nodes are kept. You can bring them back with Undo (Ctrl+Z).`,
+                confirmText: "Delete",
+                isDestructive: true
+            });
+            if (ok) this.kernel.bulkDelete(ids);
+        } else if (action === 'Retype') {
+            this.actionBulkRetype(ids);
+        } else if (action === 'Reparent') {
+            this.kernel.linkingMode = false;
+            this.kernel.linkingSourceId = null;
+            this.parentSelectMode = true;
+            this.parentSelectSourceId = null;
+            this.parentSelectSourceIds = ids;
+            if (this.dom.overlay && this.dom.overlay.firstElementChild) {
+                this.dom.overlay.firstElementChild.textContent = `Select the New Parent for ${ids.length} Nodes & Click 'Set as Parent'`;
+            }
+            this.dom.overlay.classList.remove('hidden');
+            this.render();
+        } else if (action === 'Tag') {
+            const tag = await this.actionPrompt({ title: "Tag Nodes", label: `Tag to add to ${ids.length} nodes (start with "-" to remove it):`, defaultValue: "" });
+            if (!tag || !tag.trim()) return;
+            const remove = tag.trim().startsWith('-');
+            this.kernel.bulkTag(ids, remove ? tag.trim().slice(1) : tag, remove);
+        } else if (action === 'Copy') {
+            this.actionCopySelection();
+        } else if (action === 'Collapse' || action === 'Expand') {
+            this.kernel.bulkCollapse(ids, action === 'Collapse');
+        } else if (action === 'Pin') {
+            const nodes = this.kernel.state.nodes.filter(n => ids.includes(n.id));
+            this.kernel.bulkPin(ids, !nodes.every(n => n.data.pinned));
+        } else if (action === 'Constellation') {
+            const json = this.kernel.extractSelection(ids);
+            if (!json) return alert('Select at least one node that is not the root.');
+            const saved = await this.kernel.saveConstellationToLibrary(json);
+            if (saved !== false) alert("Saved to Library.");
+        } else if (action === 'Clip') {
+            const title = await this.actionPrompt({ title: "Clip Selection to New Page", label: `Name the page that will hold the ${ids.length} selected nodes and their branches:`, defaultValue: "Clipped Nodes" });
+            if (!title || !title.trim()) return;
+            const newMapId = await this.kernel.bulkClip(ids, title.trim());
+            if (newMapId) this.actionOpenPageSettings(newMapId);
+            else alert('Clip failed. Root nodes cannot be clipped.');
+        }
+    }
+
+    actionBulkRetype(ids) {
+        const mapType = this.kernel.state.meta && this.kernel.state.meta.type ? this.kernel.state.meta.type : 'generic';
+        const schema = typeof MultiMapSchema !== 'undefined' ? MultiMapSchema : null;
+        const allowed = schema && schema.mapTypes && schema.mapTypes[mapType] ? schema.mapTypes[mapType].allowedNodes || [] : [];
+        const types = allowed.filter(t => t !== 'root' && !t.endsWith('-root'));
+        if (types.length === 0) return alert('This map type has no node types to choose from.');
+
+        this.showDialogModal({
+            title: `Change Type of ${ids.length} Nodes`,
+            contentHtml: `
+                <div class="flex flex-col gap-1.5 text-slate-300">
+                    <label class="text-slate-400 font-bold uppercase text-[9px] tracking-wider">New Type</label>
+                    <select id="bulk-type" class="bg-slate-950 border border-slate-800 rounded-lg p-2 text-xs text-slate-200 outline-none focus:border-indigo-500 transition-colors w-full">
+                        ${types.map(t => `<option value="${t}">${this.kernel.getBlueprint(t).icon} ${this.escapeHTML(this.kernel.getBlueprint(t).label || t)}</option>`).join('')}
+                    </select>
+                    <p class="text-[10px] text-slate-500 mt-1">Roots, and nodes whose parent or children cannot connect to the new type, keep their current type.</p>
+                </div>
+            `,
+            actionsHtml: `
+                <button class="cancel-btn border border-slate-700 hover:bg-slate-800 text-slate-300 text-[10px] font-bold py-2 px-4 rounded-lg transition-colors uppercase tracking-wide">Cancel</button>
+                <button class="apply-btn bg-indigo-600 hover:bg-indigo-500 text-white text-[10px] font-bold py-2 px-4 rounded-lg transition-colors uppercase tracking-wide">Change Type</button>
+            `,
+            onRender: (el, close) => {
+                el.querySelector('.cancel-btn').onclick = () => close(null);
+                el.querySelector('.apply-btn').onclick = () => {
+                    const type = el.querySelector('#bulk-type').value;
+                    close(true);
+                    const { skipped } = this.kernel.bulkRetype(ids, type);
+                    if (skipped.length > 0) alert(`${skipped.length} of ${ids.length} nodes kept their type: the schema does not allow [${type}] there.`);
+                };
+            }
+        });
+    }
+
     actionLoadRemoteTemplates() {
         this.kernel.loadRemoteTemplates();
     }
@@ -1188,7 +1729,97 @@ class SandboxController {
         this.kernel.updatePersonField(nodeId, field, value);
     }
 
+    /** Inspector field edits. Person profiles keep their per-field child notes in sync. */
+    actionUpdateNodeField(nodeId, key, value) {
+        const node = this.kernel.state.nodes.find(n => n.id === nodeId);
+        if (!node) return;
+        if (node.type === 'person-root') this.kernel.updatePersonField(nodeId, key, value);
+        else this.kernel.updateNodeField(nodeId, key, value);
+    }
+
+    /** Download the typed fields of `ids` (default: every node with fields) as CSV. */
+    async actionExportFieldsCsv(ids = null) {
+        if (!await this.guardIntegrity([this.kernel.state.map_id], 'export')) return;
+        const csv = this.kernel.exportFieldsCsv(ids);
+        if (csv.split('\n').length < 2) return alert("No nodes on this page have typed fields yet.");
+        const blob = new Blob([csv], { type: "text/csv" });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        const safeTitle = (this.kernel.state.meta?.title || this.kernel.state.map_id).replace(/[^a-z0-9]/gi, '_').toLowerCase();
+        a.download = `multi_map_fields_${safeTitle}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Validate incoming MapState JSON (a map, an array of maps, or a project export)
+     * and show a report when anything is off. Resolves with the data to import:
+     * the auto-repaired copy, the original ("Import Anyway"), or null when cancelled.
+     */
+    async reviewImport(data, { kind = 'maps', source = 'Import' } = {}) {
+        if (typeof MultiMapValidator === 'undefined') return data;
+        await MultiMapValidator.ready;
+
+        const report = kind === 'project' ? MultiMapValidator.validateProject(data) : MultiMapValidator.validateMaps(data);
+        if (report.issues.length === 0) return data;
+
+        const MAX_ROWS = 80;
+        const groups = {};
+        report.issues.slice(0, MAX_ROWS).forEach(issue => {
+            (groups[issue.map] = groups[issue.map] || []).push(issue);
+        });
+        const groupsHtml = Object.keys(groups).map(map => `
+            <div class="mb-3">
+                <div class="text-[10px] text-slate-500 font-bold uppercase mb-1 truncate">${this.escapeHTML(String(map))}</div>
+                ${groups[map].map(issue => `
+                    <div class="flex items-start gap-2 py-1 border-b border-slate-800/60 last:border-0">
+                        <span class="shrink-0">${issue.severity === 'error' ? '⛔' : '⚠️'}</span>
+                        <div class="flex-1 min-w-0">
+                            <div class="${issue.severity === 'error' ? 'text-rose-300' : 'text-amber-200'}">${this.escapeHTML(issue.message)}</div>
+                            <div class="text-[10px] text-slate-500 font-mono truncate">${this.escapeHTML(issue.path)}${issue.fixable ? '' : ' · manual fix'}</div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+        const overflow = report.issues.length - MAX_ROWS;
+
+        const choice = await this.showDialogModal({
+            title: report.errors ? "⛔ Import Validation Failed" : "⚠️ Import Validation Warnings",
+            contentHtml: `
+                <div class="flex flex-col gap-3">
+                    <p class="text-slate-300 text-sm leading-relaxed">
+                        ${this.escapeHTML(source)} has <strong class="text-rose-300">${report.errors} error(s)</strong> and <strong class="text-amber-200">${report.warnings} warning(s)</strong>.
+                        ${report.fixable ? `${report.fixable} can be repaired automatically.` : 'None can be repaired automatically.'}
+                    </p>
+                    <div class="bg-slate-950 border border-slate-800 rounded-lg p-3 max-h-72 overflow-y-auto custom-scrollbar">
+                        ${groupsHtml}
+                        ${overflow > 0 ? `<div class="text-[10px] text-slate-500 italic">…and ${overflow} more.</div>` : ''}
+                    </div>
+                </div>
+            `,
+            actionsHtml: `
+                <button data-choice="cancel" class="px-4 py-2 border border-slate-700 hover:bg-slate-800 text-slate-300 hover:text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Cancel</button>
+                <button data-choice="anyway" class="px-4 py-2 border ${report.errors ? 'border-rose-800 text-rose-300 hover:bg-rose-950/40' : 'border-slate-700 text-slate-300 hover:bg-slate-800'} hover:text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Import Anyway</button>
+                ${report.fixable ? `<button data-choice="repair" class="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 text-white shadow-lg shadow-indigo-950/30 rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Auto-Repair</button>` : ''}
+            `,
+            onRender: (el, close) => {
+                el.querySelectorAll('[data-choice]').forEach(btn => {
+                    btn.onclick = () => close(btn.dataset.choice);
+                });
+            }
+        });
+
+        if (choice === 'repair') return report.repaired;
+        if (choice === 'anyway') return data;
+        return null;
+    }
+
     async processMapImport(parsedData, target) {
+        parsedData = await this.reviewImport(parsedData, { source: target === 'template' ? 'Template file' : 'Library file' });
+        if (!parsedData) return;
+
         let maps = Array.isArray(parsedData) ? parsedData : [parsedData];
         let added = 0, skipped = 0, overwritten = 0;
 
@@ -1382,19 +2013,8 @@ class SandboxController {
         const saved = await this.kernel.saveConstellationToLibrary(clonedMap);
         if (saved === false) throw new Error('Storage limit exceeded.');
 
-        // Register the page under its project
-        const proj = projects.find(p => p.project_id === targetProjectId)
-            || (this.kernel.firestoreProjects || []).find(p => p.project_id === targetProjectId);
-        if (proj && !proj.page_ids.includes(newMapId)) {
-            proj.page_ids.push(newMapId);
-            if (this.kernel.isUsingCloudVault()) {
-                const uid = window.FirebaseAuth.currentUser.uid;
-                const projRef = window.Firestore.doc(window.FirebaseDb, 'users', uid, 'projects', targetProjectId);
-                await window.Firestore.setDoc(projRef, proj);
-            } else {
-                localStorage.setItem('mm_projects', JSON.stringify(this.kernel.projects));
-            }
-        }
+        // saveMapToLibrary has already filed the page under its project
+        const proj = projects.find(p => p.project_id === targetProjectId);
 
         return { clonedMap, projTitle: proj ? proj.meta.title : targetProjectId };
     }
@@ -1569,15 +2189,17 @@ class SandboxController {
      * Cloud-vault only — local pages cannot be served publicly.
      */
     async actionSharePage(mapId) {
-        const lib = this.kernel.getLibrary();
-        const page = lib.find(p => p.map_id === mapId);
-        if (!page) return alert('Page not found in library.');
+        if (!this.kernel.getLibrary().some(p => p.map_id === mapId)) return alert('Page not found in library.');
 
         const user = window.FirebaseAuth?.currentUser;
         if (!user) {
             return alert('You must be signed in (even as a guest) to share maps.');
         }
 
+        if (!await this.guardIntegrity([mapId], 'share')) return;
+        // Re-read after the check: repairs replace the cached page
+        const page = this.kernel.getLibrary().find(p => p.map_id === mapId);
+
         // Expiry prompt
         const expiryChoice = prompt(
             `Share "${page.meta?.title || 'Untitled'}":\n` +
@@ -1682,16 +2304,6 @@ class SandboxController {
                 return alert('Local storage is full. Sign in to get more space.');
             }
 
-            // Register under active project if possible
-            const projects = this.kernel.getProjects();
-            const proj = projects.find(p => p.project_id === cloned.meta.project_id);
-            if (proj && !proj.page_ids.includes(newMapId)) {
-                proj.page_ids.push(newMapId);
-                if (!this.kernel.isUsingCloudVault()) {
-                    localStorage.setItem('mm_projects', JSON.stringify(this.kernel.projects));
-                }
-            }
-
             alert(`"${cloned.meta.title}" forked to your workspace!`);
         } catch (e) {
             console.error(e);
@@ -1773,6 +2385,21 @@ class SandboxController {
         }
     }
 
+    /** Jump to the node a backlink comes from, opening its page first when needed. */
+    actionOpenBacklink(mapId, nodeId) {
+        if (this.kernel.state.map_id !== mapId) {
+            const page = this.kernel.getLibrary().find(m => m.map_id === mapId);
+            if (!page) return alert('That page no longer exists.');
+            this.kernel.activeProjectId = page.meta?.project_id || 'default_project';
+            this.kernel.loadMapState(page);
+        }
+        if (nodeId && this.kernel.state.nodes.some(n => n.id === nodeId)) this.kernel.selectNode(nodeId);
+        const mapType = this.kernel.state.meta && this.kernel.state.meta.type ? this.kernel.state.meta.type : 'generic';
+        this.setView(mapType === 'web' ? 'web' : 'map');
+        this.actionCloseDataManager();
+        this.render();
+    }
+
     actionCloseDataManager() {
         const drawer = document.getElementById('data-manager-drawer');
         if (drawer) drawer.classList.add('translate-x-full');
@@ -1799,31 +2426,160 @@ class SandboxController {
         this.render();
     }
 
-    actionCreateProject() {
-        this.actionCreateProjectCustom();
-    }
-
-    actionPromptRenameProject(projId) {
-        this.actionOpenProjectSettings(projId);
-    }
-
-    async actionDeleteProject(projId) {
-        const projects = this.kernel.getProjects();
-        const proj = projects.find(p => p.project_id === projId);
-        if (!proj) return;
+    async actionMigrateVault(fromId, toId) {
+        const from = MultiMapVaults.get(fromId);
+        const to = MultiMapVaults.get(toId);
+        if (!from || !to) return;
 
         const ok = await this.actionConfirm({
-            title: "Delete Project",
-            message: `Are you sure you want to delete the project "${proj.meta.title || 'Untitled'}" and all its pages? This action cannot be undone.`,
-            confirmText: "Delete Project",
-            isDestructive: true
+            title: "Copy Workspace",
+            message: `Copy every project and page from <strong>${from.label}</strong> into <strong>${to.label}</strong>? Pages that already exist there are overwritten; nothing is removed from ${from.label}.`,
+            confirmText: "Copy"
         });
-        if (ok) {
-            this.kernel.deleteProject(projId);
-        }
-    }
+        if (!ok) return;
 
-    actionCreatePage() {
+        try {
+            const { projects, pages, failed } = await this.kernel.migrateVault(fromId, toId);
+            const switchNow = await this.actionConfirm({
+                title: "Workspace Copied",
+                message: `${pages} pages in ${projects} projects copied to ${to.label}.${failed ? ` <span class="text-rose-400">${failed} items failed — see the console.</span>` : ''} Switch to ${to.label} now?`,
+                confirmText: "Switch",
+                cancelText: "Stay"
+            });
+            if (switchNow) await this.kernel.setVault(toId);
+        } catch (e) {
+            console.error(e);
+            alert('Migration failed: ' + e.message);
+        }
+        this.render();
+    }
+
+    renderIntegrityIssues(issues, withFixButtons = false) {
+        const groups = {};
+        issues.forEach(issue => {
+            const key = issue.mapId ? issue.pageTitle : 'Projects';
+            (groups[key] = groups[key] || []).push(issue);
+        });
+        return Object.keys(groups).map(group => `
+            <div class="mb-3">
+                <div class="text-[10px] text-slate-500 font-bold uppercase mb-1 truncate">${this.escapeHTML(group)}</div>
+                ${groups[group].map(issue => `
+                    <div class="flex items-start gap-2 py-1 border-b border-slate-800/60 last:border-0">
+                        <span class="shrink-0">${issue.severity === 'error' ? '⛔' : '⚠️'}</span>
+                        <div class="flex-1 min-w-0 ${issue.severity === 'error' ? 'text-rose-300' : 'text-amber-200'}">${this.escapeHTML(issue.message)}</div>
+                        ${withFixButtons && issue.fix ? `<button data-fix="${issue.id}" class="shrink-0 px-2 py-0.5 border border-slate-700 hover:bg-indigo-600 hover:border-indigo-500 text-slate-300 hover:text-white rounded text-[9px] font-bold transition-colors">${this.escapeHTML(issue.fix)}</button>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Workspace-wide integrity report for the active vault. Each issue has its own
+     * fix button; the report re-scans after every repair until it is closed.
+     */
+    async actionOpenIntegrityCheck() {
+        while (true) {
+            const report = await this.kernel.checkIntegrity();
+            if (report.issues.length === 0) {
+                alert(`Integrity check passed: ${report.pagesScanned} pages in ${report.projectsScanned} projects, no problems found.`);
+                break;
+            }
+
+            const choice = await this.showDialogModal({
+                title: "🩺 Workspace Integrity",
+                contentHtml: `
+                    <div class="flex flex-col gap-3">
+                        <p class="text-slate-300 text-sm leading-relaxed">
+                            Scanned ${report.pagesScanned} pages in ${report.projectsScanned} projects (${this.kernel.vault.label}):
+                            <strong class="text-rose-300">${report.errors} error(s)</strong>, <strong class="text-amber-200">${report.warnings} warning(s)</strong>.
+                        </p>
+                        <div class="bg-slate-950 border border-slate-800 rounded-lg p-3 max-h-80 overflow-y-auto custom-scrollbar">
+                            ${this.renderIntegrityIssues(report.issues, true)}
+                        </div>
+                    </div>
+                `,
+                actionsHtml: `
+                    <button data-choice="close" class="px-4 py-2 border border-slate-700 hover:bg-slate-800 text-slate-300 hover:text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Close</button>
+                    <button data-choice="all" class="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 text-white shadow-lg shadow-indigo-950/30 rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Fix All (${report.issues.length})</button>
+                `,
+                onRender: (el, close) => {
+                    el.querySelectorAll('[data-choice]').forEach(btn => { btn.onclick = () => close(btn.dataset.choice); });
+                    el.querySelectorAll('[data-fix]').forEach(btn => { btn.onclick = () => close(`fix:${btn.dataset.fix}`); });
+                }
+            });
+
+            if (!choice || choice === 'close') break;
+            const selected = choice === 'all' ? report.issues : report.issues.filter(i => `fix:${i.id}` === choice);
+            await this.kernel.repairIntegrity(selected);
+            this.render();
+        }
+    }
+
+    /**
+     * Run before sharing or exporting `mapIds`. Resolves true when the caller may go
+     * ahead (clean, repaired, or the user chose to continue anyway).
+     */
+    async guardIntegrity(mapIds, actionLabel) {
+        if (typeof MultiMapIntegrity === 'undefined') return true;
+        const report = await this.kernel.checkIntegrity(mapIds);
+        if (report.issues.length === 0) return true;
+
+        const choice = await this.showDialogModal({
+            title: "🩺 Problems Found",
+            contentHtml: `
+                <div class="flex flex-col gap-3">
+                    <p class="text-slate-300 text-sm leading-relaxed">
+                        What you are about to ${this.escapeHTML(actionLabel)} has <strong class="text-rose-300">${report.errors} error(s)</strong> and <strong class="text-amber-200">${report.warnings} warning(s)</strong>.
+                    </p>
+                    <div class="bg-slate-950 border border-slate-800 rounded-lg p-3 max-h-72 overflow-y-auto custom-scrollbar">
+                        ${this.renderIntegrityIssues(report.issues)}
+                    </div>
+                </div>
+            `,
+            actionsHtml: `
+                <button data-choice="cancel" class="px-4 py-2 border border-slate-700 hover:bg-slate-800 text-slate-300 hover:text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Cancel</button>
+                <button data-choice="anyway" class="px-4 py-2 border border-slate-700 hover:bg-slate-800 text-slate-300 hover:text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Continue Anyway</button>
+                <button data-choice="fix" class="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 text-white shadow-lg shadow-indigo-950/30 rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Fix & Continue</button>
+            `,
+            onRender: (el, close) => {
+                el.querySelectorAll('[data-choice]').forEach(btn => { btn.onclick = () => close(btn.dataset.choice); });
+            }
+        });
+
+        if (choice === 'fix') {
+            await this.kernel.repairIntegrity(report.issues);
+            this.render();
+            return true;
+        }
+        return choice === 'anyway';
+    }
+
+    actionCreateProject() {
+        this.actionCreateProjectCustom();
+    }
+
+    actionPromptRenameProject(projId) {
+        this.actionOpenProjectSettings(projId);
+    }
+
+    async actionDeleteProject(projId) {
+        const projects = this.kernel.getProjects();
+        const proj = projects.find(p => p.project_id === projId);
+        if (!proj) return;
+
+        const ok = await this.actionConfirm({
+            title: "Delete Project",
+            message: `Are you sure you want to delete the project "${proj.meta.title || 'Untitled'}" and all its pages? This action cannot be undone.`,
+            confirmText: "Delete Project",
+            isDestructive: true
+        });
+        if (ok) {
+            this.kernel.deleteProject(projId);
+        }
+    }
+
+    actionCreatePage() {
         this.actionCreatePageCustom();
     }
 
@@ -1876,10 +2632,11 @@ class SandboxController {
         }
     }
 
-    actionDownloadProject() {
+    async actionDownloadProject() {
         const activeProjId = this.kernel.activeProjectId;
+        if (!this.kernel.getProjects().some(p => p.project_id === activeProjId)) return;
+        if (!await this.guardIntegrity(this.kernel.getPages(activeProjId).map(p => p.map_id), 'export')) return;
         const proj = this.kernel.getProjects().find(p => p.project_id === activeProjId);
-        if (!proj) return;
         
         const pages = this.kernel.getPages(activeProjId);
         const payload = {
@@ -1922,6 +2679,9 @@ class SandboxController {
     }
 
     async processProjectImport(parsedData) {
+        parsedData = await this.reviewImport(parsedData, { kind: 'project', source: 'Project file' });
+        if (!parsedData) return;
+
         const { project, pages } = parsedData;
         if (!project || !project.project_id || !Array.isArray(pages)) {
             alert("Invalid project file format.");
@@ -1948,35 +2708,16 @@ class SandboxController {
         project.created_at = new Date().toISOString();
         project.updated_at = new Date().toISOString();
         
-        if (window.FirebaseAuth && window.FirebaseAuth.currentUser && !window.FirebaseAuth.currentUser.isAnonymous) {
-            const uid = window.FirebaseAuth.currentUser.uid;
-            try {
-                const projRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", targetProjId);
-                await window.Firestore.setDoc(projRef, project);
-                this.kernel.firestoreProjects.push(project);
-                this.kernel.firestorePagesByProject[targetProjId] = [];
-                
-                for (const page of pages) {
-                    if (!page.meta) page.meta = {};
-                    page.meta.project_id = targetProjId;
-                    const pageRef = window.Firestore.doc(window.FirebaseDb, "users", uid, "projects", targetProjId, "pages", page.map_id);
-                    await window.Firestore.setDoc(pageRef, page);
-                    this.kernel.firestorePagesByProject[targetProjId].push(page);
-                }
-            } catch(e) {
-                console.error("Firestore project import failed:", e);
-            }
-        } else {
-            this.kernel.projects.push(project);
-            localStorage.setItem("mm_projects", JSON.stringify(this.kernel.projects));
-            
-            let lib = this.kernel.getLibrary();
+        const vault = this.kernel.vault;
+        try {
+            await vault.saveProject(project);
             for (const page of pages) {
                 if (!page.meta) page.meta = {};
                 page.meta.project_id = targetProjId;
-                lib.push(page);
+                await vault.savePage(page);
             }
-            this.kernel.saveLibrary(lib);
+        } catch(e) {
+            console.error(`${vault.label} project import failed:`, e);
         }
         
         this.kernel.activeProjectId = targetProjId;
@@ -2004,9 +2745,10 @@ class SandboxController {
         }
     }
 
-    actionDownloadLibrary() {
+    async actionDownloadLibrary() {
+        if (this.kernel.getLibrary().length === 0) { alert("Your library is empty."); return; }
+        if (!await this.guardIntegrity(this.kernel.getLibrary().map(p => p.map_id), 'export')) return;
         const lib = this.kernel.getLibrary();
-        if (!lib || lib.length === 0) { alert("Your library is empty."); return; }
         const json = JSON.stringify(lib, null, 2);
         const blob = new Blob([json], { type: "application/json" });
         const url = URL.createObjectURL(blob);
@@ -2017,10 +2759,10 @@ class SandboxController {
         URL.revokeObjectURL(url);
     }
 
-    actionDownloadSingleConstellation(id) {
-        const lib = this.kernel.getLibrary();
-        const map = lib.find(m => m.map_id === id);
-        if (!map) return;
+    async actionDownloadSingleConstellation(id) {
+        if (!this.kernel.getLibrary().some(m => m.map_id === id)) return;
+        if (!await this.guardIntegrity([id], 'export')) return;
+        const map = this.kernel.getLibrary().find(m => m.map_id === id);
         const json = JSON.stringify(map, null, 2);
         const blob = new Blob([json], { type: "application/json" });
         const url = URL.createObjectURL(blob);
@@ -2043,12 +2785,16 @@ class SandboxController {
         }
     }
 
-    actionSyncJson() {
+    async actionSyncJson() {
+        let parsed;
         try {
-            const val = document.getElementById('json-exchange').value;
-            this.kernel.loadMapState(JSON.parse(val));
-            alert("Mapstate Applied Successfully.");
-        } catch (e) { alert("Invalid JSON format."); }
+            parsed = JSON.parse(document.getElementById('json-exchange').value);
+        } catch (e) { alert("Invalid JSON format."); return; }
+
+        const reviewed = await this.reviewImport(parsed, { source: 'Pasted mapstate' });
+        if (!reviewed) return;
+        this.kernel.loadMapState(reviewed);
+        alert("Mapstate Applied Successfully.");
     }
 
     actionCopyJson() {
@@ -2062,15 +2808,140 @@ class SandboxController {
         }
     }
     
-    actionSaveEndpoints() {
-        this.kernel.bridge.pushUrl = document.getElementById('api-push-url').value;
-        this.kernel.bridge.pullUrl = document.getElementById('api-pull-url').value;
-        alert(`Endpoints mapped temporarily.`);
+    async actionSaveEndpoints() {
+        const autoSync = document.getElementById('api-auto-sync');
+        this.kernel.bridge.setEndpoints(
+            document.getElementById('api-push-url').value,
+            document.getElementById('api-pull-url').value,
+            autoSync ? autoSync.checked : false
+        );
+        await this.actionTestHostConnection();
+    }
+
+    async actionTestHostConnection() {
+        await this.kernel.bridge.checkConnection();
+        this.render();
+    }
+
+    /**
+     * Push the active page (scope 'page') or the whole active project (scope 'project') to the host.
+     */
+    async actionPushApi(scope = 'page') {
+        try {
+            const res = scope === 'project'
+                ? await this.kernel.pushProjectToHost(this.kernel.activeProjectId)
+                : await this.kernel.pushPageToHost(this.kernel.state.map_id);
+            const conflicts = res.conflicts || (res.conflict ? [res.conflict] : []);
+            if (conflicts.length > 0) {
+                if (await this.resolveHostConflicts(conflicts)) this.kernel.bridge.paused = false;
+            } else {
+                this.kernel.bridge.paused = false;
+                alert(`Pushed ${res.pushed} page(s) to ${this.kernel.bridge.pushUrl}.`);
+            }
+        } catch (e) {
+            console.error(e);
+            alert(`Push failed: ${e.message}`);
+        }
+        this.kernel.bridge.updateStatus(this.kernel.bridge.paused ? 'Conflict' : null);
+        this.render();
+    }
+
+    async actionPullApi() {
+        try {
+            const res = await this.kernel.pullFromHost();
+            if (await this.resolveHostConflicts(res.conflicts)) this.kernel.bridge.paused = false;
+            alert(`Pull complete: ${res.added} new, ${res.updated} updated, ${res.unchanged} unchanged${res.projects ? `, ${res.projects} project(s) updated` : ''}${res.conflicts.length ? `, ${res.conflicts.length} conflict(s) reviewed` : ''}.`);
+        } catch (e) {
+            console.error(e);
+            this.kernel.bridge.isConnected = false;
+            alert(`Pull failed: ${e.message}`);
+        }
+        this.kernel.bridge.updateStatus(this.kernel.bridge.paused ? 'Conflict' : null);
+        this.render();
+    }
+
+    /**
+     * Walk the user through each revision conflict: keep local, take the host copy, or keep both
+     * (pages only; a project record is either kept or taken).
+     * Resolves true when every conflict was settled, false when one was dismissed or failed.
+     */
+    async resolveHostConflicts(conflicts) {
+        let resolved = true;
+        for (const conflict of conflicts) {
+            const { local, remote } = conflict;
+            const stamp = remote.meta?.host_updated_at ? new Date(remote.meta.host_updated_at).toLocaleString() : 'unknown';
+            const choice = conflict.kind === 'project' ? await this.showDialogModal({
+                title: "⚠️ Project Sync Conflict",
+                contentHtml: `
+                    <div class="flex flex-col gap-3">
+                        <p class="text-slate-300 text-sm leading-relaxed">The project "${this.escapeHTML(local.meta?.title || local.project_id)}" (its name, page order or node types) was changed both here and on the host since the last sync.</p>
+                        <div class="grid grid-cols-2 gap-2">
+                            <div class="bg-slate-950 border border-slate-800 rounded-lg p-3">
+                                <div class="text-[10px] text-slate-500 font-bold uppercase mb-1">This Workspace</div>
+                                <div class="text-slate-200">${this.escapeHTML(local.meta?.title || 'Untitled')}</div>
+                                <div class="text-slate-400">${(local.page_ids || []).length} pages · based on rev ${local.meta?.revision || 0}</div>
+                            </div>
+                            <div class="bg-slate-950 border border-slate-800 rounded-lg p-3">
+                                <div class="text-[10px] text-slate-500 font-bold uppercase mb-1">Host</div>
+                                <div class="text-slate-200">${this.escapeHTML(remote.meta?.title || 'Untitled')}</div>
+                                <div class="text-slate-400">${(remote.page_ids || []).length} pages · rev ${remote.meta?.revision || 0} · ${stamp}</div>
+                            </div>
+                        </div>
+                    </div>
+                `,
+                actionsHtml: `
+                    <button data-choice="remote" class="px-4 py-2 border border-slate-700 hover:bg-slate-800 text-slate-300 hover:text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Take Host</button>
+                    <button data-choice="local" class="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Keep Mine</button>
+                `,
+                onRender: (el, close) => {
+                    el.querySelectorAll('[data-choice]').forEach(btn => {
+                        btn.onclick = () => close(btn.dataset.choice);
+                    });
+                }
+            }) : await this.showDialogModal({
+                title: "⚠️ Sync Conflict",
+                contentHtml: `
+                    <div class="flex flex-col gap-3">
+                        <p class="text-slate-300 text-sm leading-relaxed">"${this.escapeHTML(local.meta?.title || 'Untitled')}" was changed both here and on the host since the last sync.</p>
+                        <div class="grid grid-cols-2 gap-2">
+                            <div class="bg-slate-950 border border-slate-800 rounded-lg p-3">
+                                <div class="text-[10px] text-slate-500 font-bold uppercase mb-1">This Workspace</div>
+                                <div class="text-slate-200">Based on rev ${local.meta?.revision || 0}</div>
+                                <div class="text-slate-400">${(local.nodes || []).length} nodes · ${(local.connections || []).length} links</div>
+                            </div>
+                            <div class="bg-slate-950 border border-slate-800 rounded-lg p-3">
+                                <div class="text-[10px] text-slate-500 font-bold uppercase mb-1">Host</div>
+                                <div class="text-slate-200">Rev ${remote.meta?.revision || 0} · ${stamp}</div>
+                                <div class="text-slate-400">${(remote.nodes || []).length} nodes · ${(remote.connections || []).length} links</div>
+                            </div>
+                        </div>
+                    </div>
+                `,
+                actionsHtml: `
+                    <button data-choice="both" class="px-4 py-2 border border-slate-700 hover:bg-slate-800 text-slate-300 hover:text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Keep Both</button>
+                    <button data-choice="remote" class="px-4 py-2 border border-slate-700 hover:bg-slate-800 text-slate-300 hover:text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Take Host</button>
+                    <button data-choice="local" class="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Keep Mine</button>
+                `,
+                onRender: (el, close) => {
+                    el.querySelectorAll('[data-choice]').forEach(btn => {
+                        btn.onclick = () => close(btn.dataset.choice);
+                    });
+                }
+            });
+            if (!choice) { resolved = false; continue; }
+            try {
+                await this.kernel.resolveHostConflict(conflict, choice);
+            } catch (e) {
+                console.error(e);
+                alert(`Could not resolve conflict: ${e.message}`);
+                resolved = false;
+            }
+        }
+        return resolved;
     }
-    actionPushApi() { alert(`POST to ${this.kernel.bridge.pushUrl}`); }
-    actionPullApi() { alert(`GET from ${this.kernel.bridge.pullUrl}`); }
     
-    actionExportJsonFile() {
+    async actionExportJsonFile() {
+        if (!await this.guardIntegrity([this.kernel.state.map_id], 'export')) return;
         const json = this.kernel.exportMapState();
         const blob = new Blob([json], { type: "application/json" });
         const url = URL.createObjectURL(blob);
@@ -2085,16 +2956,385 @@ class SandboxController {
         const file = event.target.files[0];
         if (!file) return;
         const reader = new FileReader();
-        reader.onload = (e) => {
-            try { this.kernel.loadMapState(JSON.parse(e.target.result)); alert("Mapstate Imported."); this.render(); } 
-            catch (err) { alert("Invalid JSON file."); }
+        reader.onload = async (e) => {
+            let parsed;
+            try { parsed = JSON.parse(e.target.result); }
+            catch (err) { alert("Invalid JSON file."); return; }
+
+            const reviewed = await this.reviewImport(parsed, { source: file.name });
+            if (!reviewed) return;
+            this.kernel.loadMapState(reviewed);
+            alert("Mapstate Imported.");
+            this.render();
         };
         reader.readAsText(file);
         event.target.value = ''; 
     }
 
+    /**
+     * Download a page (the open one by default) as Markdown, OPML or FreeMind. Pages reached
+     * through its portals come along in a zip, so the links between the files resolve.
+     */
+    async actionExportOutline(format = 'markdown', mapId = this.kernel.state.map_id) {
+        if (!await this.guardIntegrity([mapId], 'export')) return;
+        const files = this.kernel.exportOutlineFiles(mapId, format);
+        if (files.length === 0) return alert('Page not found in library.');
+        const single = files.length === 1;
+        const blob = single
+            ? new Blob([files[0].data], { type: MultiMapOutline.formats[format].mime })
+            : new Blob([MultiMapZip.create(files)], { type: "application/zip" });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = single ? files[0].name : `multi_map_${format}_${files[0].name.replace(/\.[a-z]+$/, '').replace(/-/g, '_')}.zip`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Build pages from an outline or mind-map file: Markdown, OPML, FreeMind (.mm) or XMind,
+     * or a Mermaid flowchart (.mmd). Each XMind sheet becomes its own page; the first one opens.
+     */
+    async actionImportOutlineFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        event.target.value = '';
+        try {
+            if (/\.(mmd|mermaid)$/i.test(file.name)) {
+                const page = await this.kernel.importDiagramPage(await file.text(), file.name.replace(/\.[^.]+$/, ''));
+                if (!page) return;
+                this.setView('map');
+                return this.render();
+            }
+            const outlines = (await MultiMapOutline.readFile(file.name, new Uint8Array(await file.arrayBuffer())))
+                .filter(o => o.title || o.children.length > 0);
+            if (outlines.length === 0) return alert(`${file.name} has no outline to import.`);
+
+            const baseTitle = file.name.replace(/\.[^.]+$/, '');
+            for (let i = outlines.length - 1; i >= 0; i--) {
+                const page = await this.kernel.importOutlinePage(outlines[i], outlines.length > 1 ? `${baseTitle} ${i + 1}` : baseTitle, i === 0);
+                if (!page) return;
+            }
+            this.setView('map');
+            this.render();
+        } catch (err) {
+            console.error("Outline import failed:", err);
+            alert(`Could not import ${file.name}: ${err.message}`);
+        }
+    }
+
+    /** Type or paste a Markdown outline and add it under the selected node (the root when none is). */
+    async actionPasteOutline() {
+        const target = this.kernel.state.nodes.find(n => n.id === this.kernel.state.session.selectedId)
+            || this.kernel.state.nodes.find(n => n.data && n.data.isCore);
+        const text = await this.showDialogModal({
+            title: "📝 Paste Outline",
+            contentHtml: `
+                <div class="flex flex-col gap-2">
+                    <label class="text-slate-400 font-bold mb-1 text-[10px] uppercase tracking-wider">Adds under ${this.escapeHTML(target ? target.title : 'the root')}</label>
+                    <textarea id="outline-input" rows="12" placeholder="## Branch&#10;Body text&#10;- Item&#10;  - Sub-item" class="bg-slate-950 border border-slate-700 rounded-lg p-2.5 font-mono text-[11px] text-slate-200 outline-none focus:border-indigo-500 transition-colors w-full resize-none custom-scrollbar"></textarea>
+                    <p class="text-[10px] text-slate-500">Headings and bullets nest; other lines become the text of the item above. Items with children become hubs, the rest notes. Plain lines add one note each.</p>
+                </div>
+            `,
+            actionsHtml: `
+                <button class="cancel-btn px-4 py-2 border border-slate-700 hover:bg-slate-800 text-slate-300 hover:text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Cancel</button>
+                <button class="confirm-btn px-4 py-2 bg-indigo-600 hover:bg-indigo-500 text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Add Outline</button>
+            `,
+            onRender: (el, close) => {
+                const input = el.querySelector('#outline-input');
+                input.focus();
+                el.querySelector('.cancel-btn').onclick = () => close(null);
+                el.querySelector('.confirm-btn').onclick = () => close(input.value);
+            }
+        });
+        if (!text || !text.trim()) return;
+        const fragment = this.kernel.outlineFragment(MultiMapOutline.markdown.parse(text));
+        if (!fragment) return alert("Nothing to add: the outline is empty.");
+        if (target) this.kernel.state.session.selectedId = target.id;
+        this.pasteFragment(fragment);
+    }
+
+    /**
+     * Show the open page as Mermaid (flowchart or mindmap) or Graphviz DOT, to copy or
+     * download. Collapsed branches are summarised unless the toggle draws them out.
+     */
+    async actionExportDiagram(format = 'flowchart') {
+        if (!await this.guardIntegrity([this.kernel.state.map_id], 'export')) return;
+        const formats = {
+            flowchart: { label: 'Mermaid Flowchart', extension: 'mmd', mime: 'text/vnd.mermaid' },
+            mindmap: { label: 'Mermaid Mindmap', extension: 'mmd', mime: 'text/vnd.mermaid' },
+            dot: { label: 'Graphviz DOT', extension: 'dot', mime: 'text/vnd.graphviz' }
+        };
+        const state = this.kernel.state;
+        await this.showDialogModal({
+            title: "🧜 Diagram Export",
+            contentHtml: `
+                <div class="flex flex-col gap-2">
+                    <div class="flex gap-1">
+                        ${Object.entries(formats).map(([key, def]) => `
+                            <button data-format="${key}" class="format-btn flex-1 py-1.5 border border-slate-700 rounded-lg text-[10px] font-bold uppercase tracking-wider transition-colors">${def.label}</button>
+                        `).join('')}
+                    </div>
+                    <textarea id="diagram-output" rows="14" readonly class="bg-slate-950 border border-slate-700 rounded-lg p-2.5 font-mono text-[11px] text-emerald-400 outline-none w-full resize-none custom-scrollbar"></textarea>
+                    <label class="flex items-center gap-2 text-[10px] text-slate-400 cursor-pointer">
+                        <input type="checkbox" id="diagram-expand" class="accent-indigo-500"> Draw collapsed branches in full
+                    </label>
+                    <p class="text-[10px] text-slate-500">Node types map to shapes; flow, dependency and association links keep their styles. Portals link to their page's Markdown export.</p>
+                </div>
+            `,
+            actionsHtml: `
+                <button class="copy-btn px-4 py-2 border border-slate-700 hover:bg-slate-800 text-slate-300 hover:text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Copy</button>
+                <button class="download-btn px-4 py-2 bg-indigo-600 hover:bg-indigo-500 text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Download</button>
+            `,
+            onRender: (el, close) => {
+                const output = el.querySelector('#diagram-output');
+                const expand = el.querySelector('#diagram-expand');
+                const show = () => {
+                    output.value = this.kernel.diagramOf(format, state, { collapsed: expand.checked ? 'expand' : 'summarize' });
+                    el.querySelectorAll('.format-btn').forEach(btn => {
+                        const active = btn.dataset.format === format;
+                        btn.classList.toggle('bg-indigo-600', active);
+                        btn.classList.toggle('text-white', active);
+                        btn.classList.toggle('text-slate-400', !active);
+                    });
+                };
+                el.querySelectorAll('.format-btn').forEach(btn => btn.onclick = () => { format = btn.dataset.format; show(); });
+                expand.onchange = show;
+                show();
+                el.querySelector('.copy-btn').onclick = () => {
+                    output.select();
+                    if (navigator.clipboard && navigator.clipboard.writeText) {
+                        navigator.clipboard.writeText(output.value).catch(() => document.execCommand('copy'));
+                    } else {
+                        document.execCommand('copy');
+                    }
+                };
+                el.querySelector('.download-btn').onclick = () => {
+                    const def = formats[format];
+                    const url = URL.createObjectURL(new Blob([output.value], { type: def.mime }));
+                    const a = document.createElement('a');
+                    a.href = url;
+                    a.download = `${MultiMapOutline.slug(state.meta?.title)}${format === 'mindmap' ? '-mindmap' : ''}.${def.extension}`;
+                    a.click();
+                    URL.revokeObjectURL(url);
+                    close(null);
+                };
+            }
+        });
+    }
+
+    /** Paste a Mermaid flowchart and open it as a new page. */
+    async actionImportMermaid() {
+        const text = await this.showDialogModal({
+            title: "🧜 Import Mermaid Flowchart",
+            contentHtml: `
+                <div class="flex flex-col gap-2">
+                    <textarea id="mermaid-input" rows="12" placeholder="flowchart LR&#10;  A[Idea] --> B{{Plan}}&#10;  B ==> C[Ship]" class="bg-slate-950 border border-slate-700 rounded-lg p-2.5 font-mono text-[11px] text-slate-200 outline-none focus:border-indigo-500 transition-colors w-full resize-none custom-scrollbar"></textarea>
+                    <p class="text-[10px] text-slate-500">Circles become the root, hexagons hubs, diamonds logic gates, flags portals. Plain arrows nest nodes; thick, dotted and undirected links become flow, dependency and association links. Subgraphs and styles are ignored.</p>
+                </div>
+            `,
+            actionsHtml: `
+                <button class="cancel-btn px-4 py-2 border border-slate-700 hover:bg-slate-800 text-slate-300 hover:text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Cancel</button>
+                <button class="confirm-btn px-4 py-2 bg-indigo-600 hover:bg-indigo-500 text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Create Page</button>
+            `,
+            onRender: (el, close) => {
+                const input = el.querySelector('#mermaid-input');
+                input.focus();
+                el.querySelector('.cancel-btn').onclick = () => close(null);
+                el.querySelector('.confirm-btn').onclick = () => close(input.value);
+            }
+        });
+        if (!text || !text.trim()) return;
+        try {
+            if (!await this.kernel.importDiagramPage(text)) return;
+            this.setView('map');
+            this.render();
+        } catch (err) {
+            console.error("Mermaid import failed:", err);
+            alert(`Could not import the diagram: ${err.message}`);
+        }
+    }
+
+    /**
+     * What renderMap last drew, as a MultiMapImage scene: the whole page, or only the part
+     * in the viewport at its current zoom. Positions, looks, icons, edge styles and
+     * collapsed branches are the map's own; selection rings are left out.
+     */
+    snapshotScene({ area = 'page', hideNotes = false } = {}) {
+        const state = this.kernel.state;
+        const model = this._mapModel || this.buildMapModel(state, true);
+        const nodes = state.nodes.filter(n => model.visibleNodes.has(n.id) && !(hideNotes && n.type === 'note'));
+        const vp = state.session.viewport;
+        let view = null;
+        if (area === 'viewport') {
+            const rect = this.dom.viewport.getBoundingClientRect();
+            view = { x0: -vp.x / vp.scale, y0: -vp.y / vp.scale, x1: (rect.width - vp.x) / vp.scale, y1: (rect.height - vp.y) / vp.scale };
+        }
+        const margin = 160; // room for a node's label and badge around its centre
+        const inView = (p) => !view || (p.x >= view.x0 - margin && p.x <= view.x1 + margin && p.y >= view.y0 - margin && p.y <= view.y1 + margin);
+
+        const positions = new Map();
+        const sceneNodes = [];
+        nodes.forEach(node => {
+            const p = this.getVisualPos(node);
+            positions.set(node.id, p);
+            if (!inView(p)) return;
+            const look = this.nodeAppearance(node, model);
+            const collapsed = model.collapsed.has(node.id);
+            sceneNodes.push({
+                x: p.x, y: p.y, r: 36 * look.scale,
+                icon: this.kernel.getBlueprint(node.type).icon,
+                label: node.title || node.type,
+                fill: look.background, stroke: look.color, opacity: look.opacity,
+                collapsed, hiddenCount: collapsed ? (model.childrenOf.get(node.id) || []).length : 0,
+                pinned: !!node.data.pinned
+            });
+        });
+
+        const schema = typeof MultiMapSchema !== 'undefined' ? MultiMapSchema : null;
+        const edges = [];
+        model.edges.forEach(({ conn, opacity }) => {
+            const a = positions.get(conn.from), b = positions.get(conn.to);
+            if (!a || !b) return;
+            if (view && (Math.max(a.x, b.x) < view.x0 || Math.min(a.x, b.x) > view.x1 || Math.max(a.y, b.y) < view.y0 || Math.min(a.y, b.y) > view.y1)) return;
+            const style = MultiMapImage.edgeStyle(schema ? schema.getConnectionType(conn.type) : null, conn.type);
+            edges.push({ x1: a.x, y1: a.y, x2: b.x, y2: b.y, ...style, opacity });
+        });
+
+        let bounds = view;
+        if (!bounds) {
+            const pad = 40;
+            bounds = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+            sceneNodes.forEach(n => {
+                const half = Math.max(n.r, MultiMapImage.label(n.label).width / 2);
+                bounds.x0 = Math.min(bounds.x0, n.x - half);
+                bounds.x1 = Math.max(bounds.x1, n.x + half);
+                bounds.y0 = Math.min(bounds.y0, n.y - n.r);
+                bounds.y1 = Math.max(bounds.y1, n.y + n.r * 1.2 + 16);
+            });
+            if (!sceneNodes.length) bounds = { x0: 0, y0: 0, x1: 0, y1: 0 };
+            bounds = { x0: bounds.x0 - pad, y0: bounds.y0 - pad, x1: bounds.x1 + pad, y1: bounds.y1 + pad };
+        }
+        return { title: state.meta?.title || 'Map', bounds, scale: view ? vp.scale : 1, nodes: sceneNodes, edges };
+    }
+
+    /** Save the map as an SVG, or a PNG at a chosen scale, with its options in one dialog. */
+    async actionExportImage() {
+        if (!await this.guardIntegrity([this.kernel.state.map_id], 'export')) return;
+        const choice = await this.showDialogModal({
+            title: "🖼️ Export Image",
+            contentHtml: `
+                <div class="flex flex-col gap-3">
+                    <div class="grid grid-cols-2 gap-2">
+                        <label class="flex flex-col gap-1 text-[10px] text-slate-400 font-bold uppercase tracking-wider">Area
+                            <select id="image-area" class="bg-slate-950 border border-slate-700 rounded-lg p-2 text-xs text-slate-200 outline-none focus:border-indigo-500 normal-case font-normal tracking-normal">
+                                <option value="page">Whole page</option>
+                                <option value="viewport">Current view</option>
+                            </select>
+                        </label>
+                        <label class="flex flex-col gap-1 text-[10px] text-slate-400 font-bold uppercase tracking-wider">Format
+                            <select id="image-format" class="bg-slate-950 border border-slate-700 rounded-lg p-2 text-xs text-slate-200 outline-none focus:border-indigo-500 normal-case font-normal tracking-normal">
+                                <option value="svg">SVG</option>
+                                <option value="1">PNG 1×</option>
+                                <option value="2" selected>PNG 2×</option>
+                                <option value="3">PNG 3×</option>
+                                <option value="4">PNG 4×</option>
+                            </select>
+                        </label>
+                    </div>
+                    <label class="flex items-center gap-2 text-[11px] text-slate-300 cursor-pointer">
+                        <input type="checkbox" id="image-transparent" class="accent-indigo-500"> Transparent background
+                    </label>
+                    <label class="flex items-center gap-2 text-[11px] text-slate-300 cursor-pointer">
+                        <input type="checkbox" id="image-hide-notes" class="accent-indigo-500"> Hide notes
+                    </label>
+                    <p id="image-size" class="text-[10px] text-slate-500"></p>
+                </div>
+            `,
+            actionsHtml: `
+                <button class="cancel-btn px-4 py-2 border border-slate-700 hover:bg-slate-800 text-slate-300 hover:text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Cancel</button>
+                <button class="confirm-btn px-4 py-2 bg-indigo-600 hover:bg-indigo-500 text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Download</button>
+            `,
+            onRender: (el, close) => {
+                const read = () => ({
+                    area: el.querySelector('#image-area').value,
+                    format: el.querySelector('#image-format').value,
+                    transparent: el.querySelector('#image-transparent').checked,
+                    hideNotes: el.querySelector('#image-hide-notes').checked
+                });
+                const showSize = () => {
+                    const { area, format, hideNotes } = read();
+                    const size = MultiMapImage.size(this.snapshotScene({ area, hideNotes }));
+                    const scale = format === 'svg' ? 1 : MultiMapImage.fitScale(size, Number(format));
+                    el.querySelector('#image-size').textContent = `${Math.round(size.width * scale)} × ${Math.round(size.height * scale)} px`
+                        + (format !== 'svg' && scale < Number(format) ? ` (reduced from ${format}× to fit the browser's canvas limit)` : '');
+                };
+                el.querySelectorAll('select, input').forEach(input => input.onchange = showSize);
+                showSize();
+                el.querySelector('.cancel-btn').onclick = () => close(null);
+                el.querySelector('.confirm-btn').onclick = () => close(read());
+            }
+        });
+        if (!choice) return;
+
+        const scene = this.snapshotScene(choice);
+        if (scene.nodes.length === 0) return alert("Nothing to export: no nodes are in view.");
+        const svg = MultiMapImage.svg(scene, { background: choice.transparent ? null : MultiMapImage.BACKGROUND });
+        const name = `${MultiMapOutline.slug(scene.title)}${choice.area === 'viewport' ? '-view' : ''}`;
+        try {
+            const size = MultiMapImage.size(scene);
+            const blob = choice.format === 'svg'
+                ? new Blob([svg], { type: 'image/svg+xml' })
+                : await MultiMapImage.png(svg, size, MultiMapImage.fitScale(size, Number(choice.format)));
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${name}.${choice.format === 'svg' ? 'svg' : 'png'}`;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error("Image export failed:", err);
+            alert(`Could not export the image: ${err.message}`);
+        }
+    }
+
+    /**
+     * Download the project's web-root pages as a standalone website zip: clean HTML, one
+     * styles.css with just the Tailwind classes used, and local images/videos under assets/.
+     */
+    async actionExportSite() {
+        if (!await this.guardIntegrity(this.kernel.getPages(this.kernel.activeProjectId).map(p => p.map_id), 'export')) return;
+        const fetchAsset = async (path) => {
+            const res = await fetch(path);
+            return res.ok ? new Uint8Array(await res.arrayBuffer()) : null;
+        };
+        let site;
+        try {
+            site = await this.kernel.exportSiteFiles(this.kernel.activeProjectId, fetchAsset);
+        } catch (err) {
+            console.error("Site export failed:", err);
+            return alert(`Could not export the site: ${err.message}`);
+        }
+        if (!site) return alert("Nothing to export: this project has no Web Root nodes.");
+
+        const project = this.kernel.getProjects().find(p => p.project_id === this.kernel.activeProjectId);
+        const blob = new Blob([MultiMapZip.create(site.files)], { type: "application/zip" });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${MultiMapOutline.slug(project?.meta?.title || 'site')}-site.zip`;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        const notes = [];
+        if (site.unknownClasses.length) notes.push(`Classes with no generated CSS (${site.unknownClasses.length}): ${site.unknownClasses.slice(0, 20).join(' ')}${site.unknownClasses.length > 20 ? ' …' : ''}`);
+        if (site.missingAssets.length) notes.push(`Assets that could not be bundled (${site.missingAssets.length}): ${site.missingAssets.slice(0, 10).map(a => a.length > 60 ? `${a.slice(0, 57)}...` : a).join(', ')}`);
+        if (notes.length) alert(`Site exported with ${site.files.filter(f => f.name.endsWith('.html')).length} page(s).\n\n${notes.join('\n\n')}`);
+    }
+
     render() {
         this.updatePhaseButtons();
+        this.updateHistoryButtons();
         this.updateSmartActionButton();
         
         // Update breadcrumbs in navbar
@@ -2110,6 +3350,7 @@ class SandboxController {
 
         const inspector = this.registry.get('inspector');
         if (inspector && this.dom.panelProperties) inspector.render(this.dom.panelProperties, this.kernel.state);
+        this.renderBulkBar();
 
         // Auto-update Data Manager drawer if it is currently open
         const dataDrawer = document.getElementById('data-manager-drawer');
@@ -2132,16 +3373,25 @@ class SandboxController {
         }
     }
 
-    renderMap(state) {
-        if (!state.nodes || !state.session) return;
-        this.updateTransform();
-
-        const selId = state.session.selectedId;
+    /**
+     * What both map renderers need to know about `state`: which nodes show, how far each
+     * sits from the focus, what is collapsed and how each edge fades. Built once per
+     * render from child/parent indexes, so no per-node loop scans the connections.
+     */
+    buildMapModel(state, reuseLayout = false) {
+        const byId = new Map(state.nodes.map(n => [n.id, n]));
+        const structuralEdges = state.connections.filter(c => this.kernel.isHierarchyEdge(c));
+        const childrenOf = new Map();
+        const parentOf = new Map();
+        structuralEdges.forEach(e => {
+            if (!childrenOf.has(e.from)) childrenOf.set(e.from, []);
+            childrenOf.get(e.from).push(e.to);
+            if (!parentOf.has(e.to)) parentOf.set(e.to, e.from);
+        });
+        const kidsOf = (id) => childrenOf.get(id) || [];
 
-        const structuralEdges = state.connections.filter(c => c.type === 'structural');
         // True roots = nodes with no incoming structural edges (used for root highlight in selection mode)
-        const hasIncomingEdge = new Set(structuralEdges.map(e => e.to));
-        const trueRootIds = new Set(state.nodes.filter(n => !hasIncomingEdge.has(n.id)).map(n => n.id));
+        const trueRootIds = new Set(state.nodes.filter(n => !parentOf.has(n.id)).map(n => n.id));
 
         // Compute absolute depth of each node from the root node(s) for depth auto-collapse
         const depth = new Map();
@@ -2149,11 +3399,9 @@ class SandboxController {
         let depthQueue = [...trueRootIds];
         while (depthQueue.length > 0) {
             const curr = depthQueue.shift();
-            const currDepth = depth.get(curr);
-            const kids = structuralEdges.filter(c => c.from === curr).map(c => c.to);
-            for (const kid of kids) {
+            for (const kid of kidsOf(curr)) {
                 if (!depth.has(kid)) {
-                    depth.set(kid, currDepth + 1);
+                    depth.set(kid, depth.get(curr) + 1);
                     depthQueue.push(kid);
                 }
             }
@@ -2164,29 +3412,21 @@ class SandboxController {
         if (state.session.selectedId) {
             focalNodes = [state.session.selectedId];
         } else {
-            focalNodes = state.nodes.filter(n => !hasIncomingEdge.has(n.id)).map(n => n.id);
+            focalNodes = [...trueRootIds];
             if (focalNodes.length === 0 && state.nodes.length > 0) {
                 focalNodes = [state.nodes[0].id];
             }
         }
 
+        // Directed: downstream only
         const distances = new Map();
         focalNodes.forEach(id => distances.set(id, 0));
         let q = [...focalNodes];
-        
-        const adj = new Map();
-        state.nodes.forEach(n => adj.set(n.id, []));
-        structuralEdges.forEach(e => {
-            if (adj.has(e.from)) adj.get(e.from).push(e.to); // Directed: downstream only
-        });
-
-        while(q.length > 0) {
+        while (q.length > 0) {
             const curr = q.shift();
-            const currDist = distances.get(curr);
-            const neighbors = adj.get(curr) || [];
-            for (const nxt of neighbors) {
+            for (const nxt of kidsOf(curr)) {
                 if (!distances.has(nxt)) {
-                    distances.set(nxt, currDist + 1);
+                    distances.set(nxt, distances.get(curr) + 1);
                     q.push(nxt);
                 }
             }
@@ -2196,139 +3436,177 @@ class SandboxController {
         const pathNodes = new Set();
         const highlightNodeId = this.activeSearchHighlight ? this.activeSearchHighlight.nodeId : null;
         const activeFocalId = state.session.selectedId || highlightNodeId;
-
-        if (activeFocalId) {
-            let currId = activeFocalId;
-            while (currId) {
-                pathNodes.add(currId);
-                const parentEdge = structuralEdges.find(e => e.to === currId);
-                currId = parentEdge ? parentEdge.from : null;
-            }
+        let currId = activeFocalId;
+        while (currId && !pathNodes.has(currId)) {
+            pathNodes.add(currId);
+            currId = parentOf.get(currId) || null;
         }
 
         const autoCollapseDepth = this.kernel.config.autoCollapseDepth || 3;
 
         // Auto-collapse logic matching TODO specs
-        const isNodeCollapsed = (nid) => {
-            const n = state.nodes.find(node => node.id === nid);
-            if (!n) return false;
-            
+        const isNodeCollapsed = (n) => {
             // 1. Manual collapse takes precedence
             if (n.data.collapsed === true) return true;
             
             // 2. Selection-driven collapse/re-expansion if a selection/highlight is active
             if (activeFocalId) {
-                if (pathNodes.has(nid)) {
-                    return false; // fully expanded path node
-                }
+                if (pathNodes.has(n.id)) return false; // fully expanded path node
                 
                 // Downstream of selection
-                if (distances.has(nid)) {
-                    const distVal = distances.get(nid);
-                    if (distVal >= autoCollapseDepth) {
-                        return !n.data.expanded; // collapsed beyond threshold unless explicitly expanded
-                    }
-                    return false;
+                if (distances.has(n.id)) {
+                    // collapsed beyond threshold unless explicitly expanded
+                    return distances.get(n.id) >= autoCollapseDepth ? !n.data.expanded : false;
                 }
                 
                 // Sibling branch (neither on path nor downstream of selection)
-                return true; // collapsed
+                return true;
             }
             
             // 3. Depth-based auto-collapse if no selection is active
-            const depthVal = depth.has(nid) ? depth.get(nid) : 0;
-            if (depthVal >= autoCollapseDepth) {
-                return !n.data.expanded;
-            }
-            return false;
+            const depthVal = depth.has(n.id) ? depth.get(n.id) : 0;
+            return depthVal >= autoCollapseDepth ? !n.data.expanded : false;
         };
+        const collapsed = new Set(state.nodes.filter(isNodeCollapsed).map(n => n.id));
 
-        const visibleNodes = new Set();
-        state.nodes.forEach(n => visibleNodes.add(n.id));
-
+        const visibleNodes = new Set(state.nodes.map(n => n.id));
+        const hidden = new Set();
         state.nodes.forEach(n => {
-            if (isNodeCollapsed(n.id)) {
-                // Sibling branch nodes are collapsed (fade to 20% opacity), but they do NOT prune their subtrees
-                const isSiblingBranch = activeFocalId && !pathNodes.has(n.id) && !distances.has(n.id) && n.data.collapsed !== true;
-                if (isSiblingBranch) {
-                    return;
-                }
-                
-                const queue = [n.id];
-                while(queue.length > 0) {
-                    const curr = queue.shift();
-                    const kids = state.connections.filter(c => c.from === curr && c.type === 'structural').map(c => c.to);
-                    kids.forEach(k => { visibleNodes.delete(k); queue.push(k); });
-                }
+            if (!collapsed.has(n.id)) return;
+            // Sibling branch nodes are collapsed (fade to 20% opacity), but they do NOT prune their subtrees
+            const isSiblingBranch = activeFocalId && !pathNodes.has(n.id) && !distances.has(n.id) && n.data.collapsed !== true;
+            if (isSiblingBranch) return;
+
+            const queue = [n.id];
+            while (queue.length > 0) {
+                kidsOf(queue.shift()).forEach(k => {
+                    if (hidden.has(k)) return; // its subtree is already pruned
+                    hidden.add(k);
+                    visibleNodes.delete(k);
+                    queue.push(k);
+                });
             }
         });
 
-        let structuredCoords = null;
-        if (state.session.layoutMode === 'structured') {
-            structuredCoords = new Map();
-            const vSpacing = 280;
-            const hSpacing = 320;
-            // Reuse trueRootIds computed above
-            const trueRootsArr = [...trueRootIds];
-            if (trueRootsArr.length === 0 && state.nodes.length > 0) trueRootsArr.push(state.nodes[0].id);
-
-            let currentX = 0;
-            const calculateSubtree = (nodeId, depth) => {
-                const kids = structuralEdges.filter(c => c.from === nodeId).map(c => c.to);
-                if (kids.length === 0) {
-                    const x = currentX;
-                    currentX += hSpacing;
-                    structuredCoords.set(nodeId, { x, y: depth * vSpacing });
-                    return x;
-                } else {
-                    const childrenX = kids.map(k => calculateSubtree(k, depth + 1));
-                    const x = (childrenX[0] + childrenX[childrenX.length - 1]) / 2;
-                    structuredCoords.set(nodeId, { x, y: depth * vSpacing });
-                    return x;
-                }
-            };
-            
-            trueRootsArr.forEach(root => { calculateSubtree(root, 0); currentX += hSpacing; });
-            state.nodes.forEach(n => {
-                if (!structuredCoords.has(n.id)) {
-                    structuredCoords.set(n.id, { x: currentX, y: 0 });
-                    currentX += hSpacing;
-                }
-            });
+        // Computed layouts are cached between the frames of a layout transition
+        const mode = state.session.layoutMode || 'organic';
+        if (!reuseLayout || this._layoutMode !== mode) {
+            this._layoutCoords = typeof MultiMapLayouts !== 'undefined'
+                ? MultiMapLayouts.compute(mode, state.nodes, state.connections, { isHierarchy: (c) => this.kernel.isHierarchyEdge(c) })
+                : null;
+            this._layoutMode = mode;
         }
         
         this._focalNodes = focalNodes;
         this._focalDistances = distances;
-        this._structuredCoords = structuredCoords;
+        this._focalNode = byId.get(state.session.selectedId || focalNodes[0]) || null;
+        this._visibleNodes = visibleNodes;
 
-        this.dom.edgeSvg.innerHTML = '';
+        const isLinking = this.kernel.linkingMode;
+        const edges = [];
         state.connections.forEach(c => {
-            if (visibleNodes.has(c.from) && visibleNodes.has(c.to)) {
-                const s = state.nodes.find(n => n.id === c.from), t = state.nodes.find(n => n.id === c.to);
-                if (s && t) {
-                    const l = document.createElementNS("http://www.w3.org/2000/svg", "line");
-                    const sp = this.getVisualPos(s);
-                    const tp = this.getVisualPos(t);
-                    l.setAttribute("x1", sp.x); l.setAttribute("y1", sp.y);
-                    l.setAttribute("x2", tp.x); l.setAttribute("y2", tp.y);
-                    l.setAttribute("class", "edge-vis");
-                    if (c.type === 'association') l.style.strokeDasharray = "5,5";
-                    
-                    const isLinking = this.kernel.linkingMode;
-                    const distS = distances.has(s.id) ? distances.get(s.id) : -1;
-                    const distT = distances.has(t.id) ? distances.get(t.id) : -1;
-                    
-                    const onPathOrDownstreamS = pathNodes.has(s.id) || distances.has(s.id);
-                    const onPathOrDownstreamT = pathNodes.has(t.id) || distances.has(t.id);
-                    
-                    if (!isLinking && activeFocalId && (!onPathOrDownstreamS || !onPathOrDownstreamT)) {
-                        l.style.strokeOpacity = "0.2"; // Sibling branch edges are faded to 20%
-                    } else if (!isLinking && (distS === -1 || distT === -1)) {
-                        l.style.strokeOpacity = "0.48";
-                    }
-                    this.dom.edgeSvg.appendChild(l);
-                }
+            if (!visibleNodes.has(c.from) || !visibleNodes.has(c.to)) return;
+            const s = byId.get(c.from), t = byId.get(c.to);
+            if (!s || !t) return;
+            const onPathOrDownstreamS = pathNodes.has(s.id) || distances.has(s.id);
+            const onPathOrDownstreamT = pathNodes.has(t.id) || distances.has(t.id);
+            let opacity = null;
+            if (!isLinking && activeFocalId && (!onPathOrDownstreamS || !onPathOrDownstreamT)) {
+                opacity = 0.2; // Sibling branch edges are faded to 20%
+            } else if (!isLinking && (!distances.has(s.id) || !distances.has(t.id))) {
+                opacity = 0.48;
+            }
+            edges.push({ conn: c, s, t, opacity });
+        });
+
+        const selectedIds = this.kernel.getSelectedIds();
+        return {
+            byId, childrenOf, parentOf, trueRootIds, depth, distances, pathNodes, activeFocalId,
+            collapsed, visibleNodes, edges,
+            selId: state.session.selectedId,
+            multiIds: new Set(selectedIds.length > 1 ? selectedIds : []),
+            queryIds: this.queryResult && this.queryResult.mapId === state.map_id ? this.queryResult.ids : null
+        };
+    }
+
+    /**
+     * How a node is drawn from its distance to the focus: scale, border colour, opacity,
+     * fill and glow. Shared by the DOM and canvas renderers so both read the same.
+     */
+    nodeAppearance(node, model) {
+        const dist = model.distances.has(node.id) ? model.distances.get(node.id) : -1;
+        const isRoot = model.trueRootIds.has(node.id) && !!model.selId;
+        const isSibling = !!model.activeFocalId && !model.pathNodes.has(node.id);
+        let look;
+
+        if (this.kernel.linkingMode) {
+            look = { scale: 1.0, color: '#38bdf8', opacity: 1, background: 'rgba(30, 41, 59, 0.95)' };
+        } else if (dist === -1) {
+            // Background (upstream / unrelated) nodes
+            if (isRoot) {
+                // Root node gets a slightly bigger, brighter treatment so it stays findable
+                look = { scale: 0.85, color: '#e2e8f0', opacity: 0.85, background: 'rgba(30, 41, 59, 0.75)' };
+            } else if (isSibling) {
+                // Sibling branches fade to 20% opacity
+                look = { scale: 0.5, color: '#475569', opacity: 0.2, background: 'rgba(30, 41, 59, 0.2)' };
+            } else {
+                look = { scale: 0.8, color: '#cbd5e1', opacity: 0.9, background: 'rgba(30, 41, 59, 0.7)' };
             }
+        } else {
+            const layerColors = ['#ffffff', '#a855f7', '#3b82f6', '#22c55e', '#eab308', '#f97316', '#ef4444'];
+            const alpha = Math.max(0.1, 0.95 - (dist * 0.2));
+            look = { scale: Math.max(0.3, 1.4 * Math.pow(0.7, dist)), color: layerColors[dist % layerColors.length], opacity: 1, background: `rgba(30, 41, 59, ${alpha})` };
+        }
+
+        look.dist = dist;
+        if (dist !== -1) look.glow = { blur: 10, color: `${look.color}40` };
+        else if (isRoot) look.glow = { blur: 12, color: `${look.color}60` };
+        else if (isSibling) look.glow = null;
+        else look.glow = { blur: 8, color: `${look.color}30` };
+
+        if (node.data.isCore && dist !== -1) look.color = '#ea580c';
+        if ((node.type === 'portal' || node.type === 'smart-portal') && dist !== -1) look.color = '#a855f7';
+        return look;
+    }
+
+    /** The canvas renderer takes over above `config.canvasThreshold` nodes (0 = always). */
+    usesCanvas(state) {
+        if (typeof MultiMapCanvasRenderer === 'undefined') return false;
+        const threshold = this.kernel.config.canvasThreshold;
+        return threshold === 0 || (threshold > 0 && state.nodes.length > threshold);
+    }
+
+    renderMap(state, reuseLayout = false) {
+        if (!state.nodes || !state.session) return;
+        const model = this.buildMapModel(state, reuseLayout);
+        this._mapModel = model;
+        if (!this.minimap && typeof MultiMapMinimap !== 'undefined') this.minimap = new MultiMapMinimap(this);
+        if (this.minimap) this.minimap.update(state, model);
+
+        if (this.usesCanvas(state)) {
+            if (!this.canvasRenderer) this.canvasRenderer = new MultiMapCanvasRenderer(this);
+            this.canvasRenderer.setActive(true);
+            this.canvasRenderer.render(state, model);
+            this.syncRadialMenu(model);
+            return;
+        }
+        if (this.canvasRenderer) this.canvasRenderer.setActive(false);
+        this.updateTransform();
+
+        const { selId, multiIds, distances, visibleNodes } = model;
+
+        this.dom.edgeSvg.innerHTML = this.edgeMarkersSvg();
+        model.edges.forEach(({ conn, s, t, opacity }) => {
+            // A polyline with a midpoint vertex, so directed edges can carry a mid-line arrow
+            const l = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+            const sp = this.getVisualPos(s);
+            const tp = this.getVisualPos(t);
+            l.setAttribute("points", `${sp.x},${sp.y} ${(sp.x + tp.x) / 2},${(sp.y + tp.y) / 2} ${tp.x},${tp.y}`);
+            l.setAttribute("fill", "none");
+            l.setAttribute("class", "edge-vis");
+            this.styleEdge(l, conn);
+            if (opacity !== null) l.style.strokeOpacity = String(opacity);
+            this.dom.edgeSvg.appendChild(l);
         });
 
         const existingNodes = new Map();
@@ -2347,76 +3625,26 @@ class SandboxController {
                 this.dom.worldLayer.appendChild(el);
             }
             
-            el.className = `node ${node.id === selId ? 'selected' : ''}`;
-            
-            const isLinking = this.kernel.linkingMode;
-            const dist = distances.has(node.id) ? distances.get(node.id) : -1;
-            let scale, color;
-            if (isLinking) {
-                scale = 1.0;
-                color = '#38bdf8';
-                el.style.opacity = '1';
-                el.style.backgroundColor = `rgba(30, 41, 59, 0.95)`;
-            } else if (dist === -1) {
-                // Background (upstream / unrelated) nodes
-                const isRoot = trueRootIds.has(node.id) && state.session.selectedId;
-                const isSibling = activeFocalId && !pathNodes.has(node.id);
-                
-                if (isRoot) {
-                    // Root node gets a slightly bigger, brighter treatment so it stays findable
-                    scale = 0.85;
-                    color = '#e2e8f0';
-                    el.style.opacity = '0.85';
-                    el.style.backgroundColor = `rgba(30, 41, 59, 0.75)`;
-                } else if (isSibling) {
-                    // Sibling branches fade to 20% opacity
-                    scale = 0.5;
-                    color = '#475569';
-                    el.style.opacity = '0.2';
-                    el.style.backgroundColor = `rgba(30, 41, 59, 0.2)`;
-                } else {
-                    scale = 0.8;
-                    color = '#cbd5e1';
-                    el.style.opacity = '0.9';
-                    el.style.backgroundColor = `rgba(30, 41, 59, 0.7)`;
-                }
-            } else {
-                scale = Math.max(0.3, 1.4 * Math.pow(0.7, dist));
-                const layerColors = ['#ffffff', '#a855f7', '#3b82f6', '#22c55e', '#eab308', '#f97316', '#ef4444'];
-                color = layerColors[dist % layerColors.length];
-                el.style.opacity = '1';
-                const alpha = Math.max(0.1, 0.95 - (dist * 0.2));
-                el.style.backgroundColor = `rgba(30, 41, 59, ${alpha})`;
-            }
-            
-            el.dataset.nodeScale = scale;
+            el.className = `node ${node.id === selId ? 'selected' : ''} ${multiIds.has(node.id) ? 'multi-selected' : ''}`;
+            
+            const look = this.nodeAppearance(node, model);
+            const dist = look.dist;
+            el.style.opacity = String(look.opacity);
+            el.style.backgroundColor = look.background;
+            el.dataset.nodeScale = look.scale;
             el.dataset.nodeDist = dist;
-            el.dataset.forceLabel = isLinking ? 'true' : 'false';
+            el.dataset.forceLabel = this.kernel.linkingMode ? 'true' : 'false';
             
             const vpPos = this.getVisualPos(node);
             el.style.left = `${vpPos.x}px`;
             el.style.top = `${vpPos.y}px`;
-            el.style.transform = `translate(-50%, -50%) scale(${scale})`;
+            el.style.transform = `translate(-50%, -50%) scale(${look.scale})`;
             el.dataset.nodeId = node.id;
             
-            el.style.borderColor = color;
-            if (dist !== -1) {
-                el.style.boxShadow = `0 0 10px ${color}40`;
-            } else {
-                const isRoot = trueRootIds.has(node.id) && state.session.selectedId;
-                const isSibling = activeFocalId && !pathNodes.has(node.id);
-                if (isRoot) {
-                    el.style.boxShadow = `0 0 12px ${color}60`;
-                } else if (isSibling) {
-                    el.style.boxShadow = 'none';
-                } else {
-                    el.style.boxShadow = `0 0 8px ${color}30`;
-                }
-            }
+            el.style.borderColor = look.color;
+            el.style.boxShadow = look.glow ? `0 0 ${look.glow.blur}px ${look.glow.color}` : 'none';
             
-            if (node.data.isCore && dist !== -1) el.style.borderColor = '#ea580c';
             if ((node.type === 'portal' || node.type === 'smart-portal') && dist !== -1) {
-                el.style.borderColor = '#a855f7';
                 if (this.aiImportMode && node.type === 'smart-portal') {
                     el.style.boxShadow = "0 0 25px rgba(129,140,248, 0.8)";
                     el.classList.add('animate-pulse');
@@ -2433,7 +3661,10 @@ class SandboxController {
                 el.style.removeProperty('--halo-color');
             }
             
-            const collapsed = isNodeCollapsed(node.id);
+            el.classList.toggle('query-match', !!(model.queryIds && model.queryIds.has(node.id)));
+            el.classList.toggle('pinned', !!node.data.pinned);
+
+            const collapsed = model.collapsed.has(node.id);
             if (collapsed) el.classList.add('collapsed');
             else el.classList.remove('collapsed');
             
@@ -2452,9 +3683,7 @@ class SandboxController {
             el.querySelectorAll('.moon-btn').forEach(m => m.remove());
 
             if (collapsed) {
-                const children = state.connections
-                    .filter(c => c.from === node.id && c.type === 'structural')
-                    .map(c => state.nodes.find(n => n.id === c.to));
+                const children = (model.childrenOf.get(node.id) || []).map(id => model.byId.get(id));
                 
                 children.forEach((child, i) => {
                     if(!child) return;
@@ -2471,9 +3700,7 @@ class SandboxController {
                     moon.innerHTML = this.kernel.getBlueprint(child.type).icon;
                     moon.onpointerdown = (e) => {
                         e.stopPropagation();
-                        this.kernel.updateNode(node.id, { data: { ...node.data, collapsed: false, expanded: true }});
-                        this.kernel.selectNode(child.id);
-                        this.render();
+                        this.actionExpandTo(node, child.id);
                     };
                     el.appendChild(moon);
                 });
@@ -2489,57 +3716,123 @@ class SandboxController {
             const el = this.dom.worldLayer.querySelector(`[data-node-id="${node.id}"]`);
             if(!el) return;
 
-            let startX = 0, startY = 0;
+            let start = { x: 0, y: 0 };
             el.onpointerdown = (e) => {
                 if(e.target.closest('.radial-btn') || e.target.closest('.moon-btn')) return; 
                 e.stopPropagation();
                 el.setPointerCapture(e.pointerId);
-                startX = e.clientX; startY = e.clientY;
-                this.draggedNode = node;
-                this.lastMouse = { x: e.clientX, y: e.clientY };
-                
-                if (selId === node.id) {
-                    if (this.dom.radialMenu.classList.contains('active')) {
-                        this.hideRadialMenu(true);
-                    } else {
-                        this.showRadialMenu(node);
-                    }
-                } else {
-                    this.kernel.selectNode(node.id);
-                    this.showRadialMenu(node);
-                }
-                this.userHasPanned = false; 
+                start = { x: e.clientX, y: e.clientY };
+                this.handleNodePointerDown(node, e, model);
             };
             
             el.onpointerup = (e) => {
                 if(e.target.closest('.radial-btn') || e.target.closest('.moon-btn')) return;
                 e.stopPropagation();
                 el.releasePointerCapture(e.pointerId);
-                this.draggedNode = null;
-                const pointerDist = Math.hypot(e.clientX - startX, e.clientY - startY);
-                
-                if (pointerDist < 5) {
-                    if (window.innerWidth <= 768 && this.dom.sidebar && !this.dom.sidebar.classList.contains('open')) {
-                        this.toggleSidebar();
-                    }
-                }
+                this.handleNodePointerUp(node, e, start);
             };
 
             this.dom.worldLayer.appendChild(el);
-            
-            if (selId === node.id && this.dom.radialMenu.classList.contains('active')) {
-                const isLinking = this.kernel.linkingMode;
-                const stateHash = `${node.id}-${node.type}-${isLinking}-${this.kernel.linkingSourceId === node.id}-${this.aiImportMode}-${this.parentSelectMode}`;
-                if (this.dom.radialMenu.dataset.activeNode !== stateHash) {
-                    this.showRadialMenu(node);
-                }
-                this.updateMenuPosition(node);
-            }
         });
-        
+
+        this.syncRadialMenu(model);
         this.updateTransform();
     }
 
+    /** Press on a node, from either renderer: select it, toggle its radial menu, start a drag. */
+    handleNodePointerDown(node, e, model) {
+        this.draggedNode = node;
+        this.lastMouse = { x: e.clientX, y: e.clientY };
+
+        if (e.shiftKey && !this.kernel.linkingMode && !this.parentSelectMode) {
+            this.draggedNode = null;
+            this.hideRadialMenu(true);
+            this.kernel.toggleSelect(node.id);
+            return;
+        }
+        // Dragging one node of a multi-selection carries the rest along
+        if (model.multiIds.has(node.id)) {
+            this.dragGroup = [...model.multiIds];
+            this.userHasPanned = false;
+            return;
+        }
+        
+        if (model.selId === node.id) {
+            if (this.dom.radialMenu.classList.contains('active')) {
+                this.hideRadialMenu(true);
+            } else {
+                this.showRadialMenu(node);
+            }
+        } else {
+            this.kernel.selectNode(node.id);
+            this.showRadialMenu(node);
+        }
+        this.userHasPanned = false; 
+    }
+
+    handleNodePointerUp(node, e, start) {
+        this.draggedNode = null;
+        const pointerDist = Math.hypot(e.clientX - start.x, e.clientY - start.y);
+        if (this.dragGroup) {
+            // A click (not a drag) inside the selection narrows it to this node
+            this.dragGroup = null;
+            if (pointerDist < 5) {
+                this.kernel.selectNode(node.id);
+                this.showRadialMenu(node);
+            }
+            return;
+        }
+        
+        if (pointerDist < 5) {
+            if (window.innerWidth <= 768 && this.dom.sidebar && !this.dom.sidebar.classList.contains('open')) {
+                this.toggleSidebar();
+            }
+        }
+    }
+
+    /** Open a collapsed node and focus one of its children (the DOM moons, the canvas badge). */
+    actionExpandTo(node, childId) {
+        this.kernel.updateNode(node.id, { data: { ...node.data, collapsed: false, expanded: true }});
+        this.kernel.selectNode(childId);
+        this.render();
+    }
+
+    /** Keep an open radial menu in step with the selected node after a re-render. */
+    syncRadialMenu(model) {
+        const node = model.selId && model.visibleNodes.has(model.selId) ? model.byId.get(model.selId) : null;
+        if (!node || !this.dom.radialMenu.classList.contains('active')) return;
+        if (this.dom.radialMenu.dataset.activeNode !== this.radialMenuHash(node)) {
+            this.showRadialMenu(node);
+        }
+        this.updateMenuPosition(node);
+    }
+
+    /** Arrowhead markers, one per directed connection type, in that type's colour. */
+    edgeMarkersSvg() {
+        const types = typeof MultiMapSchema !== 'undefined' && MultiMapSchema.connectionTypes ? MultiMapSchema.connectionTypes : {};
+        const markers = Object.keys(types).filter(t => types[t].directed && !types[t].hierarchy).map(t => `
+            <marker id="edge-arrow-${t}" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                <path d="M0,0 L10,5 L0,10 z" fill="${types[t].stroke.color || 'rgba(148, 163, 184, 0.8)'}"></path>
+            </marker>`).join('');
+        return `<defs>${markers}</defs>`;
+    }
+
+    /**
+     * Stroke a canvas edge from the connection type registry. Directed cross-links get a
+     * mid-line arrow; tree edges already read top-down, so they stay plain.
+     */
+    styleEdge(line, conn) {
+        const def = typeof MultiMapSchema !== 'undefined' && MultiMapSchema.getConnectionType ? MultiMapSchema.getConnectionType(conn.type) : null;
+        if (!def) {
+            if (conn.type && conn.type !== 'structural') line.style.strokeDasharray = "5,5";
+            return;
+        }
+        if (def.stroke.color) line.style.stroke = def.stroke.color;
+        if (def.stroke.dash) line.style.strokeDasharray = def.stroke.dash;
+        if (def.stroke.width) line.style.strokeWidth = `${def.stroke.width}px`;
+        if (def.directed && !def.hierarchy) line.setAttribute('marker-mid', `url(#edge-arrow-${conn.type})`);
+    }
+
     // Returns the halo colour (rgba string) for node types that spawn a smart button action,
     // or null for types that don't.
     getSmartActionHalo(type) {
@@ -2579,6 +3872,258 @@ class SandboxController {
         });
     }
 
+    updateHistoryButtons() {
+        const j = this.kernel.journal;
+        const undoBtn = document.getElementById('btn-undo');
+        const redoBtn = document.getElementById('btn-redo');
+        if (undoBtn) {
+            undoBtn.style.opacity = j.canUndo ? '1' : '0.4';
+            undoBtn.title = j.canUndo ? `Undo ${j.entries[j.cursor - 1].label} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (redoBtn) {
+            redoBtn.style.opacity = j.canRedo ? '1' : '0.4';
+            redoBtn.title = j.canRedo ? `Redo ${j.entries[j.cursor].label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
+        if (this.historyPanelRefresh) this.historyPanelRefresh();
+    }
+
+    /**
+     * History panel: lists every journal entry for the active map and jumps
+     * the map to the point right after the clicked entry.
+     */
+    actionOpenHistoryPanel() {
+        const renderList = (listEl) => {
+            const j = this.kernel.journal;
+            const rows = [`
+                <button data-cursor="0" class="w-full text-left px-3 py-2 rounded-lg flex items-center justify-between transition-colors ${j.cursor === 0 ? 'bg-indigo-600/30 border border-indigo-500/60 text-white' : 'hover:bg-slate-800 text-slate-400 border border-transparent'}">
+                    <span class="font-bold">◎ Opened map</span>
+                </button>
+            `];
+            j.entries.forEach((entry, i) => {
+                const applied = i < j.cursor;
+                const current = i === j.cursor - 1;
+                rows.push(`
+                    <button data-cursor="${i + 1}" class="w-full text-left px-3 py-2 rounded-lg flex items-center justify-between gap-3 transition-colors ${current ? 'bg-indigo-600/30 border border-indigo-500/60 text-white' : `hover:bg-slate-800 border border-transparent ${applied ? 'text-slate-300' : 'text-slate-600 line-through'}`}">
+                        <span class="truncate">${this.escapeHTML(entry.label)}</span>
+                        <span class="text-[9px] text-slate-500 shrink-0">${new Date(entry.at).toLocaleTimeString()}</span>
+                    </button>
+                `);
+            });
+            listEl.innerHTML = rows.reverse().join('');
+            listEl.querySelectorAll('[data-cursor]').forEach(btn => {
+                btn.onclick = () => this.kernel.jumpToHistory(parseInt(btn.dataset.cursor, 10));
+            });
+        };
+
+        this.showDialogModal({
+            title: "🕘 Edit History",
+            contentHtml: `
+                <p class="text-[11px] text-slate-400 mb-3">Click any step to jump the map back (or forward) to that point. Making a new edit after jumping back discards the steps above it.</p>
+                <div id="history-list" class="flex flex-col gap-1 text-xs"></div>
+            `,
+            actionsHtml: `
+                <button class="undo-btn px-4 py-2 border border-slate-700 hover:bg-slate-800 text-slate-300 hover:text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">↩️ Undo</button>
+                <button class="redo-btn px-4 py-2 border border-slate-700 hover:bg-slate-800 text-slate-300 hover:text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">↪️ Redo</button>
+                <button class="done-btn px-4 py-2 bg-indigo-600 hover:bg-indigo-500 text-white rounded-lg transition-colors font-bold text-[11px] uppercase tracking-wider">Done</button>
+            `,
+            onRender: (el, close) => {
+                const listEl = el.querySelector('#history-list');
+                this.historyPanelRefresh = () => renderList(listEl);
+                renderList(listEl);
+                el.querySelector('.undo-btn').onclick = () => this.kernel.undo();
+                el.querySelector('.redo-btn').onclick = () => this.kernel.redo();
+                el.querySelector('.done-btn').onclick = () => close(true);
+            }
+        }).then(() => { this.historyPanelRefresh = null; });
+    }
+
+    /** Run a graph query on the open page and mark the matches on the canvas. Throws on a syntax error. */
+    actionRunQuery(query) {
+        const result = this.kernel.runQuery(query);
+        this.queryResult = { mapId: this.kernel.state.map_id, query, ids: new Set(result.ids) };
+
+        // Matches inside collapsed branches would stay hidden otherwise
+        result.ids.forEach(id => {
+            let currentId = id;
+            while (true) {
+                const parentConn = this.kernel.state.connections.find(c => c.to === currentId && this.kernel.isHierarchyEdge(c));
+                if (!parentConn) break;
+                const parentNode = this.kernel.state.nodes.find(p => p.id === parentConn.from);
+                if (!parentNode || parentNode.data.collapsed === false) break;
+                parentNode.data.collapsed = false;
+                currentId = parentNode.id;
+            }
+        });
+        this.render();
+        return result;
+    }
+
+    actionClearQuery() {
+        this.queryResult = null;
+        this.render();
+    }
+
+    actionOpenQueryPanel(initialQuery = '') {
+        const help = [
+            ['type = web-image and not has content.src', 'Web images with no src'],
+            ['type:note under "Hub X" > 3', 'Notes more than 3 levels below "Hub X"'],
+            ['depth >= 2 and degree = 1', 'Leaves two or more levels deep'],
+            ['tag = urgent or title ~ todo', 'Tagged urgent, or "todo" in the title'],
+            ['type = person-root and not has field.email', 'People with no email field'],
+            ['parent = "Ideas" and not type = hub', 'Direct children of "Ideas" that are not hubs']
+        ];
+
+        this.showDialogModal({
+            title: "🔎 Graph Query",
+            contentHtml: `
+                <div class="flex flex-col gap-3 text-xs text-slate-300">
+                    <div class="flex gap-2">
+                        <input id="query-input" type="text" spellcheck="false" placeholder="type = note and depth > 3" class="flex-1 bg-slate-950 border border-slate-800 rounded-lg p-2 text-xs text-slate-200 font-mono outline-none focus:border-indigo-500 transition-colors">
+                        <button id="query-btn-run" class="bg-indigo-600 hover:bg-indigo-500 text-white text-[10px] font-bold py-2 px-4 rounded-lg transition-colors uppercase tracking-wide">Run</button>
+                    </div>
+                    <div id="query-error" class="hidden text-rose-300 text-[11px]"></div>
+                    <div id="query-results" class="flex flex-col gap-1 max-h-56 overflow-y-auto custom-scrollbar"></div>
+                    <details class="bg-slate-950/40 border border-slate-800/80 rounded-xl p-3">
+                        <summary class="cursor-pointer text-slate-400 font-bold uppercase text-[9px] tracking-wider">Syntax & Examples</summary>
+                        <p class="text-[10px] text-slate-500 mt-2 leading-relaxed">
+                            Fields: <code>type</code>, <code>title</code>, <code>content</code>, <code>content.&lt;key&gt;</code>, <code>tag</code>, <code>parent</code>, <code>depth</code>, <code>degree</code>, <code>in</code>, <code>out</code>, <code>children</code>.
+                            Compare with <code>=</code> <code>!=</code> <code>~</code> (contains) <code>!~</code> <code>&gt;</code> <code>&lt;</code>; <code>*</code> is a wildcard.
+                            Combine with <code>and</code>, <code>or</code>, <code>not</code> and parentheses. <code>has field</code> tests for a value, <code>under "Title" &gt; N</code> for ancestry.
+                        </p>
+                        <div class="flex flex-col gap-1 mt-2">
+                            ${help.map(([q, desc], idx) => `
+                                <button data-example="${idx}" class="text-left px-2 py-1 rounded-lg hover:bg-slate-900 flex justify-between gap-3">
+                                    <code class="text-sky-300 text-[10px] truncate">${this.escapeHTML(q)}</code>
+                                    <span class="text-[10px] text-slate-500 shrink-0">${desc}</span>
+                                </button>
+                            `).join('')}
+                        </div>
+                    </details>
+                    <div id="query-saved" class="flex flex-col gap-2 bg-slate-950/40 border border-slate-800/80 rounded-xl p-3"></div>
+                </div>
+            `,
+            actionsHtml: `
+                <div class="flex w-full justify-between items-center gap-2">
+                    <button id="query-btn-clear" class="border border-slate-700 hover:bg-slate-800 text-slate-300 text-[10px] font-bold py-2 px-3 rounded-lg transition-colors uppercase tracking-wide">Clear Highlight</button>
+                    <div class="flex gap-2">
+                        <button id="query-btn-save" class="border border-slate-700 hover:bg-slate-800 text-slate-300 text-[10px] font-bold py-2 px-3 rounded-lg transition-colors uppercase tracking-wide">Save Query</button>
+                        <button id="query-btn-done" class="bg-indigo-600 hover:bg-indigo-500 text-white text-[10px] font-bold py-2 px-4 rounded-lg transition-colors uppercase tracking-wide">Done</button>
+                    </div>
+                </div>
+            `,
+            onRender: (el, close) => {
+                const input = el.querySelector('#query-input');
+                const errorEl = el.querySelector('#query-error');
+                const resultsEl = el.querySelector('#query-results');
+
+                const run = () => {
+                    const query = input.value.trim();
+                    errorEl.classList.add('hidden');
+                    resultsEl.innerHTML = '';
+                    if (!query) return this.actionClearQuery();
+                    let result;
+                    try {
+                        result = this.actionRunQuery(query);
+                    } catch (e) {
+                        errorEl.textContent = e.message;
+                        errorEl.classList.remove('hidden');
+                        return;
+                    }
+                    resultsEl.innerHTML = `
+                        <div class="flex items-center justify-between text-[10px] text-slate-500 font-bold uppercase tracking-wider">
+                            <span>${result.nodes.length} match${result.nodes.length === 1 ? '' : 'es'} on this page</span>
+                            <span class="flex gap-3">
+                                ${result.nodes.length > 0 ? '<button id="query-btn-csv" class="text-sky-400 hover:text-sky-300 uppercase" title="Typed fields of the matches as CSV">CSV</button>' : ''}
+                                ${result.nodes.length > 1 ? '<button id="query-btn-select" class="text-sky-400 hover:text-sky-300 uppercase">Select All</button>' : ''}
+                            </span>
+                        </div>
+                        ${result.nodes.map(n => `
+                            <button data-node="${n.id}" class="flex items-center gap-2 px-2 py-1.5 rounded-lg text-left hover:bg-slate-800 border border-transparent hover:border-slate-700 transition-colors">
+                                <span class="shrink-0">${this.kernel.getBlueprint(n.type).icon}</span>
+                                <span class="flex-1 truncate text-slate-200">${this.escapeHTML(n.title || n.id)}</span>
+                                <span class="text-[9px] text-slate-500 uppercase shrink-0">${n.type}</span>
+                            </button>
+                        `).join('')}
+                    `;
+                    resultsEl.querySelectorAll('[data-node]').forEach(btn => {
+                        btn.onclick = () => {
+                            this.userHasPanned = false;
+                            this.actionEdit(btn.dataset.node);
+                            this.render();
+                        };
+                    });
+                    const csvBtn = resultsEl.querySelector('#query-btn-csv');
+                    if (csvBtn) csvBtn.onclick = () => this.actionExportFieldsCsv(result.ids);
+                    const selectBtn = resultsEl.querySelector('#query-btn-select');
+                    if (selectBtn) selectBtn.onclick = () => {
+                        close(true);
+                        this.hideRadialMenu(true);
+                        this.kernel.setSelection(result.ids);
+                    };
+                };
+
+                const renderSaved = () => {
+                    const savedEl = el.querySelector('#query-saved');
+                    const saved = this.kernel.getSavedQueries();
+                    savedEl.innerHTML = `
+                        <span class="text-slate-400 font-bold uppercase text-[9px] tracking-wider">⭐ Saved in this project <span class="text-slate-600">(${saved.length})</span></span>
+                        ${saved.length === 0 ? '<div class="text-slate-500 text-center py-1 text-[10px]">Saved queries are shared by every page of the project and can be run from the AI chat with /query &lt;name&gt;.</div>' : ''}
+                        ${saved.map(q => `
+                            <div class="flex items-center gap-2 text-[10px]">
+                                <button data-saved="${q.id}" class="flex-1 min-w-0 text-left px-2 py-1 rounded-lg hover:bg-slate-900">
+                                    <span class="text-slate-200 font-bold">${this.escapeHTML(q.name)}</span>
+                                    <code class="block text-slate-500 truncate">${this.escapeHTML(q.query)}</code>
+                                </button>
+                                <button data-delete-saved="${q.id}" class="text-slate-600 hover:text-rose-400 shrink-0" title="Delete saved query">✕</button>
+                            </div>
+                        `).join('')}
+                    `;
+                    savedEl.querySelectorAll('[data-saved]').forEach(btn => {
+                        btn.onclick = () => {
+                            input.value = saved.find(q => q.id === btn.dataset.saved).query;
+                            run();
+                        };
+                    });
+                    savedEl.querySelectorAll('[data-delete-saved]').forEach(btn => {
+                        btn.onclick = async () => {
+                            await this.kernel.deleteSavedQuery(btn.dataset.deleteSaved);
+                            renderSaved();
+                        };
+                    });
+                };
+
+                el.querySelectorAll('[data-example]').forEach(btn => {
+                    btn.onclick = () => { input.value = help[btn.dataset.example][0]; run(); };
+                });
+                el.querySelector('#query-btn-run').onclick = run;
+                input.onkeydown = (e) => { if (e.key === 'Enter') { e.preventDefault(); run(); } };
+                el.querySelector('#query-btn-clear').onclick = () => {
+                    resultsEl.innerHTML = '';
+                    this.actionClearQuery();
+                };
+                el.querySelector('#query-btn-save').onclick = async () => {
+                    const query = input.value.trim();
+                    if (!query) return alert('Write a query first.');
+                    const name = await this.actionPrompt({ title: "Save Query", label: "Name this query:", defaultValue: "" });
+                    if (!name || !name.trim()) return;
+                    try {
+                        await this.kernel.saveQuery(name.trim(), query);
+                        renderSaved();
+                    } catch (e) {
+                        alert('Could not save query: ' + e.message);
+                    }
+                };
+                el.querySelector('#query-btn-done').onclick = () => close(true);
+
+                renderSaved();
+                // Set as a property: queries often contain quotes
+                input.value = initialQuery || (this.queryResult ? this.queryResult.query : '');
+                if (input.value.trim()) run();
+                input.focus();
+            }
+        });
+    }
+
     hasSmartAction() {
         const selectedId = this.kernel.state.session.selectedId;
         const selectedNode = this.kernel.state.nodes.find(n => n.id === selectedId);
@@ -2782,9 +4327,36 @@ class SandboxController {
      * Unified Page Settings & Sharing Modal.
      * Replaces rename prompt, copy prompt, share prompt, delete confirmation, and loading button.
      */
+    /** Small SVG overview of a page's layout, used to preview snapshots. */
+    renderSnapshotThumbnail(page, width = 400, height = 120) {
+        const nodes = page.nodes || [];
+        if (nodes.length === 0) {
+            return `<div class="h-[${height}px] flex items-center justify-center text-[10px] text-slate-600">Empty map</div>`;
+        }
+        const xs = nodes.map(n => n.data?.x || 0);
+        const ys = nodes.map(n => n.data?.y || 0);
+        const minX = Math.min(...xs), minY = Math.min(...ys);
+        const spanX = Math.max(Math.max(...xs) - minX, 1), spanY = Math.max(Math.max(...ys) - minY, 1);
+        const pad = 10;
+        const scale = Math.min((width - pad * 2) / spanX, (height - pad * 2) / spanY, 1);
+        const offX = (width - spanX * scale) / 2, offY = (height - spanY * scale) / 2;
+        const pos = {};
+        nodes.forEach(n => {
+            pos[n.id] = { x: offX + ((n.data?.x || 0) - minX) * scale, y: offY + ((n.data?.y || 0) - minY) * scale };
+        });
+
+        const lines = (page.connections || []).filter(c => pos[c.from] && pos[c.to]).map(c =>
+            `<line x1="${pos[c.from].x.toFixed(1)}" y1="${pos[c.from].y.toFixed(1)}" x2="${pos[c.to].x.toFixed(1)}" y2="${pos[c.to].y.toFixed(1)}" stroke="#334155" stroke-width="1"/>`
+        ).join('');
+        const dots = nodes.map(n =>
+            `<circle cx="${pos[n.id].x.toFixed(1)}" cy="${pos[n.id].y.toFixed(1)}" r="${n.data?.isCore ? 4 : 2.5}" fill="${n.data?.isCore ? '#818cf8' : '#94a3b8'}"/>`
+        ).join('');
+        return `<svg viewBox="0 0 ${width} ${height}" class="w-full h-auto bg-slate-900/60 rounded">${lines}${dots}</svg>`;
+    }
+
     actionOpenPageSettings(pageId) {
         const lib = this.kernel.getLibrary();
-        const page = lib.find(p => p.map_id === pageId);
+        let page = lib.find(p => p.map_id === pageId);
         if (!page) return alert('Page not found in library.');
 
         const initialTitle = page.meta?.title || "Untitled Page";
@@ -2808,6 +4380,7 @@ class SandboxController {
                         <option value="agent" ${initialType === 'agent' ? 'selected' : ''}>Agent Config</option>
                         <option value="file-root" ${initialType === 'file-root' ? 'selected' : ''}>File Root</option>
                         <option value="file-document" ${initialType === 'file-document' ? 'selected' : ''}>File Document</option>
+                        ${this.customMapTypeOptions(initialType)}
                     </select>
                 </div>
 
@@ -2822,6 +4395,14 @@ class SandboxController {
                 <div id="settings-share-section" class="flex flex-col gap-2 bg-slate-950/40 border border-slate-800/80 rounded-xl p-3">
                     <!-- Populated dynamically -->
                 </div>
+
+                <!-- Backlinks Section (portals and mentions pointing at this page) -->
+                <div id="settings-backlinks-section" class="flex flex-col gap-2 bg-slate-950/40 border border-slate-800/80 rounded-xl p-3"></div>
+
+                <!-- Version History Section (loaded from the active vault) -->
+                <div id="settings-history-section" class="flex flex-col gap-2 bg-slate-950/40 border border-slate-800/80 rounded-xl p-3">
+                    <div class="text-slate-500 text-center py-2 text-[10px] font-medium">Loading version history...</div>
+                </div>
             </div>
         `;
 
@@ -2831,6 +4412,8 @@ class SandboxController {
                     <button id="settings-btn-load" class="bg-sky-600 hover:bg-sky-500 text-white text-[10px] font-bold py-2 px-3.5 rounded-lg transition-colors shadow-lg shadow-sky-950/20 uppercase tracking-wide">Load Map</button>
                     <button id="settings-btn-copy" class="border border-slate-700 hover:bg-slate-850 text-slate-300 text-[10px] font-bold py-2 px-3 rounded-lg transition-colors uppercase tracking-wide">Copy Page</button>
                     <button id="settings-btn-dl" class="border border-slate-700 hover:bg-slate-850 text-slate-300 text-[10px] font-bold py-2 px-3 rounded-lg transition-colors uppercase tracking-wide">JSON</button>
+                    <button id="settings-btn-opml" class="border border-slate-700 hover:bg-slate-850 text-slate-300 text-[10px] font-bold py-2 px-3 rounded-lg transition-colors uppercase tracking-wide" title="Export as an OPML outline">OPML</button>
+                    <button id="settings-btn-mm" class="border border-slate-700 hover:bg-slate-850 text-slate-300 text-[10px] font-bold py-2 px-3 rounded-lg transition-colors uppercase tracking-wide" title="Export as a FreeMind mind map">.mm</button>
                     <button id="settings-btn-del" class="hover:bg-rose-950/40 border border-rose-900/50 text-rose-400 hover:text-rose-300 text-[10px] font-bold py-2 px-3 rounded-lg transition-colors uppercase tracking-wide">Delete</button>
                 </div>
                 <div class="flex gap-2">
@@ -2938,6 +4521,9 @@ class SandboxController {
                         shareSection.querySelector('#settings-btn-share').onclick = async () => {
                             const user = window.FirebaseAuth?.currentUser;
                             if (!user) return alert('You must be signed in to share maps.');
+
+                            if (!await this.guardIntegrity([pageId], 'share')) return;
+                            page = this.kernel.getLibrary().find(p => p.map_id === pageId) || page;
                             
                             const expiryChoice = shareSection.querySelector('#settings-share-expiry').value;
                             const expiryDays = { '2': 7, '3': 30, '4': 90 }[expiryChoice] || null;
@@ -2977,6 +4563,157 @@ class SandboxController {
                 // Initial share section build
                 updateShareSection();
 
+                // Linked from: every portal and [[mention]] pointing at this page
+                const backlinksSection = backdrop.querySelector('#settings-backlinks-section');
+                const backlinks = this.kernel.getBacklinks(pageId);
+                const projects = this.kernel.getProjects();
+                backlinksSection.innerHTML = `
+                    <span class="text-slate-400 font-bold uppercase text-[9px] tracking-wider">↩ Linked From <span class="text-slate-600">(${backlinks.length})</span></span>
+                    ${backlinks.length === 0 ? `
+                        <div class="text-slate-500 text-center py-2 text-[10px] font-medium">
+                            No portals or [[${this.escapeHTML(initialTitle)}]] mentions point here yet.
+                        </div>
+                    ` : `
+                        <div class="flex flex-col gap-1 max-h-40 overflow-y-auto custom-scrollbar">
+                            ${backlinks.map(link => {
+                                const proj = projects.find(p => p.project_id === link.projectId);
+                                return `
+                                    <button data-backlink-map="${link.mapId}" data-backlink-node="${link.nodeId}" class="flex items-center gap-2 px-2 py-1.5 rounded-lg text-[10px] text-left border border-transparent hover:bg-slate-900 transition-colors">
+                                        <span class="shrink-0">${link.kind === 'portal' ? '🌀' : '💬'}</span>
+                                        <span class="flex-1 text-slate-300 truncate">${this.escapeHTML(link.nodeTitle)}</span>
+                                        <span class="text-slate-500 shrink-0 truncate max-w-[45%]">${this.escapeHTML(link.pageTitle)}${proj ? ` · ${this.escapeHTML(proj.meta?.title || '')}` : ''}</span>
+                                    </button>
+                                `;
+                            }).join('')}
+                        </div>
+                    `}
+                `;
+                backlinksSection.querySelectorAll('[data-backlink-map]').forEach(btn => {
+                    btn.onclick = async () => {
+                        if (isDirty() && !await this.actionConfirm({
+                            title: "Unsaved Changes",
+                            message: "Leave page settings without saving your changes?",
+                            confirmText: "Leave"
+                        })) return;
+                        close(false);
+                        this.actionOpenBacklink(btn.dataset.backlinkMap, btn.dataset.backlinkNode);
+                    };
+                });
+
+                // Version history: list, time-travel slider preview, restore / restore-as-copy
+                const updateHistorySection = async (selectedIdx = 0) => {
+                    const historySection = backdrop.querySelector('#settings-history-section');
+                    if (!historySection) return;
+                    const snapshots = await this.kernel.listSnapshots(pageId);
+                    const current = this.kernel.getPageForSync(pageId) || page;
+
+                    const header = `
+                        <div class="flex justify-between items-center">
+                            <span class="text-slate-400 font-bold uppercase text-[9px] tracking-wider">🕘 Version History <span class="text-slate-600">(${snapshots.length})</span></span>
+                            <button id="settings-btn-snapshot" class="bg-slate-800 hover:bg-slate-700 text-slate-200 text-[9px] font-bold py-1 px-2.5 rounded-lg transition-colors uppercase tracking-wide">+ Save Snapshot</button>
+                        </div>
+                    `;
+
+                    if (snapshots.length === 0) {
+                        historySection.innerHTML = `${header}
+                            <div class="text-slate-500 text-center py-2 text-[10px] font-medium">
+                                No snapshots yet. While you edit, one is kept automatically every ${MultiMapKernel.SNAPSHOT_INTERVAL / 60000} minutes.
+                            </div>
+                        `;
+                    } else {
+                        // Slider runs oldest (left) to newest (right); the list is newest first
+                        const selected = snapshots[selectedIdx];
+                        const nodeDelta = selected.node_count - current.nodes.length;
+                        historySection.innerHTML = `${header}
+                            <div class="flex flex-col gap-1.5 bg-slate-950 border border-slate-800 rounded-lg p-2">
+                                ${this.renderSnapshotThumbnail(selected.page)}
+                                <div class="flex justify-between items-center text-[9px] text-slate-400">
+                                    <span class="font-bold text-slate-300">${this.escapeHTML(selected.label)}</span>
+                                    <span>${new Date(selected.created_at).toLocaleString()}</span>
+                                </div>
+                                <div class="text-[9px] text-slate-500">
+                                    ${selected.node_count} nodes · ${selected.connection_count} connections
+                                    ${nodeDelta !== 0 ? `<span class="${nodeDelta > 0 ? 'text-emerald-400' : 'text-rose-400'}">(${nodeDelta > 0 ? '+' : ''}${nodeDelta} vs. current)</span>` : '<span class="text-slate-600">(same size as current)</span>'}
+                                </div>
+                                <input id="settings-history-slider" type="range" min="0" max="${snapshots.length - 1}" value="${snapshots.length - 1 - selectedIdx}" class="w-full accent-indigo-500" ${snapshots.length < 2 ? 'disabled' : ''}>
+                                <div class="flex gap-2">
+                                    <button data-restore="${selected.snapshot_id}" class="flex-1 bg-indigo-600 hover:bg-indigo-500 text-white text-[9px] font-bold py-1.5 rounded-lg transition-colors uppercase tracking-wide">Restore</button>
+                                    <button data-restore-copy="${selected.snapshot_id}" class="flex-1 border border-slate-700 hover:bg-slate-800 text-slate-300 text-[9px] font-bold py-1.5 rounded-lg transition-colors uppercase tracking-wide">Restore as Copy</button>
+                                </div>
+                            </div>
+                            <div class="flex flex-col gap-1 max-h-40 overflow-y-auto custom-scrollbar">
+                                ${snapshots.map((snap, idx) => `
+                                    <div class="flex items-center gap-2 px-2 py-1.5 rounded-lg text-[10px] ${idx === selectedIdx ? 'bg-indigo-950/50 border border-indigo-800/60' : 'border border-transparent hover:bg-slate-900'}">
+                                        <span class="text-[8px] font-extrabold uppercase tracking-wider ${snap.kind === 'auto' ? 'text-slate-500' : 'text-amber-400'}">${snap.kind === 'auto' ? 'auto' : 'named'}</span>
+                                        <button data-preview="${idx}" class="flex-1 text-left text-slate-300 hover:text-white truncate">${this.escapeHTML(snap.label)}</button>
+                                        <span class="text-slate-500 shrink-0">${new Date(snap.created_at).toLocaleString()}</span>
+                                        <span class="text-slate-600 shrink-0 w-14 text-right">${snap.node_count} nodes</span>
+                                        <button data-delete-snapshot="${snap.snapshot_id}" class="text-slate-600 hover:text-rose-400 shrink-0" title="Delete snapshot">✕</button>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        `;
+
+                        historySection.querySelector('#settings-history-slider').oninput = (e) => {
+                            updateHistorySection(snapshots.length - 1 - parseInt(e.target.value, 10));
+                        };
+                        historySection.querySelectorAll('[data-preview]').forEach(btn => {
+                            btn.onclick = () => updateHistorySection(parseInt(btn.dataset.preview, 10));
+                        });
+                        historySection.querySelectorAll('[data-delete-snapshot]').forEach(btn => {
+                            btn.onclick = async () => {
+                                await this.kernel.deleteSnapshot(pageId, btn.dataset.deleteSnapshot);
+                                updateHistorySection(0);
+                            };
+                        });
+                        historySection.querySelector('[data-restore]').onclick = async () => {
+                            const ok = await this.actionConfirm({
+                                title: "Restore Version",
+                                message: `Replace "${current.meta?.title || 'Untitled'}" with the version from ${new Date(selected.created_at).toLocaleString()}? The current version is snapshotted first, so you can come back to it.`,
+                                confirmText: "Restore"
+                            });
+                            if (!ok) return;
+                            try {
+                                await this.kernel.restoreSnapshot(pageId, selected.snapshot_id);
+                                this.render();
+                                updateHistorySection(0);
+                            } catch (e) {
+                                console.error(e);
+                                alert('Restore failed: ' + e.message);
+                            }
+                        };
+                        historySection.querySelector('[data-restore-copy]').onclick = async () => {
+                            try {
+                                const newId = await this.kernel.restoreSnapshot(pageId, selected.snapshot_id, { asCopy: true });
+                                if (!newId) return;
+                                this.render();
+                                close(false);
+                                this.actionOpenPageSettings(newId);
+                            } catch (e) {
+                                console.error(e);
+                                alert('Restore failed: ' + e.message);
+                            }
+                        };
+                    }
+
+                    historySection.querySelector('#settings-btn-snapshot').onclick = async () => {
+                        const label = await this.actionPrompt({
+                            title: "Save Snapshot",
+                            label: "Name this version:",
+                            defaultValue: `Snapshot ${new Date().toLocaleString()}`
+                        });
+                        if (!label) return;
+                        try {
+                            await this.kernel.saveSnapshot(pageId, label.trim(), 'named');
+                            updateHistorySection(0);
+                        } catch (e) {
+                            console.error(e);
+                            alert('Snapshot failed: ' + e.message);
+                        }
+                    };
+                };
+                updateHistorySection();
+
                 // Setup Close / Cancel dirty checking
                 const handleCancel = async () => {
                     if (isDirty()) {
@@ -3056,6 +4793,8 @@ class SandboxController {
                 backdrop.querySelector('#settings-btn-dl').onclick = () => {
                     this.actionDownloadSingleConstellation(pageId);
                 };
+                backdrop.querySelector('#settings-btn-opml').onclick = () => this.actionExportOutline('opml', pageId);
+                backdrop.querySelector('#settings-btn-mm').onclick = () => this.actionExportOutline('freemind', pageId);
 
                 // Delete page action
                 backdrop.querySelector('#settings-btn-del').onclick = async () => {
@@ -3090,6 +4829,12 @@ class SandboxController {
         const initialDesc = proj.meta.description || "";
         const initialIcon = proj.meta.icon || "📁";
         const initialColor = proj.meta.color || "#8b5cf6";
+        const ontologySummary = () => {
+            const ontology = this.kernel.getOntology(projectId) || {};
+            const nodeCount = Object.keys(ontology.nodeTypes || {}).length;
+            const mapCount = Object.keys(ontology.mapTypes || {}).length;
+            return nodeCount || mapCount ? `${nodeCount} custom node type(s), ${mapCount} custom map type(s)` : 'Built-in types only';
+        };
 
         const contentHtml = `
             <div class="flex flex-col gap-4">
@@ -3116,6 +4861,14 @@ class SandboxController {
                         </div>
                     </div>
                 </div>
+
+                <div class="flex items-center justify-between gap-3 bg-slate-950/60 border border-slate-800 rounded-lg p-3">
+                    <div class="flex flex-col gap-0.5 min-w-0">
+                        <span class="text-slate-400 font-bold uppercase text-[9px] tracking-wider">🧬 Ontology</span>
+                        <span id="settings-proj-ontology" class="text-[10px] text-slate-500 truncate">${ontologySummary()}</span>
+                    </div>
+                    <button id="settings-proj-btn-ontology" class="shrink-0 border border-slate-700 hover:bg-slate-800 text-slate-300 text-[10px] font-bold py-1.5 px-3 rounded-lg transition-colors uppercase tracking-wide">Edit Types</button>
+                </div>
             </div>
         `;
 
@@ -3181,6 +4934,12 @@ class SandboxController {
                 backdrop.querySelector('.close-btn').onclick = handleCancel;
                 backdrop.onclick = (e) => { if (e.target === backdrop) handleCancel(); };
 
+                // Ontology editor stacks on top and saves on its own
+                backdrop.querySelector('#settings-proj-btn-ontology').onclick = async () => {
+                    await this.actionOpenOntologyEditor(projectId);
+                    backdrop.querySelector('#settings-proj-ontology').textContent = ontologySummary();
+                };
+
                 // Delete button
                 backdrop.querySelector('#settings-proj-btn-del').onclick = async () => {
                     close(false);
@@ -3204,6 +4963,310 @@ class SandboxController {
         });
     }
 
+    /**
+     * Ontology editor: the project's custom node types and map types, edited on a
+     * draft that is validated as you go and saved through kernel.saveOntology().
+     */
+    async actionOpenOntologyEditor(projectId) {
+        const schema = typeof MultiMapSchema !== 'undefined' && MultiMapSchema.applyOntology ? MultiMapSchema : null;
+        if (!schema) return alert("The schema is not loaded.");
+        const saved = this.kernel.getOntology(projectId);
+        const draft = JSON.parse(JSON.stringify(saved || {}));
+        draft.nodeTypes = draft.nodeTypes || {};
+        draft.mapTypes = draft.mapTypes || {};
+        schema.validateOntology(draft); // captures the built-in schema on first use
+        let current = Object.keys(draft.nodeTypes)[0] ? { kind: 'node', id: Object.keys(draft.nodeTypes)[0] } : null;
+
+        const inputClass = "bg-slate-950 border border-slate-800 rounded-lg p-2 text-xs text-slate-200 outline-none focus:border-indigo-500 transition-colors w-full";
+        const labelClass = "text-slate-400 font-bold uppercase text-[9px] tracking-wider";
+
+        const contentHtml = `
+            <div class="flex flex-col gap-3">
+                <div class="flex gap-2">
+                    <button id="onto-add-node" class="flex-1 border border-slate-700 hover:bg-slate-800 text-slate-300 text-[10px] font-bold py-1.5 px-3 rounded-lg transition-colors uppercase tracking-wide">+ Node Type</button>
+                    <button id="onto-add-map" class="flex-1 border border-slate-700 hover:bg-slate-800 text-slate-300 text-[10px] font-bold py-1.5 px-3 rounded-lg transition-colors uppercase tracking-wide">+ Map Type</button>
+                </div>
+                <div id="onto-list" class="flex flex-col gap-1 max-h-40 overflow-y-auto custom-scrollbar"></div>
+                <div id="onto-form" class="flex flex-col gap-3 border-t border-slate-800 pt-3"></div>
+                <div id="onto-problems" class="flex flex-col gap-1"></div>
+            </div>
+        `;
+
+        const actionsHtml = `
+            <button class="cancel-btn border border-slate-700 hover:bg-slate-800 text-slate-300 text-[10px] font-bold py-2 px-4 rounded-lg transition-colors uppercase tracking-wide">Cancel</button>
+            <button class="save-btn bg-indigo-600 hover:bg-indigo-500 text-white text-[10px] font-bold py-2 px-4 rounded-lg transition-colors shadow-lg shadow-indigo-950/20 uppercase tracking-wide">Save Ontology</button>
+        `;
+
+        return this.showDialogModal({
+            title: "🧬 Project Ontology",
+            contentHtml,
+            actionsHtml,
+            onRender: (el, close) => {
+                const listEl = el.querySelector('#onto-list');
+                const formEl = el.querySelector('#onto-form');
+                const problemsEl = el.querySelector('#onto-problems');
+
+                // Everything a custom type can refer to: built-ins first, then the draft's own types
+                const allTypes = () => [...Object.keys(schema.builtIn.definitions), ...Object.keys(draft.nodeTypes).filter(t => !schema.builtIn.definitions[t])];
+                const allMapTypes = () => [...Object.keys(schema.builtIn.mapTypes), ...Object.keys(draft.mapTypes).filter(m => !schema.builtIn.mapTypes[m])];
+                const labelOf = (t) => draft.nodeTypes[t] ? `${draft.nodeTypes[t].icon || '⚪'} ${draft.nodeTypes[t].label || t}` : `${schema.builtIn.definitions[t].icon} ${schema.builtIn.definitions[t].label}`;
+                const isRoot = (t) => t === 'root' || t.endsWith('-root');
+
+                const field = (label, control) => {
+                    const wrap = document.createElement('div');
+                    wrap.className = "flex flex-col gap-1.5";
+                    wrap.innerHTML = `<label class="${labelClass}">${label}</label>`;
+                    wrap.appendChild(control);
+                    return wrap;
+                };
+                const textInput = (value, onInput) => {
+                    const input = document.createElement('input');
+                    input.type = 'text';
+                    input.className = inputClass;
+                    input.value = value || '';
+                    input.oninput = () => { onInput(input.value); refresh(false); };
+                    return input;
+                };
+                const select = (options, selected, onChange, multiple = false) => {
+                    const sel = document.createElement('select');
+                    sel.className = inputClass;
+                    sel.multiple = multiple;
+                    if (multiple) sel.size = 6;
+                    options.forEach(([value, text]) => {
+                        const opt = document.createElement('option');
+                        opt.value = value;
+                        opt.textContent = text;
+                        opt.selected = multiple ? (selected || []).includes(value) : selected === value;
+                        sel.appendChild(opt);
+                    });
+                    sel.onchange = () => { onChange(multiple ? [...sel.selectedOptions].map(o => o.value) : sel.value); refresh(false); };
+                    return sel;
+                };
+
+                const renderList = () => {
+                    const rows = [
+                        ...Object.keys(draft.nodeTypes).map(id => ({ kind: 'node', id, text: `${draft.nodeTypes[id].icon || '⚪'} ${draft.nodeTypes[id].label || id}` })),
+                        ...Object.keys(draft.mapTypes).map(id => ({ kind: 'map', id, text: `🗺️ ${draft.mapTypes[id].label || id}` }))
+                    ];
+                    listEl.innerHTML = rows.length ? '' : `<div class="text-slate-500 text-center py-3 text-[10px]">No custom types yet. The built-in schema applies.</div>`;
+                    rows.forEach(row => {
+                        const active = current && current.kind === row.kind && current.id === row.id;
+                        const btn = document.createElement('button');
+                        btn.className = `flex justify-between items-center gap-2 text-left px-2 py-1.5 rounded-lg border transition-colors ${active ? 'border-indigo-500 bg-indigo-950/40 text-white' : 'border-slate-800 hover:bg-slate-800 text-slate-300'}`;
+                        btn.innerHTML = `<span class="truncate">${this.escapeHTML(row.text)}</span><span class="text-[9px] font-mono text-slate-500">${row.kind === 'map' ? 'map' : 'node'} · ${this.escapeHTML(row.id)}</span>`;
+                        btn.onclick = () => { current = { kind: row.kind, id: row.id }; refresh(true); };
+                        listEl.appendChild(btn);
+                    });
+                };
+
+                const renderForm = () => {
+                    formEl.innerHTML = '';
+                    if (!current) return;
+                    const remove = document.createElement('button');
+                    remove.className = "self-end hover:bg-rose-950/40 border border-rose-900/50 text-rose-400 hover:text-rose-300 text-[10px] font-bold py-1 px-3 rounded-lg transition-colors uppercase tracking-wide";
+                    remove.textContent = current.kind === 'map' ? 'Delete Map Type' : 'Delete Node Type';
+                    remove.onclick = () => removeCurrent();
+
+                    if (current.kind === 'map') {
+                        const m = draft.mapTypes[current.id];
+                        const roots = Object.keys(draft.nodeTypes).filter(isRoot);
+                        formEl.appendChild(remove);
+                        formEl.appendChild(field('Label', textInput(m.label, v => { m.label = v; })));
+                        formEl.appendChild(field('Root Type', select(roots.map(t => [t, labelOf(t)]), m.rootNode, v => { m.rootNode = v; })));
+                        formEl.appendChild(field('Node Palette', select(allTypes().filter(t => !isRoot(t)).map(t => [t, labelOf(t)]), m.allowedNodes, v => { m.allowedNodes = v; }, true)));
+                        return;
+                    }
+
+                    const t = draft.nodeTypes[current.id];
+                    const children = allTypes().filter(x => !isRoot(x)).map(x => [x, labelOf(x)]);
+                    const grid = document.createElement('div');
+                    grid.className = "grid grid-cols-2 gap-3";
+                    grid.appendChild(field('Label', textInput(t.label, v => { t.label = v; })));
+                    grid.appendChild(field('Emoji Icon', textInput(t.icon, v => { t.icon = v; })));
+
+                    const strict = document.createElement('label');
+                    strict.className = "flex items-center gap-2 text-[10px] text-slate-300 cursor-pointer";
+                    strict.innerHTML = `<input type="checkbox" class="accent-indigo-500"> Only the allowed children may be attached`;
+                    strict.querySelector('input').checked = !!t.strict;
+                    strict.querySelector('input').onchange = (e) => { t.strict = e.target.checked; refresh(false); };
+
+                    formEl.appendChild(remove);
+                    formEl.appendChild(grid);
+                    formEl.appendChild(field('Description', textInput(t.description, v => { t.description = v; })));
+                    formEl.appendChild(field('Allowed Children', select(children, t.allowed, v => { t.allowed = v; }, true)));
+                    formEl.appendChild(strict);
+                    formEl.appendChild(field('Default Child', select(children, t.default || 'note', v => { t.default = v; })));
+                    if (!isRoot(current.id)) {
+                        formEl.appendChild(field('May Appear Under', select(allTypes().filter(x => x !== current.id).map(x => [x, labelOf(x)]), t.parents, v => { t.parents = v; }, true)));
+                        formEl.appendChild(field('Map Types', select(allMapTypes().map(m => [m, draft.mapTypes[m] ? draft.mapTypes[m].label || m : schema.builtIn.mapTypes[m].label]), t.mapTypes, v => { t.mapTypes = v; }, true)));
+                    }
+                    formEl.appendChild(renderFields(t));
+                };
+
+                // Typed fields of a node type, one row each; type-specific settings appear under the row
+                const renderFields = (t) => {
+                    t.fields = t.fields || [];
+                    const box = document.createElement('div');
+                    box.className = "flex flex-col gap-2 border-t border-slate-800 pt-3";
+                    box.innerHTML = `<div class="flex justify-between items-center"><label class="${labelClass}">Fields</label></div>`;
+                    const add = document.createElement('button');
+                    add.className = "border border-slate-700 hover:bg-slate-800 text-slate-300 text-[9px] font-bold py-1 px-2 rounded-lg transition-colors uppercase tracking-wide";
+                    add.textContent = "+ Field";
+                    add.onclick = () => {
+                        let n = t.fields.length + 1;
+                        while (t.fields.some(f => f.key === `field${n}`)) n++;
+                        t.fields.push({ key: `field${n}`, label: `Field ${n}`, type: 'string', required: false });
+                        refresh(true);
+                    };
+                    box.firstElementChild.appendChild(add);
+                    if (t.fields.length === 0) {
+                        const empty = document.createElement('div');
+                        empty.className = "text-slate-500 text-[10px]";
+                        empty.textContent = "No typed fields. Nodes of this type only carry content.";
+                        box.appendChild(empty);
+                    }
+
+                    t.fields.forEach((f, i) => {
+                        const row = document.createElement('div');
+                        row.className = "grid grid-cols-[1fr_1fr_1fr_auto_auto] gap-2 items-center";
+                        const key = textInput(f.key, v => { f.key = v.trim(); });
+                        key.placeholder = "key";
+                        const label = textInput(f.label, v => { f.label = v; });
+                        label.placeholder = "Label";
+                        row.appendChild(key);
+                        row.appendChild(label);
+                        row.appendChild(select(schema.fieldTypes.map(x => [x, x]), f.type, v => {
+                            f.type = v;
+                            if (v !== 'enum') delete f.options;
+                            if (v !== 'reference') delete f.refType;
+                            refresh(true);
+                        }));
+
+                        const required = document.createElement('label');
+                        required.className = "flex items-center gap-1 text-[9px] text-slate-400 cursor-pointer";
+                        required.innerHTML = `<input type="checkbox" class="accent-indigo-500"> Req.`;
+                        required.querySelector('input').checked = !!f.required;
+                        required.querySelector('input').onchange = (e) => { f.required = e.target.checked; refresh(false); };
+                        row.appendChild(required);
+
+                        const drop = document.createElement('button');
+                        drop.className = "text-rose-400 hover:text-rose-300 text-xs px-1";
+                        drop.textContent = "✕";
+                        drop.title = "Remove field (values already stored on nodes are kept)";
+                        drop.onclick = () => { t.fields.splice(i, 1); refresh(true); };
+                        row.appendChild(drop);
+                        box.appendChild(row);
+
+                        if (f.type === 'enum') {
+                            const options = textInput((f.options || []).join(', '), v => { f.options = v.split(',').map(o => o.trim()).filter(Boolean); });
+                            options.placeholder = "low, medium, high";
+                            box.appendChild(field('Options (comma separated)', options));
+                        } else if (f.type === 'reference') {
+                            box.appendChild(field('Points To', select([['', 'Any node'], ...allTypes().map(x => [x, labelOf(x)])], f.refType || '', v => { if (v) f.refType = v; else delete f.refType; })));
+                        }
+                    });
+                    return box;
+                };
+
+                const renderProblems = () => {
+                    const problems = schema.validateOntology(draft);
+                    problemsEl.innerHTML = problems.map(p => `<div class="text-[10px] text-amber-200">⚠️ ${this.escapeHTML(p)}</div>`).join('');
+                    return problems;
+                };
+
+                // A full refresh rebuilds the form; typing only updates the list and the problems
+                const refresh = (full) => {
+                    renderList();
+                    if (full) renderForm();
+                    renderProblems();
+                };
+
+                const pages = this.kernel.getPages(projectId);
+                const usage = (type) => pages.reduce((sum, p) => sum + (p.nodes || []).filter(n => n.type === type).length, 0);
+                const dropReferences = (type) => {
+                    Object.values(draft.nodeTypes).forEach(t => {
+                        ['allowed', 'parents'].forEach(k => { if (Array.isArray(t[k])) t[k] = t[k].filter(x => x !== type); });
+                        if (t.default === type) t.default = 'note';
+                    });
+                    Object.values(draft.mapTypes).forEach(m => { if (Array.isArray(m.allowedNodes)) m.allowedNodes = m.allowedNodes.filter(x => x !== type); });
+                };
+
+                const removeCurrent = async () => {
+                    const { kind, id } = current;
+                    const rootType = kind === 'map' ? draft.mapTypes[id].rootNode : null;
+                    const inUse = kind === 'map'
+                        ? pages.filter(p => p.meta && p.meta.type === id).length
+                        : usage(id);
+                    if (inUse > 0) {
+                        const ok = await this.actionConfirm({
+                            title: "Type In Use",
+                            message: kind === 'map'
+                                ? `${inUse} page(s) in this project use the "${id}" map type. They will fall back to a generic map the next time they are validated.`
+                                : `${inUse} node(s) in this project are "${id}" nodes. They will show as unknown types until you change them.`,
+                            confirmText: "Delete Anyway",
+                            cancelText: "Keep",
+                            isDestructive: true
+                        });
+                        if (!ok) return;
+                    }
+                    if (kind === 'map') {
+                        delete draft.mapTypes[id];
+                        if (rootType && draft.nodeTypes[rootType]) {
+                            delete draft.nodeTypes[rootType];
+                            dropReferences(rootType);
+                        }
+                        Object.values(draft.nodeTypes).forEach(t => { if (Array.isArray(t.mapTypes)) t.mapTypes = t.mapTypes.filter(m => m !== id); });
+                    } else {
+                        delete draft.nodeTypes[id];
+                        dropReferences(id);
+                    }
+                    current = null;
+                    refresh(true);
+                };
+
+                el.querySelector('#onto-add-node').onclick = async () => {
+                    const label = await this.actionPrompt({ title: "New Node Type", label: "Type name (e.g. Requirement)", defaultValue: "" });
+                    if (!label || !label.trim()) return;
+                    const id = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').replace(/^(\d)/, 't-$1').replace(/-root$/, '-node');
+                    if (!id) return alert("Pick a name with letters or digits.");
+                    if (schema.builtIn.definitions[id] || draft.nodeTypes[id]) return alert(`A type called "${id}" already exists.`);
+                    draft.nodeTypes[id] = { label: label.trim(), icon: "🔷", description: "", allowed: [], default: 'note', strict: false, parents: ['root', 'hub'], mapTypes: ['generic'] };
+                    current = { kind: 'node', id };
+                    refresh(true);
+                };
+
+                el.querySelector('#onto-add-map').onclick = async () => {
+                    const label = await this.actionPrompt({ title: "New Map Type", label: "Map type name (e.g. Compliance)", defaultValue: "" });
+                    if (!label || !label.trim()) return;
+                    const id = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').replace(/^(\d)/, 'm-$1');
+                    if (!id) return alert("Pick a name with letters or digits.");
+                    const rootId = `${id}-root`;
+                    if (schema.builtIn.mapTypes[id] || draft.mapTypes[id] || draft.nodeTypes[rootId] || schema.builtIn.definitions[rootId]) return alert(`A map type called "${id}" already exists.`);
+                    // Every map type needs a root of its own, created alongside it
+                    draft.nodeTypes[rootId] = { label: label.trim(), icon: "🧭", description: `${label.trim()} Root`, allowed: [], default: 'hub', strict: false };
+                    draft.mapTypes[id] = { label: label.trim(), rootNode: rootId, allowedNodes: ['hub', 'portal', 'smart-portal', 'note', 'logic-gate'] };
+                    current = { kind: 'map', id };
+                    refresh(true);
+                };
+
+                el.querySelector('.cancel-btn').onclick = () => close(null);
+                el.querySelector('.save-btn').onclick = async () => {
+                    if (renderProblems().length > 0) return alert("Fix the problems listed below before saving.");
+                    try {
+                        await this.kernel.saveOntology(draft, projectId);
+                        this.render();
+                        close(true);
+                    } catch (err) {
+                        console.error("Ontology save failed:", err);
+                        alert(`Ontology not saved:\n${err.message}`);
+                    }
+                };
+
+                refresh(true);
+            }
+        });
+    }
+
     /** Custom Modal Project Creation Form */
     actionCreateProjectCustom() {
         const contentHtml = `
@@ -3310,6 +5373,7 @@ class SandboxController {
                         <option value="agent">Agent Config</option>
                         <option value="file-root">File Root</option>
                         <option value="file-document">File Document</option>
+                        ${this.customMapTypeOptions()}
                     </select>
                 </div>
             </div>
@@ -3656,8 +5720,8 @@ class SandboxController {
         const btn = event.currentTarget;
         const rect = btn.getBoundingClientRect();
         
-        const activeVault = this.kernel.isUsingCloudVault() ? 'firebase' : 'local';
-        const isLoggedIn = window.FirebaseAuth && window.FirebaseAuth.currentUser && !window.FirebaseAuth.currentUser.isAnonymous;
+        const activeVault = this.kernel.vault;
+        const vaults = MultiMapVaults.list();
 
         const panel = document.createElement('div');
         panel.id = 'mm-vault-selector-dd';
@@ -3666,33 +5730,46 @@ class SandboxController {
         panel.style.top = `${rect.bottom + 4}px`;
         panel.style.minWidth = `${Math.max(rect.width, 220)}px`;
 
-        const options = [
-            { value: 'firebase', label: 'Firebase (Cloud) ☁️', enabled: isLoggedIn, desc: isLoggedIn ? 'Active cloud-synchronized vault' : 'Requires full account sign-in' },
-            { value: 'local', label: 'Local Browser (Legacy) 📁', enabled: true, desc: 'Saves locally inside browser cache' },
-            { value: 'gdrive', label: 'Google Drive (Coming Soon) 🔺', enabled: false, desc: 'Personal Drive synchronization' },
-            { value: 'local-os', label: 'Local OS (Coming Soon) 💾', enabled: false, desc: 'Access local computer directory' }
-        ];
-
-        options.forEach(opt => {
+        vaults.forEach(vault => {
+            const enabled = vault.isAvailable();
             const b = document.createElement('button');
-            b.className = `text-left w-full px-3 py-2 text-[10px] font-medium flex flex-col transition-colors border-none bg-transparent cursor-pointer ${opt.enabled ? 'text-slate-300 hover:bg-indigo-650 hover:text-white' : 'text-slate-600 cursor-not-allowed'}`;
-            b.disabled = !opt.enabled;
+            b.className = `text-left w-full px-3 py-2 text-[10px] font-medium flex flex-col transition-colors border-none bg-transparent cursor-pointer ${enabled ? 'text-slate-300 hover:bg-indigo-650 hover:text-white' : 'text-slate-600 cursor-not-allowed'}`;
+            b.disabled = !enabled;
             b.innerHTML = `
                 <div class="flex justify-between items-center w-full font-bold">
-                    <span>${opt.label}</span>
-                    ${opt.value === activeVault ? '<span class="text-[8px] text-emerald-400 font-extrabold uppercase tracking-wider select-none">active</span>' : ''}
+                    <span>${vault.label} ${vault.icon}</span>
+                    ${vault === activeVault ? '<span class="text-[8px] text-emerald-400 font-extrabold uppercase tracking-wider select-none">active</span>' : ''}
                 </div>
-                <div class="text-[8px] text-slate-500 mt-0.5 leading-tight">${opt.desc}</div>
+                <div class="text-[8px] text-slate-500 mt-0.5 leading-tight">${enabled ? vault.description : vault.requirement}</div>
             `;
-            if (opt.enabled) {
+            if (enabled) {
                 b.onclick = () => {
                     panel.remove();
-                    this.actionChangeVault(opt.value);
+                    this.actionChangeVault(vault.id);
                 };
             }
             panel.appendChild(b);
         });
 
+        const targets = vaults.filter(v => v !== activeVault && v.isAvailable());
+        if (targets.length > 0) {
+            const header = document.createElement('div');
+            header.className = "mt-1 pt-2 px-3 pb-1 border-t border-slate-800 text-[8px] text-slate-500 font-extrabold uppercase tracking-wider select-none";
+            header.textContent = `Copy ${activeVault.label} workspace to…`;
+            panel.appendChild(header);
+
+            targets.forEach(vault => {
+                const b = document.createElement('button');
+                b.className = "text-left w-full px-3 py-1.5 text-[10px] font-medium text-sky-300 hover:bg-indigo-650 hover:text-white transition-colors border-none bg-transparent cursor-pointer";
+                b.textContent = `→ ${vault.label} ${vault.icon}`;
+                b.onclick = () => {
+                    panel.remove();
+                    this.actionMigrateVault(activeVault.id, vault.id);
+                };
+                panel.appendChild(b);
+            });
+        }
+
         document.body.appendChild(panel);
 
         const close = (e) => {
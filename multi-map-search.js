@@ -0,0 +1,175 @@
+/**
+ * Multi-Map SEARCH v14.11
+ * Features: Workspace-wide Search Index (titles, content, typed fields, web JSON), Incremental Refresh, Node/Map/Project Filters.
+ *
+ *   const index = new MultiMapSearchIndex();
+ *   index.sync(pages, livePage);   // only pages whose object changed are re-indexed
+ *   index.search('launch plan', { nodeType: 'note', mapType: 'generic', projectId: 'default_project', limit: 50 })
+ *     -> [{ mapId, pageTitle, mapType, projectId, nodeId, nodeTitle, nodeType, field, label, snippet, score }]
+ *
+ * Every query word must appear somewhere in the node (any field). Matching runs on the
+ * index vocabulary, so the cost follows the number of distinct words, not nodes.
+ */
+
+class MultiMapSearchIndex {
+    constructor() {
+        this.entries = new Map(); // map_id -> { source, docs }
+        this.words = new Map();   // word -> Set(doc)
+    }
+
+    static tokenize(text) {
+        return String(text || '').toLowerCase().split(/[^\p{L}\p{N}@._-]+/u).filter(Boolean);
+    }
+
+    /** The searchable fields of a node: title, typed fields, then content (JSON payloads field by field). */
+    static fieldsOf(node) {
+        const fields = [];
+        if (node.title) fields.push({ field: 'title', label: 'Title', text: String(node.title) });
+
+        // Typed fields; references hold node ids, which are not worth matching
+        const values = node.data && node.data.fields ? node.data.fields : {};
+        const defs = typeof MultiMapSchema !== 'undefined' && MultiMapSchema.getFields ? MultiMapSchema.getFields(node.type) : [];
+        Object.keys(values).forEach(key => {
+            const def = defs.find(f => f.key === key);
+            const value = values[key];
+            if ((def && def.type === 'reference') || (typeof value !== 'string' && typeof value !== 'number') || value === '') return;
+            fields.push({ field: 'fields', label: def ? def.label : key, text: String(value) });
+        });
+        if (typeof node.content !== 'string' || !node.content) return fields;
+
+        const structured = node.type === 'person-root' || (node.type || '').startsWith('web-');
+        if (structured && node.content.trim().startsWith('{')) {
+            try {
+                const data = JSON.parse(node.content);
+                Object.keys(data || {}).forEach(key => {
+                    if (typeof data[key] === 'string' && data[key]) fields.push({ field: 'content', label: key, text: data[key] });
+                });
+                return fields;
+            } catch (e) { /* not JSON after all, index it as text */ }
+        }
+        fields.push({ field: 'content', label: 'Content', text: node.content });
+        return fields;
+    }
+
+    indexPage(page) {
+        this.removePage(page.map_id);
+        const base = {
+            mapId: page.map_id,
+            pageTitle: page.meta?.title || 'Untitled',
+            mapType: page.meta?.type || 'generic',
+            projectId: page.meta?.project_id || 'default_project'
+        };
+        const nodes = Array.isArray(page.nodes) ? page.nodes : [];
+        const docs = nodes.filter(n => n && n.id).map(node => ({
+            ...base,
+            nodeId: node.id,
+            nodeTitle: node.title || node.type,
+            nodeType: node.type,
+            fields: MultiMapSearchIndex.fieldsOf(node),
+            tags: [node.type]
+        }));
+
+        // The page title finds the page even when its core is named differently
+        const core = nodes.find(n => n && n.data && n.data.isCore) || nodes[0];
+        if (core && base.pageTitle && !nodes.some(n => n && n.title === base.pageTitle)) {
+            docs.push({ ...base, nodeId: core.id, nodeTitle: base.pageTitle, nodeType: core.type, fields: [{ field: 'title', label: 'Page', text: base.pageTitle }], tags: [] });
+        }
+
+        docs.forEach(doc => {
+            // Node types stay searchable by name, as the single-map search always allowed
+            doc.words = new Set([...doc.fields, ...doc.tags.map(text => ({ text }))].flatMap(f => MultiMapSearchIndex.tokenize(f.text)));
+            doc.words.forEach(word => {
+                if (!this.words.has(word)) this.words.set(word, new Set());
+                this.words.get(word).add(doc);
+            });
+        });
+        this.entries.set(page.map_id, { source: page, docs });
+    }
+
+    removePage(mapId) {
+        const entry = this.entries.get(mapId);
+        if (!entry) return;
+        entry.docs.forEach(doc => doc.words.forEach(word => {
+            const set = this.words.get(word);
+            if (!set) return;
+            set.delete(doc);
+            if (set.size === 0) this.words.delete(word);
+        }));
+        this.entries.delete(mapId);
+    }
+
+    /**
+     * Bring the index up to date with `pages`. `live` is the open page, which is
+     * edited in place and therefore always re-indexed.
+     */
+    sync(pages, live = null) {
+        const seen = new Set();
+        pages.forEach(page => {
+            if (!page || !page.map_id || (live && page.map_id === live.map_id)) return;
+            seen.add(page.map_id);
+            const entry = this.entries.get(page.map_id);
+            if (!entry || entry.source !== page) this.indexPage(page);
+        });
+        if (live && live.map_id) {
+            seen.add(live.map_id);
+            this.indexPage(live);
+        }
+        [...this.entries.keys()].forEach(mapId => { if (!seen.has(mapId)) this.removePage(mapId); });
+        return this;
+    }
+
+    search(query, { nodeType = '', mapType = '', projectId = '', limit = 50 } = {}) {
+        const terms = MultiMapSearchIndex.tokenize(query);
+        if (terms.length === 0) return [];
+
+        // Each term matches any indexed word containing it; a node needs every term
+        let candidates = null;
+        for (const term of terms) {
+            const hits = new Set();
+            this.words.forEach((docs, word) => { if (word.includes(term)) docs.forEach(d => hits.add(d)); });
+            candidates = candidates ? new Set([...candidates].filter(d => hits.has(d))) : hits;
+            if (candidates.size === 0) return [];
+        }
+
+        const phrase = String(query).toLowerCase().trim();
+        const results = [];
+        candidates.forEach(doc => {
+            if (nodeType && doc.nodeType !== nodeType) return;
+            if (mapType && doc.mapType !== mapType) return;
+            if (projectId && doc.projectId !== projectId) return;
+
+            const lower = doc.fields.map(f => f.text.toLowerCase());
+            let hit = lower.findIndex(t => t.includes(phrase));
+            if (hit === -1) hit = lower.findIndex(t => terms.some(term => t.includes(term)));
+            const field = doc.fields[Math.max(0, hit)] || { field: 'title', label: 'Type', text: doc.nodeType || '' };
+
+            let score = 1;
+            if (field.field === 'title') score += 2;
+            if (lower[hit] === phrase) score += 3;
+            else if (lower[hit] && lower[hit].includes(phrase)) score += 1;
+
+            results.push({
+                mapId: doc.mapId, pageTitle: doc.pageTitle, mapType: doc.mapType, projectId: doc.projectId,
+                nodeId: doc.nodeId, nodeTitle: doc.nodeTitle, nodeType: doc.nodeType,
+                field: field.field, label: field.label,
+                snippet: MultiMapSearchIndex.snippet(field.text, hit !== -1 && lower[hit].includes(phrase) ? phrase : terms[0]),
+                score
+            });
+        });
+
+        results.sort((a, b) => b.score - a.score || a.pageTitle.localeCompare(b.pageTitle));
+        return results.slice(0, limit);
+    }
+
+    static snippet(text, term, radius = 40) {
+        const flat = String(text).replace(/\s+/g, ' ');
+        const at = flat.toLowerCase().indexOf(term);
+        if (at === -1 || flat.length <= radius * 2) return flat.slice(0, radius * 2);
+        const start = Math.max(0, at - radius);
+        return `${start > 0 ? '…' : ''}${flat.slice(start, at + term.length + radius)}${at + term.length + radius < flat.length ? '…' : ''}`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapSearchIndex;
+}
@@ -0,0 +1,513 @@
+/**
+ * Multi-Map TAILWIND v14.11
+ * Features: Offline Tailwind (v3) Compiler for the Classes a Page Uses, Preflight, Responsive / State / Group Variants, Arbitrary Values.
+ *
+ *   const { css, unknown } = MultiMapTailwind.compile(MultiMapTailwind.classesIn(html));
+ *
+ * The site export ships only the rules its pages use instead of the Play CDN. This covers
+ * the core utilities the web engine and its users reach for (layout, flex/grid, spacing,
+ * sizing, type, colours with /opacity, borders, shadows, rings, transforms, transitions,
+ * snap, filters) with the sm:…2xl:, hover:, focus:, group-hover:, dark: and backdrop:
+ * variants and [arbitrary] values. Classes it cannot compile come back in `unknown`.
+ */
+
+const MultiMapTailwind = {
+    SCREENS: { sm: 640, md: 768, lg: 1024, xl: 1280, '2xl': 1536 },
+
+    PSEUDO: {
+        hover: ':hover', focus: ':focus', 'focus-visible': ':focus-visible', 'focus-within': ':focus-within', active: ':active',
+        visited: ':visited', disabled: ':disabled', checked: ':checked', first: ':first-child', last: ':last-child',
+        odd: ':nth-child(odd)', even: ':nth-child(even)', placeholder: '::placeholder', backdrop: '::backdrop',
+        before: '::before', after: '::after', selection: '::selection'
+    },
+
+    // Shades 50, 100...900, 950 of the default palette
+    PALETTE: {
+        slate: 'f8fafc f1f5f9 e2e8f0 cbd5e1 94a3b8 64748b 475569 334155 1e293b 0f172a 020617',
+        gray: 'f9fafb f3f4f6 e5e7eb d1d5db 9ca3af 6b7280 4b5563 374151 1f2937 111827 030712',
+        zinc: 'fafafa f4f4f5 e4e4e7 d4d4d8 a1a1aa 71717a 52525b 3f3f46 27272a 18181b 09090b',
+        neutral: 'fafafa f5f5f5 e5e5e5 d4d4d4 a3a3a3 737373 525252 404040 262626 171717 0a0a0a',
+        stone: 'fafaf9 f5f5f4 e7e5e4 d6d3d1 a8a29e 78716c 57534e 44403c 292524 1c1917 0c0a09',
+        red: 'fef2f2 fee2e2 fecaca fca5a5 f87171 ef4444 dc2626 b91c1c 991b1b 7f1d1d 450a0a',
+        orange: 'fff7ed ffedd5 fed7aa fdba74 fb923c f97316 ea580c c2410c 9a3412 7c2d12 431407',
+        amber: 'fffbeb fef3c7 fde68a fcd34d fbbf24 f59e0b d97706 b45309 92400e 78350f 451a03',
+        yellow: 'fefce8 fef9c3 fef08a fde047 facc15 eab308 ca8a04 a16207 854d0e 713f12 422006',
+        lime: 'f7fee7 ecfccb d9f99d bef264 a3e635 84cc16 65a30d 4d7c0f 3f6212 365314 1a2e05',
+        green: 'f0fdf4 dcfce7 bbf7d0 86efac 4ade80 22c55e 16a34a 15803d 166534 14532d 052e16',
+        emerald: 'ecfdf5 d1fae5 a7f3d0 6ee7b7 34d399 10b981 059669 047857 065f46 064e3b 022c22',
+        teal: 'f0fdfa ccfbf1 99f6e4 5eead4 2dd4bf 14b8a6 0d9488 0f766e 115e59 134e4a 042f2e',
+        cyan: 'ecfeff cffafe a5f3fc 67e8f9 22d3ee 06b6d4 0891b2 0e7490 155e75 164e63 083344',
+        sky: 'f0f9ff e0f2fe bae6fd 7dd3fc 38bdf8 0ea5e9 0284c7 0369a1 075985 0c4a6e 082f49',
+        blue: 'eff6ff dbeafe bfdbfe 93c5fd 60a5fa 3b82f6 2563eb 1d4ed8 1e40af 1e3a8a 172554',
+        indigo: 'eef2ff e0e7ff c7d2fe a5b4fc 818cf8 6366f1 4f46e5 4338ca 3730a3 312e81 1e1b4b',
+        violet: 'f5f3ff ede9fe ddd6fe c4b5fd a78bfa 8b5cf6 7c3aed 6d28d9 5b21b6 4c1d95 2e1065',
+        purple: 'faf5ff f3e8ff e9d5ff d8b4fe c084fc a855f7 9333ea 7e22ce 6b21a8 581c87 3b0764',
+        fuchsia: 'fdf4ff fae8ff f5d0fe f0abfc e879f9 d946ef c026d3 a21caf 86198f 701a75 4a044e',
+        pink: 'fdf2f8 fce7f3 fbcfe8 f9a8d4 f472b6 ec4899 db2777 be185d 9d174d 831843 500724',
+        rose: 'fff1f2 ffe4e6 fecdd3 fda4af fb7185 f43f5e e11d48 be123c 9f1239 881337 4c0519'
+    },
+    SHADES: ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'],
+
+    FONT_SIZES: {
+        xs: ['0.75rem', '1rem'], sm: ['0.875rem', '1.25rem'], base: ['1rem', '1.5rem'], lg: ['1.125rem', '1.75rem'], xl: ['1.25rem', '1.75rem'],
+        '2xl': ['1.5rem', '2rem'], '3xl': ['1.875rem', '2.25rem'], '4xl': ['2.25rem', '2.5rem'], '5xl': ['3rem', '1'], '6xl': ['3.75rem', '1'],
+        '7xl': ['4.5rem', '1'], '8xl': ['6rem', '1'], '9xl': ['8rem', '1']
+    },
+    FONT_WEIGHTS: { thin: 100, extralight: 200, light: 300, normal: 400, medium: 500, semibold: 600, bold: 700, extrabold: 800, black: 900 },
+    TRACKING: { tighter: '-0.05em', tight: '-0.025em', normal: '0em', wide: '0.025em', wider: '0.05em', widest: '0.1em' },
+    LEADING: { none: '1', tight: '1.25', snug: '1.375', normal: '1.5', relaxed: '1.625', loose: '2' },
+    MAX_WIDTHS: {
+        none: 'none', xs: '20rem', sm: '24rem', md: '28rem', lg: '32rem', xl: '36rem', '2xl': '42rem', '3xl': '48rem', '4xl': '56rem',
+        '5xl': '64rem', '6xl': '72rem', '7xl': '80rem', full: '100%', min: 'min-content', max: 'max-content', fit: 'fit-content', prose: '65ch',
+        'screen-sm': '640px', 'screen-md': '768px', 'screen-lg': '1024px', 'screen-xl': '1280px', 'screen-2xl': '1536px'
+    },
+    RADII: { none: '0px', sm: '0.125rem', '': '0.25rem', md: '0.375rem', lg: '0.5rem', xl: '0.75rem', '2xl': '1rem', '3xl': '1.5rem', full: '9999px' },
+    SHADOWS: {
+        sm: ['0 1px 2px 0 rgb(0 0 0 / 0.05)', '0 1px 2px 0 var(--tw-shadow-color)'],
+        '': ['0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1)', '0 1px 3px 0 var(--tw-shadow-color), 0 1px 2px -1px var(--tw-shadow-color)'],
+        md: ['0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1)', '0 4px 6px -1px var(--tw-shadow-color), 0 2px 4px -2px var(--tw-shadow-color)'],
+        lg: ['0 10px 15px -3px rgb(0 0 0 / 0.1), 0 4px 6px -4px rgb(0 0 0 / 0.1)', '0 10px 15px -3px var(--tw-shadow-color), 0 4px 6px -4px var(--tw-shadow-color)'],
+        xl: ['0 20px 25px -5px rgb(0 0 0 / 0.1), 0 8px 10px -6px rgb(0 0 0 / 0.1)', '0 20px 25px -5px var(--tw-shadow-color), 0 8px 10px -6px var(--tw-shadow-color)'],
+        '2xl': ['0 25px 50px -12px rgb(0 0 0 / 0.25)', '0 25px 50px -12px var(--tw-shadow-color)'],
+        inner: ['inset 0 2px 4px 0 rgb(0 0 0 / 0.05)', 'inset 0 2px 4px 0 var(--tw-shadow-color)'],
+        none: ['0 0 #0000', '0 0 #0000']
+    },
+    BLURS: { none: '0', sm: '4px', '': '8px', md: '12px', lg: '16px', xl: '24px', '2xl': '40px', '3xl': '64px' },
+    // Marker classes the engine and users add that have no CSS of their own in Tailwind core
+    MARKERS: ['group', 'peer', 'prose', 'custom-scrollbar', 'escape-class-target', 'dark'],
+
+    PREFLIGHT: `*,::before,::after{box-sizing:border-box;border-width:0;border-style:solid;border-color:#e5e7eb}
+::before,::after{--tw-content:''}
+html,:host{line-height:1.5;-webkit-text-size-adjust:100%;tab-size:4;font-family:ui-sans-serif,system-ui,sans-serif,"Apple Color Emoji","Segoe UI Emoji","Segoe UI Symbol","Noto Color Emoji";-webkit-tap-highlight-color:transparent}
+body{margin:0;line-height:inherit}
+hr{height:0;color:inherit;border-top-width:1px}
+h1,h2,h3,h4,h5,h6{font-size:inherit;font-weight:inherit}
+a{color:inherit;text-decoration:inherit}
+b,strong{font-weight:bolder}
+code,kbd,samp,pre{font-family:ui-monospace,SFMono-Regular,Menlo,Monaco,Consolas,monospace;font-size:1em}
+small{font-size:80%}
+table{text-indent:0;border-color:inherit;border-collapse:collapse}
+button,input,optgroup,select,textarea{font-family:inherit;font-feature-settings:inherit;font-variation-settings:inherit;font-size:100%;font-weight:inherit;line-height:inherit;letter-spacing:inherit;color:inherit;margin:0;padding:0}
+button,select{text-transform:none}
+button,input:where([type='button']),input:where([type='reset']),input:where([type='submit']){-webkit-appearance:button;background-color:transparent;background-image:none}
+:-moz-focusring{outline:auto}
+progress{vertical-align:baseline}
+summary{display:list-item}
+blockquote,dl,dd,h1,h2,h3,h4,h5,h6,hr,figure,p,pre{margin:0}
+fieldset{margin:0;padding:0}
+legend{padding:0}
+ol,ul,menu{list-style:none;margin:0;padding:0}
+dialog{padding:0}
+textarea{resize:vertical}
+input::placeholder,textarea::placeholder{opacity:1;color:#9ca3af}
+button,[role="button"]{cursor:pointer}
+:disabled{cursor:default}
+img,svg,video,canvas,audio,iframe,embed,object{display:block;vertical-align:middle}
+img,video{max-width:100%;height:auto}
+[hidden]:where(:not([hidden="until-found"])){display:none}
+*,::before,::after,::backdrop{--tw-translate-x:0;--tw-translate-y:0;--tw-rotate:0;--tw-skew-x:0;--tw-skew-y:0;--tw-scale-x:1;--tw-scale-y:1;--tw-ring-offset-width:0px;--tw-ring-offset-color:#fff;--tw-ring-color:rgb(59 130 246 / 0.5);--tw-ring-offset-shadow:0 0 #0000;--tw-ring-shadow:0 0 #0000;--tw-shadow:0 0 #0000;--tw-shadow-colored:0 0 #0000;--tw-gradient-from-position: ;--tw-gradient-via-position: ;--tw-gradient-to-position: }
+`,
+
+    /** Class names in the class attributes of an HTML string, each once, in order of appearance. */
+    classesIn(html) {
+        const seen = new Set();
+        const decode = (s) => s.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+        String(html).replace(/\sclass\s*=\s*(?:"([^"]*)"|'([^']*)')/gi, (m, a, b) => {
+            decode(a ?? b).split(/\s+/).filter(Boolean).forEach(c => seen.add(c));
+            return m;
+        });
+        return [...seen];
+    },
+
+    /** A class name as a CSS selector ("md:w-1/2" -> ".md\:w-1\/2"). */
+    selector(name) {
+        let out = '.';
+        [...name].forEach((ch, i) => {
+            if (/[a-zA-Z0-9_-]/.test(ch) || ch.charCodeAt(0) > 127) {
+                out += i === 0 && /[0-9]/.test(ch) ? `\\3${ch} ` : ch;
+            } else out += `\\${ch}`;
+        });
+        return out;
+    },
+
+    /** Spacing scale value: 4 -> 1rem, 0.5 -> 0.125rem, px -> 1px. */
+    spacing(key) {
+        if (key === 'px') return '1px';
+        if (key === '0') return '0px';
+        if (/^\d+(\.\d+)?$/.test(key) && Number(key) <= 96) return `${Number(key) / 4}rem`;
+        return null;
+    },
+
+    fraction(key) {
+        const f = key.match(/^(\d+)\/(\d+)$/);
+        return f && Number(f[2]) ? `${+(Number(f[1]) / Number(f[2]) * 100).toFixed(6)}%` : null;
+    },
+
+    /** "[90%]" -> "90%", "[0_-20px_50px_rgba(0,0,0,0.15)]" -> "0 -20px 50px rgba(0,0,0,0.15)". */
+    arbitrary(key) {
+        const m = key.match(/^\[(.+)\]$/);
+        return m ? m[1].replace(/_/g, ' ') : null;
+    },
+
+    /** Colour for a key like "indigo-500", "white" or "[#0ea5e9]", as { value, rgb } where rgb is "r g b" when known. */
+    color(key) {
+        const named = { white: '255 255 255', black: '0 0 0' };
+        if (named[key]) return { value: `rgb(${named[key]})`, rgb: named[key] };
+        if (key === 'transparent') return { value: 'transparent', rgb: null };
+        if (key === 'current') return { value: 'currentColor', rgb: null };
+        if (key === 'inherit') return { value: 'inherit', rgb: null };
+        const arb = MultiMapTailwind.arbitrary(key);
+        if (arb) {
+            if (!/^(#|rgb|hsl|oklch|color\()/.test(arb)) return null;
+            const hex = arb.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+            return { value: arb, rgb: hex ? MultiMapTailwind.hexToRgb(hex[1]) : null };
+        }
+        const m = key.match(/^([a-z]+)-(\d+)$/);
+        if (!m || !MultiMapTailwind.PALETTE[m[1]]) return null;
+        const i = MultiMapTailwind.SHADES.indexOf(m[2]);
+        if (i < 0) return null;
+        const rgb = MultiMapTailwind.hexToRgb(MultiMapTailwind.PALETTE[m[1]].split(' ')[i]);
+        return { value: `rgb(${rgb})`, rgb };
+    },
+
+    hexToRgb(hex) {
+        const full = hex.length === 3 ? [...hex].map(c => c + c).join('') : hex;
+        return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16)).join(' ');
+    },
+
+    /** A colour with an optional "/50" or "/[.35]" opacity, as a CSS value, or null. */
+    colorValue(key) {
+        const slash = key.match(/^(.+?)\/(\d+|\[[^\]]+\])$/);
+        const c = MultiMapTailwind.color(slash ? slash[1] : key);
+        if (!c) return null;
+        if (!slash) return c.value;
+        const alpha = MultiMapTailwind.arbitrary(slash[2]) || String(Number(slash[2]) / 100);
+        return c.rgb ? `rgb(${c.rgb} / ${alpha})` : `color-mix(in srgb, ${c.value} ${Number(alpha) * 100}%, transparent)`;
+    },
+
+    /**
+     * Declarations for one utility (no variants), as { decls, order } or null. `order`
+     * follows Tailwind's: shorthands sort before the sides they cover.
+     */
+    utility(u) {
+        const T = MultiMapTailwind;
+        const statics = {
+            block: 'display:block', 'inline-block': 'display:inline-block', inline: 'display:inline', flex: 'display:flex', 'inline-flex': 'display:inline-flex',
+            grid: 'display:grid', 'inline-grid': 'display:inline-grid', table: 'display:table', contents: 'display:contents', hidden: 'display:none', 'list-item': 'display:list-item',
+            static: 'position:static', fixed: 'position:fixed', absolute: 'position:absolute', relative: 'position:relative', sticky: 'position:sticky',
+            'flex-row': 'flex-direction:row', 'flex-row-reverse': 'flex-direction:row-reverse', 'flex-col': 'flex-direction:column', 'flex-col-reverse': 'flex-direction:column-reverse',
+            'flex-wrap': 'flex-wrap:wrap', 'flex-wrap-reverse': 'flex-wrap:wrap-reverse', 'flex-nowrap': 'flex-wrap:nowrap',
+            'flex-1': 'flex:1 1 0%', 'flex-auto': 'flex:1 1 auto', 'flex-initial': 'flex:0 1 auto', 'flex-none': 'flex:none',
+            grow: 'flex-grow:1', 'grow-0': 'flex-grow:0', shrink: 'flex-shrink:1', 'shrink-0': 'flex-shrink:0',
+            'items-start': 'align-items:flex-start', 'items-end': 'align-items:flex-end', 'items-center': 'align-items:center', 'items-baseline': 'align-items:baseline', 'items-stretch': 'align-items:stretch',
+            'justify-start': 'justify-content:flex-start', 'justify-end': 'justify-content:flex-end', 'justify-center': 'justify-content:center',
+            'justify-between': 'justify-content:space-between', 'justify-around': 'justify-content:space-around', 'justify-evenly': 'justify-content:space-evenly',
+            'justify-items-center': 'justify-items:center', 'content-center': 'align-content:center', 'content-start': 'align-content:flex-start', 'content-between': 'align-content:space-between',
+            'self-auto': 'align-self:auto', 'self-start': 'align-self:flex-start', 'self-end': 'align-self:flex-end', 'self-center': 'align-self:center', 'self-stretch': 'align-self:stretch',
+            'place-items-center': 'place-items:center', 'place-content-center': 'place-content:center',
+            'col-span-full': 'grid-column:1 / -1', 'grid-flow-row': 'grid-auto-flow:row', 'grid-flow-col': 'grid-auto-flow:column', 'grid-flow-dense': 'grid-auto-flow:dense',
+            'text-left': 'text-align:left', 'text-center': 'text-align:center', 'text-right': 'text-align:right', 'text-justify': 'text-align:justify',
+            italic: 'font-style:italic', 'not-italic': 'font-style:normal', uppercase: 'text-transform:uppercase', lowercase: 'text-transform:lowercase',
+            capitalize: 'text-transform:capitalize', 'normal-case': 'text-transform:none', underline: 'text-decoration-line:underline',
+            'line-through': 'text-decoration-line:line-through', 'no-underline': 'text-decoration-line:none', 'font-mono': 'font-family:ui-monospace,SFMono-Regular,Menlo,Monaco,Consolas,monospace',
+            'font-sans': 'font-family:ui-sans-serif,system-ui,sans-serif', 'font-serif': 'font-family:ui-serif,Georgia,Cambria,"Times New Roman",Times,serif',
+            truncate: 'overflow:hidden;text-overflow:ellipsis;white-space:nowrap', 'whitespace-nowrap': 'white-space:nowrap', 'whitespace-normal': 'white-space:normal',
+            'whitespace-pre': 'white-space:pre', 'whitespace-pre-line': 'white-space:pre-line', 'whitespace-pre-wrap': 'white-space:pre-wrap',
+            'break-words': 'overflow-wrap:break-word', 'break-all': 'word-break:break-all', antialiased: '-webkit-font-smoothing:antialiased;-moz-osx-font-smoothing:grayscale',
+            'list-disc': 'list-style-type:disc', 'list-decimal': 'list-style-type:decimal', 'list-none': 'list-style-type:none', 'list-inside': 'list-style-position:inside',
+            'bg-cover': 'background-size:cover', 'bg-contain': 'background-size:contain', 'bg-center': 'background-position:center', 'bg-top': 'background-position:top',
+            'bg-no-repeat': 'background-repeat:no-repeat', 'bg-fixed': 'background-attachment:fixed', 'bg-clip-text': '-webkit-background-clip:text;background-clip:text',
+            'border-solid': 'border-style:solid', 'border-dashed': 'border-style:dashed', 'border-dotted': 'border-style:dotted', 'border-none': 'border-style:none',
+            'object-cover': 'object-fit:cover', 'object-contain': 'object-fit:contain', 'object-center': 'object-position:center',
+            'cursor-pointer': 'cursor:pointer', 'cursor-default': 'cursor:default', 'cursor-not-allowed': 'cursor:not-allowed',
+            'pointer-events-none': 'pointer-events:none', 'pointer-events-auto': 'pointer-events:auto', 'select-none': 'user-select:none',
+            'outline-none': 'outline:2px solid transparent;outline-offset:2px', outline: 'outline-style:solid',
+            'sr-only': 'position:absolute;width:1px;height:1px;padding:0;margin:-1px;overflow:hidden;clip:rect(0, 0, 0, 0);white-space:nowrap;border-width:0',
+            'snap-x': 'scroll-snap-type:x var(--tw-scroll-snap-strictness)', 'snap-y': 'scroll-snap-type:y var(--tw-scroll-snap-strictness)',
+            'snap-mandatory': '--tw-scroll-snap-strictness:mandatory', 'snap-proximity': '--tw-scroll-snap-strictness:proximity',
+            'snap-start': 'scroll-snap-align:start', 'snap-center': 'scroll-snap-align:center', 'snap-end': 'scroll-snap-align:end',
+            'scroll-smooth': 'scroll-behavior:smooth', 'aspect-square': 'aspect-ratio:1 / 1', 'aspect-video': 'aspect-ratio:16 / 9', 'aspect-auto': 'aspect-ratio:auto',
+            'transition-none': 'transition-property:none', isolate: 'isolation:isolate', 'resize-none': 'resize:none',
+            'mx-auto': 'margin-left:auto;margin-right:auto', 'my-auto': 'margin-top:auto;margin-bottom:auto',
+            'ease-linear': 'transition-timing-function:linear', 'ease-in': 'transition-timing-function:cubic-bezier(0.4, 0, 1, 1)',
+            'ease-out': 'transition-timing-function:cubic-bezier(0, 0, 0.2, 1)', 'ease-in-out': 'transition-timing-function:cubic-bezier(0.4, 0, 0.2, 1)',
+            container: 'width:100%'
+        };
+        const order = [
+            'container', 'sr-only', 'pointer', 'visibility', 'position', 'inset', 'z', 'order', 'col', 'row', 'float', 'margin', 'box', 'display',
+            'aspect', 'size', 'height', 'width', 'flex', 'shrink', 'grow', 'transform', 'cursor', 'snap', 'list', 'grid', 'flexdir', 'place',
+            'align', 'justify', 'gap', 'space', 'overflow', 'truncate', 'whitespace', 'rounded', 'border', 'bg', 'gradient', 'object', 'padding',
+            'text-align', 'font', 'text', 'tracking', 'leading', 'color', 'decoration', 'opacity', 'shadow', 'outline', 'ring', 'filter', 'transition'
+        ];
+        const at = (group, sub = 0) => order.indexOf(group) * 10 + sub;
+        if (statics[u]) {
+            const group = /^(block|inline|flex$|inline-flex|grid$|inline-grid|table|contents|hidden|list-item)/.test(u) ? 'display'
+                : /^(static|fixed|absolute|relative|sticky)$/.test(u) ? 'position'
+                : /^flex-(row|col|wrap|nowrap)/.test(u) ? 'flexdir'
+                : /^(flex-|grow|shrink)/.test(u) ? 'flex'
+                : /^(items|content|self|place)-/.test(u) ? 'align'
+                : /^justify-/.test(u) ? 'justify'
+                : /^text-(left|center|right|justify)$/.test(u) ? 'text-align'
+                : /^m[xy]-auto$/.test(u) ? 'margin'
+                : /^(bg|border|object|cursor|snap|list|outline|transition|ease|aspect|truncate|whitespace)/.test(u) ? u.split('-')[0].replace('ease', 'transition')
+                : 'font';
+            return { decls: statics[u], order: at(group, u === 'mx-auto' || u === 'my-auto' ? 1 : 0) };
+        }
+
+        const neg = u.startsWith('-');
+        const name = neg ? u.slice(1) : u;
+        const signed = (v) => (neg && v ? (v === '0px' ? v : `calc(${v} * -1)`) : v);
+        const size = (key, extra = {}) => extra[key] || T.spacing(key) || T.fraction(key) || T.arbitrary(key)
+            || ({ auto: 'auto', full: '100%', min: 'min-content', max: 'max-content', fit: 'fit-content' })[key] || null;
+        let m;
+
+        // Spacing: padding, margin, inset, gap, space-between
+        const sides = { '': [''], x: ['-left', '-right'], y: ['-top', '-bottom'], t: ['-top'], r: ['-right'], b: ['-bottom'], l: ['-left'], s: ['-inline-start'], e: ['-inline-end'] };
+        if ((m = name.match(/^([pm])([xytrblse]?)-(.+)$/))) {
+            const value = m[1] === 'm' && m[3] === 'auto' ? 'auto' : (T.spacing(m[3]) || T.arbitrary(m[3]));
+            if (!value || (neg && m[1] === 'p')) return null;
+            const prop = m[1] === 'p' ? 'padding' : 'margin';
+            return { decls: sides[m[2]].map(s => `${prop}${s}:${signed(value)}`).join(';'), order: at(m[1] === 'p' ? 'padding' : 'margin', m[2] === '' ? 0 : 'xy'.includes(m[2]) ? 1 : 2) };
+        }
+        if ((m = name.match(/^(inset-x|inset-y|inset|top|right|bottom|left|start|end)-(.+)$/))) {
+            const value = size(m[2]);
+            if (!value) return null;
+            const props = { inset: ['inset'], 'inset-x': ['left', 'right'], 'inset-y': ['top', 'bottom'], start: ['inset-inline-start'], end: ['inset-inline-end'] }[m[1]] || [m[1]];
+            return { decls: props.map(p => `${p}:${signed(value)}`).join(';'), order: at('inset', m[1] === 'inset' ? 0 : m[1].startsWith('inset') ? 1 : 2) };
+        }
+        if ((m = name.match(/^gap(-[xy])?-(.+)$/))) {
+            const value = T.spacing(m[2]) || T.arbitrary(m[2]);
+            if (!value) return null;
+            const prop = m[1] === '-x' ? 'column-gap' : m[1] === '-y' ? 'row-gap' : 'gap';
+            return { decls: `${prop}:${value}`, order: at('gap', m[1] ? 1 : 0) };
+        }
+        if ((m = name.match(/^space-([xy])-(.+)$/))) {
+            const value = T.spacing(m[2]) || T.arbitrary(m[2]);
+            if (!value) return null;
+            const side = m[1] === 'x' ? 'left' : 'top';
+            return { decls: `margin-${side}:${signed(value)}`, order: at('space'), child: ' > :not([hidden]) ~ :not([hidden])' };
+        }
+
+        // Sizing
+        if ((m = name.match(/^(w|h|size|min-w|min-h|max-h)-(.+)$/))) {
+            const screen = m[1].endsWith('w') || m[1] === 'size' ? '100vw' : '100vh';
+            const value = size(m[2], { screen, svh: '100svh', dvh: '100dvh', none: 'none' });
+            if (!value || neg) return null;
+            const props = { w: ['width'], h: ['height'], size: ['width', 'height'], 'min-w': ['min-width'], 'min-h': ['min-height'], 'max-h': ['max-height'] }[m[1]];
+            return { decls: props.map(p => `${p}:${value}`).join(';'), order: at(m[1] === 'w' || m[1].endsWith('-w') ? 'width' : m[1] === 'size' ? 'size' : 'height') };
+        }
+        if ((m = name.match(/^max-w-(.+)$/))) {
+            const value = T.MAX_WIDTHS[m[1]] || T.arbitrary(m[1]) || T.spacing(m[1]);
+            return value ? { decls: `max-width:${value}`, order: at('width', 1) } : null;
+        }
+
+        // Position helpers, grid, flex numbers
+        if ((m = name.match(/^z-(\d+|auto|\[.+\])$/))) return { decls: `z-index:${T.arbitrary(m[1]) || (neg ? `-${m[1]}` : m[1])}`, order: at('z') };
+        if ((m = name.match(/^order-(\d+|first|last|none)$/))) return { decls: `order:${({ first: '-9999', last: '9999', none: '0' })[m[1]] || m[1]}`, order: at('order') };
+        if ((m = name.match(/^grid-(cols|rows)-(\d+|none|\[.+\])$/))) {
+            const value = T.arbitrary(m[2]) || (m[2] === 'none' ? 'none' : `repeat(${m[2]}, minmax(0, 1fr))`);
+            return { decls: `grid-template-${m[1] === 'cols' ? 'columns' : 'rows'}:${value}`, order: at('grid') };
+        }
+        if ((m = name.match(/^(col|row)-span-(\d+)$/))) return { decls: `grid-${m[1] === 'col' ? 'column' : 'row'}:span ${m[2]} / span ${m[2]}`, order: at(m[1]) };
+        if ((m = name.match(/^basis-(.+)$/))) {
+            const value = size(m[1]);
+            return value ? { decls: `flex-basis:${value}`, order: at('flex', 1) } : null;
+        }
+
+        // Type
+        if ((m = name.match(/^text-(xs|sm|base|lg|[2-9]?xl)$/))) {
+            const [fs, lh] = T.FONT_SIZES[m[1]];
+            return { decls: `font-size:${fs};line-height:${lh}`, order: at('text') };
+        }
+        if ((m = name.match(/^font-(\w+)$/)) && T.FONT_WEIGHTS[m[1]]) return { decls: `font-weight:${T.FONT_WEIGHTS[m[1]]}`, order: at('font', 1) };
+        if ((m = name.match(/^tracking-(.+)$/))) {
+            const value = T.TRACKING[m[1]] || T.arbitrary(m[1]);
+            return value ? { decls: `letter-spacing:${signed(value)}`, order: at('tracking') } : null;
+        }
+        if ((m = name.match(/^leading-(.+)$/))) {
+            const value = T.LEADING[m[1]] || T.spacing(m[1]) || T.arbitrary(m[1]);
+            return value ? { decls: `line-height:${value}`, order: at('leading') } : null;
+        }
+        if ((m = name.match(/^line-clamp-(\d+|none)$/))) {
+            return {
+                decls: m[1] === 'none' ? 'overflow:visible;display:block;-webkit-box-orient:horizontal;-webkit-line-clamp:none'
+                    : `overflow:hidden;display:-webkit-box;-webkit-box-orient:vertical;-webkit-line-clamp:${m[1]}`,
+                order: at('truncate')
+            };
+        }
+        if ((m = name.match(/^text-(.+)$/))) {
+            const color = T.colorValue(m[1]);
+            if (color) return { decls: `color:${color}`, order: at('color') };
+            const arb = T.arbitrary(m[1]);
+            return arb ? { decls: `font-size:${arb}`, order: at('text') } : null;
+        }
+        if ((m = name.match(/^decoration-(\d)$/))) return { decls: `text-decoration-thickness:${m[1]}px`, order: at('decoration') };
+        if ((m = name.match(/^underline-offset-(\d)$/))) return { decls: `text-underline-offset:${m[1]}px`, order: at('decoration') };
+
+        // Backgrounds and gradients
+        if ((m = name.match(/^bg-gradient-to-(t|tr|r|br|b|bl|l|tl)$/))) {
+            const dirs = { t: 'top', tr: 'top right', r: 'right', br: 'bottom right', b: 'bottom', bl: 'bottom left', l: 'left', tl: 'top left' };
+            return { decls: `background-image:linear-gradient(to ${dirs[m[1]]}, var(--tw-gradient-stops))`, order: at('gradient') };
+        }
+        if ((m = name.match(/^bg-(.+)$/))) {
+            const color = T.colorValue(m[1]);
+            if (color) return { decls: `background-color:${color}`, order: at('bg') };
+            const arb = T.arbitrary(m[1]);
+            return arb && /^url\(/.test(arb) ? { decls: `background-image:${arb}`, order: at('gradient') } : null;
+        }
+        if ((m = name.match(/^(from|via|to)-(.+)$/))) {
+            const color = T.colorValue(m[2]);
+            if (!color) return null;
+            const c = T.color(m[2].split('/')[0]);
+            const clear = c && c.rgb ? `rgb(${c.rgb} / 0)` : 'transparent';
+            const decls = {
+                from: `--tw-gradient-from:${color} var(--tw-gradient-from-position);--tw-gradient-to:${clear} var(--tw-gradient-to-position);--tw-gradient-stops:var(--tw-gradient-from), var(--tw-gradient-to)`,
+                via: `--tw-gradient-to:${clear} var(--tw-gradient-to-position);--tw-gradient-stops:var(--tw-gradient-from), ${color} var(--tw-gradient-via-position), var(--tw-gradient-to)`,
+                to: `--tw-gradient-to:${color} var(--tw-gradient-to-position)`
+            }[m[1]];
+            return { decls, order: at('gradient', { from: 1, via: 2, to: 3 }[m[1]]) };
+        }
+
+        // Borders and corners
+        if ((m = name.match(/^border(?:-(.+))?$/))) {
+            // "border-r-2" is a side and a width, but "border-red-500" is a colour
+            const rest = m[1] || '';
+            const readings = [['', rest]];
+            const side = rest.match(/^([xytrbl])(?:-(.+))?$/);
+            if (side) readings.push([side[1], side[2] || '']);
+            for (const [s, key] of readings) {
+                if (s === '' && /^[xytrbl]$/.test(key)) continue;
+                const width = key === '' ? '1px' : /^\d+$/.test(key) ? `${key}px` : (T.arbitrary(key) && !T.color(key) ? T.arbitrary(key) : null);
+                if (width) return { decls: sides[s].map(d => `border${d}-width:${width}`).join(';'), order: at('border', s ? ('xy'.includes(s) ? 1 : 2) : 0) };
+                const color = T.colorValue(key);
+                if (color) return { decls: sides[s].map(d => `border${d}-color:${color}`).join(';'), order: at('border', s ? 4 : 3) };
+            }
+            return null;
+        }
+        if ((m = name.match(/^rounded(?:-(t|r|b|l|tl|tr|br|bl))?(?:-(none|sm|md|lg|xl|2xl|3xl|full|\[.+\]))?$/))) {
+            const value = T.RADII[m[2] || ''] || T.arbitrary(m[2]);
+            const corners = { t: ['top-left', 'top-right'], r: ['top-right', 'bottom-right'], b: ['bottom-right', 'bottom-left'], l: ['top-left', 'bottom-left'], tl: ['top-left'], tr: ['top-right'], br: ['bottom-right'], bl: ['bottom-left'] }[m[1]];
+            return { decls: corners ? corners.map(c => `border-${c}-radius:${value}`).join(';') : `border-radius:${value}`, order: at('rounded', m[1] ? (m[1].length === 1 ? 1 : 2) : 0) };
+        }
+
+        // Effects
+        if ((m = name.match(/^opacity-(\d+)$/))) return { decls: `opacity:${Number(m[1]) / 100}`, order: at('opacity') };
+        if ((m = name.match(/^shadow(?:-(sm|md|lg|xl|2xl|inner|none))?$/))) {
+            const [shadow, colored] = T.SHADOWS[m[1] || ''];
+            return { decls: `--tw-shadow:${shadow};--tw-shadow-colored:${colored};box-shadow:var(--tw-ring-offset-shadow, 0 0 #0000), var(--tw-ring-shadow, 0 0 #0000), var(--tw-shadow)`, order: at('shadow') };
+        }
+        if ((m = name.match(/^shadow-(\[.+\])$/))) {
+            const value = T.arbitrary(m[1]);
+            return { decls: `--tw-shadow:${value};--tw-shadow-colored:${value};box-shadow:var(--tw-ring-offset-shadow, 0 0 #0000), var(--tw-ring-shadow, 0 0 #0000), var(--tw-shadow)`, order: at('shadow') };
+        }
+        if ((m = name.match(/^shadow-(.+)$/))) {
+            const color = T.colorValue(m[1]);
+            return color ? { decls: `--tw-shadow-color:${color};--tw-shadow:var(--tw-shadow-colored)`, order: at('shadow', 1) } : null;
+        }
+        if ((m = name.match(/^ring(?:-(\d+))?$/))) {
+            const width = m[1] !== undefined ? m[1] : '3';
+            return {
+                decls: `--tw-ring-offset-shadow:var(--tw-ring-inset,) 0 0 0 var(--tw-ring-offset-width) var(--tw-ring-offset-color);--tw-ring-shadow:var(--tw-ring-inset,) 0 0 0 calc(${width}px + var(--tw-ring-offset-width)) var(--tw-ring-color);box-shadow:var(--tw-ring-offset-shadow), var(--tw-ring-shadow), var(--tw-shadow, 0 0 #0000)`,
+                order: at('ring')
+            };
+        }
+        if ((m = name.match(/^ring-offset-(\d+)$/))) return { decls: `--tw-ring-offset-width:${m[1]}px`, order: at('ring', 2) };
+        if ((m = name.match(/^ring-(.+)$/))) {
+            const color = T.colorValue(m[1]);
+            return color ? { decls: `--tw-ring-color:${color}`, order: at('ring', 1) } : null;
+        }
+        if ((m = name.match(/^(backdrop-)?blur(?:-(none|sm|md|lg|xl|2xl|3xl))?$/))) {
+            return { decls: `${m[1] ? '-webkit-backdrop-filter' : 'filter'}:blur(${T.BLURS[m[2] || '']});${m[1] ? 'backdrop-filter' : 'filter'}:blur(${T.BLURS[m[2] || '']})`, order: at('filter') };
+        }
+        if ((m = name.match(/^overflow(?:-([xy]))?-(auto|hidden|clip|visible|scroll)$/))) return { decls: `overflow${m[1] ? `-${m[1]}` : ''}:${m[2]}`, order: at('overflow', m[1] ? 1 : 0) };
+
+        // Transforms, transitions
+        const transform = 'transform:translate(var(--tw-translate-x), var(--tw-translate-y)) rotate(var(--tw-rotate)) skewX(var(--tw-skew-x)) skewY(var(--tw-skew-y)) scaleX(var(--tw-scale-x)) scaleY(var(--tw-scale-y))';
+        if ((m = name.match(/^translate-([xy])-(.+)$/))) {
+            const value = size(m[2]);
+            return value ? { decls: `--tw-translate-${m[1]}:${signed(value)};${transform}`, order: at('transform') } : null;
+        }
+        if ((m = name.match(/^scale(?:-([xy]))?-(\d+)$/))) {
+            const axes = m[1] ? [m[1]] : ['x', 'y'];
+            return { decls: `${axes.map(a => `--tw-scale-${a}:${Number(m[2]) / 100}`).join(';')};${transform}`, order: at('transform', 1) };
+        }
+        if ((m = name.match(/^rotate-(\d+)$/))) return { decls: `--tw-rotate:${signed(`${m[1]}deg`)};${transform}`, order: at('transform', 2) };
+        if ((m = name.match(/^transition(?:-(all|colors|opacity|shadow|transform))?$/))) {
+            const props = {
+                '': 'color, background-color, border-color, text-decoration-color, fill, stroke, opacity, box-shadow, transform, filter, backdrop-filter',
+                all: 'all', colors: 'color, background-color, border-color, text-decoration-color, fill, stroke', opacity: 'opacity', shadow: 'box-shadow', transform: 'transform'
+            }[m[1] || ''];
+            return { decls: `transition-property:${props};transition-timing-function:cubic-bezier(0.4, 0, 0.2, 1);transition-duration:150ms`, order: at('transition') };
+        }
+        if ((m = name.match(/^(duration|delay)-(\d+)$/))) return { decls: `transition-${m[1]}:${m[2]}ms`, order: at('transition', 1) };
+        return null;
+    },
+
+    /**
+     * Rules for one class, or null when it is not a utility this compiler knows. Variants
+     * stack left to right ("md:hover:bg-white"); a leading "!" marks the declarations important.
+     */
+    rule(name) {
+        const T = MultiMapTailwind;
+        const parts = [];
+        let depth = 0, start = 0;
+        for (let i = 0; i < name.length; i++) { // split on ':' outside [arbitrary] brackets
+            if (name[i] === '[') depth++;
+            else if (name[i] === ']') depth--;
+            else if (name[i] === ':' && depth === 0) { parts.push(name.slice(start, i)); start = i + 1; }
+        }
+        parts.push(name.slice(start));
+        let base = parts.pop();
+        const important = base.startsWith('!');
+        if (important) base = base.slice(1);
+
+        const u = T.utility(base);
+        if (!u) return null;
+        let selector = T.selector(name), media = null, screen = 0, pseudoCount = 0;
+        for (const v of parts) {
+            if (T.SCREENS[v]) { media = `@media (min-width: ${T.SCREENS[v]}px)`; screen = T.SCREENS[v]; }
+            else if (v === 'dark') media = '@media (prefers-color-scheme: dark)';
+            else if (v === 'motion-safe') media = '@media (prefers-reduced-motion: no-preference)';
+            else if (v.startsWith('group-') && T.PSEUDO[v.slice(6)]) { selector = `.group${T.PSEUDO[v.slice(6)]} ${selector}`; pseudoCount++; }
+            else if (v.startsWith('peer-') && T.PSEUDO[v.slice(5)]) { selector = `.peer${T.PSEUDO[v.slice(5)]} ~ ${selector}`; pseudoCount++; }
+            else if (T.PSEUDO[v]) { selector += T.PSEUDO[v]; pseudoCount++; }
+            else return null;
+        }
+        if (u.child) selector += u.child;
+        const decls = important ? u.decls.split(';').map(d => `${d} !important`).join(';') : u.decls;
+        return { css: `${selector}{${decls}}`, media, sort: [media && !screen ? 1e6 : screen, pseudoCount, u.order] };
+    },
+
+    /** A stylesheet with the preflight and a rule per known class, and the classes left over. */
+    compile(classes) {
+        const T = MultiMapTailwind;
+        const rules = [], unknown = [];
+        let container = false;
+        [...new Set(classes)].forEach(name => {
+            if (T.MARKERS.includes(name)) return;
+            if (name === 'container') container = true;
+            const r = T.rule(name);
+            if (r) rules.push(r);
+            else unknown.push(name);
+        });
+        rules.sort((a, b) => a.sort[0] - b.sort[0] || a.sort[1] - b.sort[1] || a.sort[2] - b.sort[2]);
+
+        const out = [T.PREFLIGHT];
+        let openMedia = null;
+        rules.forEach(r => {
+            if (r.media !== openMedia) {
+                if (openMedia) out.push('}');
+                if (r.media) out.push(`${r.media}{`);
+                openMedia = r.media;
+            }
+            out.push(r.media ? `  ${r.css}` : r.css);
+        });
+        if (openMedia) out.push('}');
+        if (container) Object.values(T.SCREENS).forEach(px => out.push(`@media (min-width: ${px}px){.container{max-width:${px}px}}`));
+        return { css: out.join('\n') + '\n', unknown };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapTailwind;
+}
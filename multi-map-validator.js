@@ -0,0 +1,319 @@
+/**
+ * Multi-Map VALIDATOR v14.11
+ * Features: MapState validation against mapstate-schema.json + MultiMapSchema rules, structured reports, auto-repair.
+ *
+ * Every import path runs incoming JSON through here before `ensureSchema` gets to it:
+ *
+ *   const report = MultiMapValidator.validateMaps(parsed);   // single map or array
+ *   report.issues    -> [{ severity: 'error'|'warning', code, message, path, map, fixable }]
+ *   report.repaired  -> deep copy with every fixable issue repaired (same shape as the input)
+ *
+ * Legacy shapes are run through MultiMapMigrations on the copy before checking.
+ * Field types come from mapstate-schema.json (loaded once via `MultiMapValidator.ready`).
+ * When the file can't be fetched (file:// sandboxes) the shape checks are skipped and
+ * only the structural checks run.
+ */
+
+const MultiMapValidator = {
+    shape: null,
+    ready: null,
+
+    /** Fetch (or require, under Node.js) the reference MapState shape. */
+    loadShape() {
+        if (this.ready) return this.ready;
+        if (typeof fetch === 'undefined' || typeof window === 'undefined') {
+            try { this.shape = require('./mapstate-schema.json'); } catch (e) { this.shape = null; }
+            this.ready = Promise.resolve(this.shape);
+            return this.ready;
+        }
+        this.ready = fetch('mapstate-schema.json')
+            .then(res => res.ok ? res.json() : null)
+            .catch(() => null)
+            .then(shape => {
+                if (!shape) console.warn('MultiMapValidator: mapstate-schema.json unavailable, field type checks disabled.');
+                this.shape = shape;
+                return shape;
+            });
+        return this.ready;
+    },
+
+    get rules() {
+        return typeof MultiMapSchema !== 'undefined' ? MultiMapSchema : null;
+    },
+
+    kindOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    },
+
+    newId() {
+        return Math.random().toString(36).substr(2, 9);
+    },
+
+    /** Validate one map or an array of maps (library / template files). */
+    validateMaps(data) {
+        const list = Array.isArray(data) ? data : [data];
+        const copies = JSON.parse(JSON.stringify(list));
+        const issues = [];
+        copies.forEach((map, i) => {
+            this.upgrade(map);
+            issues.push(...this.inspect(map, Array.isArray(data) ? `[${i}]` : '', true));
+        });
+        return this.report(issues, Array.isArray(data) ? copies : copies[0]);
+    },
+
+    /** Validate a project export: { project, pages: [...] }. */
+    validateProject(data) {
+        const copy = JSON.parse(JSON.stringify(data || {}));
+        const issues = [];
+        const issue = (severity, code, message, path, fixable) => issues.push({ severity, code, message, path, map: 'Project', fixable });
+
+        if (!copy.project || this.kindOf(copy.project) !== 'object') {
+            issue('error', 'project-missing', 'File has no "project" object.', 'project', false);
+        } else {
+            if (typeof copy.project.project_id !== 'string' || !copy.project.project_id) {
+                issue('error', 'project-id', 'Project has no project_id.', 'project.project_id', true);
+                copy.project.project_id = `proj_${this.newId()}`;
+            }
+            if (!copy.project.meta || this.kindOf(copy.project.meta) !== 'object') {
+                issue('warning', 'project-meta', 'Project has no meta block.', 'project.meta', true);
+                copy.project.meta = { title: 'Imported Project', description: '' };
+            } else if (!copy.project.meta.title) {
+                issue('warning', 'project-title', 'Project has no title.', 'project.meta.title', true);
+                copy.project.meta.title = 'Imported Project';
+            }
+        }
+
+        if (!Array.isArray(copy.pages)) {
+            issue('error', 'pages-missing', 'File has no "pages" array.', 'pages', true);
+            copy.pages = [];
+        }
+        copy.pages.forEach(page => this.upgrade(page));
+
+        // Pages are checked against the project's own ontology, then the live one is put back
+        const schema = this.rules;
+        const ontology = copy.project && copy.project.meta ? copy.project.meta.ontology || null : null;
+        const previous = schema && schema.applyOntology ? schema.ontology : undefined;
+        if (previous !== undefined) schema.applyOntology(ontology);
+        try {
+            copy.pages.forEach((page, i) => issues.push(...this.inspect(page, `pages[${i}]`, true)));
+        } finally {
+            if (previous !== undefined) schema.applyOntology(previous);
+        }
+        return this.report(issues, copy);
+    },
+
+    /** Older generations are upgraded first so only genuine problems get reported. */
+    upgrade(map) {
+        if (typeof MultiMapMigrations !== 'undefined' && this.kindOf(map) === 'object') MultiMapMigrations.migratePage(map);
+    },
+
+    report(issues, repaired) {
+        const errors = issues.filter(i => i.severity === 'error').length;
+        return {
+            valid: errors === 0,
+            errors,
+            warnings: issues.length - errors,
+            fixable: issues.filter(i => i.fixable).length,
+            issues,
+            repaired
+        };
+    },
+
+    /**
+     * Walk a single map, collecting issues. With `repair` the map is fixed in place
+     * as it goes, so callers must hand in a copy.
+     */
+    inspect(map, prefix = '', repair = false) {
+        const issues = [];
+        const at = (path) => prefix ? `${prefix}.${path}` : path;
+        const title = map?.meta?.title || map?.map_id || (prefix || 'Map');
+        const issue = (severity, code, message, path, fixable) => issues.push({ severity, code, message, path: at(path), map: title, fixable });
+
+        if (this.kindOf(map) !== 'object') {
+            issue('error', 'not-a-map', 'Entry is not a MapState object.', prefix || '$', false);
+            return issues;
+        }
+
+        if (typeof map.map_id !== 'string' || !map.map_id) {
+            issue('error', 'map-id', 'Map has no map_id.', 'map_id', true);
+            if (repair) map.map_id = `map_${this.newId()}`;
+        }
+
+        if (this.kindOf(map.meta) !== 'object') {
+            issue('warning', 'meta-missing', 'Map has no meta block.', 'meta', true);
+            if (repair) map.meta = { title: 'Untitled Map', type: 'generic' };
+        }
+
+        if (!Array.isArray(map.nodes)) {
+            issue('error', 'nodes-missing', '"nodes" is missing or not an array.', 'nodes', true);
+            if (repair) map.nodes = [];
+        }
+
+        if (!Array.isArray(map.connections)) {
+            if (Array.isArray(map.edges)) {
+                issue('warning', 'legacy-edges', 'Uses legacy "edges" instead of "connections".', 'edges', true);
+                if (repair) { map.connections = map.edges; delete map.edges; }
+            } else {
+                issue('error', 'connections-missing', '"connections" is missing or not an array.', 'connections', true);
+                if (repair) map.connections = [];
+            }
+        }
+
+        if (this.shape) {
+            this.checkShape(map, this.shape, '', ['nodes', 'connections'], issue, repair);
+        }
+
+        const schema = this.rules;
+        const nodes = Array.isArray(map.nodes) ? map.nodes : [];
+        const connections = Array.isArray(map.connections) ? map.connections : (Array.isArray(map.edges) ? map.edges : []);
+        const mapType = schema?.mapTypes?.[map.meta?.type] ? map.meta.type : null;
+
+        if (schema && map.meta && map.meta.type && !mapType) {
+            issue('warning', 'map-type', `Unknown map type "${map.meta.type}".`, 'meta.type', true);
+            if (repair) map.meta.type = 'generic';
+        }
+
+        // --- Nodes ---
+        const seenNodes = new Set();
+        const dropNodes = new Set();
+        nodes.forEach((node, i) => {
+            const path = `nodes[${i}]`;
+            if (this.kindOf(node) !== 'object') {
+                issue('error', 'node-invalid', `Node ${i} is not an object.`, path, true);
+                if (repair) dropNodes.add(node);
+                return;
+            }
+            if (typeof node.id !== 'string' || !node.id) {
+                issue('error', 'node-id', `Node "${node.title || i}" has no id.`, `${path}.id`, true);
+                if (repair) node.id = this.newId();
+            } else if (seenNodes.has(node.id)) {
+                issue('error', 'duplicate-node-id', `Duplicate node id "${node.id}".`, `${path}.id`, true);
+                if (repair) node.id = this.newId();
+            }
+            seenNodes.add(node.id);
+            if (this.shape) this.checkShape(node, this.shape.nodes[0], path, ['submap'], issue, repair);
+
+            if (schema && !schema.definitions[node.type]) {
+                issue('warning', 'node-type', `Node "${node.title || node.id}" has unknown type "${node.type}".`, `${path}.type`, true);
+                if (repair) node.type = 'note';
+            } else if (schema && mapType && !schema.mapTypes[mapType].allowedNodes.includes(node.type)) {
+                issue('warning', 'node-type-map', `"${node.type}" is not part of the ${schema.mapTypes[mapType].label} palette.`, `${path}.type`, false);
+            }
+
+            if (node.title === undefined || node.title === '') {
+                issue('warning', 'node-title', `Node "${node.id}" has no title.`, `${path}.title`, true);
+                if (repair) node.title = schema ? schema.getDefinition(node.type).label : 'Untitled';
+            }
+
+            if (node.data && (typeof node.data.x !== 'number' || typeof node.data.y !== 'number')) {
+                issue('warning', 'node-position', `Node "${node.title || node.id}" has no numeric x/y position.`, `${path}.data`, true);
+                if (repair) { node.data.x = Number(node.data.x) || 0; node.data.y = Number(node.data.y) || 0; }
+            }
+
+            if (this.kindOf(node.submap) === 'object' && Array.isArray(node.submap.nodes) && node.submap.nodes.length) {
+                issues.push(...this.inspect(node.submap, at(`${path}.submap`), repair));
+            }
+        });
+        if (repair && dropNodes.size) map.nodes = nodes.filter(n => !dropNodes.has(n));
+
+        // --- Connections ---
+        const byId = new Map(nodes.filter(n => this.kindOf(n) === 'object').map(n => [n.id, n]));
+        const seenConns = new Set();
+        const seenPairs = new Set();
+        const dropConns = new Set();
+        connections.forEach((conn, i) => {
+            const path = `connections[${i}]`;
+            if (this.kindOf(conn) !== 'object') {
+                issue('error', 'connection-invalid', `Connection ${i} is not an object.`, path, true);
+                dropConns.add(conn);
+                return;
+            }
+
+            if (this.shape) this.checkShape(conn, this.shape.connections[0], path, [], issue, repair);
+            const from = byId.get(conn.from);
+            const to = byId.get(conn.to);
+            if (!from || !to) {
+                const missing = [!from && `from "${conn.from}"`, !to && `to "${conn.to}"`].filter(Boolean).join(' and ');
+                issue('error', 'dangling-connection', `Connection ${conn.id || i} points at missing node (${missing}).`, path, true);
+                dropConns.add(conn);
+                return;
+            }
+            if (conn.from === conn.to) {
+                issue('warning', 'self-loop', `Node "${from.title || from.id}" is connected to itself.`, path, true);
+                dropConns.add(conn);
+                return;
+            }
+            const pair = `${conn.from}>${conn.to}>${conn.type || 'structural'}`;
+            if (seenPairs.has(pair)) {
+                issue('warning', 'duplicate-connection', `"${from.title || from.id}" → "${to.title || to.id}" is linked twice by the same type.`, path, true);
+                dropConns.add(conn);
+                return;
+            }
+            seenPairs.add(pair);
+
+            if (typeof conn.id !== 'string' || !conn.id) {
+                issue('warning', 'connection-id', `Connection "${from.title || from.id}" → "${to.title || to.id}" has no id.`, `${path}.id`, true);
+                if (repair) conn.id = this.newId();
+            } else if (seenConns.has(conn.id)) {
+                issue('error', 'duplicate-connection-id', `Duplicate connection id "${conn.id}".`, `${path}.id`, true);
+                if (repair) conn.id = this.newId();
+            }
+            seenConns.add(conn.id);
+
+            if (!conn.type) {
+                issue('warning', 'connection-type', `Connection "${from.title || from.id}" → "${to.title || to.id}" has no type.`, `${path}.type`, true);
+                if (repair) conn.type = 'structural';
+            }
+
+            // The tree follows the parent/child rules; other link types follow their own from/to lists
+            const connType = conn.type || 'structural';
+            const registry = schema && schema.connectionTypes ? schema : null;
+            if (registry && !registry.getConnectionType(connType)) {
+                issue('warning', 'unknown-connection-type', `Connection "${from.title || from.id}" → "${to.title || to.id}" has an unknown type "${connType}".`, `${path}.type`, true);
+                if (repair) conn.type = 'association';
+            } else if (schema && (registry ? registry.isHierarchy(connType) : connType === 'structural') && from.type && to.type && !schema.canConnect(from.type, to.type)) {
+                issue('error', 'illegal-child', `"${from.type}" can't have "${to.type}" as a child ("${from.title || from.id}" → "${to.title || to.id}").`, path, true);
+                if (repair) conn.type = 'association';
+            } else if (registry && from.type && to.type && !registry.canLink(connType, from.type, to.type)) {
+                issue('warning', 'illegal-link', `A "${registry.getConnectionType(connType).label}" link can't run from "${from.type}" to "${to.type}" ("${from.title || from.id}" → "${to.title || to.id}").`, path, true);
+                if (repair) conn.type = 'association';
+            }
+        });
+        if (repair && dropConns.size) map.connections = connections.filter(c => !dropConns.has(c));
+
+        return issues;
+    },
+
+    /** Compare a value against the reference shape, recursing into objects. */
+    checkShape(value, shape, path, skip, issue, repair) {
+        Object.keys(shape).forEach(key => {
+            if (skip.includes(key) || value[key] === undefined) return;
+            const expected = this.kindOf(shape[key]);
+            const actual = this.kindOf(value[key]);
+            const keyPath = path ? `${path}.${key}` : key;
+
+            // null in the reference shape means "any" (e.g. share_expires)
+            if (expected === 'null' || actual === expected) {
+                if (expected === 'object' && Object.keys(shape[key]).length) {
+                    this.checkShape(value[key], shape[key], keyPath, [], issue, repair);
+                }
+                return;
+            }
+            if (expected === 'string' && (actual === 'number' || actual === 'boolean')) {
+                issue('warning', 'field-type', `"${keyPath}" should be a string.`, keyPath, true);
+                if (repair) value[key] = String(value[key]);
+                return;
+            }
+            issue('warning', 'field-type', `"${keyPath}" should be ${expected === 'array' ? 'an array' : `a ${expected}`}, found ${actual}.`, keyPath, true);
+            if (repair) value[key] = JSON.parse(JSON.stringify(expected === 'array' ? [] : expected === 'object' ? {} : expected === 'string' ? '' : shape[key]));
+        });
+    }
+};
+
+MultiMapValidator.loadShape();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapValidator;
+}
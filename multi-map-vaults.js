@@ -0,0 +1,547 @@
+/**
+ * Multi-Map VAULTS v14.11
+ * Features: Pluggable Storage Vault Adapters (LocalStorage, IndexedDB, Firebase), Vault Registry, Cross-Vault Migration.
+ *
+ * Every vault keeps an in-memory cache of projects and pages so the kernel can read
+ * synchronously; writes update the cache first and then persist to the backing store.
+ *
+ *   id, label, icon, description, requirement, saveStatus
+ *   isAvailable()                   can the vault be selected right now?
+ *   storageLimit(tier)              byte quota, or null to use the kernel's tier limit
+ *   pageLimit(tier)                 page cap, or null to use the kernel's tier cap
+ *   snapshotRetention()             { auto, named } snapshots kept per page, or null for the kernel's
+ *   async load()                    fill the cache from the backing store, then upgrade() it
+ *   getProjects() / getPages(projectId) / getAllPages() / findPage(mapId)
+ *   async saveProject(project) / deleteProject(projectId)
+ *   async savePage(page) / deletePage(mapId)     page.meta.project_id decides the owning project
+ *   async saveSession(session) / loadSession()   { state?, activeProjectId, activeMapId, portalHistory }
+ *   async listSnapshots(mapId) / saveSnapshot(snapshot) / deleteSnapshot(mapId, snapshotId) / deleteSnapshots(mapId)
+ *                                   page version history, read on demand rather than cached
+ */
+
+class MultiMapVault {
+    constructor({ id, label, icon, description, requirement = '', saveStatus = 'local' }) {
+        this.id = id;
+        this.label = label;
+        this.icon = icon;
+        this.description = description;
+        this.requirement = requirement;
+        this.saveStatus = saveStatus;
+        this.snapshotsByPage = {};
+        this.reset();
+    }
+
+    static defaultProject(title = "My Project", description = "Default guest project") {
+        const project = {
+            project_id: "default_project",
+            meta: { title, description, icon: "📁", color: "#8b5cf6" },
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+            page_ids: []
+        };
+        return typeof MultiMapMigrations !== 'undefined' ? MultiMapMigrations.stampProject(project) : project;
+    }
+
+    reset() {
+        this.projects = [];
+        this.pagesByProject = {};
+        this.loaded = false;
+    }
+
+    isAvailable() { return true; }
+    storageLimit(tier) { return null; }
+    pageLimit(tier) { return null; }
+    snapshotRetention() { return null; }
+
+    getProjects() { return this.projects; }
+    getPages(projectId) { return this.pagesByProject[projectId] || []; }
+    getAllPages() { return Object.values(this.pagesByProject).flat(); }
+
+    findPage(mapId) {
+        for (const [projectId, pages] of Object.entries(this.pagesByProject)) {
+            const page = pages.find(p => p.map_id === mapId);
+            if (page) return { page, projectId };
+        }
+        return null;
+    }
+
+    // --- Cache bookkeeping shared by every adapter ---
+    cacheProject(project) {
+        const idx = this.projects.findIndex(p => p.project_id === project.project_id);
+        if (idx !== -1) this.projects[idx] = project;
+        else this.projects.push(project);
+        if (!this.pagesByProject[project.project_id]) this.pagesByProject[project.project_id] = [];
+    }
+
+    uncacheProject(projectId) {
+        const pages = this.pagesByProject[projectId] || [];
+        this.projects = this.projects.filter(p => p.project_id !== projectId);
+        delete this.pagesByProject[projectId];
+        return pages;
+    }
+
+    /** Returns the project the page was previously filed under, if any. */
+    cachePage(page) {
+        const projectId = page.meta?.project_id || 'default_project';
+        const previous = this.findPage(page.map_id);
+        if (previous && previous.projectId !== projectId) this.uncachePage(page.map_id);
+        if (!this.pagesByProject[projectId]) this.pagesByProject[projectId] = [];
+        const list = this.pagesByProject[projectId];
+        const idx = list.findIndex(p => p.map_id === page.map_id);
+        if (idx !== -1) list[idx] = page;
+        else list.push(page);
+        return previous ? previous.projectId : null;
+    }
+
+    uncachePage(mapId) {
+        const found = this.findPage(mapId);
+        if (!found) return null;
+        this.pagesByProject[found.projectId] = this.pagesByProject[found.projectId].filter(p => p.map_id !== mapId);
+        return found.projectId;
+    }
+
+    /**
+     * Run the cache through MultiMapMigrations (schema upgrades, orphan adoption).
+     * Returns the projects and pages that changed and need writing back.
+     */
+    upgradeCache() {
+        if (typeof MultiMapMigrations === 'undefined') return { projects: [], pages: [] };
+        return MultiMapMigrations.migrateWorkspace(this);
+    }
+
+    async upgrade() {
+        const { projects, pages } = this.upgradeCache();
+        for (const project of projects) await this.saveProject(project);
+        for (const page of pages) await this.savePage(page);
+    }
+
+    async load() { await this.upgrade(); this.loaded = true; }
+    async saveProject(project) { this.cacheProject(project); }
+    async deleteProject(projectId) { this.uncacheProject(projectId).forEach(p => this.deleteSnapshots(p.map_id)); }
+    async savePage(page) { this.cachePage(page); }
+    async deletePage(mapId) { this.uncachePage(mapId); await this.deleteSnapshots(mapId); }
+    async saveSession(session) { }
+    async loadSession() { return null; }
+
+    async listSnapshots(mapId) { return this.snapshotsByPage[mapId] || []; }
+    async saveSnapshot(snapshot) {
+        const list = (this.snapshotsByPage[snapshot.map_id] || []).filter(s => s.snapshot_id !== snapshot.snapshot_id);
+        this.snapshotsByPage[snapshot.map_id] = [...list, snapshot];
+    }
+    async deleteSnapshot(mapId, snapshotId) {
+        this.snapshotsByPage[mapId] = (this.snapshotsByPage[mapId] || []).filter(s => s.snapshot_id !== snapshotId);
+    }
+    async deleteSnapshots(mapId) { delete this.snapshotsByPage[mapId]; }
+}
+
+/** The original guest vault: mm_projects + mm_constellation_lib + mm_core_state in localStorage. */
+class LocalStorageVault extends MultiMapVault {
+    static SNAPSHOT_RETENTION = { auto: 3, named: 5 };
+
+    constructor() {
+        super({
+            id: 'local',
+            label: 'Local Browser',
+            icon: '📁',
+            description: 'Saves inside this browser\'s localStorage (5MB)'
+        });
+    }
+
+    /** Synchronous so the kernel can boot straight into the guest workspace. */
+    loadSync() {
+        this.reset();
+        try {
+            const rawLib = localStorage.getItem("mm_constellation_lib");
+            const lib = rawLib ? JSON.parse(rawLib) : [];
+            const rawProjects = localStorage.getItem("mm_projects");
+            const projects = rawProjects ? JSON.parse(rawProjects) : [];
+
+            projects.forEach(p => this.cacheProject(p));
+            lib.forEach(page => {
+                const projectId = page.meta?.project_id || 'default_project';
+                if (!this.pagesByProject[projectId]) this.pagesByProject[projectId] = [];
+                this.pagesByProject[projectId].push(page);
+            });
+
+            // Pre-project libraries come through as orphans and are adopted into default_project
+            const changed = this.upgradeCache();
+            if (this.projects.length === 0) this.cacheProject(MultiMapVault.defaultProject());
+            if (changed.projects.length || changed.pages.length || projects.length === 0) this.persist();
+        } catch (e) {
+            console.error("Local vault load error:", e);
+        }
+        this.loaded = true;
+    }
+
+    async load() { this.loadSync(); }
+
+    /** Snapshots share the 5MB budget with the pages, so only a few are kept here. */
+    snapshotRetention() { return LocalStorageVault.SNAPSHOT_RETENTION; }
+
+    /**
+     * Throws the browser's QuotaExceededError when the 5MB budget runs out. Snapshots
+     * give way first: the pages are written again after dropping them.
+     */
+    persist() {
+        const write = () => {
+            localStorage.setItem("mm_projects", JSON.stringify(this.projects));
+            localStorage.setItem("mm_constellation_lib", JSON.stringify(this.getAllPages()));
+        };
+        try {
+            write();
+        } catch (err) {
+            if (!LocalStorageVault.isQuotaError(err) || !this.dropSnapshots()) throw err;
+            console.warn("Local vault is full: version history was cleared to save the workspace.");
+            write();
+        }
+    }
+
+    static isQuotaError(err) {
+        return !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22);
+    }
+
+    /** Remove every stored snapshot list. Returns whether there was anything to remove. */
+    dropSnapshots() {
+        let dropped = false;
+        for (let i = localStorage.length - 1; i >= 0; i--) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith("mm_snapshots_")) { localStorage.removeItem(key); dropped = true; }
+        }
+        return dropped;
+    }
+
+    async saveProject(project) { this.cacheProject(project); this.persist(); }
+    async deleteProject(projectId) {
+        this.uncacheProject(projectId).forEach(p => localStorage.removeItem(this.snapshotKey(p.map_id)));
+        this.persist();
+    }
+    async savePage(page) { this.cachePage(page); this.persist(); }
+    async deletePage(mapId) { this.uncachePage(mapId); this.persist(); await this.deleteSnapshots(mapId); }
+
+    snapshotKey(mapId) { return `mm_snapshots_${mapId}`; }
+
+    async listSnapshots(mapId) {
+        try { return JSON.parse(localStorage.getItem(this.snapshotKey(mapId))) || []; } catch (e) { return []; }
+    }
+
+    /**
+     * When the budget is short, older automatic snapshots of the page are dropped to make
+     * room; if that is not enough the snapshot is refused, never the pages.
+     */
+    async saveSnapshot(snapshot) {
+        let list = (await this.listSnapshots(snapshot.map_id)).filter(s => s.snapshot_id !== snapshot.snapshot_id);
+        list.push(snapshot);
+        for (;;) {
+            try {
+                localStorage.setItem(this.snapshotKey(snapshot.map_id), JSON.stringify(list));
+                return;
+            } catch (err) {
+                if (!LocalStorageVault.isQuotaError(err)) throw err;
+                const oldestAuto = list.filter(s => s.kind === 'auto' && s !== snapshot).sort((a, b) => a.created_at.localeCompare(b.created_at))[0];
+                if (!oldestAuto) throw new Error("Not enough browser storage left for another snapshot.");
+                list = list.filter(s => s !== oldestAuto);
+            }
+        }
+    }
+
+    async deleteSnapshot(mapId, snapshotId) {
+        const list = (await this.listSnapshots(mapId)).filter(s => s.snapshot_id !== snapshotId);
+        if (list.length === 0) localStorage.removeItem(this.snapshotKey(mapId));
+        else localStorage.setItem(this.snapshotKey(mapId), JSON.stringify(list));
+    }
+
+    async deleteSnapshots(mapId) { localStorage.removeItem(this.snapshotKey(mapId)); }
+
+    readSession() {
+        try {
+            const data = localStorage.getItem("mm_core_state");
+            return data ? { state: JSON.parse(data) } : null;
+        } catch (e) { return null; }
+    }
+
+    async loadSession() { return this.readSession(); }
+    async saveSession({ state }) { localStorage.setItem("mm_core_state", JSON.stringify(state)); }
+
+    /** Wipe the guest workspace (after it has been migrated elsewhere) and start a fresh default project. */
+    clear() {
+        localStorage.removeItem("mm_projects");
+        localStorage.removeItem("mm_constellation_lib");
+        localStorage.removeItem("mm_core_state");
+        for (let i = localStorage.length - 1; i >= 0; i--) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith("mm_snapshots_")) localStorage.removeItem(key);
+        }
+        this.loadSync();
+    }
+}
+
+/** Guest vault backed by IndexedDB: no 5MB ceiling, bounded only by the browser's origin quota. */
+class IndexedDBVault extends MultiMapVault {
+    static DB_NAME = 'multimap_vault';
+    static DB_VERSION = 2;
+    static FALLBACK_QUOTA = 500 * 1024 * 1024;
+
+    constructor() {
+        super({
+            id: 'indexeddb',
+            label: 'Browser Database',
+            icon: '🗄️',
+            description: 'IndexedDB on this device — large workspaces, no account needed',
+            requirement: 'Not supported by this browser'
+        });
+        this.db = null;
+        this.quota = null;
+    }
+
+    isAvailable() { return typeof indexedDB !== 'undefined'; }
+    storageLimit() { return this.quota || IndexedDBVault.FALLBACK_QUOTA; }
+    pageLimit() { return Infinity; }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(IndexedDBVault.DB_NAME, IndexedDBVault.DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains('projects')) db.createObjectStore('projects', { keyPath: 'project_id' });
+                if (!db.objectStoreNames.contains('pages')) db.createObjectStore('pages', { keyPath: 'map_id' });
+                if (!db.objectStoreNames.contains('session')) db.createObjectStore('session');
+                if (!db.objectStoreNames.contains('snapshots')) {
+                    db.createObjectStore('snapshots', { keyPath: 'snapshot_id' }).createIndex('map_id', 'map_id');
+                }
+            };
+            req.onsuccess = () => { this.db = req.result; resolve(this.db); };
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    /** Run `fn(stores)` inside one transaction; resolves with fn's result once the transaction commits. */
+    async transaction(storeNames, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]));
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+            result = fn(stores);
+        });
+    }
+
+    request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async load() {
+        const db = await this.open();
+        const tx = db.transaction(['projects', 'pages'], 'readonly');
+        const [projects, pages] = await Promise.all([
+            this.request(tx.objectStore('projects').getAll()),
+            this.request(tx.objectStore('pages').getAll())
+        ]);
+
+        this.reset();
+        projects.forEach(p => this.cacheProject(p));
+        pages.forEach(p => this.cachePage(p));
+        await this.upgrade();
+
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            try { this.quota = (await navigator.storage.estimate()).quota || null; } catch (e) { }
+        }
+        this.loaded = true;
+    }
+
+    async saveProject(project) {
+        this.cacheProject(project);
+        await this.transaction(['projects'], 'readwrite', s => s.projects.put(project));
+    }
+
+    async deleteProject(projectId) {
+        const pages = this.uncacheProject(projectId);
+        await this.transaction(['projects', 'pages'], 'readwrite', s => {
+            pages.forEach(p => s.pages.delete(p.map_id));
+            s.projects.delete(projectId);
+        });
+        for (const p of pages) await this.deleteSnapshots(p.map_id);
+    }
+
+    async savePage(page) {
+        this.cachePage(page);
+        await this.transaction(['pages'], 'readwrite', s => s.pages.put(page));
+    }
+
+    async deletePage(mapId) {
+        this.uncachePage(mapId);
+        await this.transaction(['pages'], 'readwrite', s => s.pages.delete(mapId));
+        await this.deleteSnapshots(mapId);
+    }
+
+    async saveSession(session) {
+        await this.transaction(['session'], 'readwrite', s => s.session.put(session, 'active'));
+    }
+
+    async loadSession() {
+        const db = await this.open();
+        const session = await this.request(db.transaction(['session'], 'readonly').objectStore('session').get('active'));
+        return session || null;
+    }
+
+    async listSnapshots(mapId) {
+        const db = await this.open();
+        return this.request(db.transaction(['snapshots'], 'readonly').objectStore('snapshots').index('map_id').getAll(mapId));
+    }
+
+    async saveSnapshot(snapshot) {
+        await this.transaction(['snapshots'], 'readwrite', s => s.snapshots.put(snapshot));
+    }
+
+    async deleteSnapshot(mapId, snapshotId) {
+        await this.transaction(['snapshots'], 'readwrite', s => s.snapshots.delete(snapshotId));
+    }
+
+    async deleteSnapshots(mapId) {
+        const snapshots = await this.listSnapshots(mapId);
+        if (snapshots.length === 0) return;
+        await this.transaction(['snapshots'], 'readwrite', s => snapshots.forEach(snap => s.snapshots.delete(snap.snapshot_id)));
+    }
+}
+
+/** Signed-in cloud vault: users/{uid}/projects/{pid}/pages/{mapId} + users/{uid}/sessions/active. */
+class FirebaseVault extends MultiMapVault {
+    constructor() {
+        super({
+            id: 'firebase',
+            label: 'Firebase (Cloud)',
+            icon: '☁️',
+            description: 'Cloud-synchronized vault tied to your account',
+            requirement: 'Requires full account sign-in',
+            saveStatus: 'cloud'
+        });
+    }
+
+    isAvailable() {
+        return !!(window.FirebaseAuth && window.FirebaseAuth.currentUser && !window.FirebaseAuth.currentUser.isAnonymous);
+    }
+
+    get uid() { return window.FirebaseAuth.currentUser.uid; }
+    ref(...path) { return window.Firestore.doc(window.FirebaseDb, "users", this.uid, ...path); }
+
+    async load() {
+        const projectsSnapshot = await window.Firestore.getDocs(window.Firestore.collection(window.FirebaseDb, "users", this.uid, "projects"));
+        this.reset();
+        projectsSnapshot.forEach(doc => this.cacheProject(doc.data()));
+
+        await Promise.all(this.projects.map(async (proj) => {
+            const pagesCol = window.Firestore.collection(window.FirebaseDb, "users", this.uid, "projects", proj.project_id, "pages");
+            const pagesSnapshot = await window.Firestore.getDocs(pagesCol);
+            const pages = [];
+            pagesSnapshot.forEach(doc => pages.push(doc.data()));
+            this.pagesByProject[proj.project_id] = pages;
+        }));
+
+        // Pre-project flat maps (users/{uid}/maps) are cached as orphans so upgrade() files them
+        // under the default project; the old documents go once the new copies are written
+        const legacyIds = await this.loadLegacyMaps();
+        await this.upgrade();
+        for (const mapId of legacyIds) await window.Firestore.deleteDoc(this.ref("maps", mapId));
+        this.loaded = true;
+    }
+
+    async loadLegacyMaps() {
+        const mapsSnapshot = await window.Firestore.getDocs(window.Firestore.collection(window.FirebaseDb, "users", this.uid, "maps"));
+        const ids = [];
+        mapsSnapshot.forEach(doc => {
+            const map = doc.data();
+            if (!map.map_id) map.map_id = doc.id;
+            if (map.meta) delete map.meta.project_id;
+            this.cachePage(map);
+            ids.push(doc.id);
+        });
+        if (ids.length) console.log(`Found ${ids.length} legacy flat maps to migrate into projects...`);
+        return ids;
+    }
+
+    async saveProject(project) {
+        this.cacheProject(project);
+        await window.Firestore.setDoc(this.ref("projects", project.project_id), project);
+    }
+
+    async deleteProject(projectId) {
+        const pages = this.uncacheProject(projectId);
+        for (const p of pages) {
+            await window.Firestore.deleteDoc(this.ref("projects", projectId, "pages", p.map_id));
+            await this.deleteSnapshots(p.map_id);
+        }
+        await window.Firestore.deleteDoc(this.ref("projects", projectId));
+    }
+
+    async savePage(page) {
+        const previousProjectId = this.cachePage(page);
+        const projectId = page.meta?.project_id || 'default_project';
+        await window.Firestore.setDoc(this.ref("projects", projectId, "pages", page.map_id), page);
+        // Pages live under their project's document, so a move leaves a stale copy behind
+        if (previousProjectId && previousProjectId !== projectId) {
+            await window.Firestore.deleteDoc(this.ref("projects", previousProjectId, "pages", page.map_id));
+        }
+    }
+
+    async deletePage(mapId) {
+        const projectId = this.uncachePage(mapId);
+        if (projectId) await window.Firestore.deleteDoc(this.ref("projects", projectId, "pages", mapId));
+        await this.deleteSnapshots(mapId);
+    }
+
+    /** Cloud autosave writes the live page as well as the session pointer. */
+    async saveSession({ state, activeProjectId, activeMapId, portalHistory = [] }) {
+        const writes = [window.Firestore.setDoc(this.ref("sessions", "active"), { activeProjectId, activeMapId, portalHistory })];
+        if (state && state.map_id) writes.push(this.savePage(state));
+        await Promise.all(writes);
+    }
+
+    async loadSession() {
+        const sessionSnap = await window.Firestore.getDoc(this.ref("sessions", "active"));
+        return sessionSnap.exists() ? sessionSnap.data() : null;
+    }
+
+    /** Snapshots are keyed by page rather than project so they survive page moves. */
+    async listSnapshots(mapId) {
+        const snapshot = await window.Firestore.getDocs(window.Firestore.collection(window.FirebaseDb, "users", this.uid, "snapshots", mapId, "entries"));
+        const list = [];
+        snapshot.forEach(doc => list.push(doc.data()));
+        return list;
+    }
+
+    async saveSnapshot(snapshot) {
+        await window.Firestore.setDoc(this.ref("snapshots", snapshot.map_id, "entries", snapshot.snapshot_id), snapshot);
+    }
+
+    async deleteSnapshot(mapId, snapshotId) {
+        await window.Firestore.deleteDoc(this.ref("snapshots", mapId, "entries", snapshotId));
+    }
+
+    async deleteSnapshots(mapId) {
+        for (const snap of await this.listSnapshots(mapId)) {
+            await this.deleteSnapshot(mapId, snap.snapshot_id);
+        }
+    }
+}
+
+const MultiMapVaults = {
+    adapters: new Map(),
+
+    register(vault) {
+        this.adapters.set(vault.id, vault);
+        return vault;
+    },
+
+    get(id) { return this.adapters.get(id) || null; },
+    list() { return Array.from(this.adapters.values()); }
+};
+
+MultiMapVaults.register(new FirebaseVault());
+MultiMapVaults.register(new IndexedDBVault());
+MultiMapVaults.register(new LocalStorageVault());
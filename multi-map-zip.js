@@ -0,0 +1,143 @@
+/**
+ * Multi-Map ZIP v14.11
+ * Features: Dependency-free ZIP Writer (stored entries, CRC-32, UTF-8 names) for multi-file exports, ZIP Reader for imports.
+ *
+ *   const bytes = MultiMapZip.create([
+ *       { name: 'roadmap.md', data: '# Roadmap' },          // strings are written as UTF-8
+ *       { name: 'assets/logo.png', data: uint8Array }
+ *   ]);
+ *   new Blob([bytes], { type: 'application/zip' });
+ *
+ *   const files = await MultiMapZip.read(bytes, name => name.endsWith('.json'));  // -> [{ name, data: Uint8Array }]
+ *
+ * Entries are stored uncompressed: exports are small text files, and every unzip tool
+ * reads stored entries, so a deflate implementation is not worth carrying. Reading
+ * inflates through the platform's DecompressionStream (current browsers, Node 18+).
+ */
+
+const MultiMapZip = {
+    crcTable: null,
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /** DOS time and date fields for `date`. */
+    dosTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    },
+
+    /** The archive bytes for `files` ([{ name, data }]); later entries win on duplicate names. */
+    create(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const byName = new Map();
+        files.forEach(f => byName.set(String(f.name).replace(/^\/+/, ''), f.data));
+        const { time, date: day } = this.dosTime(date);
+
+        const locals = [], centrals = [];
+        let offset = 0;
+        byName.forEach((data, name) => {
+            const nameBytes = encoder.encode(name);
+            const body = typeof data === 'string' ? encoder.encode(data) : data;
+            const crc = this.crc32(body);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);        // version needed
+            local.setUint16(6, 0x0800, true);    // names are UTF-8
+            local.setUint16(8, 0, true);         // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, body.length, true);
+            local.setUint32(22, body.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            locals.push(new Uint8Array(local.buffer), nameBytes, body);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);      // version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, day, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, body.length, true);
+            central.setUint32(24, body.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+            centrals.push(new Uint8Array(central.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + body.length;
+        });
+
+        const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, byName.size, true);
+        end.setUint16(10, byName.size, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+        const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let at = 0;
+        parts.forEach(part => { out.set(part, at); at += part.length; });
+        return out;
+    },
+
+    /** Entries of an archive whose names pass `wanted`, as [{ name, data }]. Folders and unknown methods are skipped. */
+    async read(bytes, wanted = () => true) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let end = -1; // the end-of-directory record sits before an optional trailing comment
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) { end = i; break; }
+        }
+        if (end < 0) throw new Error("Not a ZIP archive.");
+
+        const decoder = new TextDecoder();
+        const count = view.getUint16(end + 10, true);
+        const files = [];
+        let at = view.getUint32(end + 16, true);
+        for (let n = 0; n < count; n++) {
+            if (view.getUint32(at, true) !== 0x02014B50) throw new Error("The ZIP directory is damaged.");
+            const method = view.getUint16(at + 10, true);
+            const size = view.getUint32(at + 20, true);
+            const nameLength = view.getUint16(at + 28, true);
+            const offset = view.getUint32(at + 42, true);
+            const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+            at += 46 + nameLength + view.getUint16(at + 30, true) + view.getUint16(at + 32, true);
+            if (name.endsWith('/') || !wanted(name)) continue;
+
+            const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+            const raw = bytes.subarray(start, start + size);
+            if (method === 0) files.push({ name, data: raw });
+            else if (method === 8) files.push({ name, data: await this.inflate(raw) });
+        }
+        return files;
+    },
+
+    async inflate(raw) {
+        if (typeof DecompressionStream === 'undefined') throw new Error("This browser cannot unpack compressed ZIP entries.");
+        const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiMapZip;
+}
@@ -12,6 +12,7 @@ class MultiMapAI {
         this.chatHistory = [];
         this.pendingMapData = null; // Holds the generated JSON until assigned
         this.pendingProjectData = null; // Holds the generated project JSON
+        this.pendingMapReviewed = false; // Set once the pending map has passed the import review
         this.env = {};
         this.envLoaded = false;
 
@@ -163,7 +164,8 @@ class MultiMapAI {
             { key: '/edit', label: 'Edit Map', desc: 'Modify or extend the current map' },
             { key: '/refine', label: 'Refine Selected', desc: 'Modify selected node(s)/subgraph' },
             { key: '/explain', label: 'Explain Map', desc: 'Narrate what this map represents' },
-            { key: '/project', label: 'Generate Project', desc: 'Generate a multi-page project' }
+            { key: '/project', label: 'Generate Project', desc: 'Generate a multi-page project' },
+            { key: '/query', label: 'Graph Query', desc: 'Highlight nodes matching a query or saved query' }
         ];
 
         const input = document.getElementById('ai-input');
@@ -489,6 +491,33 @@ class MultiMapAI {
     tryExecuteLocalCommand(text) {
         if (!this.kernel) return false;
 
+        // 0. Graph query: "[query] type = note and depth > 3", or the name of a saved query
+        const queryMatch = text.match(/^\s*(?:\[query\]|\/query)\s*(.*)$/i);
+        if (queryMatch) {
+            let query = queryMatch[1].trim();
+            const saved = this.kernel.getSavedQueries();
+            if (!query) {
+                this.addMessage('system', saved.length
+                    ? `Saved queries in this project:\n${saved.map(q => `• <strong>${window.SC.escapeHTML(q.name)}</strong>: <code>${window.SC.escapeHTML(q.query)}</code>`).join('\n')}`
+                    : `Write a query after /query, e.g. <code>type = web-image and not has content.src</code>.`);
+                return true;
+            }
+            const named = saved.find(q => q.name.toLowerCase() === query.toLowerCase());
+            if (named) query = named.query;
+            try {
+                const result = window.SC.actionRunQuery(query);
+                const names = result.nodes.slice(0, 10).map(n => `<strong>${window.SC.escapeHTML(n.title || n.id)}</strong>`).join(', ');
+                const more = result.nodes.length > 10 ? ` and ${result.nodes.length - 10} more` : '';
+                const actionHtml = `<div class="mt-2"><button onclick="window.SC.actionOpenQueryPanel()" class="px-2 py-1 bg-indigo-600 hover:bg-indigo-500 text-white rounded text-[10px] font-bold">Open in Query Panel</button></div>`;
+                this.addMessage('system', result.nodes.length
+                    ? `Query matched ${result.nodes.length} node${result.nodes.length === 1 ? '' : 's'} (highlighted on the map): ${names}${more}.`
+                    : `Query matched no nodes on this page.`, actionHtml);
+            } catch (e) {
+                this.addMessage('system', `Query error: ${window.SC.escapeHTML(e.message)}`);
+            }
+            return true;
+        }
+
         // 1. View switching
         const viewMatch = text.match(/^\s*(?:show|view|switch\s+to|go\s+to)\s+(map|web|orbital|prompt|agent|person)\s*$/i);
         if (viewMatch) {
@@ -626,12 +655,9 @@ class MultiMapAI {
         if (addMatch) {
             let type = addMatch[1];
             let title = addMatch[2].trim();
-            const knownTypes = ['root', 'hub', 'note', 'portal', 'smart-portal', 'logic-gate',
-                                'web-root', 'web-nav', 'web-hero', 'web-section', 'web-card',
-                                'web-link', 'web-button', 'web-text', 'web-image', 'web-video',
-                                'web-form', 'web-input', 'web-grid', 'web-list', 'web-modal',
-                                'web-carousel', 'person-root', 'person-profile', 'person-credentials',
-                                'person-notes'];
+            // The live schema includes the project's custom types
+            const knownTypes = [...(typeof MultiMapSchema !== 'undefined' ? Object.keys(MultiMapSchema.definitions) : ['root', 'hub', 'note', 'portal', 'smart-portal', 'logic-gate']),
+                                'person-profile', 'person-credentials', 'person-notes'];
             if (!type || !knownTypes.includes(type.toLowerCase())) {
                 title = (type ? type + ' ' : '') + title;
                 type = null;
@@ -660,10 +686,13 @@ class MultiMapAI {
                 }
             }
 
-            const child = this.kernel.addNode({ title: title, type: type }, pid);
-            if (pid) {
-                this.kernel.addConnection(pid, child.id);
-            }
+            const child = this.kernel.transact(`Add ${type}`, () => {
+                const node = this.kernel.addNode({ title: title, type: type }, pid);
+                if (pid) {
+                    this.kernel.addConnection(pid, node.id);
+                }
+                return node;
+            });
             window.SC.render();
             
             let msg = `Created node <strong>${title}</strong> of type <strong>${type}</strong>`;
@@ -758,6 +787,7 @@ class MultiMapAI {
                 // Legacy Map Generation Mode
                 aiData.map_id = "ai_" + this.kernel.generateId();
                 this.pendingMapData = aiData;
+                this.pendingMapReviewed = false;
 
                 const actionHtml = `
                     <div class="mt-3 flex flex-col gap-2 border-t border-indigo-500/30 pt-3">
@@ -794,16 +824,28 @@ class MultiMapAI {
 
                 // Apply Edits if they exist
                 if (aiData.edits && Array.isArray(aiData.edits)) {
-                    for (const edit of aiData.edits) {
+                    // Node edits undo as one step. Page actions await storage and may switch
+                    // the open page, so they run afterwards, outside the journaled operation.
+                    const nodeActions = ['update', 'add', 'delete'];
+                    this.kernel.transact("AI edits", () => {
+                        aiData.edits.filter(edit => nodeActions.includes(edit.action)).forEach(edit => {
+                            try {
+                                if (edit.action === 'update' && edit.nodeId) {
+                                    this.kernel.updateNode(edit.nodeId, edit.data);
+                                } else if (edit.action === 'add' && edit.parentId) {
+                                    const newNode = this.kernel.addNode(edit.data, edit.parentId);
+                                    this.kernel.addConnection(edit.parentId, newNode.id);
+                                } else if (edit.action === 'delete' && edit.nodeId) {
+                                    this.kernel.deleteNode(edit.nodeId);
+                                }
+                            } catch (err) {
+                                console.error("Failed to apply edit:", edit, err);
+                            }
+                        });
+                    });
+                    for (const edit of aiData.edits.filter(edit => !nodeActions.includes(edit.action))) {
                         try {
-                            if (edit.action === 'update' && edit.nodeId) {
-                                this.kernel.updateNode(edit.nodeId, edit.data);
-                            } else if (edit.action === 'add' && edit.parentId) {
-                                const newNode = this.kernel.addNode(edit.data, edit.parentId);
-                                this.kernel.addConnection(edit.parentId, newNode.id);
-                            } else if (edit.action === 'delete' && edit.nodeId) {
-                                this.kernel.deleteNode(edit.nodeId);
-                            } else if (edit.action === 'project-update' && edit.projectId) {
+                            if (edit.action === 'project-update' && edit.projectId) {
                                 await this.kernel.renameProject(edit.projectId, edit.data.title, edit.data.description, edit.data.icon, edit.data.color);
                             } else if (edit.action === 'page-add' && edit.projectId) {
                                 await this.kernel.createPage(edit.projectId, edit.data.title, edit.data.type || 'generic');
@@ -862,14 +904,33 @@ class MultiMapAI {
 
     // --- Actions Triggered by Chat Buttons ---
 
-    initiateTargetedImport() {
-        if (!this.pendingMapData) return;
+    /**
+     * Run the pending AI map through the import review the first time it is deployed.
+     * Resolves false when there is nothing to deploy or the user cancels.
+     */
+    async reviewPendingMap() {
+        if (!this.pendingMapData) return false;
+        if (this.pendingMapReviewed) return true;
+
+        const reviewed = await this.sandbox.reviewImport(this.pendingMapData, { source: 'AI Generated Map' });
+        if (!reviewed) {
+            this.addMessage('system', 'Import cancelled. The generated map was discarded.');
+            this.pendingMapData = null;
+            return false;
+        }
+        this.pendingMapData = reviewed;
+        this.pendingMapReviewed = true;
+        return true;
+    }
+
+    async initiateTargetedImport() {
+        if (!await this.reviewPendingMap()) return;
         this.sandbox.enterAiImportMode(this.pendingMapData);
         this.toggleChat(); // Hide chat to focus on selection
     }
 
     async injectIntoNewSmartPortal() {
-        if (!this.pendingMapData) return;
+        if (!await this.reviewPendingMap()) return;
 
         let parentId = this.kernel.state.session.selectedId;
         if (!parentId && this.kernel.state.nodes.length > 0) {
@@ -902,7 +963,7 @@ class MultiMapAI {
     }
 
     async actionExpandSelected() {
-        if (!this.pendingMapData) return;
+        if (!await this.reviewPendingMap()) return;
         const parentId = this.kernel.state.session.selectedId;
         if (!parentId) {
             alert("No node selected to expand!");
@@ -924,8 +985,8 @@ class MultiMapAI {
         this.toggleChat();
     }
 
-    actionUpdateSelected() {
-        if (!this.pendingMapData) return;
+    async actionUpdateSelected() {
+        if (!await this.reviewPendingMap()) return;
         const targetId = this.kernel.state.session.selectedId;
         if (!targetId) {
             alert("No node selected to update!");
@@ -977,8 +1038,8 @@ class MultiMapAI {
         this.toggleChat();
     }
 
-    loadAsNewSession() {
-        if (!this.pendingMapData) return;
+    async loadAsNewSession() {
+        if (!await this.reviewPendingMap()) return;
 
         // Save current to library
         this.sandbox.actionSaveCurrentToLibrary();
@@ -1014,6 +1075,7 @@ class MultiMapAI {
             `All Workspace Projects:\n` +
             projects.map(p => `  - [Project ID: ${p.project_id}] "${p.meta?.title || "Untitled"}" (${(p.page_ids || []).length} pages)`).join("\n") +
             "\n---------------------------\n";
+        ctx += this.buildOntologyString();
 
         const selectedId = this.kernel.state.session.selectedId;
         if (!selectedId) {
@@ -1067,6 +1129,27 @@ class MultiMapAI {
         return ctx;
     }
 
+    /** The node types the current map accepts, so generated nodes stay inside the project's ontology. */
+    buildOntologyString() {
+        if (typeof MultiMapSchema === 'undefined') return "";
+        const mapType = this.kernel.state.meta && this.kernel.state.meta.type ? this.kernel.state.meta.type : 'generic';
+        const palette = MultiMapSchema.mapTypes[mapType] ? MultiMapSchema.mapTypes[mapType].allowedNodes : Object.keys(MultiMapSchema.definitions);
+        const custom = Object.keys(MultiMapSchema.definitions).filter(t => MultiMapSchema.definitions[t].custom);
+
+        let ctx = "--- ONTOLOGY ---\n" +
+            `Map Type: ${mapType}\n` +
+            `Allowed Node Types: ${palette.join(', ')}\n`;
+        if (custom.length > 0) {
+            ctx += "Custom Types (defined by this project):\n" + custom.map(t => {
+                const def = MultiMapSchema.definitions[t];
+                const rule = MultiMapSchema.rules[t] || { allowed: [] };
+                const children = rule.allowed.length ? `${rule.strict ? 'only ' : ''}${rule.allowed.join(', ')}` : 'any';
+                return `  - ${t} "${def.label}": ${def.description} (children: ${children}; default child: ${MultiMapSchema.getDefaultChild(t)})`;
+            }).join("\n") + "\n";
+        }
+        return ctx + "---------------------------\n";
+    }
+
     // --- AI Generation Handlers ---
 
     async mockAIGeneration(prompt, mode) {
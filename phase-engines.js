@@ -35,6 +35,9 @@ class PhaseRegistrySystem {
                 } else if (type === 'UPDATE_NODE' && id && event.data.data) {
                     window.SC.kernel.updateNode(id, event.data.data);
                     window.SC.render();
+                } else if (type === 'UPDATE_FIELD' && id && event.data.key) {
+                    window.SC.actionUpdateNodeField(id, event.data.key, event.data.value);
+                    window.SC.render();
                 } else if (type === 'ACTION' && event.data.action) {
                     const action = event.data.action;
                     if (action === 'LINK' && id) window.SC.actionLink(id);
@@ -43,6 +46,10 @@ class PhaseRegistrySystem {
                     else if (action === 'DELETE' && id) window.SC.actionDelete(id);
                     else if (action === 'ENTER_PORTAL' && id) window.SC.actionEnterPortal(id);
                     else if (action === 'TRIGGER_AI' && id) window.SC.actionTriggerAI(id);
+                    else if (action === 'BULK' && event.data.data) window.SC.actionBulk(event.data.data);
+                    else if (action === 'OPEN_BACKLINK' && event.data.data) {
+                        window.SC.actionOpenBacklink(event.data.data.mapId, event.data.data.nodeId);
+                    }
                     else if (action === 'APPLY_TEMPLATE' && id && event.data.data) {
                         window.SC.actionApplyTemplateToNode(id, event.data.data);
                     }
@@ -81,7 +88,8 @@ class IframePhaseEngine extends PhaseEngineBase {
                 sessionClone.schemaData = {
                     definitions: MultiMapSchema.definitions,
                     rules: MultiMapSchema.rules,
-                    mapTypes: MultiMapSchema.mapTypes
+                    mapTypes: MultiMapSchema.mapTypes,
+                    fields: MultiMapSchema.fieldSchemas
                 };
             }
             sessionClone.library = this.kernel.getLibrary();
@@ -89,6 +97,10 @@ class IframePhaseEngine extends PhaseEngineBase {
             sessionClone.linkingSourceId = this.kernel.linkingSourceId;
             sessionClone.activeProjectId = this.kernel.activeProjectId;
             sessionClone.projects = this.kernel.getProjects();
+            if (this.id === 'inspector' && state.session.selectedId) {
+                sessionClone.backlinks = this.kernel.getBacklinks(state.map_id, state.session.selectedId);
+                sessionClone.fieldErrors = this.kernel.validateNodeFields(state.nodes.find(n => n.id === state.session.selectedId));
+            }
             
             stateClone = Object.assign({}, state, { session: sessionClone });
         }
@@ -173,6 +185,7 @@ class DataPhaseEngine extends PhaseEngineBase {
             
             const activeProj = projects.find(p => p.project_id === activeProjId) || projects[0] || { meta: { title: "My Project" } };
             const activeProjTitle = activeProj.meta?.title || "My Project";
+            const bridge = this.kernel.bridge;
         
         container.innerHTML = `
             <div class="w-full flex flex-col gap-4 pb-10">
@@ -188,7 +201,7 @@ class DataPhaseEngine extends PhaseEngineBase {
                             const mbUsage = (usage / 1024 / 1024).toFixed(2);
                             const mbLimit = (limit / 1024 / 1024).toFixed(1);
                             const isWarning = percent >= 80;
-                            const activeVault = this.kernel.isUsingCloudVault() ? 'firebase' : 'local';
+                            const vault = this.kernel.vault;
                             
                             return `
                             <div class="bg-slate-900 border border-slate-800 rounded-2xl shadow-xl overflow-hidden p-4 flex flex-col gap-3 shrink-0">
@@ -201,7 +214,7 @@ class DataPhaseEngine extends PhaseEngineBase {
                                                 onclick="SC.showVaultSelectorDropdown(event)"
                                                 class="bg-slate-950 hover:bg-slate-800 text-[10px] text-slate-300 px-3 py-1.5 rounded-lg border border-slate-700 font-medium flex items-center gap-1.5 transition-colors cursor-pointer"
                                             >
-                                                <span>Target: ${activeVault === 'firebase' ? 'Firebase (Cloud) ☁️' : 'Local Browser (Legacy) 📁'}</span>
+                                                <span>Target: ${vault.label} ${vault.icon}</span>
                                                 <span class="text-[8px] opacity-60">▼</span>
                                             </button>
                                         </div>
@@ -215,7 +228,7 @@ class DataPhaseEngine extends PhaseEngineBase {
                                 
                                 ${isWarning ? `
                                 <div class="mt-1 p-2 bg-rose-950/40 border border-rose-900/50 rounded-lg text-rose-300 text-[9px] flex flex-col gap-1.5">
-                                    <p><strong>Warning:</strong> ${tier === 'guest' ? 'Local guest storage' : 'Cloud workspace'} is almost full.</p>
+                                    <p><strong>Warning:</strong> ${tier === 'guest' ? `${vault.label} guest storage` : 'Cloud workspace'} is almost full.</p>
                                     <div class="flex gap-1.5 mt-0.5">
                                         ${tier === 'guest' ? `<button onclick="alert('Sign up coming soon!')" class="flex-1 bg-sky-600 hover:bg-sky-500 py-1 rounded transition-colors text-white font-bold">Free Account</button>` : ''}
                                         <button onclick="alert('Bring Your Own Storage coming in Phase 2!')" class="flex-1 bg-rose-900/60 hover:bg-rose-800 py-1 rounded transition-colors text-white">BYOS Options</button>
@@ -225,7 +238,7 @@ class DataPhaseEngine extends PhaseEngineBase {
                                 <div class="text-[9px] text-slate-500 flex justify-between px-1">
                                     <span>Sync Status:</span>
                                     <span class="font-bold flex items-center gap-1" id="save-status">
-                                        ${this.kernel.isUsingCloudVault() ? '<span class="w-1.5 h-1.5 rounded-full bg-emerald-500"></span> Cloud' : '<span class="w-1.5 h-1.5 rounded-full bg-emerald-500"></span> Local'}
+                                        ${vault.saveStatus === 'cloud' ? '<span class="w-1.5 h-1.5 rounded-full bg-emerald-500"></span> Cloud' : '<span class="w-1.5 h-1.5 rounded-full bg-emerald-500"></span> Local'}
                                     </span>
                                 </div>
                                 `}
@@ -365,6 +378,9 @@ class DataPhaseEngine extends PhaseEngineBase {
                                             <input type="file" accept=".json" class="hidden" onchange="SC.actionUploadProjectOrPageFile(event)">
                                         </label>
                                     </div>
+                                    <button onclick="SC.actionOpenIntegrityCheck()" class="w-full py-2 bg-slate-850 hover:bg-sky-600/30 text-sky-400 hover:text-sky-300 text-[10px] font-bold rounded-lg transition-all border border-slate-700/60" title="Scan every project and page for broken portals, dangling edges and other problems">
+                                        🩺 Check Workspace Integrity
+                                    </button>
                                 </div>
                                 
                             </div>
@@ -443,22 +459,42 @@ class DataPhaseEngine extends PhaseEngineBase {
                             </div>
                             ${this.ui.api ? `
                             <div class="p-5 border-t border-slate-800 flex flex-col gap-4">
-                                <p class="text-[11px] text-slate-400">Your session history. Manage your saved map sessions locally. (Cloud sync coming soon)</p>
+                                <p class="text-[11px] text-slate-400">Push pages and projects to a REST host and pull remote edits back. Revisions are tracked per page so concurrent edits surface as conflicts.</p>
+                                <div class="flex items-center justify-between bg-slate-950 border border-slate-800 rounded-lg px-3 py-2">
+                                    <div class="flex items-center gap-2 text-[11px] font-bold ${bridge.isConnected ? 'text-emerald-400' : 'text-rose-400'}">
+                                        <span class="w-2 h-2 rounded-full ${bridge.isConnected ? 'bg-emerald-500' : 'bg-red-500'}"></span>
+                                        ${bridge.isConnected ? 'Host Online' : 'Host Offline'}
+                                    </div>
+                                    <div class="text-[10px] text-slate-500 text-right">
+                                        ${bridge.lastChecked ? `Checked ${new Date(bridge.lastChecked).toLocaleTimeString()}` : 'Not checked yet'}
+                                        ${bridge.lastSyncedAt ? `<br>Synced ${new Date(bridge.lastSyncedAt).toLocaleTimeString()}` : ''}
+                                    </div>
+                                </div>
+                                ${!bridge.isConnected && bridge.lastError ? `<p class="text-[10px] text-rose-400/80 -mt-2">${this.escapeHTML(bridge.lastError)}</p>` : ''}
+                                <div class="text-[10px] text-slate-500">Active page: rev ${state.meta?.revision || 0}${state.meta?.revision && typeof HostBridge !== 'undefined' && HostBridge.isDirty(state) ? ' · <span class="text-amber-400">unsynced changes</span>' : ''}</div>
                                 <div class="flex flex-col gap-1">
                                     <label class="text-[10px] text-slate-500 font-bold uppercase">Push Endpoint</label>
                                     <div class="flex gap-2">
-                                        <input type="text" id="api-push-url" value="${this.kernel.bridge.pushUrl}" class="flex-1 bg-slate-950 border border-slate-700 rounded px-3 py-2 text-sm text-slate-300 outline-none focus:border-sky-500 transition-colors">
-                                        <button onclick="SC.actionPushApi()" class="px-4 py-2 bg-slate-800 hover:bg-sky-600 hover:text-white transition-colors text-xs font-bold rounded shadow border border-slate-700">Push</button>
+                                        <input type="text" id="api-push-url" value="${bridge.pushUrl}" class="flex-1 bg-slate-950 border border-slate-700 rounded px-3 py-2 text-sm text-slate-300 outline-none focus:border-sky-500 transition-colors">
+                                        <button onclick="SC.actionPushApi('page')" class="px-4 py-2 bg-slate-800 hover:bg-sky-600 hover:text-white transition-colors text-xs font-bold rounded shadow border border-slate-700">Page</button>
+                                        <button onclick="SC.actionPushApi('project')" class="px-4 py-2 bg-slate-800 hover:bg-sky-600 hover:text-white transition-colors text-xs font-bold rounded shadow border border-slate-700">Project</button>
                                     </div>
                                 </div>
                                 <div class="flex flex-col gap-1 mt-2">
                                     <label class="text-[10px] text-slate-500 font-bold uppercase">Pull Endpoint</label>
                                     <div class="flex gap-2">
-                                        <input type="text" id="api-pull-url" value="${this.kernel.bridge.pullUrl}" class="flex-1 bg-slate-950 border border-slate-700 rounded px-3 py-2 text-sm text-slate-300 outline-none focus:border-sky-500 transition-colors">
+                                        <input type="text" id="api-pull-url" value="${bridge.pullUrl}" class="flex-1 bg-slate-950 border border-slate-700 rounded px-3 py-2 text-sm text-slate-300 outline-none focus:border-sky-500 transition-colors">
                                         <button onclick="SC.actionPullApi()" class="px-4 py-2 bg-slate-800 hover:bg-sky-600 hover:text-white transition-colors text-xs font-bold rounded shadow border border-slate-700">Pull</button>
                                     </div>
                                 </div>
-                                <button onclick="SC.actionSaveEndpoints()" class="w-full mt-4 py-2 bg-slate-800 hover:bg-slate-700 text-white text-xs font-bold rounded shadow border border-slate-700 transition-all">Save Endpoints</button>
+                                <label class="flex items-center gap-2 text-[11px] text-slate-400 cursor-pointer select-none">
+                                    <input type="checkbox" id="api-auto-sync" ${bridge.autoSync ? 'checked' : ''} class="accent-sky-500">
+                                    Auto-push the active page while connected
+                                </label>
+                                <div class="flex gap-2 mt-2">
+                                    <button onclick="SC.actionTestHostConnection()" class="flex-1 py-2 bg-slate-800 hover:bg-slate-700 text-slate-300 text-xs font-bold rounded shadow border border-slate-700 transition-all">Test Connection</button>
+                                    <button onclick="SC.actionSaveEndpoints()" class="flex-1 py-2 bg-slate-800 hover:bg-slate-700 text-white text-xs font-bold rounded shadow border border-slate-700 transition-all">Save Endpoints</button>
+                                </div>
                             </div>
                             ` : ''}
                         </div>
@@ -488,6 +524,41 @@ class DataPhaseEngine extends PhaseEngineBase {
                                     </label>
                                 </div>
 
+                                <div class="flex gap-2">
+                                    ${Object.entries(MultiMapOutline.formats).map(([format, def]) => `
+                                        <button onclick="SC.actionExportOutline('${format}')" class="flex-1 py-2 bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 hover:text-white text-[10px] font-black uppercase tracking-widest rounded-lg transition-colors flex justify-center items-center gap-1.5" title="The page as ${def.label} (.${def.extension}); pages behind its portals come along in a zip">
+                                            📝 <span>${def.label}</span>
+                                        </button>
+                                    `).join('')}
+                                </div>
+                                <label class="w-full py-2 bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 hover:text-white text-[10px] font-black uppercase tracking-widest rounded-lg transition-colors cursor-pointer flex justify-center items-center gap-2" title="Build a page from Markdown, OPML, FreeMind (.mm), XMind or a Mermaid flowchart (.mmd)">
+                                    📄 <span>Import Outline / Mind Map</span>
+                                    <input type="file" accept=".md,.markdown,.txt,.opml,.xml,.mm,.xmind,.json,.mmd,.mermaid" class="hidden" onchange="SC.actionImportOutlineFile(event)">
+                                </label>
+                                <button onclick="SC.actionPasteOutline()" class="w-full py-2 bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 hover:text-white text-[10px] font-black uppercase tracking-widest rounded-lg transition-colors flex justify-center items-center gap-2" title="Add a Markdown outline under the selected node (Ctrl+V on the canvas works too)">
+                                    🧾 <span>Paste Outline Under Selection</span>
+                                </button>
+
+                                <div class="flex gap-2">
+                                    <button onclick="SC.actionExportDiagram('flowchart')" class="flex-1 py-2 bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 hover:text-white text-[10px] font-black uppercase tracking-widest rounded-lg transition-colors flex justify-center items-center gap-1.5" title="The page as a Mermaid flowchart or mindmap, or Graphviz DOT">
+                                        🧜 <span>Diagram</span>
+                                    </button>
+                                    <button onclick="SC.actionExportImage()" class="flex-1 py-2 bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 hover:text-white text-[10px] font-black uppercase tracking-widest rounded-lg transition-colors flex justify-center items-center gap-1.5" title="The whole page or the current view as SVG or PNG">
+                                        🖼️ <span>Image</span>
+                                    </button>
+                                    <button onclick="SC.actionImportMermaid()" class="flex-1 py-2 bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 hover:text-white text-[10px] font-black uppercase tracking-widest rounded-lg transition-colors flex justify-center items-center gap-1.5" title="Build a page from a pasted Mermaid flowchart">
+                                        📥 <span>Mermaid</span>
+                                    </button>
+                                </div>
+
+                                <button onclick="SC.actionExportSite()" class="w-full py-2 bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 hover:text-white text-[10px] font-black uppercase tracking-widest rounded-lg transition-colors flex justify-center items-center gap-2" title="Every Web Root in the project as a standalone HTML/CSS site (zip)">
+                                    📦 <span>Export Site</span>
+                                </button>
+
+                                <button onclick="SC.actionExportFieldsCsv()" class="w-full py-2 bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 hover:text-white text-[10px] font-black uppercase tracking-widest rounded-lg transition-colors flex justify-center items-center gap-2" title="Typed fields of every node as a spreadsheet">
+                                    📊 <span>Export Fields (CSV)</span>
+                                </button>
+
                                 <button onclick="SC.actionSyncJson()" class="w-full mt-2 py-3 bg-emerald-600 hover:bg-emerald-500 text-white text-xs font-black uppercase tracking-widest rounded-lg shadow-lg shadow-emerald-900/20 transition-transform active:scale-95 flex justify-center items-center gap-2" title="Apply JSON">
                                     💉 <span class="hidden sm:inline">Inject / Apply JSON</span>
                                 </button>
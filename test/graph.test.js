@@ -0,0 +1,140 @@
+// Headless MultiMapGraph: node:test, run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const { MultiMapGraph } = require('../multi-map-graph.js');
+
+const newGraph = () => new MultiMapGraph({ schedule: fn => fn() });
+
+test('seeds a root with a synchronous schedule', () => {
+    const graph = newGraph();
+    assert.strictEqual(graph.state.nodes.length, 1);
+    assert.strictEqual(graph.state.nodes[0].data.isCore, true);
+    assert.strictEqual(graph.journal.canUndo, false);
+});
+
+test('add, connect, delete and undo', () => {
+    const graph = newGraph();
+    const root = graph.state.nodes[0];
+    const hub = graph.addNode({ type: 'hub', title: 'Ideas' }, root.id);
+    const note = graph.addNode({ type: 'note', title: 'First' }, hub.id);
+    assert.ok(Number.isFinite(hub.data.x) && Number.isFinite(hub.data.y));
+
+    assert.strictEqual(graph.addConnection(root.id, hub.id).success, true);
+    assert.strictEqual(graph.addConnection(hub.id, note.id).success, true);
+    assert.strictEqual(graph.addConnection(hub.id, note.id).success, false);
+    assert.strictEqual(graph.state.connections.length, 2);
+
+    graph.deleteNode(hub.id);
+    assert.deepStrictEqual(graph.state.nodes.map(n => n.id), [root.id]);
+    assert.strictEqual(graph.state.connections.length, 0);
+
+    assert.strictEqual(graph.undo(), true);
+    assert.strictEqual(graph.state.nodes.length, 3);
+    assert.strictEqual(graph.state.connections.length, 2);
+
+    assert.strictEqual(graph.redo(), true);
+    assert.strictEqual(graph.state.nodes.length, 1);
+});
+
+test('one pair can carry several relation types, each only once', () => {
+    const graph = newGraph();
+    const root = graph.state.nodes[0];
+    const hub = graph.addNode({ type: 'hub', title: 'Ideas' }, root.id);
+    const note = graph.addNode({ type: 'note', title: 'First' }, hub.id);
+    assert.strictEqual(graph.addConnection(hub.id, note.id).success, true);
+    assert.strictEqual(graph.addConnection(hub.id, note.id, 'flow').success, true);
+    assert.strictEqual(graph.addConnection(hub.id, note.id, 'association').success, true);
+    assert.strictEqual(graph.addConnection(hub.id, note.id, 'flow').success, false);
+    assert.strictEqual(graph.addConnection(note.id, hub.id, 'association').success, false);
+    assert.strictEqual(graph.addConnection(note.id, hub.id, 'flow').success, true);
+    assert.deepStrictEqual(graph.state.connections.map(c => c.type), ['structural', 'flow', 'association', 'flow']);
+});
+
+test('a deferred relaxation joins the undo step of the edit that queued it', () => {
+    const queued = [];
+    const graph = new MultiMapGraph({ schedule: fn => queued.push(fn) });
+    const root = graph.state.nodes[0];
+    const hub = graph.addNode({ type: 'hub', title: 'Ideas' }, root.id);
+    const note = graph.addNode({ type: 'note', title: 'First' }, hub.id);
+    Object.assign(note.data, { x: hub.data.x, y: hub.data.y });
+    const entries = graph.journal.entries.length;
+
+    queued.splice(0).forEach(fn => fn());
+    const relaxed = graph.state.nodes.map(n => [n.data.x, n.data.y]);
+    assert.notDeepStrictEqual(relaxed[2], relaxed[1]);
+    assert.strictEqual(graph.journal.entries.length, entries);
+
+    assert.strictEqual(graph.undo(), true);
+    assert.strictEqual(graph.state.nodes.length, 2);
+    assert.strictEqual(graph.redo(), true);
+    assert.deepStrictEqual(graph.state.nodes.map(n => [n.data.x, n.data.y]), relaxed);
+});
+
+test('the root cannot be deleted', () => {
+    const graph = newGraph();
+    graph.ui = { ...graph.ui, alert() { } };
+    graph.deleteNode(graph.state.nodes[0].id);
+    assert.strictEqual(graph.state.nodes.length, 1);
+});
+
+test('pasting a fragment without roots keeps finite positions', () => {
+    const graph = newGraph();
+    const result = graph.pasteFragment({
+        format: MultiMapGraph.FRAGMENT_FORMAT,
+        roots: [],
+        nodes: [
+            { id: 'a', type: 'note', title: 'A', data: { x: 0, y: 0 } },
+            { id: 'b', type: 'note', title: 'B', data: { x: 100, y: 50 } }
+        ],
+        connections: [
+            { from: 'a', to: 'b', type: 'structural' },
+            { from: 'b', to: 'a', type: 'structural' }
+        ]
+    });
+    assert.strictEqual(result.nodes.length, 2);
+    result.nodes.forEach(n => assert.ok(Number.isFinite(n.data.x) && Number.isFinite(n.data.y)));
+    assert.strictEqual(graph.undo(), true);
+    assert.strictEqual(graph.state.nodes.length, 1);
+});
+
+test('a diagram page gives every connection an id and demotes extra parents to cross-links', () => {
+    const MultiMapDiagram = require('../multi-map-diagram.js');
+    const graph = newGraph();
+    const page = graph.pageFromDiagram(MultiMapDiagram.mermaid.parse([
+        'flowchart LR',
+        'A((Start)) --> B[One]',
+        'A --> C[Two]',
+        'B --> C',
+        'B -.-> C'
+    ].join('\n')));
+    const ids = page.connections.map(c => c.id);
+    assert.ok(ids.every(Boolean));
+    assert.strictEqual(new Set(ids).size, ids.length);
+    assert.deepStrictEqual(page.connections.map(c => c.type), ['structural', 'structural', 'association', 'dependency']);
+    assert.strictEqual(page.nodes.find(n => n.data.isCore).title, 'Start');
+});
+
+test('pasting follows the connection type registry', () => {
+    const graph = newGraph();
+    const text = { id: 'text', type: 'web-text', title: 'Caption', content: '', data: { x: 300, y: 0 } };
+    graph.state.nodes.push(text);
+    const result = graph.pasteFragment({
+        format: MultiMapGraph.FRAGMENT_FORMAT,
+        roots: ['a'],
+        nodes: [
+            { id: 'a', type: 'hub', title: 'A', data: { x: 0, y: 0 } },
+            { id: 'b', type: 'portal', title: 'B', data: { x: 100, y: 0 } },
+            { id: 'c', type: 'web-text', title: 'C', data: { x: 200, y: 0 } }
+        ],
+        connections: [
+            { from: 'a', to: 'b', type: 'trigger' },
+            { from: 'c', to: 'a', type: 'structural' },
+            { from: 'a', to: 'c', type: 'flow' }
+        ]
+    }, text.id);
+    const [a] = result.rootIds;
+    assert.deepStrictEqual(result.attached, []);
+    assert.deepStrictEqual(result.detached, [a]);
+    const pasted = new Set(result.nodes.map(n => n.id));
+    assert.deepStrictEqual(graph.state.connections.filter(c => pasted.has(c.from)).map(c => c.type), ['association', 'association', 'flow']);
+});
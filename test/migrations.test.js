@@ -0,0 +1,226 @@
+// MultiMapMigrations: each registered step, checked against mapstate-schema.json
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.MultiMapSchema = require('../multi-map-rules.js');
+global.MultiMapMigrations = require('../multi-map-migrations.js');
+const MultiMapValidator = require('../multi-map-validator.js');
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const assertValid = (page) => {
+    const report = MultiMapValidator.validateMaps(page);
+    const errors = report.issues.filter(i => i.severity === 'error');
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(report.issues.filter(i => i.code === 'field-type'), []);
+};
+
+const assertIdempotent = (page) => {
+    const before = clone(page);
+    assert.deepStrictEqual(MultiMapMigrations.migratePage(page), []);
+    assert.deepStrictEqual(page, before);
+};
+
+const current = (nodes, connections) => ({
+    map_id: 'map_current',
+    meta: { title: 'Current', type: 'generic', schema_version: MultiMapMigrations.CURRENT_VERSION },
+    nodes,
+    connections
+});
+
+test.before(() => MultiMapValidator.loadShape());
+
+test('v1 meta-mind-document moves metadata and loose session state', () => {
+    const page = {
+        metadata: { title: 'Old Mind', created: '2020-01-01T00:00:00.000Z', version: '6.2' },
+        viewport: { x: 10, y: 20, zoom: 1.5 },
+        selectedId: 'a',
+        history: [{ nodes: [] }],
+        nodes: [{ id: 'a', type: 'root', title: 'Root', content: '', data: { x: 0, y: 0 } }],
+        connections: []
+    };
+    const applied = MultiMapMigrations.migratePage(page);
+    assert.ok(applied.includes('meta-mind-document'));
+    assert.ok(page.map_id);
+    assert.strictEqual(page.metadata, undefined);
+    assert.strictEqual(page.meta.title, 'Old Mind');
+    assert.strictEqual(page.meta.legacy_version, '6.2');
+    assert.strictEqual(page.meta.schema_version, MultiMapMigrations.CURRENT_VERSION);
+    assert.deepStrictEqual(page.session, { viewport: { x: 10, y: 20, zoom: 1.5 }, selectedId: 'a' });
+    assert.strictEqual(page.viewport, undefined);
+    assert.strictEqual(page.history, undefined);
+    assertValid(page);
+    assertIdempotent(page);
+});
+
+test('v2 edges-to-connections renames edge fields and keeps known types', () => {
+    const page = {
+        map_id: 'map_v2',
+        meta: { title: 'Edges', type: 'generic', schema_version: 1 },
+        nodes: [
+            { id: 'a', type: 'root', title: 'Root', content: '', data: { x: 0, y: 0 } },
+            { id: 'b', type: 'hub', title: 'Hub', content: '', data: { x: 100, y: 0 } },
+            { id: 'c', type: 'note', title: 'Note', content: '', data: { x: 200, y: 0 } }
+        ],
+        edges: [
+            { source: 'a', target: 'b', relation: 'child' },
+            { id: 'e2', source: 'b', target: 'c', type: 'association' }
+        ]
+    };
+    assert.deepStrictEqual(MultiMapMigrations.migratePage(page), ['edges-to-connections']);
+    assert.strictEqual(page.edges, undefined);
+    assert.strictEqual(page.connections.length, 2);
+    const [first, second] = page.connections;
+    assert.ok(first.id);
+    assert.deepStrictEqual({ from: first.from, to: first.to, type: first.type }, { from: 'a', to: 'b', type: 'structural' });
+    assert.strictEqual(first.relation, undefined);
+    assert.deepStrictEqual(second, { id: 'e2', from: 'b', to: 'c', type: 'association' });
+    assertValid(page);
+    assertIdempotent(page);
+});
+
+test('v3 node-data-block moves positions and styling into data and renames legacy types', () => {
+    const page = {
+        map_id: 'map_v3',
+        meta: { title: 'Positions', type: 'generic', schema_version: 2 },
+        nodes: [
+            { id: 'a', type: 'root', title: 'Root', content: '', position: { x: 5, y: 6 } },
+            { id: 'b', type: 'concept', title: 'Concept', content: '', x: '40', y: 50, style: { color: 'red' } },
+            { id: 'c', type: 'detail', title: 'Detail', content: '', x: 80, y: 90, metadata: { tag: 't' } }
+        ],
+        connections: [
+            { id: 'c1', from: 'a', to: 'b', type: 'structural' },
+            { id: 'c2', from: 'b', to: 'c', type: 'structural' }
+        ]
+    };
+    assert.deepStrictEqual(MultiMapMigrations.migratePage(page), ['node-data-block']);
+    const [a, b, c] = page.nodes;
+    assert.deepStrictEqual(a.data, { x: 5, y: 6 });
+    assert.strictEqual(a.position, undefined);
+    assert.strictEqual(b.type, 'hub');
+    assert.deepStrictEqual(b.data, { x: 40, y: 50, style: { color: 'red' } });
+    assert.strictEqual(b.x, undefined);
+    assert.strictEqual(c.type, 'note');
+    assert.deepStrictEqual(c.data, { x: 80, y: 90, metadata: { tag: 't' } });
+    assert.strictEqual(c.metadata, undefined);
+    assertValid(page);
+    assertIdempotent(page);
+});
+
+test('v4 submaps-to-submap keeps a single submap and migrates it too', () => {
+    const page = {
+        map_id: 'map_v4',
+        meta: { title: 'Submaps', type: 'generic', schema_version: 3 },
+        nodes: [
+            { id: 'a', type: 'root', title: 'Root', content: '', data: { x: 0, y: 0 } },
+            {
+                id: 'b', type: 'portal', title: 'Portal', content: '', data: { x: 100, y: 0 },
+                submaps: [{
+                    map_id: 'map_inner',
+                    meta: { title: 'Inner', type: 'generic' },
+                    nodes: [
+                        { id: 'i1', type: 'root', title: 'Inner Root', content: '', x: 1, y: 2 },
+                        { id: 'i2', type: 'note', title: 'Inner Note', content: '', x: 3, y: 4 }
+                    ],
+                    edges: [{ source: 'i1', target: 'i2' }]
+                }]
+            },
+            {
+                id: 'c', type: 'portal', title: 'Many', content: '', data: { x: 200, y: 0 },
+                submaps: [{ map_id: 'm1', nodes: [] }, { map_id: 'm2', nodes: [] }]
+            }
+        ],
+        connections: [
+            { id: 'c1', from: 'a', to: 'b', type: 'structural' },
+            { id: 'c2', from: 'a', to: 'c', type: 'structural' }
+        ]
+    };
+    const warn = console.warn;
+    console.warn = () => { };
+    try {
+        assert.deepStrictEqual(MultiMapMigrations.migratePage(page), ['submaps-to-submap']);
+    } finally {
+        console.warn = warn;
+    }
+    const [, single, many] = page.nodes;
+    assert.strictEqual(single.submaps, undefined);
+    assert.strictEqual(single.submap.map_id, 'map_inner');
+    assert.strictEqual(single.submap.meta.schema_version, MultiMapMigrations.CURRENT_VERSION);
+    assert.deepStrictEqual(single.submap.nodes[0].data, { x: 1, y: 2 });
+    assert.deepStrictEqual(single.submap.connections.map(c => [c.from, c.to, c.type]), [['i1', 'i2', 'structural']]);
+    assert.strictEqual(many.submaps, undefined);
+    assert.strictEqual(many.submap, undefined);
+    assert.deepStrictEqual(many.data.submaps.map(s => s.map_id), ['m1', 'm2']);
+    assertValid(page);
+    assertIdempotent(page);
+});
+
+test('v5 person-content-to-fields moves JSON content into typed fields', () => {
+    const page = {
+        map_id: 'map_v5',
+        meta: { title: 'People', type: 'generic', schema_version: 4 },
+        nodes: [
+            {
+                id: 'p', type: 'person-root', title: 'Ada', data: { x: 0, y: 0, fields: { phone: '555' } },
+                content: JSON.stringify({ Name: 'Ada Lovelace', EMAIL: 'ada@example.com', Phone: '999', 'Favourite Number': 42, Empty: '' })
+            },
+            { id: 'q', type: 'person-root', title: 'Plain', content: 'Not JSON', data: { x: 100, y: 0 } }
+        ],
+        connections: []
+    };
+    assert.deepStrictEqual(MultiMapMigrations.migratePage(page), ['person-content-to-fields']);
+    const [ada, plain] = page.nodes;
+    assert.strictEqual(ada.content, '');
+    assert.deepStrictEqual(ada.data.fields, { phone: '555', name: 'Ada Lovelace', email: 'ada@example.com', Favourite_Number: 42 });
+    assert.strictEqual(plain.content, 'Not JSON');
+    assert.strictEqual(plain.data.fields, undefined);
+    assertValid(page);
+    assertIdempotent(page);
+});
+
+test('an unversioned legacy page runs every step in order', () => {
+    const page = {
+        metadata: { title: 'Ancient' },
+        nodes: [
+            { id: 'a', type: 'concept', title: 'Root Idea', content: '', x: 0, y: 0 },
+            { id: 'b', type: 'detail', title: 'Detail', content: '', x: 10, y: 10 }
+        ],
+        edges: [{ source: 'a', target: 'b' }]
+    };
+    assert.deepStrictEqual(MultiMapMigrations.migratePage(page), [
+        'meta-mind-document', 'edges-to-connections', 'node-data-block'
+    ]);
+    assert.deepStrictEqual(page.nodes.map(n => n.type), ['hub', 'note']);
+    assertValid(page);
+    assertIdempotent(page);
+});
+
+test('a current page is left untouched', () => {
+    const page = current([
+        { id: 'a', type: 'root', title: 'Root', content: '', data: { x: 0, y: 0 } },
+        { id: 'b', type: 'person-root', title: 'Raw', content: '{"Name":"Kept"}', data: { x: 10, y: 0 }, submaps: [] }
+    ], [{ id: 'c1', from: 'a', to: 'b', type: 'association' }]);
+    assertValid(page);
+    assertIdempotent(page);
+});
+
+test('project v1 project-meta-block builds meta and page_ids', () => {
+    const project = { project_id: 'proj_old', title: 'Old Project', description: 'Legacy' };
+    assert.deepStrictEqual(MultiMapMigrations.migrateProject(project), ['project-meta-block']);
+    assert.strictEqual(project.title, undefined);
+    assert.strictEqual(project.description, undefined);
+    assert.strictEqual(project.meta.title, 'Old Project');
+    assert.strictEqual(project.meta.description, 'Legacy');
+    assert.strictEqual(project.meta.schema_version, MultiMapMigrations.PROJECT_VERSION);
+    assert.deepStrictEqual(project.page_ids, []);
+    assert.ok(project.created_at);
+    assert.strictEqual(project.updated_at, project.created_at);
+
+    const report = MultiMapValidator.validateProject({ project, pages: [] });
+    assert.strictEqual(report.valid, true);
+    assert.deepStrictEqual(report.issues, []);
+
+    const before = clone(project);
+    assert.deepStrictEqual(MultiMapMigrations.migrateProject(project), []);
+    assert.deepStrictEqual(project, before);
+});
@@ -0,0 +1,119 @@
+// Outline round trips: page -> Markdown / OPML / FreeMind -> outline -> page or fragment
+const test = require('node:test');
+const assert = require('node:assert');
+const { MultiMapGraph } = require('../multi-map-graph.js');
+const MultiMapOutline = require('../multi-map-outline.js');
+
+const newGraph = () => new MultiMapGraph({ schedule: fn => fn() });
+
+// Titles, bodies and nesting only, so formats that drop layout or node types still compare equal
+const shape = (item) => ({ title: item.title, content: item.content || '', children: (item.children || []).map(shape) });
+
+const source = {
+    title: 'R&D <Plan> "2026"',
+    content: '',
+    link: null,
+    children: [
+        {
+            title: "Tom's ideas & notes",
+            content: 'First line\nSecond <line> & more',
+            link: null,
+            children: [
+                {
+                    title: 'Level 3: ünïcødé — 日本語',
+                    content: '',
+                    link: null,
+                    children: [
+                        {
+                            title: 'Level 4 with * stars and _underscores_',
+                            content: '',
+                            link: null,
+                            children: [
+                                { title: 'Level 5 > deepest', content: 'Leaf body', link: null, children: [] },
+                                { title: 'Level 5 sibling', content: '', link: null, children: [] }
+                            ]
+                        }
+                    ]
+                }
+            ]
+        },
+        { title: 'Tabs\tand    spaces', content: '', link: null, children: [] },
+        { title: 'Empty branch', content: '', link: null, children: [] }
+    ]
+};
+
+const roundTrip = (format) => MultiMapOutline[format].parse(MultiMapOutline[format].stringify(source));
+
+const depthOf = (item) => 1 + Math.max(0, ...(item.children || []).map(depthOf));
+
+Object.keys(MultiMapOutline.formats).forEach(format => {
+    test(`${format}: stringify then parse keeps titles, bodies and nesting`, () => {
+        const outline = roundTrip(format);
+        assert.deepStrictEqual(shape(outline), shape(source));
+        assert.strictEqual(depthOf(outline), 5);
+    });
+
+    test(`${format}: pageFromOutline builds the tree and exports back the same outline`, () => {
+        const graph = newGraph();
+        const page = graph.pageFromOutline(roundTrip(format));
+        assert.strictEqual(page.meta.title, source.title);
+        assert.strictEqual(page.nodes.length, 8);
+        assert.strictEqual(page.connections.length, 7);
+        assert.ok(page.connections.every(c => c.id && c.type === 'structural'));
+
+        const root = page.nodes.find(n => n.data.isCore);
+        assert.strictEqual(root.type, 'root');
+        assert.deepStrictEqual([root.data.x, root.data.y], [0, 0]);
+        assert.ok(page.nodes.every(n => Number.isFinite(n.data.x) && Number.isFinite(n.data.y)));
+        assert.deepStrictEqual(page.nodes.filter(n => n.type === 'hub').map(n => n.title), [
+            "Tom's ideas & notes", 'Level 3: ünïcødé — 日本語', 'Level 4 with * stars and _underscores_'
+        ]);
+
+        assert.deepStrictEqual(shape(graph.outlineOf(page)), shape(source));
+        const again = MultiMapOutline[format].parse(MultiMapOutline[format].stringify(graph.outlineOf(page)));
+        assert.deepStrictEqual(shape(again), shape(source));
+    });
+
+    test(`${format}: outlineFragment pastes the titled tree as one undoable branch`, () => {
+        const graph = newGraph();
+        const core = graph.state.nodes[0];
+        const fragment = graph.outlineFragment(roundTrip(format));
+        assert.strictEqual(fragment.format, MultiMapGraph.FRAGMENT_FORMAT);
+        assert.strictEqual(fragment.meta.title, source.title);
+        assert.strictEqual(fragment.roots.length, 1);
+
+        const result = graph.pasteFragment(fragment, core.id);
+        assert.strictEqual(result.nodes.length, 8);
+        const pasted = new Set(result.nodes.map(n => n.id));
+        const top = graph.state.nodes.find(n => pasted.has(n.id) && n.title === source.title);
+        assert.ok(graph.state.connections.some(c => c.from === core.id && c.to === top.id));
+
+        const exported = graph.outlineOf();
+        assert.strictEqual(exported.children.length, 1);
+        assert.deepStrictEqual(shape(exported.children[0]), shape(source));
+
+        assert.strictEqual(graph.undo(), true);
+        assert.strictEqual(graph.state.nodes.length, 1);
+    });
+});
+
+test('an outline without a title pastes its top-level items as separate roots', () => {
+    const graph = newGraph();
+    const outline = MultiMapOutline.markdown.parse('- A & B\n  - Child\n- <C>\n');
+    assert.strictEqual(outline.title, null);
+    const fragment = graph.outlineFragment(outline);
+    assert.strictEqual(fragment.meta.title, 'Outline');
+    assert.deepStrictEqual(fragment.roots.map(id => fragment.nodes.find(n => n.id === id).title), ['A & B', '<C>']);
+    assert.strictEqual(graph.outlineFragment({ title: null, children: [] }), null);
+});
+
+test('pageFromOutline falls back to the given title', () => {
+    const graph = newGraph();
+    const page = graph.pageFromOutline(MultiMapOutline.markdown.parse('- one\n- two\n'), 'Shopping & errands');
+    assert.strictEqual(page.meta.title, 'Shopping & errands');
+    assert.deepStrictEqual(shape(graph.outlineOf(page)), {
+        title: 'Shopping & errands',
+        content: '',
+        children: [{ title: 'one', content: '', children: [] }, { title: 'two', content: '', children: [] }]
+    });
+});
@@ -0,0 +1,148 @@
+// MultiMapQuery: parser, evaluator and error messages
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.MultiMapSchema = require('../multi-map-rules.js');
+const MultiMapQuery = require('../multi-map-query.js');
+
+const state = {
+    nodes: [
+        { id: 'root', type: 'root', title: 'Launch Plan', content: '', tags: [] },
+        { id: 'hub', type: 'hub', title: 'Hub X', content: '', tags: ['urgent', 'Q3'] },
+        { id: 'site', type: 'web-hero', title: 'Landing', content: JSON.stringify({ src: 'hero.png', alt: '' }), tags: [] },
+        { id: 'img', type: 'web-image', title: 'Banner', content: JSON.stringify({ src: '' }), tags: ['urgent'] },
+        { id: 'task', type: 'note', title: 'Write launch copy', content: 'Draft the announcement', data: { fields: { Due: '2026-03-01', Points: 8 } } },
+        { id: 'deep', type: 'note', title: 'Proofread', content: '', data: { fields: { due: '2025-12-24', points: '13' } } },
+        { id: 'lone', type: 'note', title: 'Orphan', content: '' }
+    ],
+    connections: [
+        { id: 'c1', from: 'root', to: 'hub', type: 'structural' },
+        { id: 'c2', from: 'hub', to: 'site', type: 'structural' },
+        { id: 'c3', from: 'hub', to: 'img', type: 'structural' },
+        { id: 'c4', from: 'hub', to: 'task', type: 'structural' },
+        { id: 'c5', from: 'task', to: 'deep', type: 'structural' },
+        { id: 'c6', from: 'site', to: 'task', type: 'association' }
+    ]
+};
+
+const ids = (text) => MultiMapQuery.run(state, text).ids;
+
+test('parses comparisons, `:` shorthand and implicit and', () => {
+    assert.deepStrictEqual(MultiMapQuery.parse('type = note'), { op: 'cmp', field: 'type', cmp: '=', value: 'note' });
+    assert.deepStrictEqual(MultiMapQuery.parse('title:launch'), { op: 'cmp', field: 'title', cmp: '~', value: 'launch' });
+    assert.deepStrictEqual(MultiMapQuery.parse('type:note'), { op: 'cmp', field: 'type', cmp: '=', value: 'note' });
+    assert.deepStrictEqual(MultiMapQuery.parse('depth > 2'), { op: 'cmp', field: 'depth', cmp: '>', value: 2 });
+    assert.deepStrictEqual(MultiMapQuery.parse('type:note depth:2'), {
+        op: 'and',
+        items: [
+            { op: 'cmp', field: 'type', cmp: '=', value: 'note' },
+            { op: 'cmp', field: 'depth', cmp: '=', value: 2 }
+        ]
+    });
+});
+
+test('parses precedence, negation, has and under', () => {
+    assert.deepStrictEqual(MultiMapQuery.parse('type = a or type = b and not has tag'), {
+        op: 'or',
+        items: [
+            { op: 'cmp', field: 'type', cmp: '=', value: 'a' },
+            {
+                op: 'and',
+                items: [
+                    { op: 'cmp', field: 'type', cmp: '=', value: 'b' },
+                    { op: 'not', item: { op: 'has', field: 'tag' } }
+                ]
+            }
+        ]
+    });
+    assert.deepStrictEqual(MultiMapQuery.parse('(type = a or type = b) and id = c').op, 'and');
+    assert.deepStrictEqual(MultiMapQuery.parse('under "Hub X" >= 2'), { op: 'under', value: 'Hub X', cmp: '>=', number: 2 });
+    assert.deepStrictEqual(MultiMapQuery.parse("under 'Hub X'"), { op: 'under', value: 'Hub X', cmp: null });
+});
+
+test('normalises field names and keeps key case', () => {
+    assert.strictEqual(MultiMapQuery.parse('TITLE ~ x').field, 'title');
+    assert.strictEqual(MultiMapQuery.parse('content.Src = x').field, 'content.Src');
+    assert.strictEqual(MultiMapQuery.parse('fields.Due < 2026').field, 'field.Due');
+    assert.strictEqual(MultiMapQuery.parse('title = "say \\"hi\\""').value, 'say "hi"');
+});
+
+test('matches text fields, wildcards and negations case-insensitively', () => {
+    assert.deepStrictEqual(ids('type = NOTE'), ['task', 'deep', 'lone']);
+    assert.deepStrictEqual(ids('type = web-*'), ['site', 'img']);
+    assert.deepStrictEqual(ids('type != web-*'), ['root', 'hub', 'task', 'deep', 'lone']);
+    assert.deepStrictEqual(ids('title:launch'), ['root', 'task']);
+    assert.deepStrictEqual(ids('title !~ launch and type = note'), ['deep', 'lone']);
+    assert.deepStrictEqual(ids('content ~ announcement'), ['task']);
+    assert.deepStrictEqual(ids('id = hub'), ['hub']);
+});
+
+test('matches JSON content keys and has', () => {
+    assert.deepStrictEqual(ids('type = web-image and not has content.src'), ['img']);
+    assert.deepStrictEqual(ids('content.src = ""'), ['root', 'hub', 'img', 'task', 'deep', 'lone']);
+    assert.deepStrictEqual(ids('content.src ~ .png'), ['site']);
+    assert.deepStrictEqual(ids('has content.alt'), []);
+});
+
+test('compares typed fields as numbers or text', () => {
+    assert.deepStrictEqual(ids('field.points > 10'), ['deep']);
+    assert.deepStrictEqual(ids('field.points <= 8'), ['task']);
+    assert.deepStrictEqual(ids('field.due < 2026-01-01'), ['deep']);
+    assert.deepStrictEqual(ids('field.due >= 2026-01-01'), ['task']);
+    assert.deepStrictEqual(ids('field.due = 2026-03-01'), ['task']);
+    assert.deepStrictEqual(ids('has field.due'), ['task', 'deep']);
+});
+
+test('matches tags on any entry', () => {
+    assert.deepStrictEqual(ids('tag = urgent'), ['hub', 'img']);
+    assert.deepStrictEqual(ids('tag != urgent and has tags'), []);
+    assert.deepStrictEqual(ids('tag ~ q'), ['hub']);
+    assert.deepStrictEqual(ids('has tag'), ['hub', 'img']);
+});
+
+test('uses structural edges for depth, parent and under', () => {
+    assert.deepStrictEqual(ids('depth = 0'), ['root', 'lone']);
+    assert.deepStrictEqual(ids('depth > 2'), ['deep']);
+    assert.deepStrictEqual(ids('parent = "hub x"'), ['site', 'img', 'task']);
+    assert.deepStrictEqual(ids('under "Hub X"'), ['site', 'img', 'task', 'deep']);
+    assert.deepStrictEqual(ids('under "Hub X" > 1'), ['deep']);
+    assert.deepStrictEqual(ids('under hub = 1 and type = note'), ['task']);
+});
+
+test('counts degrees across every connection type', () => {
+    assert.deepStrictEqual(ids('degree >= 3'), ['hub', 'task']);
+    assert.deepStrictEqual(ids('in = 2'), ['task']);
+    assert.deepStrictEqual(ids('children = 3'), ['hub']);
+    assert.deepStrictEqual(ids('out:0'), ['img', 'deep', 'lone']);
+});
+
+test('combines clauses with or, not and parentheses', () => {
+    assert.deepStrictEqual(ids('type = root or tag = urgent'), ['root', 'hub', 'img']);
+    assert.deepStrictEqual(ids('not (type = note or type = web-*)'), ['root', 'hub']);
+    assert.deepStrictEqual(ids('(type = note) (depth >= 2)'), ['task', 'deep']);
+});
+
+test('returns the matching nodes with their ids', () => {
+    const result = MultiMapQuery.run(state, 'id = task');
+    assert.deepStrictEqual(result.ids, ['task']);
+    assert.strictEqual(result.nodes[0], state.nodes[4]);
+    assert.deepStrictEqual(MultiMapQuery.run({}, 'type = note'), { ids: [], nodes: [] });
+});
+
+test('rejects malformed queries with a readable message', () => {
+    const rejects = (text, message) => assert.throws(() => MultiMapQuery.run(state, text), { message });
+    rejects('', 'The query is empty.');
+    rejects('   ', 'The query is empty.');
+    rejects('colour = red', /^Unknown field "colour"/);
+    rejects('content. = x', /^Unknown field "content\."/);
+    rejects('title', 'Expected a comparison after "title" but found the end of the query.');
+    rejects('title launch', 'Expected a comparison after "title" but found "launch".');
+    rejects('title =', 'Expected a value but found the end of the query.');
+    rejects('depth > many', 'Expected a number but found "many".');
+    rejects('title > b', '"title" is text; use =, !=, ~ or !~.');
+    rejects('(type = note', 'Missing ")" before the end of the query.');
+    rejects('type = note)', 'Unexpected ")" in query.');
+    rejects('title = "open', 'Unexpected character """ in query.');
+    rejects('has', 'Expected a value but found the end of the query.');
+    rejects('under "Hub X" > lots', 'Expected a number but found "lots".');
+});
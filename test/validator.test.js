@@ -0,0 +1,174 @@
+// MultiMapValidator: structural checks, shape checks against mapstate-schema.json and repairs
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.MultiMapSchema = require('../multi-map-rules.js');
+global.MultiMapMigrations = require('../multi-map-migrations.js');
+const MultiMapValidator = require('../multi-map-validator.js');
+
+const validPage = () => ({
+    map_id: 'map_valid',
+    meta: { title: 'Valid', type: 'generic', schema_version: MultiMapMigrations.CURRENT_VERSION, tags: ['a'] },
+    nodes: [
+        { id: 'root', type: 'root', title: 'Root', content: '', data: { x: 0, y: 0 } },
+        { id: 'hub', type: 'hub', title: 'Hub', content: '', data: { x: 100, y: 0 } },
+        { id: 'note', type: 'note', title: 'Note', content: '', data: { x: 200, y: 0 } }
+    ],
+    connections: [
+        { id: 'c1', from: 'root', to: 'hub', type: 'structural' },
+        { id: 'c2', from: 'hub', to: 'note', type: 'structural' }
+    ]
+});
+
+const codes = (report) => report.issues.map(i => i.code).sort();
+
+test.before(() => MultiMapValidator.loadShape());
+
+test('loads the reference shape under Node', () => {
+    assert.ok(MultiMapValidator.shape);
+    assert.ok(Array.isArray(MultiMapValidator.shape.nodes));
+});
+
+test('accepts a valid page without issues', () => {
+    const page = validPage();
+    const report = MultiMapValidator.validateMaps(page);
+    assert.strictEqual(report.valid, true);
+    assert.deepStrictEqual(report.issues, []);
+    assert.deepStrictEqual(report.repaired, page);
+    assert.notStrictEqual(report.repaired, page);
+});
+
+test('accepts an array of valid pages', () => {
+    const report = MultiMapValidator.validateMaps([validPage(), { ...validPage(), map_id: 'map_two' }]);
+    assert.strictEqual(report.valid, true);
+    assert.strictEqual(report.repaired.length, 2);
+});
+
+test('rejects entries that are not maps', () => {
+    const report = MultiMapValidator.validateMaps([validPage(), 'nope']);
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(report.issues.map(i => i.code), ['not-a-map']);
+    assert.strictEqual(report.issues[0].fixable, false);
+});
+
+test('repairs missing ids, arrays and meta without touching the input', () => {
+    const page = {
+        meta: { title: 'Loose', type: 'generic', schema_version: MultiMapMigrations.CURRENT_VERSION },
+        nodes: [{ type: 'note', title: 'Loose', content: '', data: { x: 0, y: 0 } }],
+        connections: 'bad'
+    };
+    const input = JSON.parse(JSON.stringify(page));
+    const report = MultiMapValidator.validateMaps(page);
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(codes(report), ['connections-missing', 'map-id', 'node-id']);
+    assert.deepStrictEqual(page, input);
+
+    const repaired = report.repaired;
+    assert.ok(repaired.map_id);
+    assert.deepStrictEqual(repaired.connections, []);
+    assert.ok(repaired.nodes[0].id);
+    assert.strictEqual(MultiMapValidator.validateMaps(repaired).valid, true);
+});
+
+test('upgrades an unversioned page with no map_id or meta', () => {
+    const { map_id, meta, ...page } = validPage();
+    const report = MultiMapValidator.validateMaps(page);
+    assert.strictEqual(report.valid, true);
+    assert.deepStrictEqual(report.issues, []);
+    assert.ok(report.repaired.map_id);
+    assert.strictEqual(report.repaired.meta.schema_version, MultiMapMigrations.CURRENT_VERSION);
+});
+
+test('drops dangling, self-looping and duplicate connections', () => {
+    const page = validPage();
+    page.connections.push(
+        { id: 'c3', from: 'hub', to: 'ghost', type: 'structural' },
+        { id: 'c4', from: 'note', to: 'note', type: 'association' },
+        { id: 'c5', from: 'root', to: 'hub', type: 'structural' }
+    );
+    const report = MultiMapValidator.validateMaps(page);
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(codes(report), ['dangling-connection', 'duplicate-connection', 'self-loop']);
+    assert.deepStrictEqual(report.repaired.connections.map(c => c.id), ['c1', 'c2']);
+});
+
+test('keeps differently typed links between the same pair', () => {
+    const page = validPage();
+    page.connections.push(
+        { id: 'c3', from: 'hub', to: 'note', type: 'flow' },
+        { id: 'c4', from: 'hub', to: 'note', type: 'flow' }
+    );
+    const report = MultiMapValidator.validateMaps(page);
+    assert.deepStrictEqual(codes(report), ['duplicate-connection']);
+    assert.deepStrictEqual(report.repaired.connections.map(c => c.id), ['c1', 'c2', 'c3']);
+});
+
+test('renumbers duplicate node and connection ids', () => {
+    const page = validPage();
+    page.nodes[2].id = 'hub';
+    page.connections[1] = { id: 'c1', from: 'root', to: 'note', type: 'association' };
+    const report = MultiMapValidator.validateMaps(page);
+    assert.ok(codes(report).includes('duplicate-node-id'));
+    const ids = report.repaired.nodes.map(n => n.id);
+    assert.strictEqual(new Set(ids).size, ids.length);
+});
+
+test('turns an illegal tree link into an association', () => {
+    const page = validPage();
+    page.connections.push({ id: 'c3', from: 'note', to: 'root', type: 'structural' });
+    const report = MultiMapValidator.validateMaps(page);
+    assert.deepStrictEqual(codes(report), ['illegal-child']);
+    assert.strictEqual(report.repaired.connections[2].type, 'association');
+});
+
+test('repairs unknown node and connection types', () => {
+    const page = validPage();
+    page.nodes[2].type = 'mystery';
+    page.connections[1].type = 'telepathy';
+    const report = MultiMapValidator.validateMaps(page);
+    assert.strictEqual(report.valid, true);
+    assert.deepStrictEqual(codes(report), ['node-type', 'unknown-connection-type']);
+    assert.strictEqual(report.repaired.nodes[2].type, 'note');
+    assert.strictEqual(report.repaired.connections[1].type, 'association');
+});
+
+test('coerces fields that do not match mapstate-schema.json', () => {
+    const page = validPage();
+    page.meta.tags = 'one';
+    page.nodes[1].title = 42;
+    page.nodes[2].data = { x: 'left', y: 3 };
+    const report = MultiMapValidator.validateMaps(page);
+    assert.strictEqual(report.valid, true);
+    assert.deepStrictEqual(codes(report), ['field-type', 'field-type', 'node-position']);
+    assert.deepStrictEqual(report.repaired.meta.tags, []);
+    assert.strictEqual(report.repaired.nodes[1].title, '42');
+    assert.deepStrictEqual(report.repaired.nodes[2].data, { x: 0, y: 3 });
+    assert.deepStrictEqual(MultiMapValidator.validateMaps(report.repaired).issues, []);
+});
+
+test('upgrades legacy edges before checking', () => {
+    const { connections, ...page } = validPage();
+    delete page.meta.schema_version;
+    page.edges = connections.map(({ from, to }) => ({ source: from, target: to }));
+    const report = MultiMapValidator.validateMaps(page);
+    assert.strictEqual(report.valid, true);
+    assert.deepStrictEqual(report.repaired.connections.map(c => [c.from, c.to]), [['root', 'hub'], ['hub', 'note']]);
+});
+
+test('validates a project export and repairs its project record', () => {
+    const ok = MultiMapValidator.validateProject({
+        project: { project_id: 'proj_1', meta: { title: 'Project' }, page_ids: ['map_valid'] },
+        pages: [validPage()]
+    });
+    assert.strictEqual(ok.valid, true);
+    assert.deepStrictEqual(ok.issues, []);
+
+    const broken = MultiMapValidator.validateProject({ project: { meta: {} } });
+    assert.strictEqual(broken.valid, false);
+    assert.deepStrictEqual(codes(broken), ['pages-missing', 'project-id', 'project-title']);
+    assert.ok(broken.repaired.project.project_id.startsWith('proj_'));
+    assert.strictEqual(broken.repaired.project.meta.title, 'Imported Project');
+    assert.deepStrictEqual(broken.repaired.pages, []);
+
+    assert.deepStrictEqual(codes(MultiMapValidator.validateProject(null)), ['pages-missing', 'project-missing']);
+});